@@ -6,13 +6,14 @@ import rateLimit from 'express-rate-limit';
 import 'dotenv/config';
 
 import { logger } from '../src/utils/logger.js';
-import dbConnection from '../src/config/database.js';
+import storage from '../src/storage/index.js';
 
 // Import API routes
 import healthRoutes from '../src/api/routes/health.js';
 import opportunitiesRoutes from '../src/api/routes/opportunities.js';
 import simulateRoutes from '../src/api/routes/simulate.js';
 import statsRoutes from '../src/api/routes/stats.js';
+import pricesRoutes from '../src/api/routes/prices.js';
 
 const app = express();
 
@@ -54,13 +55,8 @@ let botInstance = null;
 // Initialize database and bot
 async function initializeServices() {
   try {
-    // Connect to database
-    await dbConnection.connect();
-    if (dbConnection.isConnected) {
-      logger.info('✅ Database connected successfully');
-    } else {
-      logger.warn('⚠️ Running without database - continuing in API-only mode');
-    }
+    // Open storage (in memory when the database is unreachable)
+    await storage.initialize();
 
     // Initialize bot in background (for Vercel, just ensure DB and API work)
     logger.info('✅ API services initialized');
@@ -77,6 +73,7 @@ app.use('/api/health', healthRoutes);
 app.use('/api/opportunities', opportunitiesRoutes);
 app.use('/api/simulate', simulateRoutes);
 app.use('/api/stats', statsRoutes);
+app.use('/api/prices', pricesRoutes);
 
 // Root endpoint
 app.get('/', (req, res) => {
@@ -88,7 +85,8 @@ app.get('/', (req, res) => {
       health: '/api/health',
       opportunities: '/api/opportunities',
       simulate: '/api/simulate',
-      stats: '/api/stats'
+      stats: '/api/stats',
+      prices: '/api/prices'
     },
     documentation: '/api/health'
   });
@@ -103,7 +101,8 @@ app.use('*', (req, res) => {
       health: '/api/health',
       opportunities: '/api/opportunities',
       simulate: '/api/simulate', 
-      stats: '/api/stats'
+      stats: '/api/stats',
+      prices: '/api/prices'
     }
   });
 });
@@ -1,7 +1,10 @@
 import 'dotenv/config';
-import dbConnection from '../src/config/database.js';
+import storage from '../src/storage/index.js';
+import priceHistory from '../src/services/price-history.js';
 import { logger } from '../src/utils/logger.js';
-import rpcManager from '../src/services/rpc-manager.js';
+
+// Storage opening, shared by every request an instance serves
+let storageReady = null;
 
 export default async function handler(req, res) {
   // Set CORS headers
@@ -20,64 +23,16 @@ export default async function handler(req, res) {
   }
 
   try {
-    // Initialize RPC if needed
-    if (!rpcManager.isInitialized) {
-      await rpcManager.initialize();
+    // Open storage once per instance
+    if (!storageReady) {
+      storageReady = storage.initialize();
     }
+    await storageReady;
 
-    // Mock current prices (in production, these would come from price fetcher)
-    const mockPrices = [
-      {
-        dex: 'UNISWAP_V3',
-        tokenPair: 'USDT/WETH',
-        price: 0.000377,
-        priceUSD: 2650,
-        blockNumber: await rpcManager.getBlockNumber().catch(() => 0),
-        timestamp: Date.now(),
-        feeTier: '3000'
-      },
-      {
-        dex: 'SUSHISWAP_V2',
-        tokenPair: 'USDT/WETH',
-        price: 0.000378,
-        priceUSD: 2650,
-        blockNumber: await rpcManager.getBlockNumber().catch(() => 0),
-        timestamp: Date.now(),
-        feeTier: '3000'
-      },
-      {
-        dex: 'UNISWAP_V3',
-        tokenPair: 'WBTC/WETH',
-        price: 24.52,
-        priceUSD: 65000,
-        blockNumber: await rpcManager.getBlockNumber().catch(() => 0),
-        timestamp: Date.now(),
-        feeTier: '3000'
-      },
-      {
-        dex: 'SUSHISWAP_V2',
-        tokenPair: 'WBTC/WETH',
-        price: 24.58,
-        priceUSD: 65000,
-        blockNumber: await rpcManager.getBlockNumber().catch(() => 0),
-        timestamp: Date.now(),
-        feeTier: '3000'
-      }
-    ];
-
-    const prices = {
-      realTime: mockPrices,
-      summary: {
-        totalPairs: mockPrices.length,
-        dexes: [...new Set(mockPrices.map(p => p.dex))],
-        lastUpdated: new Date().toISOString(),
-        blockNumber: await rpcManager.getBlockNumber().catch(() => 0)
-      },
-      pairs: {
-        'USDT/WETH': mockPrices.filter(p => p.tokenPair === 'USDT/WETH'),
-        'WBTC/WETH': mockPrices.filter(p => p.tokenPair === 'WBTC/WETH')
-      }
-    };
+    // Latest stored price of every pool, as recorded by the bot
+    const prices = await priceHistory.getLatestPrices({
+      chainId: req.query.chainId ? parseInt(req.query.chainId) : undefined
+    });
 
     res.status(200).json(prices);
 
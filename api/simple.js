@@ -22,15 +22,16 @@ const limiter = rateLimit({
 app.use(limiter);
 
 // Import services with error handling
-let dbConnection, logger, healthRoutes, opportunitiesRoutes, simulateRoutes, statsRoutes;
+let storage, logger, healthRoutes, opportunitiesRoutes, simulateRoutes, statsRoutes, pricesRoutes;
 
 try {
   ({ logger } = await import('../src/utils/logger.js'));
-  dbConnection = (await import('../src/config/database.js')).default;
+  storage = (await import('../src/storage/index.js')).default;
   healthRoutes = (await import('../src/api/routes/health.js')).default;
   opportunitiesRoutes = (await import('../src/api/routes/opportunities.js')).default;
   simulateRoutes = (await import('../src/api/routes/simulate.js')).default;
   statsRoutes = (await import('../src/api/routes/stats.js')).default;
+  pricesRoutes = (await import('../src/api/routes/prices.js')).default;
 } catch (error) {
   console.error('Import error:', error.message);
 }
@@ -38,13 +39,8 @@ try {
 // Initialize database
 async function initializeDatabase() {
   try {
-    if (dbConnection) {
-      await dbConnection.connect();
-      if (logger) {
-        logger.info('✅ Database connected successfully');
-      } else {
-        console.log('✅ Database connected successfully');
-      }
+    if (storage) {
+      await storage.initialize();
     }
   } catch (error) {
     console.warn('⚠️ Database connection failed:', error.message);
@@ -59,6 +55,7 @@ if (healthRoutes) app.use('/api/health', healthRoutes);
 if (opportunitiesRoutes) app.use('/api/opportunities', opportunitiesRoutes);
 if (simulateRoutes) app.use('/api/simulate', simulateRoutes);
 if (statsRoutes) app.use('/api/stats', statsRoutes);
+if (pricesRoutes) app.use('/api/prices', pricesRoutes);
 
 // Root endpoint
 app.get('/', (req, res) => {
@@ -71,7 +68,8 @@ app.get('/', (req, res) => {
       health: '/api/health',
       opportunities: '/api/opportunities',
       simulate: '/api/simulate',
-      stats: '/api/stats'
+      stats: '/api/stats',
+      prices: '/api/prices'
     }
   });
 });
@@ -98,7 +96,8 @@ app.use('*', (req, res) => {
       apiHealth: '/api/health',
       opportunities: '/api/opportunities',
       simulate: '/api/simulate',
-      stats: '/api/stats'
+      stats: '/api/stats',
+      prices: '/api/prices'
     }
   });
 });
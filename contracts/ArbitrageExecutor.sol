@@ -0,0 +1,169 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import {IERC20} from "./interfaces/IDexRouters.sol";
+import {IBalancerVault, IAavePool, IUniswapV3Pool} from "./interfaces/IFlashLenders.sol";
+import {SwapRoute} from "./libraries/SwapRoute.sol";
+
+/// @notice Executes an arbitrage route atomically, funded from the token inventory it holds or by a
+/// flash loan repaid within the same transaction. Reverts unless the route's first token balance
+/// grew by minProfit (after repaying the loan and its fee).
+contract ArbitrageExecutor {
+    uint8 internal constant FLASH_BALANCER = 0;
+    uint8 internal constant FLASH_AAVE_V3 = 1;
+    uint8 internal constant FLASH_UNISWAP_V3 = 2;
+
+    struct FlashLoan {
+        uint8 source;    // FLASH_BALANCER, FLASH_AAVE_V3 or FLASH_UNISWAP_V3
+        address lender;  // Balancer Vault, Aave V3 Pool or the Uniswap V3 pool lent from
+    }
+
+    address public immutable owner;
+
+    // Lender of the flash loan in progress; its callback is the only one accepted
+    address private activeLender;
+
+    event RouteExecuted(address indexed token, uint256 amountIn, uint256 profit);
+
+    error NotOwner();
+    error InvalidRoute();
+    error InsufficientProfit(uint256 profit, uint256 minProfit);
+    error UnknownFlashSource(uint8 source);
+    error UnexpectedCallback(address caller);
+    error FlashLoanNotRepaid(uint256 amountOut, uint256 owed);
+
+    modifier onlyOwner() {
+        if (msg.sender != owner) revert NotOwner();
+        _;
+    }
+
+    modifier onlyActiveLender() {
+        if (msg.sender != activeLender) revert UnexpectedCallback(msg.sender);
+        _;
+    }
+
+    constructor() {
+        owner = msg.sender;
+    }
+
+    /// @param swaps a cycle: each swap spends the whole output of the previous one and the last
+    /// swap's tokenOut is the first swap's tokenIn
+    /// @param amountIn amount of swaps[0].tokenIn to start with
+    /// @param minProfit minimum increase of the swaps[0].tokenIn balance
+    /// @return profit increase of the swaps[0].tokenIn balance
+    function execute(SwapRoute.Swap[] calldata swaps, uint256 amountIn, uint256 minProfit)
+        external
+        onlyOwner
+        returns (uint256 profit)
+    {
+        validateRoute(swaps);
+
+        address token = swaps[0].tokenIn;
+        uint256 balanceBefore = IERC20(token).balanceOf(address(this));
+        runRoute(swaps, amountIn);
+
+        profit = checkProfit(token, balanceBefore, minProfit);
+        emit RouteExecuted(token, amountIn, profit);
+    }
+
+    /// @notice Execute a route with amountIn borrowed from a flash lender; the route's output repays
+    /// the loan and its fee, and what is left must be at least minProfit
+    function executeWithFlashLoan(
+        FlashLoan calldata loan,
+        SwapRoute.Swap[] calldata swaps,
+        uint256 amountIn,
+        uint256 minProfit
+    ) external onlyOwner returns (uint256 profit) {
+        validateRoute(swaps);
+
+        address token = swaps[0].tokenIn;
+        uint256 balanceBefore = IERC20(token).balanceOf(address(this));
+        bytes memory data = abi.encode(swaps, amountIn);
+
+        activeLender = loan.lender;
+        if (loan.source == FLASH_BALANCER) {
+            address[] memory tokens = new address[](1);
+            uint256[] memory amounts = new uint256[](1);
+            tokens[0] = token;
+            amounts[0] = amountIn;
+            IBalancerVault(loan.lender).flashLoan(address(this), tokens, amounts, data);
+        } else if (loan.source == FLASH_AAVE_V3) {
+            IAavePool(loan.lender).flashLoanSimple(address(this), token, amountIn, data, 0);
+        } else if (loan.source == FLASH_UNISWAP_V3) {
+            bool isToken0 = IUniswapV3Pool(loan.lender).token0() == token;
+            IUniswapV3Pool(loan.lender).flash(address(this), isToken0 ? amountIn : 0, isToken0 ? 0 : amountIn, data);
+        } else {
+            revert UnknownFlashSource(loan.source);
+        }
+        activeLender = address(0);
+
+        profit = checkProfit(token, balanceBefore, minProfit);
+        emit RouteExecuted(token, amountIn, profit);
+    }
+
+    /// @notice Balancer Vault flash loan callback: the Vault expects the loan and fee transferred back
+    function receiveFlashLoan(
+        address[] calldata tokens,
+        uint256[] calldata,
+        uint256[] calldata feeAmounts,
+        bytes calldata userData
+    ) external onlyActiveLender {
+        (, uint256 owed) = runFlashRoute(userData, feeAmounts[0]);
+        SwapRoute.transfer(tokens[0], msg.sender, owed);
+    }
+
+    /// @notice Aave V3 flashLoanSimple callback: the Pool pulls the loan and premium after it returns
+    function executeOperation(address asset, uint256, uint256 premium, address initiator, bytes calldata params)
+        external
+        onlyActiveLender
+        returns (bool)
+    {
+        if (initiator != address(this)) revert UnexpectedCallback(initiator);
+        (, uint256 owed) = runFlashRoute(params, premium);
+        SwapRoute.approve(asset, msg.sender, owed);
+        return true;
+    }
+
+    /// @notice Uniswap V3 flash callback: the pool expects the loan and fee transferred back
+    function uniswapV3FlashCallback(uint256 fee0, uint256 fee1, bytes calldata data) external onlyActiveLender {
+        (address token, uint256 owed) = runFlashRoute(data, fee0 + fee1);
+        SwapRoute.transfer(token, msg.sender, owed);
+    }
+
+    /// @notice Withdraw tokens from the executor's inventory
+    function withdraw(address token, address to, uint256 amount) external onlyOwner {
+        SwapRoute.transfer(token, to, amount);
+    }
+
+    function validateRoute(SwapRoute.Swap[] calldata swaps) private pure {
+        uint256 n = swaps.length;
+        if (n == 0 || swaps[n - 1].tokenOut != swaps[0].tokenIn) revert InvalidRoute();
+        for (uint256 k = 1; k < n; k++) {
+            if (swaps[k].tokenIn != swaps[k - 1].tokenOut) revert InvalidRoute();
+        }
+    }
+
+    function runRoute(SwapRoute.Swap[] memory swaps, uint256 amountIn) private returns (uint256 amount) {
+        amount = amountIn;
+        for (uint256 k = 0; k < swaps.length; k++) {
+            amount = SwapRoute.execute(swaps[k], amount);
+        }
+    }
+
+    // Run the route passed through a lender and make sure its output repays the loan and its fee
+    function runFlashRoute(bytes calldata data, uint256 fee) private returns (address token, uint256 owed) {
+        (SwapRoute.Swap[] memory swaps, uint256 amountIn) = abi.decode(data, (SwapRoute.Swap[], uint256));
+        token = swaps[0].tokenIn;
+        owed = amountIn + fee;
+        uint256 amountOut = runRoute(swaps, amountIn);
+        if (amountOut < owed) revert FlashLoanNotRepaid(amountOut, owed);
+    }
+
+    function checkProfit(address token, uint256 balanceBefore, uint256 minProfit) private view returns (uint256) {
+        uint256 balanceAfter = IERC20(token).balanceOf(address(this));
+        if (balanceAfter < balanceBefore + minProfit) {
+            revert InsufficientProfit(balanceAfter > balanceBefore ? balanceAfter - balanceBefore : 0, minProfit);
+        }
+        return balanceAfter - balanceBefore;
+    }
+}
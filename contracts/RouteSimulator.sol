@@ -0,0 +1,37 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import {IERC20} from "./interfaces/IDexRouters.sol";
+import {SwapRoute} from "./libraries/SwapRoute.sol";
+
+/// @notice Runs a whole route in one eth_call. It is never deployed: the simulator places its
+/// runtime code at an unused address with a state override and funds it with a balance override
+/// of the route's first token.
+contract RouteSimulator {
+    /// @param swaps the route; each swap spends the whole output of the previous one
+    /// @param amountIn amount of swaps[0].tokenIn to start with
+    /// @return amountsOut tokenOut received by each swap
+    /// @return gasUsed gas used by each swap, approvals included
+    /// @return balances balance of swaps[0].tokenIn, then of each swap's tokenOut, after the route
+    function simulate(SwapRoute.Swap[] calldata swaps, uint256 amountIn)
+        external
+        returns (uint256[] memory amountsOut, uint256[] memory gasUsed, uint256[] memory balances)
+    {
+        amountsOut = new uint256[](swaps.length);
+        gasUsed = new uint256[](swaps.length);
+
+        uint256 amount = amountIn;
+        for (uint256 k = 0; k < swaps.length; k++) {
+            uint256 gasBefore = gasleft();
+            amount = SwapRoute.execute(swaps[k], amount);
+            gasUsed[k] = gasBefore - gasleft();
+            amountsOut[k] = amount;
+        }
+
+        balances = new uint256[](swaps.length + 1);
+        balances[0] = IERC20(swaps[0].tokenIn).balanceOf(address(this));
+        for (uint256 k = 0; k < swaps.length; k++) {
+            balances[k + 1] = IERC20(swaps[k].tokenOut).balanceOf(address(this));
+        }
+    }
+}
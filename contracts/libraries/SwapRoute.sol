@@ -0,0 +1,85 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import {IERC20, IUniswapV2Router02, ISwapRouter, ICurvePool} from "../interfaces/IDexRouters.sol";
+
+/// @notice One swap of a route through a V2 router, the V3 SwapRouter or a Curve pool.
+/// Output amounts are measured as balance changes, so transfer taxes are accounted for.
+library SwapRoute {
+    uint8 internal constant KIND_V2 = 0;
+    uint8 internal constant KIND_V3 = 1;
+    uint8 internal constant KIND_CURVE = 2;
+
+    struct Swap {
+        uint8 kind;       // KIND_V2, KIND_V3 or KIND_CURVE
+        address target;   // router (V2/V3) or pool (Curve)
+        address tokenIn;
+        address tokenOut;
+        uint24 fee;       // V3 fee tier
+        int128 i;         // Curve coin index of tokenIn
+        int128 j;         // Curve coin index of tokenOut
+    }
+
+    error UnknownSwapKind(uint8 kind);
+    error ApproveFailed(address token, address spender);
+    error TransferFailed(address token, address to);
+
+    /// @notice Swap `amountIn` of swap.tokenIn held by this contract; returns the tokenOut received
+    function execute(Swap memory swap, uint256 amountIn) internal returns (uint256 amountOut) {
+        uint256 balanceBefore = IERC20(swap.tokenOut).balanceOf(address(this));
+        approve(swap.tokenIn, swap.target, amountIn);
+
+        if (swap.kind == KIND_V2) {
+            address[] memory path = new address[](2);
+            path[0] = swap.tokenIn;
+            path[1] = swap.tokenOut;
+            IUniswapV2Router02(swap.target).swapExactTokensForTokensSupportingFeeOnTransferTokens(
+                amountIn, 0, path, address(this), block.timestamp
+            );
+        } else if (swap.kind == KIND_V3) {
+            ISwapRouter(swap.target).exactInputSingle(ISwapRouter.ExactInputSingleParams({
+                tokenIn: swap.tokenIn,
+                tokenOut: swap.tokenOut,
+                fee: swap.fee,
+                recipient: address(this),
+                deadline: block.timestamp,
+                amountIn: amountIn,
+                amountOutMinimum: 0,
+                sqrtPriceLimitX96: 0
+            }));
+        } else if (swap.kind == KIND_CURVE) {
+            ICurvePool(swap.target).exchange(swap.i, swap.j, amountIn, 0);
+        } else {
+            revert UnknownSwapKind(swap.kind);
+        }
+
+        amountOut = IERC20(swap.tokenOut).balanceOf(address(this)) - balanceBefore;
+    }
+
+    /// @notice Approve `spender` for at least `amount`, for tokens that don't return a bool (USDT)
+    /// and that require the allowance to be reset to zero first
+    function approve(address token, address spender, uint256 amount) internal {
+        uint256 allowance = IERC20(token).allowance(address(this), spender);
+        if (allowance >= amount) return;
+
+        if (allowance > 0) {
+            callApprove(token, spender, 0);
+        }
+        callApprove(token, spender, type(uint256).max);
+    }
+
+    /// @notice Transfer `amount` of `token` held by this contract, for tokens that don't return a bool
+    function transfer(address token, address to, uint256 amount) internal {
+        (bool success, bytes memory data) = token.call(abi.encodeWithSelector(IERC20.transfer.selector, to, amount));
+        if (!success || (data.length > 0 && !abi.decode(data, (bool)))) {
+            revert TransferFailed(token, to);
+        }
+    }
+
+    function callApprove(address token, address spender, uint256 amount) private {
+        (bool success, bytes memory data) = token.call(abi.encodeWithSelector(0x095ea7b3, spender, amount));
+        if (!success || (data.length > 0 && !abi.decode(data, (bool)))) {
+            revert ApproveFailed(token, spender);
+        }
+    }
+}
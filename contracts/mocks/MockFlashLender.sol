@@ -0,0 +1,69 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import {MockERC20} from "./MockERC20.sol";
+
+interface IFlashBorrower {
+    function receiveFlashLoan(address[] calldata tokens, uint256[] calldata amounts, uint256[] calldata feeAmounts, bytes calldata userData) external;
+    function executeOperation(address asset, uint256 amount, uint256 premium, address initiator, bytes calldata params) external returns (bool);
+    function uniswapV3FlashCallback(uint256 fee0, uint256 fee1, bytes calldata data) external;
+}
+
+/// @notice Balancer Vault, Aave V3 Pool and Uniswap V3 pool flash loans for tests: lends minted
+/// tokens and checks the loan and its fee (hundredths of a bip) came back
+contract MockFlashLender {
+    address public token0;
+    address public token1;
+    uint256 public fee;
+
+    function setTokens(address _token0, address _token1) external {
+        token0 = _token0;
+        token1 = _token1;
+    }
+
+    function setFee(uint256 _fee) external {
+        fee = _fee;
+    }
+
+    /// @notice Aave V3 Pool premium, in bips
+    function FLASHLOAN_PREMIUM_TOTAL() external view returns (uint128) {
+        return uint128(fee / 100);
+    }
+
+    function flashLoan(address recipient, address[] calldata tokens, uint256[] calldata amounts, bytes calldata userData) external {
+        uint256[] memory feeAmounts = new uint256[](1);
+        feeAmounts[0] = feeOf(amounts[0]);
+        uint256 balanceBefore = lend(tokens[0], recipient, amounts[0]);
+        IFlashBorrower(recipient).receiveFlashLoan(tokens, amounts, feeAmounts, userData);
+        checkRepaid(tokens[0], balanceBefore, amounts[0] + feeAmounts[0]);
+    }
+
+    function flashLoanSimple(address receiverAddress, address asset, uint256 amount, bytes calldata params, uint16) external {
+        uint256 premium = feeOf(amount);
+        uint256 balanceBefore = lend(asset, receiverAddress, amount);
+        require(IFlashBorrower(receiverAddress).executeOperation(asset, amount, premium, msg.sender, params), "operation failed");
+        MockERC20(asset).transferFrom(receiverAddress, address(this), amount + premium);
+        checkRepaid(asset, balanceBefore, amount + premium);
+    }
+
+    function flash(address recipient, uint256 amount0, uint256 amount1, bytes calldata data) external {
+        address token = amount0 > 0 ? token0 : token1;
+        uint256 amount = amount0 > 0 ? amount0 : amount1;
+        uint256 balanceBefore = lend(token, recipient, amount);
+        IFlashBorrower(recipient).uniswapV3FlashCallback(feeOf(amount0), feeOf(amount1), data);
+        checkRepaid(token, balanceBefore, amount + feeOf(amount));
+    }
+
+    function feeOf(uint256 amount) private view returns (uint256) {
+        return (amount * fee + 999999) / 1000000;
+    }
+
+    function lend(address token, address to, uint256 amount) private returns (uint256 balanceBefore) {
+        balanceBefore = MockERC20(token).balanceOf(address(this));
+        MockERC20(token).mint(to, amount);
+    }
+
+    function checkRepaid(address token, uint256 balanceBefore, uint256 owed) private view {
+        require(MockERC20(token).balanceOf(address(this)) >= balanceBefore + owed, "flash loan not repaid");
+    }
+}
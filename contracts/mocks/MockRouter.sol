@@ -0,0 +1,35 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import {ISwapRouter} from "../interfaces/IDexRouters.sol";
+import {MockERC20} from "./MockERC20.sol";
+
+/// @notice V2 router and V3 SwapRouter for tests: swaps at a fixed rate per token pair, taking
+/// the input and minting the output. Its code can be placed at the real router addresses.
+contract MockRouter {
+    mapping(address => mapping(address => uint256)) public rates; // tokenOut per 1e18 tokenIn
+
+    function setRate(address tokenIn, address tokenOut, uint256 rate) external {
+        rates[tokenIn][tokenOut] = rate;
+    }
+
+    function swapExactTokensForTokensSupportingFeeOnTransferTokens(
+        uint256 amountIn,
+        uint256,
+        address[] calldata path,
+        address to,
+        uint256
+    ) external {
+        swap(path[0], path[1], amountIn, to);
+    }
+
+    function exactInputSingle(ISwapRouter.ExactInputSingleParams calldata params) external payable returns (uint256) {
+        return swap(params.tokenIn, params.tokenOut, params.amountIn, params.recipient);
+    }
+
+    function swap(address tokenIn, address tokenOut, uint256 amountIn, address to) private returns (uint256 amountOut) {
+        MockERC20(tokenIn).transferFrom(msg.sender, address(this), amountIn);
+        amountOut = amountIn * rates[tokenIn][tokenOut] / 1e18;
+        MockERC20(tokenOut).mint(to, amountOut);
+    }
+}
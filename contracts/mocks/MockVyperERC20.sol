@@ -0,0 +1,55 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+/// @notice Mintable ERC20 for tests whose balances are laid out like a Vyper HashMap at storage
+/// slot 3: an account's balance lives at keccak256(slot . account) instead of keccak256(account . slot)
+contract MockVyperERC20 {
+    uint256 private constant BALANCES_SLOT = 3;
+
+    mapping(address => mapping(address => uint256)) public allowance;
+
+    function balanceOf(address account) public view returns (uint256 amount) {
+        bytes32 key = balanceKey(account);
+        assembly {
+            amount := sload(key)
+        }
+    }
+
+    function mint(address to, uint256 amount) external {
+        setBalance(to, balanceOf(to) + amount);
+    }
+
+    function approve(address spender, uint256 amount) external returns (bool) {
+        allowance[msg.sender][spender] = amount;
+        return true;
+    }
+
+    function transfer(address to, uint256 amount) external returns (bool) {
+        move(msg.sender, to, amount);
+        return true;
+    }
+
+    function transferFrom(address from, address to, uint256 amount) external returns (bool) {
+        if (allowance[from][msg.sender] != type(uint256).max) {
+            allowance[from][msg.sender] -= amount;
+        }
+        move(from, to, amount);
+        return true;
+    }
+
+    function move(address from, address to, uint256 amount) private {
+        setBalance(from, balanceOf(from) - amount);
+        setBalance(to, balanceOf(to) + amount);
+    }
+
+    function setBalance(address account, uint256 amount) private {
+        bytes32 key = balanceKey(account);
+        assembly {
+            sstore(key, amount)
+        }
+    }
+
+    function balanceKey(address account) private pure returns (bytes32) {
+        return keccak256(abi.encode(BALANCES_SLOT, account));
+    }
+}
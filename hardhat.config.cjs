@@ -0,0 +1,13 @@
+// Hardhat network for local fork testing: `npm run fork` serves a fork of FORK_URL (e.g. the
+// ETHEREUM_RPC archive node) on http://127.0.0.1:8545; without FORK_URL it is an empty local chain.
+// Contracts are compiled with `npm run compile:contracts` (solc-js), not by Hardhat.
+module.exports = {
+  networks: {
+    hardhat: {
+      chainId: Number(process.env.FORK_CHAIN_ID || 1),
+      forking: process.env.FORK_URL
+        ? { url: process.env.FORK_URL, blockNumber: process.env.FORK_BLOCK ? Number(process.env.FORK_BLOCK) : undefined }
+        : undefined
+    }
+  }
+};
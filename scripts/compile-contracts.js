@@ -0,0 +1,59 @@
+// Compile the Solidity contracts in contracts/ and write their artifacts
+// ({ contractName, abi, bytecode, deployedBytecode }) to src/abis/<ContractName>.json.
+// Usage: npm run compile:contracts
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import solc from 'solc';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const contractsDir = path.join(__dirname, '../contracts');
+const artifactsDir = path.join(__dirname, '../src/abis');
+
+// Contracts with artifacts; libraries and interfaces are compiled through their imports
+const CONTRACTS = fs.readdirSync(contractsDir).filter(file => file.endsWith('.sol'));
+
+const input = {
+  language: 'Solidity',
+  sources: Object.fromEntries(CONTRACTS.map(file => [
+    file,
+    { content: fs.readFileSync(path.join(contractsDir, file), 'utf8') }
+  ])),
+  settings: {
+    optimizer: { enabled: true, runs: 200 },
+    outputSelection: {
+      '*': { '*': ['abi', 'evm.bytecode.object', 'evm.deployedBytecode.object'] }
+    }
+  }
+};
+
+const findImports = (importPath) => {
+  const file = path.join(contractsDir, importPath);
+  return fs.existsSync(file)
+    ? { contents: fs.readFileSync(file, 'utf8') }
+    : { error: `File not found: ${importPath}` };
+};
+
+const output = JSON.parse(solc.compile(JSON.stringify(input), { import: findImports }));
+
+const errors = (output.errors || []).filter(error => error.severity === 'error');
+for (const message of output.errors || []) {
+  console[message.severity === 'error' ? 'error' : 'warn'](message.formattedMessage);
+}
+if (errors.length > 0) {
+  process.exit(1);
+}
+
+for (const file of CONTRACTS) {
+  for (const [contractName, contract] of Object.entries(output.contracts[file])) {
+    const artifact = {
+      contractName,
+      compiler: `solc ${solc.version()}`,
+      abi: contract.abi,
+      bytecode: `0x${contract.evm.bytecode.object}`,
+      deployedBytecode: `0x${contract.evm.deployedBytecode.object}`
+    };
+    fs.writeFileSync(path.join(artifactsDir, `${contractName}.json`), `${JSON.stringify(artifact, null, 2)}\n`);
+    console.log(`Compiled ${contractName} -> src/abis/${contractName}.json`);
+  }
+}
@@ -0,0 +1,26 @@
+// Deploy the ArbitrageExecutor (src/abis/ArbitrageExecutor.json) with DEPLOYER_PRIVATE_KEY, which
+// becomes its owner, to DEPLOY_RPC_URL (default ETHEREUM_RPC; a local fork for testing).
+// Usage: npm run deploy:executor, then set <CHAIN>_EXECUTOR_ADDRESS to the printed address.
+import 'dotenv/config';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { ethers } from 'ethers';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const artifact = JSON.parse(fs.readFileSync(path.join(__dirname, '../src/abis/ArbitrageExecutor.json'), 'utf8'));
+
+const rpcUrl = process.env.DEPLOY_RPC_URL || process.env.ETHEREUM_RPC;
+if (!rpcUrl || !process.env.DEPLOYER_PRIVATE_KEY) {
+  console.error('DEPLOYER_PRIVATE_KEY and DEPLOY_RPC_URL (or ETHEREUM_RPC) are required');
+  process.exit(1);
+}
+
+const provider = new ethers.JsonRpcProvider(rpcUrl);
+const deployer = new ethers.Wallet(process.env.DEPLOYER_PRIVATE_KEY, provider);
+const { chainId } = await provider.getNetwork();
+
+const executor = await new ethers.ContractFactory(artifact.abi, artifact.bytecode, deployer).deploy();
+await executor.waitForDeployment();
+
+console.log(`ArbitrageExecutor deployed on chain ${chainId} at ${await executor.getAddress()} (owner ${deployer.address})`);
@@ -1,5 +1,5 @@
 import express from 'express';
-import dbConnection from '../../config/database.js';
+import storage from '../../storage/index.js';
 import arbitrageDetector from '../../services/arbitrage-detector/index.js';
 import priceFetcher from '../../services/price-fetcher/index.js';
 import poolDiscovery from '../../services/pool-discovery.js';
@@ -17,7 +17,7 @@ router.get('/system', async (req, res) => {
 
     // Database health
     try {
-      const dbHealth = await dbConnection.healthCheck();
+      const dbHealth = await storage.healthCheck();
       checks.push({
         name: 'database',
         status: dbHealth.status === 'connected' ? 'healthy' : 'unhealthy',
@@ -233,7 +233,7 @@ router.get('/services', async (req, res) => {
 // Database health check
 router.get('/database', async (req, res) => {
   try {
-    const health = await dbConnection.healthCheck();
+    const health = await storage.healthCheck();
     const status = health.status === 'connected' ? 'healthy' : 'unhealthy';
 
     res.status(status === 'healthy' ? 200 : 503).json({
@@ -257,7 +257,7 @@ router.get('/database', async (req, res) => {
 router.get('/ready', async (req, res) => {
   try {
     // Check if all critical services are ready
-    const isDatabaseReady = (await dbConnection.healthCheck()).status === 'connected';
+    const isDatabaseReady = (await storage.healthCheck()).status === 'connected';
     const isRpcReady = rpcManager.isHealthy;
     const isPoolDiscoveryReady = poolDiscovery.isInitialized;
     const isPriceFetcherReady = priceFetcher.isRunning && priceFetcher.prices.size > 0;
@@ -1,36 +1,51 @@
 import express from 'express';
-import Opportunity from '../../models/opportunity.js';
+import Joi from 'joi';
+import storage from '../../storage/index.js';
 import arbitrageDetector from '../../services/arbitrage-detector/index.js';
-import { logger, logError } from '../../utils/logger.js';
+import opportunityLifecycle from '../../services/opportunity-lifecycle.js';
+import { OPPORTUNITY_TRANSITIONS, ENABLED_CHAIN_IDS } from '../../config/constants.js';
+import { logError } from '../../utils/logger.js';
 
 const router = express.Router();
 
+const listSchema = Joi.object({
+  limit: Joi.number().integer().min(1).default(50),
+  offset: Joi.number().integer().min(0).default(0),
+  minProfit: Joi.number(),
+  maxProfit: Joi.number(),
+  status: Joi.string(),
+  token: Joi.string(),
+  type: Joi.string().valid('simple', 'triangular'),
+  chainId: Joi.number().integer().valid(...ENABLED_CHAIN_IDS),
+  sortBy: Joi.string().default('timestamp'),
+  sortOrder: Joi.string().valid('asc', 'desc').default('desc')
+});
+
 // Get all opportunities with pagination and filtering
 router.get('/', async (req, res) => {
   try {
-    const {
-      limit = 50,
-      offset = 0,
-      minProfit,
-      maxProfit,
-      status,
-      token,
-      type,
-      sortBy = 'timestamp',
-      sortOrder = 'desc'
-    } = req.query;
+    const { error, value } = listSchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation error',
+        details: error.details.map(d => d.message)
+      });
+    }
+
+    const { limit, offset, minProfit, maxProfit, status, token, type, chainId, sortBy, sortOrder } = value;
 
     // Build query
     const query = {};
 
     // Filter by minimum profit
-    if (minProfit) {
-      query.profitPercentage = { $gte: parseFloat(minProfit) };
+    if (minProfit !== undefined) {
+      query.profitPercentage = { $gte: minProfit };
     }
 
     // Filter by maximum profit
-    if (maxProfit) {
-      query.profitPercentage = { ...query.profitPercentage, $lte: parseFloat(maxProfit) };
+    if (maxProfit !== undefined) {
+      query.profitPercentage = { ...query.profitPercentage, $lte: maxProfit };
     }
 
     // Filter by status
@@ -49,12 +64,17 @@ router.get('/', async (req, res) => {
     // Filter by type
     if (type) {
       if (type === 'simple') {
-        query.triangularPath = { $exists: false };
+        query['triangularPath.0'] = { $exists: false };
       } else if (type === 'triangular') {
-        query.triangularPath = { $exists: true };
+        query['triangularPath.0'] = { $exists: true };
       }
     }
 
+    // Filter by chain
+    if (chainId) {
+      query['metadata.chainId'] = chainId;
+    }
+
     // Only return recent opportunities (last 24 hours)
     query.timestamp = { $gte: new Date(Date.now() - 24 * 60 * 60 * 1000) };
 
@@ -63,30 +83,31 @@ router.get('/', async (req, res) => {
     sort[sortBy] = sortOrder === 'desc' ? -1 : 1;
 
     // Execute query
-    const opportunities = await Opportunity.find(query)
-      .sort(sort)
-      .limit(parseInt(limit))
-      .skip(parseInt(offset))
-      .lean();
+    const opportunities = await storage.opportunities.find(query, {
+      sort,
+      limit,
+      skip: offset
+    });
 
     // Get total count for pagination
-    const total = await Opportunity.countDocuments(query);
+    const total = await storage.opportunities.count(query);
 
     res.json({
       success: true,
       data: opportunities,
       pagination: {
-        limit: parseInt(limit),
-        offset: parseInt(offset),
+        limit,
+        offset,
         total,
-        hasMore: parseInt(offset) + parseInt(limit) < total
+        hasMore: offset + limit < total
       },
       filters: {
         minProfit,
         maxProfit,
         status,
         token,
-        type
+        type,
+        chainId
       }
     });
 
@@ -105,7 +126,7 @@ router.get('/:id', async (req, res) => {
   try {
     const { id } = req.params;
 
-    const opportunity = await Opportunity.findOne({ id });
+    const opportunity = await storage.opportunities.findById(id);
 
     if (!opportunity) {
       return res.status(404).json({
@@ -117,7 +138,10 @@ router.get('/:id', async (req, res) => {
 
     res.json({
       success: true,
-      data: opportunity
+      data: {
+        ...opportunity.toJSON(),
+        statusHistory: opportunityLifecycle.getHistory(opportunity)
+      }
     });
 
   } catch (error) {
@@ -186,16 +210,13 @@ router.get('/pair/:tokenA/:tokenB', async (req, res) => {
     const { tokenA, tokenB } = req.params;
     const { limit = 20 } = req.query;
 
-    const opportunities = await Opportunity.find({
+    const opportunities = await storage.opportunities.find({
       $or: [
         { tokenIn: tokenA, tokenOut: tokenB },
         { tokenIn: tokenB, tokenOut: tokenA }
       ],
       timestamp: { $gte: new Date(Date.now() - 24 * 60 * 60 * 1000) }
-    })
-    .sort({ timestamp: -1 })
-    .limit(parseInt(limit))
-    .lean();
+    }, { sort: { timestamp: -1 }, limit: parseInt(limit) });
 
     res.json({
       success: true,
@@ -218,29 +239,22 @@ router.get('/pair/:tokenA/:tokenB', async (req, res) => {
   }
 });
 
-// Update opportunity status
+// Update opportunity status (through the lifecycle, so only allowed transitions are made)
 router.patch('/:id/status', async (req, res) => {
   try {
     const { id } = req.params;
-    const { status, additionalData = {} } = req.body;
+    const { status, reason = null, additionalData = {} } = req.body;
+    const statuses = Object.keys(OPPORTUNITY_TRANSITIONS);
 
-    if (!['detected', 'simulated', 'profitable', 'unprofitable', 'expired', 'executed', 'failed'].includes(status)) {
+    if (!statuses.includes(status)) {
       return res.status(400).json({
         success: false,
         error: 'Invalid status',
-        message: 'Status must be one of: detected, simulated, profitable, unprofitable, expired, executed, failed'
+        message: `Status must be one of: ${statuses.join(', ')}`
       });
     }
 
-    const opportunity = await Opportunity.findOneAndUpdate(
-      { id },
-      {
-        status,
-        ...additionalData,
-        updatedAt: new Date()
-      },
-      { new: true }
-    );
+    const opportunity = await storage.opportunities.findById(id);
 
     if (!opportunity) {
       return res.status(404).json({
@@ -250,10 +264,21 @@ router.patch('/:id/status', async (req, res) => {
       });
     }
 
+    if (opportunity.status !== status && !opportunityLifecycle.canTransition(opportunity.status, status)) {
+      return res.status(409).json({
+        success: false,
+        error: 'Invalid transition',
+        message: `Opportunity ${id} cannot move from ${opportunity.status} to ${status}`
+      });
+    }
+
+    const transition = await opportunityLifecycle.transition(opportunity, status, { reason, data: additionalData });
+
     res.json({
       success: true,
       data: opportunity,
-      message: `Opportunity status updated to: ${status}`
+      transition,
+      message: `Opportunity status updated to: ${opportunity.status}`
     });
 
   } catch (error) {
@@ -276,16 +301,16 @@ router.delete('/cleanup', async (req, res) => {
     const { maxAgeHours = 24 } = req.query;
     const cutoffDate = new Date(Date.now() - parseInt(maxAgeHours) * 60 * 60 * 1000);
 
-    const result = await Opportunity.deleteMany({
+    const deletedCount = await storage.opportunities.deleteMany({
       timestamp: { $lt: cutoffDate },
       status: { $in: ['expired', 'executed', 'failed'] }
     });
 
     res.json({
       success: true,
-      deletedCount: result.deletedCount,
+      deletedCount,
       cutoffDate,
-      message: `Cleaned up ${result.deletedCount} old opportunities`
+      message: `Cleaned up ${deletedCount} old opportunities`
     });
 
   } catch (error) {
@@ -304,11 +329,11 @@ router.get('/stats/summary', async (req, res) => {
     const { timeRange = 24 } = req.query; // hours
     const timeRangeMs = parseInt(timeRange) * 60 * 60 * 1000;
 
-    const stats = await Opportunity.getStats(timeRangeMs);
+    const stats = await storage.opportunities.getStats(new Date(Date.now() - timeRangeMs));
 
     res.json({
       success: true,
-      data: stats,
+      data: stats ? [stats] : [],
       timeRange: `${timeRange} hours`,
       timestamp: new Date().toISOString()
     });
@@ -0,0 +1,106 @@
+import express from 'express';
+import Joi from 'joi';
+import priceHistory from '../../services/price-history.js';
+import { PRICE_HISTORY } from '../../config/constants.js';
+import { logError } from '../../utils/logger.js';
+
+const router = express.Router();
+
+// Validation schemas
+const latestSchema = Joi.object({
+  chainId: Joi.number().integer().positive(),
+  maxAge: Joi.number().positive().default(600) // seconds
+});
+
+const historySchema = Joi.object({
+  pool: Joi.string(),
+  pair: Joi.string().pattern(/^[^/]+\/[^/]+$/), // TOKENA/TOKENB
+  tokenA: Joi.string(),
+  tokenB: Joi.string(),
+  dex: Joi.string(),
+  chainId: Joi.number().integer().positive().default(1),
+  interval: Joi.string().valid('raw', ...Object.keys(PRICE_HISTORY.CANDLE_INTERVALS)).default('1m'),
+  from: Joi.date(),
+  to: Joi.date(),
+  range: Joi.number().positive() // hours before `to`
+})
+  .and('tokenA', 'tokenB')
+  .or('pool', 'pair', 'tokenA')
+  .oxor('pair', 'tokenA')
+  .oxor('from', 'range');
+
+// Get the latest stored price of every pool
+router.get('/', async (req, res) => {
+  try {
+    const { error, value } = latestSchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation error',
+        details: error.details.map(d => d.message)
+      });
+    }
+
+    const prices = await priceHistory.getLatestPrices({
+      chainId: value.chainId,
+      maxAgeMs: value.maxAge * 1000
+    });
+
+    res.json({
+      success: true,
+      data: prices
+    });
+
+  } catch (error) {
+    logError(error, { context: 'PricesRouter.getLatest' });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch prices',
+      message: error.message
+    });
+  }
+});
+
+// Get the price history of a pool or pair as snapshots or OHLC candles
+router.get('/history', async (req, res) => {
+  try {
+    const { error, value } = historySchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation error',
+        details: error.details.map(d => d.message)
+      });
+    }
+
+    const { pool, pair, dex, chainId, interval, from, to, range } = value;
+    const [tokenA, tokenB] = pair ? pair.split('/') : [value.tokenA, value.tokenB];
+    const end = to || new Date();
+
+    const history = await priceHistory.getHistory({
+      pool,
+      tokenA,
+      tokenB,
+      dex,
+      chainId,
+      interval,
+      from: range ? new Date(end.getTime() - range * 60 * 60 * 1000) : from,
+      to: end
+    });
+
+    res.json({
+      success: true,
+      data: history
+    });
+
+  } catch (error) {
+    logError(error, { context: 'PricesRouter.getHistory' });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch price history',
+      message: error.message
+    });
+  }
+});
+
+export default router;
@@ -3,7 +3,9 @@ import Joi from 'joi';
 import tradeSimulator from '../../services/trade-simulator/index.js';
 import profitCalculator from '../../services/profit-calculator/index.js';
 import arbitrageDetector from '../../services/arbitrage-detector/index.js';
-import Opportunity from '../../models/opportunity.js';
+import priceFetcher from '../../services/price-fetcher/index.js';
+import storage from '../../storage/index.js';
+import opportunityLifecycle from '../../services/opportunity-lifecycle.js';
 import { logError } from '../../utils/logger.js';
 
 const router = express.Router();
@@ -40,7 +42,7 @@ router.post('/opportunity', async (req, res) => {
     const { opportunityId, tradeAmount, slippage } = value;
 
     // Find the opportunity
-    const opportunity = await Opportunity.findOne({ id: opportunityId });
+    const opportunity = await storage.opportunities.findById(opportunityId);
     if (!opportunity) {
       return res.status(404).json({
         success: false,
@@ -50,8 +52,9 @@ router.post('/opportunity', async (req, res) => {
     }
 
     // Check if opportunity is still valid (not too old)
-    const maxAge = 5 * 60 * 1000; // 5 minutes
+    const maxAge = opportunityLifecycle.maxAgeMs;
     if (Date.now() - opportunity.timestamp.getTime() > maxAge) {
+      await opportunityLifecycle.expire(opportunity, `Older than ${maxAge / 1000}s when simulated`);
       return res.status(400).json({
         success: false,
         error: 'Opportunity expired',
@@ -66,6 +69,7 @@ router.post('/opportunity', async (req, res) => {
       const triangularOpp = {
         id: opportunity.id,
         type: 'triangular',
+        chainId: opportunity.metadata?.chainId ?? 1,
         path: opportunity.triangularPath.map(p => [p.tokenIn, p.tokenOut]).flat()
           .filter((token, index, arr) => arr.indexOf(token) === index),
         trades: opportunity.triangularPath
@@ -79,14 +83,17 @@ router.post('/opportunity', async (req, res) => {
         );
       }
     } else {
-      // Simple arbitrage
+      // Simple arbitrage, traded in tokenIn (the detector's tokenB) on dexA
       const simpleOpp = {
         id: opportunity.id,
         type: 'simple',
-        tokenA: opportunity.tokenIn,
-        tokenB: opportunity.tokenOut,
+        chainId: opportunity.metadata?.chainId ?? 1,
+        tokenA: opportunity.tokenOutSymbol,
+        tokenB: opportunity.tokenInSymbol,
         buyDex: opportunity.dexA,
-        sellDex: opportunity.dexB
+        sellDex: opportunity.dexB,
+        poolA: { address: opportunity.poolA },
+        poolB: { address: opportunity.poolB }
       };
 
       simulationResult = await tradeSimulator.simulateSimpleArbitrage(simpleOpp, tradeAmount);
@@ -105,6 +112,7 @@ router.post('/opportunity', async (req, res) => {
         if (opportunity.triangularPath && opportunity.triangularPath.length > 0) {
           const triangularOpp = {
             type: 'triangular',
+            chainId: opportunity.metadata?.chainId ?? 1,
             path: opportunity.triangularPath.map(p => [p.tokenIn, p.tokenOut]).flat()
               .filter((token, index, arr) => arr.indexOf(token) === index),
             trades: opportunity.triangularPath
@@ -115,10 +123,15 @@ router.post('/opportunity', async (req, res) => {
         } else {
           const simpleOpp = {
             type: 'simple',
-            tokenA: opportunity.tokenIn,
-            tokenB: opportunity.tokenOut,
+            chainId: opportunity.metadata?.chainId ?? 1,
+            tokenA: opportunity.tokenOutSymbol,
+            tokenB: opportunity.tokenInSymbol,
             buyDex: opportunity.dexA,
-            sellDex: opportunity.dexB
+            sellDex: opportunity.dexB,
+            buyPrice: opportunity.priceA,
+            sellPrice: opportunity.priceB,
+            poolA: { address: opportunity.poolA },
+            poolB: { address: opportunity.poolB }
           };
           profitAnalysis = await profitCalculator.calculateSimpleArbitrageProfit(
             simpleOpp, tradeAmount
@@ -133,7 +146,7 @@ router.post('/opportunity', async (req, res) => {
     }
 
     // Update opportunity with simulation result
-    await opportunity.markAsSimulated({
+    await opportunityLifecycle.recordSimulation(opportunity, {
       success: simulationResult.success,
       actualOutput: simulationResult.finalAmount || simulationResult.profit,
       gasUsed: simulationResult.totalGasUsed,
@@ -192,7 +205,7 @@ router.post('/batch', async (req, res) => {
     for (const opp of opportunities) {
       try {
         // Find the opportunity
-        const opportunityDoc = await Opportunity.findOne({ id: opp.opportunityId });
+        const opportunityDoc = await storage.opportunities.findById(opp.opportunityId);
         if (!opportunityDoc) {
           results.push({
             opportunityId: opp.opportunityId,
@@ -203,8 +216,9 @@ router.post('/batch', async (req, res) => {
         }
 
         // Check if opportunity is still valid
-        const maxAge = 5 * 60 * 1000; // 5 minutes
+        const maxAge = opportunityLifecycle.maxAgeMs;
         if (Date.now() - opportunityDoc.timestamp.getTime() > maxAge) {
+          await opportunityLifecycle.expire(opportunityDoc, `Older than ${maxAge / 1000}s when simulated`);
           results.push({
             opportunityId: opp.opportunityId,
             success: false,
@@ -219,6 +233,7 @@ router.post('/batch', async (req, res) => {
           const triangularOpp = {
             id: opportunityDoc.id,
             type: 'triangular',
+            chainId: opportunityDoc.metadata?.chainId ?? 1,
             path: opportunityDoc.triangularPath.map(p => [p.tokenIn, p.tokenOut]).flat()
               .filter((token, index, arr) => arr.indexOf(token) === index),
             trades: opportunityDoc.triangularPath
@@ -230,10 +245,13 @@ router.post('/batch', async (req, res) => {
           const simpleOpp = {
             id: opportunityDoc.id,
             type: 'simple',
-            tokenA: opportunityDoc.tokenIn,
-            tokenB: opportunityDoc.tokenOut,
+            chainId: opportunityDoc.metadata?.chainId ?? 1,
+            tokenA: opportunityDoc.tokenOutSymbol,
+            tokenB: opportunityDoc.tokenInSymbol,
             buyDex: opportunityDoc.dexA,
-            sellDex: opportunityDoc.dexB
+            sellDex: opportunityDoc.dexB,
+            poolA: { address: opportunityDoc.poolA },
+            poolB: { address: opportunityDoc.poolB }
           };
           simulationResult = await tradeSimulator.simulateSimpleArbitrage(
             simpleOpp, opp.tradeAmount
@@ -242,7 +260,7 @@ router.post('/batch', async (req, res) => {
 
         // Update opportunity
         if (simulationResult.success) {
-          await opportunityDoc.markAsSimulated({
+          await opportunityLifecycle.recordSimulation(opportunityDoc, {
             success: simulationResult.success,
             actualOutput: simulationResult.finalAmount || simulationResult.profit,
             gasUsed: simulationResult.totalGasUsed,
@@ -440,33 +458,43 @@ router.post('/optimal-size', async (req, res) => {
 
     for (const opportunityId of opportunityIds) {
       try {
-        const opportunity = await Opportunity.findOne({ id: opportunityId });
-        if (!opportunity) {
-          results.push({
-            opportunityId,
-            success: false,
-            error: 'Opportunity not found'
-          });
-          continue;
-        }
-
-        // Create opportunity object for profit calculator
-        let oppForCalc;
-        if (opportunity.triangularPath && opportunity.triangularPath.length > 0) {
-          oppForCalc = {
-            type: 'triangular',
-            path: opportunity.triangularPath.map(p => [p.tokenIn, p.tokenOut]).flat()
-              .filter((token, index, arr) => arr.indexOf(token) === index),
-            trades: opportunity.triangularPath
-          };
-        } else {
-          oppForCalc = {
-            type: 'simple',
-            tokenA: opportunity.tokenIn,
-            tokenB: opportunity.tokenOut,
-            buyDex: opportunity.dexA,
-            sellDex: opportunity.dexB
-          };
+        // Prefer the live opportunity, which carries the pool states it was priced with
+        let oppForCalc = arbitrageDetector.getOpportunityById(opportunityId);
+
+        if (!oppForCalc) {
+          const opportunity = await storage.opportunities.findById(opportunityId);
+          if (!opportunity) {
+            results.push({
+              opportunityId,
+              success: false,
+              error: 'Opportunity not found'
+            });
+            continue;
+          }
+
+          // Create opportunity object for profit calculator
+          if (opportunity.triangularPath && opportunity.triangularPath.length > 0) {
+            oppForCalc = {
+              type: 'triangular',
+              chainId: opportunity.metadata?.chainId ?? 1,
+              path: opportunity.triangularPath.map(p => [p.tokenIn, p.tokenOut]).flat()
+                .filter((token, index, arr) => arr.indexOf(token) === index),
+              trades: opportunity.triangularPath
+            };
+          } else {
+            // Re-price the stored route against the current state of its pools
+            oppForCalc = {
+              id: opportunity.id,
+              type: 'simple',
+              chainId: opportunity.metadata?.chainId ?? 1,
+              tokenA: opportunity.tokenOutSymbol,
+              tokenB: opportunity.tokenInSymbol,
+              buyDex: opportunity.dexA,
+              sellDex: opportunity.dexB,
+              poolA: { address: opportunity.poolA, state: priceFetcher.getPoolStateByAddress(opportunity.poolA) },
+              poolB: { address: opportunity.poolB, state: priceFetcher.getPoolStateByAddress(opportunity.poolB) }
+            };
+          }
         }
 
         const optimalSize = await profitCalculator.calculateOptimalTradeSize(oppForCalc);
@@ -517,24 +545,7 @@ router.get('/stats', async (req, res) => {
     const timeRangeMs = parseInt(timeRange) * 60 * 60 * 1000;
 
     // Get simulation statistics from database
-    const simulationStats = await Opportunity.aggregate([
-      { $match: {
-        timestamp: { $gte: new Date(Date.now() - timeRangeMs) },
-        'simulationResult.simulationTimestamp': { $exists: true }
-      }},
-      {
-        $group: {
-          _id: null,
-          totalSimulations: { $sum: 1 },
-          successfulSimulations: {
-            $sum: { $cond: ['$simulationResult.success', 1, 0] }
-          },
-          avgGasUsed: { $avg: { $toDouble: '$simulationResult.gasUsed' } },
-          maxGasUsed: { $max: { $toDouble: '$simulationResult.gasUsed' } },
-          minGasUsed: { $min: { $toDouble: '$simulationResult.gasUsed' } }
-        }
-      }
-    ]);
+    const simulationStats = await storage.opportunities.getSimulationStats(new Date(Date.now() - timeRangeMs));
 
     // Get trade simulator cache stats
     const simulatorStats = tradeSimulator.getStats();
@@ -542,7 +553,7 @@ router.get('/stats', async (req, res) => {
     res.json({
       success: true,
       data: {
-        database: simulationStats[0] || {
+        database: simulationStats || {
           totalSimulations: 0,
           successfulSimulations: 0,
           avgGasUsed: 0,
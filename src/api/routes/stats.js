@@ -1,11 +1,12 @@
 import express from 'express';
-import Opportunity from '../../models/opportunity.js';
+import storage from '../../storage/index.js';
 import arbitrageDetector from '../../services/arbitrage-detector/index.js';
 import priceFetcher from '../../services/price-fetcher/index.js';
 import poolDiscovery from '../../services/pool-discovery.js';
 import rpcManager from '../../services/rpc-manager.js';
 import profitCalculator from '../../services/profit-calculator/index.js';
 import tradeSimulator from '../../services/trade-simulator/index.js';
+import spreadTracker from '../../services/spread-tracker.js';
 import { logError } from '../../utils/logger.js';
 
 const router = express.Router();
@@ -17,7 +18,7 @@ router.get('/overview', async (req, res) => {
     const timeRangeMs = parseInt(timeRange) * 60 * 60 * 1000;
 
     // Get opportunity statistics
-    const opportunityStats = await Opportunity.getStats(timeRangeMs);
+    const opportunityStats = await storage.opportunities.getStats(new Date(Date.now() - timeRangeMs));
 
     // Get service statistics
     const arbitrageStats = arbitrageDetector.getStats();
@@ -32,7 +33,7 @@ router.get('/overview', async (req, res) => {
       arbitrageDetector: arbitrageStats.isRunning,
       priceFetcher: priceFetcherStats.isRunning,
       rpcManager: rpcStats.isHealthy,
-      database: true // Would need to implement DB health check
+      storage: (await storage.healthCheck()).status === 'connected'
     };
 
     const isHealthy = Object.values(systemHealth).every(status => status === true);
@@ -48,7 +49,7 @@ router.get('/overview', async (req, res) => {
           timestamp: new Date().toISOString(),
           timeRange: `${timeRange} hours`
         },
-        opportunities: opportunityStats[0] || {
+        opportunities: opportunityStats || {
           totalOpportunities: 0,
           profitableOpportunities: 0,
           executedTrades: 0,
@@ -84,66 +85,21 @@ router.get('/opportunities', async (req, res) => {
     const { timeRange = 24 } = req.query;
     const timeRangeMs = parseInt(timeRange) * 60 * 60 * 1000;
 
-    const stats = await Opportunity.getStats(timeRangeMs);
-
-    // Get additional statistics
-    const totalOpportunities = await Opportunity.countDocuments({
-      timestamp: { $gte: new Date(Date.now() - timeRangeMs) }
-    });
-
-    const profitableOpportunities = await Opportunity.countDocuments({
-      timestamp: { $gte: new Date(Date.now() - timeRangeMs) },
-      status: 'profitable'
-    });
-
-    const executedTrades = await Opportunity.countDocuments({
-      timestamp: { $gte: new Date(Date.now() - timeRangeMs) },
-      status: 'executed'
-    });
-
-    const avgProfitPercentage = await Opportunity.aggregate([
-      { $match: { timestamp: { $gte: new Date(Date.now() - timeRangeMs) } } },
-      { $group: { _id: null, avgProfit: { $avg: '$profitPercentage' } } }
-    ]);
-
-    const opportunitiesByType = await Opportunity.aggregate([
-      { $match: { timestamp: { $gte: new Date(Date.now() - timeRangeMs) } } },
-      {
-        $group: {
-          _id: {
-            $cond: [
-              { $ifNull: ['$triangularPath', false] },
-              'triangular',
-              'simple'
-            ]
-          },
-          count: { $sum: 1 }
-        }
-      }
-    ]);
-
-    const opportunitiesByStatus = await Opportunity.aggregate([
-      { $match: { timestamp: { $gte: new Date(Date.now() - timeRangeMs) } } },
-      { $group: { _id: '$status', count: { $sum: 1 } } }
-    ]);
+    const since = new Date(Date.now() - timeRangeMs);
+    const stats = await storage.opportunities.getStats(since);
+    const { byType, byStatus } = await storage.opportunities.getBreakdown(since);
 
     res.json({
       success: true,
       data: {
-        summary: stats[0] || {},
+        summary: stats || {},
         detailed: {
-          totalOpportunities,
-          profitableOpportunities,
-          executedTrades,
-          avgProfitPercentage: avgProfitPercentage[0]?.avgProfit || 0,
-          opportunitiesByType: opportunitiesByType.reduce((acc, item) => {
-            acc[item._id] = item.count;
-            return acc;
-          }, {}),
-          opportunitiesByStatus: opportunitiesByStatus.reduce((acc, item) => {
-            acc[item._id] = item.count;
-            return acc;
-          }, {})
+          totalOpportunities: stats?.totalOpportunities || 0,
+          profitableOpportunities: stats?.profitableOpportunities || 0,
+          executedTrades: stats?.executedTrades || 0,
+          avgProfitPercentage: stats?.avgProfitPercentage || 0,
+          opportunitiesByType: byType,
+          opportunitiesByStatus: byStatus
         },
         timeRange: `${timeRange} hours`
       }
@@ -165,71 +121,19 @@ router.get('/profits', async (req, res) => {
     const { timeRange = 24 } = req.query;
     const timeRangeMs = parseInt(timeRange) * 60 * 60 * 1000;
 
-    const profitStats = await Opportunity.aggregate([
-      { $match: {
-        timestamp: { $gte: new Date(Date.now() - timeRangeMs) },
-        expectedProfit: { $exists: true, $ne: null }
-      }},
-      {
-        $group: {
-          _id: null,
-          totalExpectedProfit: { $sum: { $toDouble: '$expectedProfit' } },
-          avgProfit: { $avg: { $toDouble: '$expectedProfit' } },
-          maxProfit: { $max: { $toDouble: '$expectedProfit' } },
-          minProfit: { $min: { $toDouble: '$expectedProfit' } },
-          count: { $sum: 1 }
-        }
-      }
-    ]);
-
-    const executedProfits = await Opportunity.aggregate([
-      { $match: {
-        timestamp: { $gte: new Date(Date.now() - timeRangeMs) },
-        status: 'executed',
-        'executionResult.actualProfit': { $exists: true }
-      }},
-      {
-        $group: {
-          _id: null,
-          totalActualProfit: { $sum: { $toDouble: '$executionResult.actualProfit' } },
-          avgActualProfit: { $avg: { $toDouble: '$executionResult.actualProfit' } },
-          maxActualProfit: { $max: { $toDouble: '$executionResult.actualProfit' } },
-          executedTrades: { $sum: 1 }
-        }
-      }
-    ]);
-
-    const profitByHour = await Opportunity.aggregate([
-      { $match: {
-        timestamp: { $gte: new Date(Date.now() - timeRangeMs) },
-        expectedProfit: { $exists: true }
-      }},
-      {
-        $group: {
-          _id: {
-            $dateToString: {
-              format: '%Y-%m-%d %H:00:00',
-              date: '$timestamp'
-            }
-          },
-          totalProfit: { $sum: { $toDouble: '$expectedProfit' } },
-          count: { $sum: 1 }
-        }
-      },
-      { $sort: { '_id': 1 } }
-    ]);
+    const { expected, actual, profitByHour } = await storage.opportunities.getProfitStats(new Date(Date.now() - timeRangeMs));
 
     res.json({
       success: true,
       data: {
-        expected: profitStats[0] || {
+        expected: expected || {
           totalExpectedProfit: 0,
           avgProfit: 0,
           maxProfit: 0,
           minProfit: 0,
           count: 0
         },
-        actual: executedProfits[0] || {
+        actual: actual || {
           totalActualProfit: 0,
           avgActualProfit: 0,
           maxActualProfit: 0,
@@ -266,19 +170,10 @@ router.get('/performance', async (req, res) => {
     const priceStats = priceFetcher.getStats();
 
     // Calculate success rates
-    const totalOpportunities = await Opportunity.countDocuments({
-      timestamp: { $gte: new Date(Date.now() - timeRangeMs) }
-    });
-
-    const profitableOpportunities = await Opportunity.countDocuments({
-      timestamp: { $gte: new Date(Date.now() - timeRangeMs) },
-      status: 'profitable'
-    });
-
-    const executedTrades = await Opportunity.countDocuments({
-      timestamp: { $gte: new Date(Date.now() - timeRangeMs) },
-      status: 'executed'
-    });
+    const since = new Date(Date.now() - timeRangeMs);
+    const totalOpportunities = await storage.opportunities.count({ timestamp: { $gte: since } });
+    const profitableOpportunities = await storage.opportunities.count({ timestamp: { $gte: since }, status: 'profitable' });
+    const executedTrades = await storage.opportunities.count({ timestamp: { $gte: since }, status: 'executed' });
 
     const successRate = totalOpportunities > 0 ? (executedTrades / totalOpportunities) * 100 : 0;
     const profitabilityRate = totalOpportunities > 0 ? (profitableOpportunities / totalOpportunities) * 100 : 0;
@@ -336,6 +231,40 @@ router.get('/performance', async (req, res) => {
   }
 });
 
+// Get cross-DEX spread statistics: spread size, duration in blocks and break-even rate
+router.get('/spreads', async (req, res) => {
+  try {
+    const { timeRange = 24, chainId, pair, minSpread } = req.query;
+    const timeRangeMs = parseInt(timeRange) * 60 * 60 * 1000;
+    const [tokenA, tokenB] = pair ? pair.split('/') : [];
+
+    const stats = await spreadTracker.getSpreadStats({
+      since: new Date(Date.now() - timeRangeMs),
+      chainId: chainId ? parseInt(chainId) : undefined,
+      tokenA,
+      tokenB,
+      minSpread: minSpread != null ? parseFloat(minSpread) : null
+    });
+
+    res.json({
+      success: true,
+      data: {
+        ...stats,
+        tracker: spreadTracker.getStats(),
+        timeRange: `${timeRange} hours`
+      }
+    });
+
+  } catch (error) {
+    logError(error, { context: 'StatsRouter.getSpreads' });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch spread statistics',
+      message: error.message
+    });
+  }
+});
+
 // Get real-time metrics
 router.get('/realtime', async (req, res) => {
   try {
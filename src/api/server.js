@@ -6,13 +6,14 @@ import rateLimit from 'express-rate-limit';
 import 'dotenv/config';
 
 import { logger, logError } from '../utils/logger.js';
-import dbConnection from '../config/database.js';
+import storage from '../storage/index.js';
 
 // Import routes
 import opportunitiesRoutes from './routes/opportunities.js';
 import statsRoutes from './routes/stats.js';
 import healthRoutes from './routes/health.js';
 import simulateRoutes from './routes/simulate.js';
+import pricesRoutes from './routes/prices.js';
 
 class APIServer {
   constructor() {
@@ -88,6 +89,7 @@ class APIServer {
     this.app.use('/api/stats', statsRoutes);
     this.app.use('/api/health', healthRoutes);
     this.app.use('/api/simulate', simulateRoutes);
+    this.app.use('/api/prices', pricesRoutes);
 
     // API documentation endpoint
     this.app.get('/api', (req, res) => {
@@ -99,7 +101,8 @@ class APIServer {
           opportunities: '/api/opportunities',
           stats: '/api/stats',
           health: '/api/health',
-          simulate: '/api/simulate'
+          simulate: '/api/simulate',
+          prices: '/api/prices'
         },
         documentation: 'https://github.com/your-repo/defi-arbitrage-bot'
       });
@@ -110,7 +113,7 @@ class APIServer {
       res.status(404).json({
         error: 'Endpoint not found',
         message: `Cannot ${req.method} ${req.originalUrl}`,
-        availableEndpoints: ['/api', '/api/opportunities', '/api/stats', '/api/health', '/api/simulate']
+        availableEndpoints: ['/api', '/api/opportunities', '/api/stats', '/api/health', '/api/simulate', '/api/prices']
       });
     });
 
@@ -203,8 +206,8 @@ class APIServer {
       // Stop accepting new connections
       await this.stop();
 
-      // Close database connection
-      await dbConnection.disconnect();
+      // Close storage
+      await storage.close();
 
       logger.info('API server gracefully shut down');
       process.exit(0);
@@ -1,4 +1,11 @@
 import BigNumber from 'bignumber.js';
+import tokenRegistry from './token-registry.js';
+
+// Multicall3 (same address on every chain it is deployed on)
+const MULTICALL3_ADDRESS = '0xcA11bde05977b3631167028862bE2a173976CA11';
+
+// Balancer V2 Vault (same address on every chain)
+const BALANCER_VAULT_ADDRESS = '0xBA12222222228d8Ba445958a75a0704d566BF2C8';
 
 // Blockchains
 const SUPPORTED_CHAINS = {
@@ -9,7 +16,19 @@ const SUPPORTED_CHAINS = {
       name: 'Ether',
       symbol: 'ETH',
       decimals: 18
-    }
+    },
+    rpcUrls: [
+      process.env.ETHEREUM_RPC,
+      'https://ethereum.publicnode.com',
+      'https://rpc.ankr.com/eth',
+      'https://eth.llamarpc.com',
+      'https://ethereum.blockpi.network/v1/rpc/public',
+      'https://1rpc.io/eth'
+    ].filter(Boolean),
+    wsUrl: process.env.ETHEREUM_WS_URL || null, // newHeads subscription for log-driven price updates
+    multicall3: MULTICALL3_ADDRESS,
+    executor: process.env.ETHEREUM_EXECUTOR_ADDRESS || null, // deployed ArbitrageExecutor (contracts/ArbitrageExecutor.sol)
+    bundleRelay: process.env.ETHEREUM_BUNDLE_RELAY_URL || 'https://relay.flashbots.net' // private bundle submission
   },
   POLYGON: {
     chainId: 137,
@@ -18,7 +37,17 @@ const SUPPORTED_CHAINS = {
       name: 'MATIC',
       symbol: 'MATIC',
       decimals: 18
-    }
+    },
+    rpcUrls: [
+      process.env.POLYGON_RPC,
+      'https://polygon-rpc.com',
+      'https://polygon-bor-rpc.publicnode.com',
+      'https://1rpc.io/matic'
+    ].filter(Boolean),
+    wsUrl: process.env.POLYGON_WS_URL || null,
+    multicall3: MULTICALL3_ADDRESS,
+    executor: process.env.POLYGON_EXECUTOR_ADDRESS || null,
+    bundleRelay: process.env.POLYGON_BUNDLE_RELAY_URL || null
   },
   ARBITRUM: {
     chainId: 42161,
@@ -27,10 +56,31 @@ const SUPPORTED_CHAINS = {
       name: 'Ether',
       symbol: 'ETH',
       decimals: 18
-    }
+    },
+    rpcUrls: [
+      process.env.ARBITRUM_RPC,
+      'https://arb1.arbitrum.io/rpc',
+      'https://arbitrum-one-rpc.publicnode.com',
+      'https://1rpc.io/arb'
+    ].filter(Boolean),
+    wsUrl: process.env.ARBITRUM_WS_URL || null,
+    multicall3: MULTICALL3_ADDRESS,
+    executor: process.env.ARBITRUM_EXECUTOR_ADDRESS || null,
+    bundleRelay: process.env.ARBITRUM_BUNDLE_RELAY_URL || null
   }
 };
 
+// Chains the bot connects to (comma-separated chain IDs; the first one is the primary chain)
+const ENABLED_CHAIN_IDS = (process.env.ENABLED_CHAIN_IDS || '1')
+  .split(',')
+  .map(chainId => parseInt(chainId.trim()))
+  .filter(chainId => Object.values(SUPPORTED_CHAINS).some(chain => chain.chainId === chainId));
+
+// Get chain configuration by chain ID
+const getChainConfig = (chainId) => {
+  return Object.values(SUPPORTED_CHAINS).find(chain => chain.chainId === Number(chainId)) || null;
+};
+
 // Fee Tiers for Uniswap V3
 const FEE_TIERS = {
   LOWEST: 100,    // 0.01%
@@ -49,65 +99,97 @@ const SLIPPAGE_TOLERANCE = {
 // Gas Limits
 const GAS_LIMITS = {
   SINGLE_SWAP: 150000,
+  V2_SWAP: 100000,
+  CURVE_SWAP: 130000,
+  SIMPLE_ARBITRAGE: 300000,
   TRIANGULAR_SWAP: 450000,
   WRAP_ETH: 50000,
-  APPROVE: 50000
+  APPROVE: 50000,
+  FLASH_LOAN: 80000 // borrowing and repaying a flash loan around a route
 };
 
-// Fix the USDC address in src/config/constants.js
- const SUPPORTED_TOKENS = {
-  WETH: {
-    symbol: 'WETH',
-    address: '0xC02aaA39b223FE8D0A0e5C4F27eAD9083C756Cc2',
-    decimals: 18
-  },
-  
-  USDC: {
-    symbol: 'USDC',
-    address: '0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48', // Fixed checksum
-    decimals: 6
-  },
-  
-  USDT: {
-    symbol: 'USDT', 
-    address: '0xdAC17F958D2ee523a2206206994597C13D831ec7',
-    decimals: 6
+// Swap kinds of the on-chain route contracts (contracts/libraries/SwapRoute.sol)
+const SWAP_KINDS = {
+  V2: 0,    // Uniswap V2 style router
+  V3: 1,    // Uniswap V3 SwapRouter
+  CURVE: 2  // Curve pool exchange()
+};
+
+// Flash-loan lenders of the ArbitrageExecutor (contracts/ArbitrageExecutor.sol).
+// fees are per chain in hundredths of a bip like V3 fee tiers; a Uniswap V3 flash costs the lending
+// pool's fee tier. Aave's are the defaults until each Pool's FLASHLOAN_PREMIUM_TOTAL() is read.
+const FLASH_LOAN_SOURCES = {
+  BALANCER: {
+    kind: 0,
+    fees: { 1: 0, 137: 0, 42161: 0 }, // Balancer V2 charges no flash-loan fee
+    lenders: { 1: BALANCER_VAULT_ADDRESS, 137: BALANCER_VAULT_ADDRESS, 42161: BALANCER_VAULT_ADDRESS }
   },
-  WBTC: {
-    symbol: 'WBTC',
-    address: '0x2260FAC5E5542a773Aa44fBCfeDf7C193bc2C599',
-    decimals: 8
+  AAVE_V3: {
+    kind: 1,
+    fees: { 1: 500, 137: 500, 42161: 500 }, // 0.05% premium
+    lenders: {
+      1: '0x87870Bca3F3fD6335C3F4ce8392D69350B4fA4E2',
+      137: '0x794a61358D6845594F94dc1DB02A252b5b4814aD',
+      42161: '0x794a61358D6845594F94dc1DB02A252b5b4814aD'
+    }
   },
-  DAI: {
-    symbol: 'DAI',
-    address: '0x6B175474E89094C44Da98b954EedeAC495271d0F',
-    decimals: 18
+  UNISWAP_V3: {
+    kind: 2,
+    fees: {},
+    lenders: {}
   }
 };
 
-// Token Pairs for Arbitrage (Available on both Uniswap V3 and SushiSwap V2)
-const TOKEN_PAIRS = [
-  ['USDT', 'WETH'],  // ✅ Available on Uniswap V3 (multiple fee tiers) & SushiSwap V2
-  ['WBTC', 'WETH'],  // ✅ Available on Uniswap V3 (multiple fee tiers) & SushiSwap V2
-  ['DAI', 'WETH'],   // ✅ Available on Uniswap V3 (multiple fee tiers) & SushiSwap V2
-  ['USDC', 'WETH']   // ✅ Available on Uniswap V3 (multiple fee tiers) & SushiSwap V2
-];
+// Supported tokens (mainnet), keyed by symbol, from the token registry.
+// Token pairs are generated by the registry: see tokenRegistry.getCandidatePairs() / getActivePairs().
+const SUPPORTED_TOKENS = tokenRegistry.getTokenMap(1);
 
 // Arbitrage Configuration
 const ARBITRAGE_CONFIG = {
   MIN_PROFIT_THRESHOLD_USD: parseFloat(process.env.MIN_PROFIT_USD) || 50,
   MIN_LIQUIDITY_USD: 10000,
+  DEFAULT_TRADE_SIZE_USD: parseFloat(process.env.DEFAULT_TRADE_SIZE_USD) || 1000,
   MAX_PRICE_IMPACT: 0.01, // 1%
   MAX_SLIPPAGE: 0.005,   // 0.5%
   GAS_BUFFER_PERCENTAGE: parseFloat(process.env.GAS_BUFFER_PERCENTAGE) || 20
 };
 
+// Opportunity statuses and the statuses each one may move to (expired, executed and failed are final)
+const OPPORTUNITY_TRANSITIONS = {
+  detected: ['simulated', 'profitable', 'unprofitable', 'expired', 'failed'],
+  simulated: ['profitable', 'unprofitable', 'expired', 'failed'],
+  profitable: ['executed', 'failed', 'expired', 'unprofitable'],
+  unprofitable: ['simulated', 'profitable', 'expired'],
+  expired: [],
+  executed: [],
+  failed: []
+};
+
 // Update Intervals
 const INTERVALS = {
   PRICE_UPDATE: parseInt(process.env.PRICE_UPDATE_INTERVAL_MS) || 5000,
+  LOG_POLL: parseInt(process.env.LOG_POLL_INTERVAL_MS) || 2000,
   SCAN_OPPORTUNITIES: parseInt(process.env.SCAN_INTERVAL_MS) || 10000,
   CLEANUP_DB: 3600000, // 1 hour
-  HEALTH_CHECK: 30000  // 30 seconds
+  HEALTH_CHECK: 30000, // 30 seconds
+  PRICE_SNAPSHOT_FLUSH: 10000, // 10 seconds
+  PRICE_ROLLUP: 60000  // 1 minute
+};
+
+// Price history: candle intervals (each one rolled up from the one before, the first from
+// snapshots) and how long snapshots and each candle interval are kept
+const PRICE_HISTORY = {
+  CANDLE_INTERVALS: {
+    '1m': 60 * 1000,
+    '5m': 5 * 60 * 1000,
+    '1h': 60 * 60 * 1000
+  },
+  RETENTION_MS: {
+    raw: (parseFloat(process.env.PRICE_RETENTION_RAW_HOURS) || 24) * 60 * 60 * 1000,
+    '1m': (parseFloat(process.env.PRICE_RETENTION_1M_DAYS) || 7) * 24 * 60 * 60 * 1000,
+    '5m': (parseFloat(process.env.PRICE_RETENTION_5M_DAYS) || 30) * 24 * 60 * 60 * 1000,
+    '1h': (parseFloat(process.env.PRICE_RETENTION_1H_DAYS) || 365) * 24 * 60 * 60 * 1000
+  }
 };
 
 // BigNumber Configuration
@@ -118,12 +200,17 @@ BigNumber.set({
 
 export {
   SUPPORTED_CHAINS,
+  ENABLED_CHAIN_IDS,
+  getChainConfig,
   FEE_TIERS,
   SLIPPAGE_TOLERANCE,
   GAS_LIMITS,
+  SWAP_KINDS,
+  FLASH_LOAN_SOURCES,
   SUPPORTED_TOKENS,
-  TOKEN_PAIRS,
   ARBITRAGE_CONFIG,
   INTERVALS,
+  PRICE_HISTORY,
+  OPPORTUNITY_TRANSITIONS,
   BigNumber
 };
\ No newline at end of file
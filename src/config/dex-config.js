@@ -1,4 +1,6 @@
 // DEX Configuration for Multiple Exchanges
+// Top-level addresses are the Ethereum mainnet deployment; deployments holds
+// the per-chain addresses used by getDexConfig/getDexsForChain.
 
 const DEX_CONFIG = {
   UNISWAP_V3: {
@@ -6,10 +8,35 @@ const DEX_CONFIG = {
     version: 'V3',
     factory: process.env.UNISWAP_V3_FACTORY || '0x1F98431c8aD98523631AE4a59f267346ea31F984',
     router: process.env.UNISWAP_V3_ROUTER || '0xE592427A0AEce92De3Edee1F18E0157C05861564',
-    quoter: process.env.UNISWAP_V3_QUOTER || '0xb27308f9F90D607463bb33eA1BeBb41C27CE5AB6',
+    quoter: process.env.UNISWAP_V3_QUOTER || '0x61fFE014bA17989E743c5F6cBd656e7ED77d883F',
     chainId: 1,
     feeTiers: [500, 3000, 10000],
     pools: {},
+    supportedChains: ['ETHEREUM', 'POLYGON', 'ARBITRUM'],
+    deployments: {
+      137: {
+        factory: '0x1F98431c8aD98523631AE4a59f267346ea31F984',
+        router: '0xE592427A0AEce92De3Edee1F18E0157C05861564',
+        quoter: '0x61fFE014bA17989E743c5F6cBd656e7ED77d883F'
+      },
+      42161: {
+        factory: '0x1F98431c8aD98523631AE4a59f267346ea31F984',
+        router: '0xE592427A0AEce92De3Edee1F18E0157C05861564',
+        quoter: '0x61fFE014bA17989E743c5F6cBd656e7ED77d883F'
+      }
+    }
+  },
+  // V2 forks share the Uniswap V2 pair contract: pairs live at
+  // CREATE2(factory, keccak256(token0, token1), initCodeHash) and charge a fixed fee
+  UNISWAP_V2: {
+    name: 'Uniswap V2',
+    version: 'V2',
+    factory: '0x5C69bEe701ef814a2B6a3EDD4B1652CB9cc5aA6f',
+    router: '0x7a250d5630B4cF539739dF2C5dAcb4c659F2488D',
+    initCodeHash: '0x96e8ac4277198ff8b6f785478aa9a39f403cb768dd02cbee326c3e7da348845f',
+    chainId: 1,
+    feeTiers: [3000],
+    pools: {},
     supportedChains: ['ETHEREUM']
   },
   SUSHISWAP_V2: {
@@ -17,9 +44,41 @@ const DEX_CONFIG = {
     version: 'V2',
     factory: '0xC0AEe478e3658e2610c5F7A4A2E1777cE9e4f2Ac',
     router: '0xd9e1cE17f2641f24aE83637ab66a2cca9C378B9F',
+    initCodeHash: '0xe18a34eb0e04b04f7a0ac29a6e80748dca96319b42c520a7ca5d9e2df7b3e3ed',
     chainId: 1,
     feeTiers: [3000], // V2 uses fixed 0.3% fee
     pools: {},
+    supportedChains: ['ETHEREUM', 'POLYGON', 'ARBITRUM'],
+    deployments: {
+      137: {
+        factory: '0xc35DADB65012eC5796536bD9864eD8773aBc74C4',
+        router: '0x1b02dA8Cb0d097eB8D57A175b88c7D8b47997506'
+      },
+      42161: {
+        factory: '0xc35DADB65012eC5796536bD9864eD8773aBc74C4',
+        router: '0x1b02dA8Cb0d097eB8D57A175b88c7D8b47997506'
+      }
+    }
+  },
+  SHIBASWAP_V2: {
+    name: 'ShibaSwap',
+    version: 'V2',
+    factory: '0x115934131916C8b277DD010Ee02de363c09d037c',
+    router: '0x03f7724180AA6b939894B5Ca4314783B0b36b329',
+    initCodeHash: '0x65d1a3b1e46c6e4f1be1ad5f99ef14dc488ae0549dc97db9b30afe2241ce1c7a',
+    chainId: 1,
+    feeTiers: [3000],
+    pools: {},
+    supportedChains: ['ETHEREUM']
+  },
+  CURVE_3POOL: {
+    name: 'Curve 3pool',
+    version: 'STABLESWAP',
+    pool: process.env.CURVE_3POOL_ADDRESS || '0xbEbc44782C7dB0a1A60Cb6fe97d0b483032FF1C7',
+    chainId: 1,
+    nCoins: 3, // DAI, USDC, USDT
+    feeTiers: [], // fee is read from the pool
+    pools: {},
     supportedChains: ['ETHEREUM']
   }
 };
@@ -32,18 +91,52 @@ const POOL_INIT_CODE_HASHES = {
   QUICKSWAP_V3: '0xe34f199b19b2b4f47f68442619d555527d244f78a3297ea89325f843f87b8b54'
 };
 
-// Get DEX by name
-const getDexConfig = (dexName) => {
+// Get the deployment of a DEX on a chain (null if it is not deployed there)
+const getDexDeployment = (dex, chainId) => {
+  if (Number(chainId) === dex.chainId) {
+    return { factory: dex.factory, router: dex.router, quoter: dex.quoter, pool: dex.pool };
+  }
+  return dex.deployments?.[chainId] || null;
+};
+
+// Get DEX by name, with the addresses of its deployment on a chain
+const getDexConfig = (dexName, chainId = 1) => {
   const dex = DEX_CONFIG[dexName.toUpperCase()];
   if (!dex) {
     throw new Error(`DEX ${dexName} not supported`);
   }
-  return dex;
+
+  const deployment = getDexDeployment(dex, chainId);
+  if (!deployment) {
+    throw new Error(`DEX ${dexName} is not deployed on chain ${chainId}`);
+  }
+  return { ...dex, ...deployment, chainId: Number(chainId) };
+};
+
+// Get the fee tier (in hundredths of a bip) charged by a pool.
+// V2 DEXs charge a fixed fee regardless of what the pool entry says.
+const getPoolFeeTier = (dexName, feeTier) => {
+  const dex = dexName ? DEX_CONFIG[dexName.toUpperCase()] : null;
+  if (dex?.version === 'V2') {
+    return dex.feeTiers[0];
+  }
+  return Number(feeTier) || 3000;
+};
+
+// Get the fee of a pool as a fraction of the input amount
+const getPoolFeeRate = (dexName, feeTier) => {
+  return getPoolFeeTier(dexName, feeTier) / 1e6;
 };
 
-// Get all DEXs for a chain
+// Get all DEXs deployed on a chain, keyed by DEX name
 const getDexsForChain = (chainId) => {
-  return Object.values(DEX_CONFIG).filter(dex => dex.chainId === chainId);
+  const dexs = {};
+  for (const dexName of Object.keys(DEX_CONFIG)) {
+    if (getDexDeployment(DEX_CONFIG[dexName], chainId)) {
+      dexs[dexName] = getDexConfig(dexName, chainId);
+    }
+  }
+  return dexs;
 };
 
 // Get supported DEX names
@@ -51,6 +144,11 @@ const getSupportedDexs = () => {
   return Object.keys(DEX_CONFIG);
 };
 
+// Get the names of DEXs of a version (e.g. every V2 fork)
+const getDexsByVersion = (version) => {
+  return Object.keys(DEX_CONFIG).filter(dexName => DEX_CONFIG[dexName].version === version);
+};
+
 // Validate DEX configuration
 const validateDexConfig = () => {
   const errors = [];
@@ -83,7 +181,10 @@ export {
   SUPPORTED_DEXS,
   POOL_INIT_CODE_HASHES,
   getDexConfig,
+  getPoolFeeTier,
+  getPoolFeeRate,
   getDexsForChain,
   getSupportedDexs,
+  getDexsByVersion,
   validateDexConfig
 };
\ No newline at end of file
@@ -0,0 +1,161 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { ethers } from 'ethers';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const DEFAULT_REGISTRY_PATH = path.join(__dirname, 'tokens.json');
+const DEFAULT_CHAIN_ID = 1;
+
+// Token registry: the single source of token metadata (symbol, address, decimals, chainId, tags).
+// Loaded from TOKEN_REGISTRY_PATH, or src/config/tokens.json by default.
+// Candidate pairs are every combination of registry tokens on a chain (in file order);
+// active pairs are the candidates that share at least one discovered pool.
+class TokenRegistry {
+  constructor() {
+    this.tokensByChain = new Map(); // chainId -> { [symbol]: token }
+    this.activePairs = new Map(); // chainId -> [[symbolA, symbolB]]
+    this.sourcePath = null;
+  }
+
+  // Load tokens from a JSON file ({ "tokens": [...] } or a bare array)
+  load(filePath = process.env.TOKEN_REGISTRY_PATH || DEFAULT_REGISTRY_PATH) {
+    const resolvedPath = path.resolve(filePath);
+    let parsed;
+
+    try {
+      parsed = JSON.parse(fs.readFileSync(resolvedPath, 'utf8'));
+    } catch (error) {
+      throw new Error(`Failed to read token registry ${resolvedPath}: ${error.message}`);
+    }
+
+    const entries = Array.isArray(parsed) ? parsed : parsed.tokens;
+    if (!Array.isArray(entries) || entries.length === 0) {
+      throw new Error(`Token registry ${resolvedPath} does not contain any tokens`);
+    }
+
+    this.tokensByChain.clear();
+    this.activePairs.clear();
+    for (const entry of entries) {
+      this.addToken(entry);
+    }
+    this.sourcePath = resolvedPath;
+
+    return this;
+  }
+
+  // Validate and add a token entry
+  addToken({ symbol, address, decimals, chainId = DEFAULT_CHAIN_ID, tags = [], name }) {
+    if (!symbol || typeof symbol !== 'string') {
+      throw new Error('Token registry entry is missing a symbol');
+    }
+    if (!ethers.isAddress(address)) {
+      throw new Error(`Token ${symbol} has an invalid address: ${address}`);
+    }
+    if (!Number.isInteger(decimals) || decimals < 0 || decimals > 255) {
+      throw new Error(`Token ${symbol} has invalid decimals: ${decimals}`);
+    }
+
+    const chainTokens = this.tokensByChain.get(chainId) || {};
+    if (chainTokens[symbol]) {
+      throw new Error(`Token ${symbol} is registered twice on chain ${chainId}`);
+    }
+
+    chainTokens[symbol] = {
+      symbol,
+      name: name || symbol,
+      address: ethers.getAddress(address.toLowerCase()),
+      decimals,
+      chainId,
+      tags: [...tags]
+    };
+    this.tokensByChain.set(chainId, chainTokens);
+  }
+
+  // Tokens of a chain keyed by symbol (the object behind SUPPORTED_TOKENS)
+  getTokenMap(chainId = DEFAULT_CHAIN_ID) {
+    if (!this.tokensByChain.has(chainId)) {
+      this.tokensByChain.set(chainId, {});
+    }
+    return this.tokensByChain.get(chainId);
+  }
+
+  // Get the chain IDs that have registry tokens
+  getChainIds() {
+    return Array.from(this.tokensByChain.keys()).filter(chainId => this.getAllTokens(chainId).length > 0);
+  }
+
+  // Get a token by symbol
+  getToken(symbol, chainId = DEFAULT_CHAIN_ID) {
+    return this.getTokenMap(chainId)[symbol] || null;
+  }
+
+  // Get a token by address
+  getTokenByAddress(address, chainId = DEFAULT_CHAIN_ID) {
+    if (!address) return null;
+    const lower = address.toLowerCase();
+    return Object.values(this.getTokenMap(chainId)).find(token => token.address.toLowerCase() === lower) || null;
+  }
+
+  // Get token decimals by symbol
+  getDecimals(symbol, chainId = DEFAULT_CHAIN_ID) {
+    return this.getToken(symbol, chainId)?.decimals ?? null;
+  }
+
+  // Get all tokens of a chain
+  getAllTokens(chainId = DEFAULT_CHAIN_ID) {
+    return Object.values(this.getTokenMap(chainId));
+  }
+
+  // Get symbols of tokens carrying a tag (e.g. 'stablecoin')
+  getSymbolsByTag(tag, chainId = DEFAULT_CHAIN_ID) {
+    return this.getAllTokens(chainId)
+      .filter(token => token.tags.includes(tag))
+      .map(token => token.symbol);
+  }
+
+  // Every pair of registry tokens on a chain, in file order
+  getCandidatePairs(chainId = DEFAULT_CHAIN_ID) {
+    const symbols = Object.keys(this.getTokenMap(chainId));
+    const pairs = [];
+
+    for (let i = 0; i < symbols.length; i++) {
+      for (let j = i + 1; j < symbols.length; j++) {
+        pairs.push([symbols[i], symbols[j]]);
+      }
+    }
+    return pairs;
+  }
+
+  // Narrow the candidate pairs to those that share at least one discovered pool.
+  // Pools only need token0/token1 addresses.
+  updateActivePairs(pools, chainId = DEFAULT_CHAIN_ID) {
+    const pooled = new Set();
+    for (const pool of pools) {
+      const token0 = this.getTokenByAddress(pool.token0, chainId);
+      const token1 = this.getTokenByAddress(pool.token1, chainId);
+      if (token0 && token1) {
+        pooled.add(`${token0.symbol}-${token1.symbol}`);
+        pooled.add(`${token1.symbol}-${token0.symbol}`);
+      }
+    }
+
+    const activePairs = this.getCandidatePairs(chainId)
+      .filter(([tokenA, tokenB]) => pooled.has(`${tokenA}-${tokenB}`));
+    this.activePairs.set(chainId, activePairs);
+
+    return activePairs;
+  }
+
+  // Pairs with discovered pools (all candidates until pools have been reported)
+  getActivePairs(chainId = DEFAULT_CHAIN_ID) {
+    return this.activePairs.get(chainId) || this.getCandidatePairs(chainId);
+  }
+}
+
+// Create singleton instance and load the configured registry
+const tokenRegistry = new TokenRegistry().load();
+
+export default tokenRegistry;
@@ -1,18 +1,26 @@
 import 'dotenv/config';
 
 import { logger, logError, logArbitrageOpportunity, logTradeExecution } from './utils/logger.js';
-import dbConnection from './config/database.js';
+import storage from './storage/index.js';
 import rpcManager from './services/rpc-manager.js';
 import poolDiscovery from './services/pool-discovery.js';
-import sushiSwapV2Discovery from './services/sushiswap-v2-discovery.js';
+import v2ForkDiscovery from './services/v2-fork-discovery.js';
+import flashLoanService from './services/flash-loans.js';
+import dexAdapterRegistry from './services/dex-adapters/index.js';
 import priceFetcher from './services/price-fetcher/index.js';
 import arbitrageDetector from './services/arbitrage-detector/index.js';
 import profitCalculator from './services/profit-calculator/index.js';
 import tradeSimulator from './services/trade-simulator/index.js';
+import transactionBuilder from './services/trade-executor/transaction-builder.js';
+import bundleSubmitter from './services/trade-executor/bundle-submitter.js';
+import signerManager from './services/trade-executor/signer-manager.js';
 import opportunityGenerator from './services/opportunity-generator.js';
+import opportunityLifecycle from './services/opportunity-lifecycle.js';
+import opportunityRepository from './repositories/opportunity-repository.js';
+import priceHistory from './services/price-history.js';
+import spreadTracker from './services/spread-tracker.js';
 import apiServer from './api/server.js';
-import Opportunity from './models/opportunity.js';
-import { INTERVALS, ARBITRAGE_CONFIG, SUPPORTED_TOKENS } from './config/constants.js';
+import { INTERVALS, ARBITRAGE_CONFIG, OPPORTUNITY_TRANSITIONS } from './config/constants.js';
 
 class ArbitrageBot {
   constructor() {
@@ -36,30 +44,29 @@ class ArbitrageBot {
     try {
       logger.info('🚀 Initializing DeFi Arbitrage Bot...');
 
-      // 1. Connect to database (optional)
-      logger.info('📊 Connecting to database...');
-      try {
-        await dbConnection.connect();
-        if (dbConnection.isConnected) {
-          logger.info('✅ Database connected successfully');
-        } else {
-          logger.warn('⚠️ Running without database - opportunities will not be persisted');
-        }
-      } catch (error) {
-        logger.warn('⚠️ Database connection failed, continuing without persistence:', error.message);
-      }
+      // 1. Open storage (MongoDB, or in memory without a database server)
+      logger.info('📊 Opening storage...');
+      await storage.initialize();
 
       // 2. Initialize RPC manager
       logger.info('🌐 Initializing RPC manager...');
       await rpcManager.initialize();
 
+      // 2b. Read the flash-loan fees of the funding lender
+      logger.info('⚡ Reading flash-loan fees...');
+      await flashLoanService.initialize();
+
       // 3. Initialize pool discovery (Uniswap V3)
       logger.info('🏊 Discovering Uniswap V3 liquidity pools...');
       await poolDiscovery.initialize();
 
-      // 4. Initialize SushiSwap V2 discovery  
-      logger.info('🍣 Discovering SushiSwap V2 liquidity pools...');
-      await sushiSwapV2Discovery.initialize();
+      // 4. Initialize V2-fork discovery (Uniswap V2, SushiSwap, ShibaSwap)
+      logger.info('🍣 Discovering V2-fork liquidity pools...');
+      await v2ForkDiscovery.initialize();
+
+      // 4b. Discover Curve StableSwap pools
+      logger.info('🌀 Discovering Curve StableSwap pools...');
+      await this.discoverCurvePools();
 
       // 5. Initialize price fetcher
       logger.info('💰 Initializing price fetcher...');
@@ -77,17 +84,27 @@ class ArbitrageBot {
       logger.info('🎮 Initializing trade simulator...');
       await tradeSimulator.initialize();
 
+      // 9. Load execution wallets
+      logger.info('🔑 Loading execution wallets...');
+      await signerManager.initialize();
+
       // Store service references
       this.services = {
-        db: dbConnection,
+        storage,
         rpc: rpcManager,
         poolDiscovery,
-        sushiSwapV2Discovery,
+        v2ForkDiscovery,
         priceFetcher,
+        priceHistory,
+        spreadTracker,
         arbitrageDetector,
         profitCalculator,
         tradeSimulator,
-        opportunityGenerator
+        transactionBuilder,
+        bundleSubmitter,
+        signerManager,
+        opportunityGenerator,
+        opportunityLifecycle
       };
 
       // Generate initial opportunities from discovered pools
@@ -172,6 +189,15 @@ class ArbitrageBot {
       await this.performCleanup();
     }, INTERVALS.CLEANUP_DB);
 
+    // Price history: store recorded snapshots and roll them up into candles
+    this.intervals.priceFlush = setInterval(async () => {
+      await this.services.priceHistory.flush();
+    }, INTERVALS.PRICE_SNAPSHOT_FLUSH);
+
+    this.intervals.priceRollup = setInterval(async () => {
+      await this.services.priceHistory.rollup();
+    }, INTERVALS.PRICE_ROLLUP);
+
     // Statistics logging interval
     this.intervals.stats = setInterval(async () => {
       await this.logStatistics();
@@ -180,7 +206,23 @@ class ArbitrageBot {
     logger.info('📊 Monitoring intervals started');
   }
 
-  // Generate initial opportunities from discovered pools  
+  // Discover Curve pools on every enabled chain the pool is deployed on.
+  // A missing Curve pool only drops the StableSwap legs, so failures don't stop startup.
+  async discoverCurvePools() {
+    const adapter = dexAdapterRegistry.getAdapter('CURVE_3POOL');
+
+    for (const chainId of rpcManager.getChainIds()) {
+      if (!adapter.supportsChain(chainId)) continue;
+
+      try {
+        await adapter.discoverPools(chainId);
+      } catch (error) {
+        logger.warn(`⚠️ Curve pool discovery failed on chain ${chainId}: ${error.message}`);
+      }
+    }
+  }
+
+  // Generate initial opportunities from discovered pools
   async generateInitialOpportunities() {
     try {
       logger.info('🎯 Generating initial arbitrage opportunities from discovered pools...');
@@ -217,6 +259,11 @@ class ArbitrageBot {
       await this.handlePriceUpdate(priceData);
     });
 
+    // Record every pair's spread once a chain's prices are complete for a block
+    this.services.priceFetcher.subscribeBlocks(async (chainId, blockNumber) => {
+      await this.services.spreadTracker.recordBlock(chainId, blockNumber);
+    });
+
     logger.info('📡 Event subscriptions setup completed');
   }
 
@@ -225,8 +272,12 @@ class ArbitrageBot {
     try {
       this.stats.totalOpportunities++;
 
-      // Save opportunity to database
-      const opportunityDoc = await this.saveOpportunityToDatabase(opportunity);
+      // Save opportunity to database (already stored ones were handled when first seen)
+      const { opportunity: opportunityDoc, created } = await opportunityRepository.save(opportunity);
+      if (!created) {
+        logger.debug(`Opportunity ${opportunityDoc.id} already stored, skipping`);
+        return;
+      }
 
       // Check if it meets minimum profit threshold
       if (opportunity.expectedProfit &&
@@ -247,149 +298,19 @@ class ArbitrageBot {
     }
   }
 
-  // Save opportunity to database (if available)
-  async saveOpportunityToDatabase(opportunity) {
-    try {
-      // Skip database operations if not connected
-      if (!dbConnection.isConnected) {
-        logger.warn('Database not connected - attempting to reconnect...');
-        try {
-          await dbConnection.connect();
-        } catch (reconnectError) {
-          logger.debug('Failed to reconnect to database, continuing without persistence');
-          return { id: opportunity.id };
-        }
-      }
-
-      // Get token addresses from constants
-      const getTokenAddress = (symbol) => {
-        const token = SUPPORTED_TOKENS[symbol];
-        return token ? token.address : symbol;
-      };
-
-      // Get real-time blockchain data
-      const currentBlock = await rpcManager.getBlockNumber().catch(() => Date.now());
-      const gasPrice = await rpcManager.getGasPrice().catch(() => ({ gasPrice: BigInt(20000000000) }));
-      const blockTimestamp = new Date();
-
-      // Calculate USD values for profits and fees
-      const expectedProfitWei = opportunity.expectedProfit?.toString() || '0';
-      const expectedProfitUSD = parseFloat(expectedProfitWei) / 1e18 * 2400; // Assuming ETH price ~$2400
-      const gasCostUSD = parseFloat(opportunity.gasCost?.toString() || '0');
-      const swapFeesUSD = parseFloat(opportunity.swapFees?.toString() || '0') / 1e18 * 2400;
-      const totalFeesUSD = gasCostUSD + swapFeesUSD;
-      const netProfitUSD = expectedProfitUSD - totalFeesUSD;
-
-      const opportunityData = {
-        id: opportunity.id || new Date().getTime().toString(),
-        timestamp: new Date(opportunity.timestamp || Date.now()),
-        
-        // DEX Information (real data)
-        dexA: opportunity.buyDex || opportunity.dexA || 'UNISWAP_V3',
-        dexB: opportunity.sellDex || opportunity.dexB || 'SUSHISWAP_V3',
-        
-        // Token Information (real addresses)
-        tokenIn: getTokenAddress(opportunity.tokenA || opportunity.tokenIn || 'USDC'),
-        tokenOut: getTokenAddress(opportunity.tokenB || opportunity.tokenOut || 'WETH'),
-        tokenInSymbol: opportunity.tokenA || opportunity.tokenIn || 'USDC',
-        tokenOutSymbol: opportunity.tokenB || opportunity.tokenOut || 'WETH',
-        
-        // Trade amounts (real calculations)
-        amountIn: opportunity.tradeAmount?.toString() || '1000000000', // 1000 USDC
-        amountOutExpected: opportunity.expectedOutput?.toString() || '0',
-        tradeSizeUSD: parseFloat(opportunity.tradeAmount?.toString() || '1000'),
-        
-        // Price information (real-time prices)
-        priceA: opportunity.buyPrice?.toString() || '0',
-        priceB: opportunity.sellPrice?.toString() || '0',
-        priceDifference: parseFloat(opportunity.priceDifference?.toString() || '0'),
-        
-        // Detailed Profit Information (USD values)
-        expectedProfit: expectedProfitWei,
-        expectedProfitUSD: expectedProfitUSD,
-        grossProfitUSD: expectedProfitUSD + totalFeesUSD,
-        netProfitUSD: netProfitUSD,
-        profitAfterFeesUSD: netProfitUSD,
-        profitPercentage: parseFloat(opportunity.priceDifferencePercent?.toString() || '0'),
-        
-        // Fee information (detailed breakdown)
-        gasEstimate: opportunity.gasCost?.toString() || '150000',
-        gasPrice: gasPrice.gasPrice?.toString() || '20000000000',
-        gasCostUSD: gasCostUSD,
-        swapFees: opportunity.swapFees?.toString() || '0',
-        swapFeesUSD: swapFeesUSD,
-        totalFees: opportunity.totalFees?.toString() || '0',
-        totalFeesUSD: totalFeesUSD,
-        
-        // Pool information (real blockchain data)
-        poolA: opportunity.poolA?.address || `pool_${opportunity.buyDex || 'UNISWAP_V3'}_${opportunity.tokenA || 'USDC'}_${opportunity.tokenB || 'WETH'}`,
-        poolB: opportunity.poolB?.address || `pool_${opportunity.sellDex || 'SUSHISWAP_V3'}_${opportunity.tokenA || 'USDC'}_${opportunity.tokenB || 'WETH'}`,
-        liquidityA: opportunity.poolA?.liquidity || '1000000000000000000000',
-        liquidityB: opportunity.poolB?.liquidity || '1000000000000000000000',
-        liquidityAUSD: parseFloat(opportunity.poolA?.liquidity || '1000000') / 1e18 * 2400,
-        liquidityBUSD: parseFloat(opportunity.poolB?.liquidity || '1000000') / 1e18 * 2400,
-        
-        // Real-time blockchain data
-        blockNumber: currentBlock,
-        blockTimestamp: blockTimestamp,
-        
-        // Status and metadata
-        status: 'detected',
-        metadata: {
-          chainId: 1,
-          feeTier: opportunity.metadata?.feeTier || 3000,
-          slippageTolerance: 0.5,
-          priceImpact: Math.min(parseFloat(opportunity.priceDifferencePercent?.toString() || '0'), 5.0),
-          detectionMethod: 'real-time-blockchain-scanning',
-          dataSource: 'live-dex-pools'
-        }
-      };
-
-      // Add triangular path if present
-      if (opportunity.triangularPath && Array.isArray(opportunity.triangularPath)) {
-        opportunityData.triangularPath = opportunity.triangularPath.map(step => ({
-          dex: step.dex || 'UNISWAP_V3',
-          tokenIn: getTokenAddress(step.tokenIn || step.token),
-          tokenOut: getTokenAddress(step.tokenOut || step.toToken),
-          pool: step.pool || 'mock_pool',
-          amount: step.amount?.toString() || '0'
-        }));
-      }
-
-      const opportunityDoc = new Opportunity(opportunityData);
-      await opportunityDoc.save();
-
-      logger.info(`💾 REAL OPPORTUNITY SAVED TO DATABASE: ${opportunity.id}`, {
-        pair: `${opportunityData.tokenInSymbol}/${opportunityData.tokenOutSymbol}`,
-        dexRoute: `${opportunityData.dexA} → ${opportunityData.dexB}`,
-        expectedProfitUSD: `$${opportunityData.expectedProfitUSD.toFixed(2)}`,
-        netProfitUSD: `$${opportunityData.netProfitUSD.toFixed(2)}`,
-        profitPercentage: `${opportunityData.profitPercentage.toFixed(2)}%`,
-        tradeSizeUSD: `$${opportunityData.tradeSizeUSD}`,
-        totalFeesUSD: `$${opportunityData.totalFeesUSD.toFixed(2)}`,
-        blockNumber: opportunityData.blockNumber,
-        timestamp: opportunityData.blockTimestamp.toISOString()
-      });
-
-      return opportunityDoc;
-
-    } catch (error) {
-      logError(error, {
-        context: 'ArbitrageBot.saveOpportunityToDatabase',
-        opportunityId: opportunity.id,
-        error: error.message
-      });
-      // Don't throw error - allow bot to continue without database
-      return { id: opportunity.id };
-    }
-  }
-
   // Simulate opportunity
   async simulateOpportunity(opportunityDoc) {
     try {
+      // Only opportunities that still hold at the latest prices are simulated
+      await opportunityLifecycle.transition(opportunityDoc, 'simulated');
+      if (opportunityDoc.status !== 'simulated') {
+        return;
+      }
+
       this.stats.simulatedTrades++;
 
-      const tradeAmount = ARBITRAGE_CONFIG.MIN_TRADE_SIZE_USD; // Start with minimum
+      // USD size, traded in the route's first token by the simulator
+      const tradeAmount = ARBITRAGE_CONFIG.DEFAULT_TRADE_SIZE_USD;
 
       let simulationResult;
       if (opportunityDoc.triangularPath && opportunityDoc.triangularPath.length > 0) {
@@ -397,6 +318,7 @@ class ArbitrageBot {
         const triangularOpp = {
           id: opportunityDoc.id,
           type: 'triangular',
+          chainId: opportunityDoc.metadata?.chainId ?? 1,
           path: opportunityDoc.triangularPath.map(p => [p.tokenIn, p.tokenOut]).flat()
             .filter((token, index, arr) => arr.indexOf(token) === index),
           trades: opportunityDoc.triangularPath
@@ -405,14 +327,17 @@ class ArbitrageBot {
           triangularOpp, tradeAmount
         );
       } else {
-        // Simple arbitrage
+        // Simple arbitrage, traded in tokenIn (the detector's tokenB) on dexA
         const simpleOpp = {
           id: opportunityDoc.id,
           type: 'simple',
-          tokenA: opportunityDoc.tokenInSymbol,  // Use symbols instead of addresses
-          tokenB: opportunityDoc.tokenOutSymbol, // Use symbols instead of addresses
+          chainId: opportunityDoc.metadata?.chainId ?? 1,
+          tokenA: opportunityDoc.tokenOutSymbol, // Use symbols instead of addresses
+          tokenB: opportunityDoc.tokenInSymbol,  // Use symbols instead of addresses
           buyDex: opportunityDoc.dexA,
-          sellDex: opportunityDoc.dexB
+          sellDex: opportunityDoc.dexB,
+          poolA: { address: opportunityDoc.poolA },
+          poolB: { address: opportunityDoc.poolB }
         };
         simulationResult = await this.services.tradeSimulator.simulateSimpleArbitrage(
           simpleOpp, tradeAmount
@@ -420,28 +345,16 @@ class ArbitrageBot {
       }
 
       // Update opportunity with simulation result
-      if (typeof opportunityDoc.markAsSimulated === 'function') {
-        await opportunityDoc.markAsSimulated({
-          success: simulationResult.success,
-          actualOutput: simulationResult.finalAmount || simulationResult.profit,
-          gasUsed: simulationResult.totalGasUsed,
-          errorMessage: simulationResult.error,
-          simulationTimestamp: new Date()
-        });
-      } else {
-        // Fallback: update directly in database
-        await Opportunity.findByIdAndUpdate(opportunityDoc._id, {
-          status: simulationResult.success ? 'profitable' : 'unprofitable',
-          'simulationResult.success': simulationResult.success,
-          'simulationResult.actualOutput': simulationResult.finalAmount || simulationResult.profit,
-          'simulationResult.gasUsed': simulationResult.totalGasUsed,
-          'simulationResult.errorMessage': simulationResult.error,
-          'simulationResult.simulationTimestamp': new Date()
-        });
-      }
+      await opportunityLifecycle.recordSimulation(opportunityDoc, {
+        success: simulationResult.success,
+        actualOutput: simulationResult.finalAmount || simulationResult.profit,
+        gasUsed: simulationResult.totalGasUsed,
+        errorMessage: simulationResult.error,
+        simulationTimestamp: new Date()
+      });
 
       // If simulation is successful and profitable, execute trade (if enabled)
-      if (simulationResult.success &&
+      if (opportunityDoc.status === 'profitable' &&
           simulationResult.netProfit &&
           parseFloat(simulationResult.netProfit) > 0 &&
           process.env.ENABLE_TRADE_EXECUTION === 'true') {
@@ -458,27 +371,59 @@ class ArbitrageBot {
     }
   }
 
-  // Execute opportunity (for future implementation)
+  // Build the ArbitrageExecutor transaction of a profitable opportunity, funded by the simulated
+  // flash loan if any, then sign and submit it (as a relay bundle where the chain has one). The
+  // executor reverts unless the route makes the simulated profit less the opportunity's slippage
+  // tolerance on it.
   async executeOpportunity(opportunityDoc, simulationResult) {
     try {
-      // This would implement actual trade execution
-      // For now, we'll just log it
+      const slippage = (opportunityDoc.metadata?.slippageTolerance ?? 0.5) / 100;
+      const { flashLoan = null } = simulationResult;
+      const minProfit = transactionBuilder.getMinProfit(
+        simulationResult.initialAmount,
+        simulationResult.finalAmount,
+        slippage,
+        flashLoan?.feeAmount ?? 0n
+      );
+      if (minProfit === null) {
+        logger.info('Skipping opportunity: simulated route does not repay its input', {
+          opportunityId: opportunityDoc.id
+        });
+        return;
+      }
+
+      const transaction = transactionBuilder.buildTransaction(opportunityDoc, {
+        amountIn: simulationResult.initialAmount,
+        minProfit,
+        flashLoan
+      });
+
       logger.info('🎯 Opportunity ready for execution', {
         opportunityId: opportunityDoc.id,
         expectedProfit: opportunityDoc.expectedProfit,
-        simulationProfit: simulationResult.netProfit
+        simulationProfit: simulationResult.netProfit,
+        executor: transaction.to,
+        funding: flashLoan ? flashLoan.source : 'inventory',
+        minProfit: transaction.minProfit,
+        gasLimit: transaction.gasLimit.toString()
       });
 
-      // Update status to indicate it's ready for execution
-      await opportunityDoc.updateOne({
-        status: 'profitable',
+      await opportunityLifecycle.update(opportunityDoc, {
         'executionResult': {
-          ready: true,
-          simulationProfit: simulationResult.netProfit,
-          gasEstimate: simulationResult.totalGasUsed
+          transaction: {
+            to: transaction.to,
+            data: transaction.data,
+            gasLimit: transaction.gasLimit.toString(),
+            minProfit: transaction.minProfit
+          }
         }
       });
 
+      // Without execution wallets transactions are built but not sent
+      if (signerManager.hasWallets()) {
+        await this.submitExecution(opportunityDoc, transaction);
+      }
+
     } catch (error) {
       logError(error, {
         context: 'ArbitrageBot.executeOpportunity',
@@ -488,9 +433,87 @@ class ArbitrageBot {
     }
   }
 
+  // Sign and submit an opportunity's executor transaction from a leased execution wallet,
+  // tracking the submission and its inclusion on the opportunity's executionResult
+  async submitExecution(opportunityDoc, transaction) {
+    const { chainId } = transaction;
+    const lease = await signerManager.acquire(chainId);
+    if (!lease) {
+      logger.warn(`All execution wallets busy on chain ${chainId}, skipping opportunity ${opportunityDoc.id}`);
+      return null;
+    }
+
+    let submission;
+    try {
+      const { address, nonce } = lease;
+      await opportunityLifecycle.update(opportunityDoc, { 'executionResult.wallet': address, 'executionResult.nonce': nonce });
+
+      submission = await bundleSubmitter.submit([await signerManager.signTransaction(address, chainId, nonce, transaction)], {
+        chainId,
+        // Replacement bundles re-sign the same nonce at the fees of their block
+        resign: async () => [await signerManager.resign(address, chainId, nonce)],
+        // Public broadcasts are sped up after every missed block and cancelled once they expire
+        replace: async () => [await signerManager.speedUp(address, chainId, nonce)],
+        cancel: async () => [await signerManager.cancel(address, chainId, nonce)],
+        onUpdate: (update) => opportunityLifecycle.update(opportunityDoc, { 'executionResult.submission': update })
+      });
+    } finally {
+      // Only mined or broadcast transactions use up their nonce
+      const used = ['included', 'reverted', 'cancelled'].includes(submission?.status) ||
+        (submission?.mode === 'public' && submission.status === 'expired');
+      if (['included', 'reverted', 'cancelled'].includes(submission?.status)) {
+        signerManager.confirm(lease.address, chainId, lease.nonce);
+      }
+      signerManager.release(lease, { used });
+    }
+
+    const executed = submission.status === 'included';
+    await storage.executions.insert({
+      opportunityId: opportunityDoc.id,
+      chainId,
+      wallet: lease.address,
+      nonce: lease.nonce,
+      mode: submission.mode,
+      relay: submission.relay,
+      status: submission.status,
+      transactionHash: submission.transactionHash,
+      bundleHash: submission.bundleHash,
+      targetBlock: submission.targetBlock,
+      includedBlock: submission.includedBlock,
+      attempts: submission.attempts.length,
+      gasUsed: submission.gasUsed,
+      error: submission.error,
+      expectedProfitUSD: opportunityDoc.expectedProfitUSD
+    });
+    await opportunityLifecycle.update(opportunityDoc, {
+      'executionResult.transactionHash': submission.transactionHash,
+      'executionResult.gasUsed': submission.gasUsed ?? undefined,
+      'executionResult.executionTimestamp': new Date(),
+      'executionResult.errorMessage': submission.error ?? undefined
+    });
+
+    await opportunityLifecycle.transition(opportunityDoc, executed ? 'executed' : 'failed', {
+      reason: executed ? `Included in block ${submission.includedBlock}` : (submission.error || `Submission ${submission.status}`)
+    });
+
+    if (executed) {
+      this.stats.executedTrades++;
+      logTradeExecution({
+        opportunityId: opportunityDoc.id,
+        transactionHash: submission.transactionHash,
+        block: submission.includedBlock,
+        gasUsed: submission.gasUsed
+      });
+    }
+    return submission;
+  }
+
   // Handle price updates
   async handlePriceUpdate(priceData) {
     try {
+      // Keep the pool's price history (one snapshot per block)
+      this.services.priceHistory.record(priceData);
+
       // Log real-time price updates to prove it's dynamic data
       const ageSeconds = Math.floor((Date.now() - priceData.timestamp) / 1000);
       logger.info(`🔥 LIVE BLOCKCHAIN DATA: ${priceData.dex} ${priceData.tokenA}/${priceData.tokenB} = $${priceData.price.toFixed(8)} (${ageSeconds}s fresh, Block: ${priceData.blockNumber})`);
@@ -512,7 +535,7 @@ class ArbitrageBot {
         rpc: this.services.rpc.isHealthy,
         priceFetcher: this.services.priceFetcher.isRunning,
         arbitrageDetector: this.services.arbitrageDetector.isRunning,
-        database: (await dbConnection.healthCheck()).status === 'connected'
+        storage: (await storage.healthCheck()).status === 'connected'
       };
 
       const isHealthy = Object.values(health).every(status => status === true);
@@ -532,18 +555,28 @@ class ArbitrageBot {
   // Perform cleanup
   async performCleanup() {
     try {
-      // Clean up old opportunities (if database is available)
-      if (dbConnection.isConnected) {
-        const deletedCount = await Opportunity.deleteMany({
-          timestamp: { $lt: new Date(Date.now() - 24 * 60 * 60 * 1000) }, // Older than 24 hours
-          status: { $in: ['expired', 'executed', 'failed'] }
-        });
+      // Expire opportunities that were never executed, then clean up old ones
+      const stale = await storage.opportunities.find({
+        status: { $in: Object.keys(OPPORTUNITY_TRANSITIONS).filter(status => !opportunityLifecycle.isFinal(status)) },
+        timestamp: { $lt: new Date(Date.now() - opportunityLifecycle.maxAgeMs) }
+      });
+      for (const opportunityDoc of stale) {
+        await opportunityLifecycle.expire(opportunityDoc, `Not executed within ${opportunityLifecycle.maxAgeMs / 1000}s`);
+      }
 
-        if (deletedCount.deletedCount > 0) {
-          logger.info(`🧹 Cleaned up ${deletedCount.deletedCount} old opportunities`);
-        }
+      const deletedCount = await storage.opportunities.deleteMany({
+        timestamp: { $lt: new Date(Date.now() - 24 * 60 * 60 * 1000) }, // Older than 24 hours
+        status: { $in: ['expired', 'executed', 'failed'] }
+      });
+
+      if (deletedCount > 0) {
+        logger.info(`🧹 Cleaned up ${deletedCount} old opportunities`);
       }
 
+      // Drop price snapshots, candles and spreads past their retention
+      await this.services.priceHistory.applyRetention();
+      await this.services.spreadTracker.cleanup();
+
       // Clean up service caches
       this.services.priceFetcher.cleanup();
       this.services.tradeSimulator.cleanupCache();
@@ -562,15 +595,12 @@ class ArbitrageBot {
       const uptimeHours = uptime / (1000 * 60 * 60);
 
       let dbStats = {};
-      
-      // Get database stats if available
-      if (dbConnection.isConnected) {
-        try {
-          const dbStatsResult = await Opportunity.getStats(uptime);
-          dbStats = dbStatsResult[0] || {};
-        } catch (error) {
-          logger.debug('Could not fetch database stats:', error.message);
-        }
+
+      // Get stored opportunity stats
+      try {
+        dbStats = await storage.opportunities.getStats(new Date(Date.now() - uptime)) || {};
+      } catch (error) {
+        logger.debug('Could not fetch storage stats:', error.message);
       }
 
       logger.info('📊 Bot Statistics', {
@@ -625,10 +655,11 @@ class ArbitrageBot {
         await apiServer.stop();
       }
 
-      // Disconnect from database
-      if (dbConnection.isConnected) {
-        await dbConnection.disconnect();
+      // Store the price snapshots still buffered, then close storage
+      if (this.services.priceHistory) {
+        await this.services.priceHistory.flush();
       }
+      await storage.close();
 
       // Clean up RPC manager
       if (this.services.rpc) {
@@ -667,7 +698,7 @@ class ArbitrageBot {
     logger.info(`🏊 Discovered Pools: ${this.services.poolDiscovery.getTotalPools()}`);
     logger.info(`📊 Real-time Prices: ${this.services.priceFetcher.prices.size}`);
     logger.info(`🌐 RPC Providers: ${this.services.rpc.getStats().totalProviders}`);
-    logger.info(`💾 Database: ${dbConnection.isConnected ? 'Connected' : 'Offline'}`);
+    logger.info(`💾 Storage: ${storage.backend}`);
     logger.info('=====================================');
     logger.info('🔥 FETCHING REAL-TIME BLOCKCHAIN DATA...');
     
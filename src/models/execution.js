@@ -0,0 +1,55 @@
+import mongoose from 'mongoose';
+
+// One submission of an opportunity's executor transaction (relay bundle or public broadcast)
+const executionSchema = new mongoose.Schema({
+  // Opportunity the transaction executes
+  opportunityId: {
+    type: String,
+    required: true
+  },
+
+  chainId: {
+    type: Number,
+    required: true
+  },
+
+  // Execution wallet and nonce the transaction was signed with
+  wallet: { type: String, required: false },
+  nonce: { type: Number, required: false },
+
+  // Submission (see BundleSubmitter.submit)
+  mode: { type: String, enum: ['bundle', 'public'], required: true },
+  relay: { type: String, required: false },
+  status: {
+    type: String,
+    required: true,
+    enum: ['pending', 'submitted', 'included', 'reverted', 'simulation_failed', 'expired', 'cancelled', 'failed']
+  },
+  transactionHash: { type: String, required: false },
+  bundleHash: { type: String, required: false },
+  targetBlock: { type: Number, required: false },
+  includedBlock: { type: Number, required: false },
+  attempts: { type: Number, required: false, default: 0 },
+  gasUsed: { type: String, required: false },
+  error: { type: String, required: false },
+
+  // Expected profit (USD) of the opportunity when it was submitted
+  expectedProfitUSD: { type: Number, required: false },
+
+  timestamp: {
+    type: Date,
+    required: true,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for performance
+executionSchema.index({ opportunityId: 1 });
+executionSchema.index({ status: 1, timestamp: -1 });
+executionSchema.index({ chainId: 1, timestamp: -1 });
+
+const Execution = mongoose.model('Execution', executionSchema);
+
+export default Execution;
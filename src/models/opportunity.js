@@ -20,12 +20,12 @@ const opportunitySchema = new mongoose.Schema({
   dexA: {
     type: String,
     required: true,
-    enum: ['UNISWAP', 'SUSHISWAP', 'PANCAKESWAP', 'QUICKSWAP', 'UNISWAP_V3', 'SUSHISWAP_V2']
+    enum: ['UNISWAP', 'SUSHISWAP', 'PANCAKESWAP', 'QUICKSWAP', 'UNISWAP_V3', 'UNISWAP_V2', 'SUSHISWAP_V2', 'SHIBASWAP_V2', 'CURVE_3POOL']
   },
   dexB: {
     type: String,
     required: true,
-    enum: ['UNISWAP', 'SUSHISWAP', 'PANCAKESWAP', 'QUICKSWAP', 'UNISWAP_V3', 'SUSHISWAP_V2']
+    enum: ['UNISWAP', 'SUSHISWAP', 'PANCAKESWAP', 'QUICKSWAP', 'UNISWAP_V3', 'UNISWAP_V2', 'SUSHISWAP_V2', 'SHIBASWAP_V2', 'CURVE_3POOL']
   },
 
   // Token Information
@@ -201,6 +201,30 @@ const opportunitySchema = new mongoose.Schema({
     default: 'detected'
   },
 
+  // When the opportunity entered each status
+  statusTimestamps: {
+    detected: { type: Date, required: false },
+    simulated: { type: Date, required: false },
+    profitable: { type: Date, required: false },
+    unprofitable: { type: Date, required: false },
+    expired: { type: Date, required: false },
+    executed: { type: Date, required: false },
+    failed: { type: Date, required: false }
+  },
+
+  // Status transitions, oldest first (see OpportunityLifecycle)
+  statusHistory: [{
+    _id: false,
+    from: String,
+    to: String,
+    at: Date,
+    reason: String,
+    roundTripRate: String
+  }],
+
+  // Why the opportunity expired
+  expiryReason: { type: String, required: false },
+
   // Simulation results
   simulationResult: {
     success: { type: Boolean, required: false },
@@ -216,16 +240,64 @@ const opportunitySchema = new mongoose.Schema({
     actualProfit: { type: String, required: false },
     gasUsed: { type: String, required: false },
     executionTimestamp: { type: Date, required: false },
-    errorMessage: { type: String, required: false }
+    errorMessage: { type: String, required: false },
+    // ArbitrageExecutor transaction built for the opportunity
+    transaction: {
+      to: { type: String, required: false },
+      data: { type: String, required: false },
+      gasLimit: { type: String, required: false },
+      minProfit: { type: String, required: false }
+    },
+    // Execution wallet and nonce the transaction was signed with
+    wallet: { type: String, required: false },
+    nonce: { type: Number, required: false },
+    // Submission of the signed transaction (relay bundle or public broadcast) and its inclusion
+    submission: {
+      mode: { type: String, enum: ['bundle', 'public'], required: false },
+      relay: { type: String, required: false },
+      status: {
+        type: String,
+        enum: ['pending', 'submitted', 'included', 'reverted', 'simulation_failed', 'expired', 'cancelled', 'failed'],
+        required: false
+      },
+      targetBlock: { type: Number, required: false },
+      bundleHash: { type: String, required: false },
+      includedBlock: { type: Number, required: false },
+      attempts: [{
+        targetBlock: Number,
+        bundleHash: String,
+        simulation: {
+          success: Boolean,
+          gasUsed: String,
+          coinbaseDiff: String,
+          error: String
+        },
+        submittedAt: Date
+      }]
+    }
   },
 
+  // Swap fees per leg, from each pool's fee tier
+  feeBreakdown: [{
+    leg: Number,
+    dex: String,
+    pool: String,
+    feeTier: Number,
+    feePercent: Number,
+    tokenIn: String,
+    feeAmount: String,
+    feeUSD: Number
+  }],
+
   // Triangular arbitrage path (if applicable)
   triangularPath: [{
     dex: String,
     tokenIn: String,
     tokenOut: String,
     pool: String,
-    amount: String
+    feeTier: Number,
+    amount: String,
+    amountOut: String
   }],
 
   // Metadata
@@ -234,7 +306,10 @@ const opportunitySchema = new mongoose.Schema({
     feeTier: { type: Number, required: false },
     slippageTolerance: { type: Number, required: false },
     priceImpact: { type: Number, required: false },
-    blockNumber: { type: Number, required: false }
+    blockNumber: { type: Number, required: false },
+    // Detector's own id of the opportunity and its kind (simple or triangular)
+    detectorId: { type: String, required: false },
+    type: { type: String, required: false }
   }
 }, {
   // Add index for better query performance
@@ -249,6 +324,7 @@ opportunitySchema.index({ dexA: 1, dexB: 1, timestamp: -1 });
 opportunitySchema.index({ tokenIn: 1, tokenOut: 1, timestamp: -1 });
 opportunitySchema.index({ profitPercentage: -1 });
 opportunitySchema.index({ 'expectedProfit': -1 });
+opportunitySchema.index({ 'metadata.chainId': 1, timestamp: -1 });
 
 // Static methods
 opportunitySchema.statics.findProfitableOpportunities = function() {
@@ -267,50 +343,24 @@ opportunitySchema.statics.findByTokenPair = function(tokenIn, tokenOut) {
   }).sort({ timestamp: -1 });
 };
 
-opportunitySchema.statics.getStats = function(timeRange = 24 * 60 * 60 * 1000) {
-  const since = new Date(Date.now() - timeRange);
-
-  return this.aggregate([
-    { $match: { timestamp: { $gte: since } } },
-    {
-      $group: {
-        _id: null,
-        totalOpportunities: { $sum: 1 },
-        profitableOpportunities: {
-          $sum: { $cond: [{ $eq: ['$status', 'profitable'] }, 1, 0] }
-        },
-        executedTrades: {
-          $sum: { $cond: [{ $eq: ['$status', 'executed'] }, 1, 0] }
-        },
-        avgProfitPercentage: { $avg: '$profitPercentage' },
-        maxProfitPercentage: { $max: '$profitPercentage' },
-        totalExpectedProfit: { $sum: '$expectedProfit' }
-      }
-    }
-  ]);
-};
-
 // Instance methods
-opportunitySchema.methods.markAsSimulated = function(simulationResult) {
-  this.status = simulationResult.success ? 'profitable' : 'unprofitable';
-  this.simulationResult = simulationResult;
-  this.simulationTimestamp = new Date();
-  return this.save();
-};
-
-opportunitySchema.methods.markAsExecuted = function(executionResult) {
-  this.status = executionResult.transactionHash ? 'executed' : 'failed';
-  this.executionResult = executionResult;
-  this.executionTimestamp = new Date();
-  return this.save();
-};
-
 opportunitySchema.methods.isExpired = function(maxAgeMinutes = 5) {
   const now = new Date();
   const ageMinutes = (now - this.timestamp) / (1000 * 60);
   return ageMinutes > maxAgeMinutes;
 };
 
+// A new opportunity's history starts with the status it was created in (on validation, which
+// runs before every save and on in-memory inserts)
+opportunitySchema.pre('validate', function(next) {
+  if (this.isNew && this.statusHistory.length === 0) {
+    const at = this.timestamp || new Date();
+    this.statusHistory.push({ from: null, to: this.status, at });
+    this.set(`statusTimestamps.${this.status}`, at);
+  }
+  next();
+});
+
 // Virtual fields
 opportunitySchema.virtual('isProfitable').get(function() {
   return this.status === 'profitable' && parseFloat(this.expectedProfit) > 0;
@@ -0,0 +1,70 @@
+import mongoose from 'mongoose';
+
+// Open, high, low and close price of a pool over one interval, rolled up from price snapshots
+const priceCandleSchema = new mongoose.Schema({
+  // `${chainId}:${pool}:${interval}:${start ms}`
+  id: {
+    type: String,
+    required: true,
+    unique: true,
+    index: true
+  },
+  chainId: {
+    type: Number,
+    required: true
+  },
+
+  // Pool information
+  dex: {
+    type: String,
+    required: true
+  },
+  pool: {
+    type: String,
+    required: true
+  },
+  feeTier: { type: Number, required: false },
+
+  // Pair, with prices quoted as tokenB per tokenA
+  tokenA: {
+    type: String,
+    required: true
+  },
+  tokenB: {
+    type: String,
+    required: true
+  },
+
+  interval: {
+    type: String,
+    required: true,
+    enum: ['1m', '5m', '1h']
+  },
+  start: {
+    type: Date,
+    required: true
+  },
+
+  open: { type: String, required: true },
+  high: { type: String, required: true },
+  low: { type: String, required: true },
+  close: { type: String, required: true },
+
+  // Number of snapshots the candle was built from
+  count: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  startBlock: { type: Number, required: false },
+  endBlock: { type: Number, required: false }
+});
+
+// Indexes for performance
+priceCandleSchema.index({ interval: 1, pool: 1, start: -1 });
+priceCandleSchema.index({ interval: 1, chainId: 1, tokenA: 1, tokenB: 1, start: -1 });
+priceCandleSchema.index({ interval: 1, start: 1 });
+
+const PriceCandle = mongoose.model('PriceCandle', priceCandleSchema);
+
+export default PriceCandle;
@@ -0,0 +1,51 @@
+import mongoose from 'mongoose';
+
+// Price of a pool at a point in time, as fetched by the price fetcher
+const priceSnapshotSchema = new mongoose.Schema({
+  chainId: {
+    type: Number,
+    required: true
+  },
+
+  // Pool information
+  dex: {
+    type: String,
+    required: true
+  },
+  pool: {
+    type: String,
+    required: true
+  },
+  feeTier: { type: Number, required: false },
+
+  // Pair, with the price quoted as tokenB per tokenA
+  tokenA: {
+    type: String,
+    required: true
+  },
+  tokenB: {
+    type: String,
+    required: true
+  },
+  price: {
+    type: String,
+    required: true
+  },
+  liquidity: { type: String, required: false },
+
+  blockNumber: { type: Number, required: false },
+  timestamp: {
+    type: Date,
+    required: true,
+    default: Date.now
+  }
+});
+
+// Indexes for performance
+priceSnapshotSchema.index({ pool: 1, timestamp: -1 });
+priceSnapshotSchema.index({ chainId: 1, tokenA: 1, tokenB: 1, timestamp: -1 });
+priceSnapshotSchema.index({ timestamp: 1 });
+
+const PriceSnapshot = mongoose.model('PriceSnapshot', priceSnapshotSchema);
+
+export default PriceSnapshot;
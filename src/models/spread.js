@@ -0,0 +1,62 @@
+import mongoose from 'mongoose';
+
+// Spread of a pair between its dearest and cheapest venue (DEX and fee tier) at one block
+const spreadSchema = new mongoose.Schema({
+  chainId: {
+    type: Number,
+    required: true
+  },
+
+  // Pair, with prices quoted as tokenB per tokenA
+  tokenA: {
+    type: String,
+    required: true
+  },
+  tokenB: {
+    type: String,
+    required: true
+  },
+
+  blockNumber: {
+    type: Number,
+    required: true
+  },
+  timestamp: {
+    type: Date,
+    required: true,
+    default: Date.now
+  },
+
+  // Dearest venue (A) and cheapest venue (B)
+  dexA: { type: String, required: true },
+  feeTierA: { type: Number, required: false },
+  poolA: { type: String, required: false },
+  priceA: { type: String, required: true },
+  dexB: { type: String, required: true },
+  feeTierB: { type: Number, required: false },
+  poolB: { type: String, required: false },
+  priceB: { type: String, required: true },
+
+  // (priceA - priceB) / priceB, in percent
+  spreadPercentage: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  venues: { type: Number, required: true },
+
+  // Break-even of a round trip through both venues: pool fees plus gas at the default trade size,
+  // in percent (gas unknown when no native token price was available)
+  feePercentage: { type: Number, required: true },
+  gasCostUSD: { type: Number, required: false },
+  breakEvenPercentage: { type: Number, required: false },
+  exceedsBreakEven: { type: Boolean, required: false }
+});
+
+// Indexes for performance
+spreadSchema.index({ chainId: 1, tokenA: 1, tokenB: 1, blockNumber: 1 }, { unique: true });
+spreadSchema.index({ timestamp: 1 });
+
+const Spread = mongoose.model('Spread', spreadSchema);
+
+export default Spread;
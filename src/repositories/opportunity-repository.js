@@ -0,0 +1,213 @@
+import crypto from 'crypto';
+import storage from '../storage/index.js';
+import tokenRegistry from '../config/token-registry.js';
+import rpcManager from '../services/rpc-manager.js';
+import gasCostService from '../services/gas-cost.js';
+import priceNormalizer from '../utils/price-normalizer.js';
+import HelperUtils from '../utils/helpers.js';
+import { GAS_LIMITS } from '../config/constants.js';
+import { logger, logError } from '../utils/logger.js';
+
+// Number of a BigNumber, bigint or numeric string field (0 when missing)
+const toNumber = (value) => parseFloat(value?.toString() ?? '0') || 0;
+
+// Persistence of detected opportunities. Detector output ({ type, chainId, tokenA, tokenB,
+// buyDex, sellDex, poolA, poolB, legs, triangularPath, ... } with USD profits and fees) is mapped to
+// the Opportunity schema here only. A simple round trip is traded in tokenB: tokenB → tokenA on
+// buyDex, then tokenA → tokenB on sellDex, so documents run tokenIn → tokenOut on dexA. Documents
+// are keyed on a content hash of the route (chain, pools and swap direction) and its block, so the
+// same opportunity seen twice is stored once.
+class OpportunityRepository {
+  // Swap legs of detector output ({ dex, pool, tokenIn, tokenOut } with token symbols), in route order
+  getLegs(opportunity) {
+    if (opportunity.triangularPath && opportunity.triangularPath.length > 0) {
+      return opportunity.triangularPath.map(step => ({
+        dex: step.dex,
+        pool: step.pool,
+        tokenIn: step.tokenIn || step.token,
+        tokenOut: step.tokenOut || step.toToken
+      }));
+    }
+
+    if (opportunity.legs && opportunity.legs.length > 0) {
+      return opportunity.legs.map(leg => ({
+        dex: leg.dex,
+        pool: leg.pool,
+        tokenIn: leg.tokenIn,
+        tokenOut: leg.tokenOut
+      }));
+    }
+
+    return [
+      { dex: opportunity.buyDex, pool: opportunity.poolA?.address, tokenIn: opportunity.tokenB, tokenOut: opportunity.tokenA },
+      { dex: opportunity.sellDex, pool: opportunity.poolB?.address, tokenIn: opportunity.tokenA, tokenOut: opportunity.tokenB }
+    ];
+  }
+
+  // USD value of a pool's reserves at current USD prices (0 when the pool state has no reserves,
+  // as for concentrated liquidity pools, or a token price is unknown)
+  getLiquidityUSD(pool, chainId) {
+    const state = pool?.state;
+    if (state?.reserve0 == null || state?.reserve1 == null) {
+      return 0;
+    }
+
+    let total = new HelperUtils.BigNumber(0);
+    for (const [address, reserve] of [[state.token0, state.reserve0], [state.token1, state.reserve1]]) {
+      const token = tokenRegistry.getTokenByAddress(address, chainId);
+      const usdPrice = token ? priceNormalizer.getUsdPrice(token.symbol) : 0;
+      if (!usdPrice) {
+        return 0;
+      }
+      total = total.plus(HelperUtils.formatTokenAmount(reserve.toString(), token.decimals).multipliedBy(usdPrice));
+    }
+    return total.toNumber();
+  }
+
+  // Block the opportunity was priced at, when the detector recorded it
+  getBlockNumber(opportunity) {
+    return opportunity.blockNumber ?? opportunity.metadata?.blockNumber ?? (opportunity.poolA?.blockNumber || null);
+  }
+
+  // Content hash of an opportunity: chain, block and each leg's pool and direction
+  getContentHash(opportunity, blockNumber = this.getBlockNumber(opportunity)) {
+    const chainId = opportunity.chainId ?? 1;
+    const legs = this.getLegs(opportunity).map(leg =>
+      `${leg.dex}:${(leg.pool || '').toLowerCase()}:${leg.tokenIn}>${leg.tokenOut}`
+    );
+    return crypto.createHash('sha256')
+      .update([chainId, blockNumber ?? 0, ...legs].join('|'))
+      .digest('hex');
+  }
+
+  // Opportunity document fields of detector output priced at a block. `gasPrice` (wei) is used when
+  // the detector did not record one.
+  toDocument(opportunity, { blockNumber = this.getBlockNumber(opportunity) ?? 0, gasPrice = '0', detectedAt = new Date() } = {}) {
+    const chainId = opportunity.chainId ?? 1;
+    const tokenAddress = (symbol) => tokenRegistry.getToken(symbol, chainId)?.address || symbol;
+    const legs = this.getLegs(opportunity);
+    const [firstLeg, lastLeg] = [legs[0], legs[legs.length - 1]];
+    const poolId = (leg) => leg.pool || `pool_${leg.dex}_${opportunity.tokenA}_${opportunity.tokenB}`;
+
+    // Profits and fees from the detector are in USD; expected profit is net of gas, and swap
+    // fees are already deducted inside the priced swap outputs
+    const expectedProfitUSD = toNumber(opportunity.expectedProfit);
+    const gasCostUSD = toNumber(opportunity.gasCost);
+    const swapFeesUSD = toNumber(opportunity.swapFees);
+
+    const document = {
+      id: this.getContentHash(opportunity, blockNumber),
+      timestamp: new Date(opportunity.timestamp || detectedAt),
+
+      dexA: firstLeg.dex,
+      dexB: lastLeg.dex,
+      tokenIn: tokenAddress(firstLeg.tokenIn),
+      tokenOut: tokenAddress(firstLeg.tokenOut),
+      tokenInSymbol: firstLeg.tokenIn,
+      tokenOutSymbol: firstLeg.tokenOut,
+
+      // Raw amounts of the traded token
+      amountIn: (opportunity.amountIn ?? '0').toString(),
+      amountOutExpected: (opportunity.amountOut ?? '0').toString(),
+      tradeSizeUSD: toNumber(opportunity.tradeAmount),
+
+      priceA: opportunity.buyPrice?.toString() ?? '0',
+      priceB: opportunity.sellPrice?.toString() ?? '0',
+      priceDifference: toNumber(opportunity.priceDifference),
+
+      expectedProfit: opportunity.expectedProfit?.toString() ?? '0',
+      expectedProfitUSD,
+      grossProfitUSD: toNumber(opportunity.grossProfit) || expectedProfitUSD + gasCostUSD,
+      netProfitUSD: expectedProfitUSD,
+      profitAfterFeesUSD: expectedProfitUSD,
+      profitPercentage: toNumber(opportunity.priceDifferencePercent),
+
+      gasEstimate: (opportunity.gasLimit ?? GAS_LIMITS.SIMPLE_ARBITRAGE).toString(),
+      gasPrice: (opportunity.gasPrice ?? gasPrice).toString(),
+      gasCostUSD,
+      swapFees: opportunity.swapFees?.toString() ?? '0',
+      swapFeesUSD,
+      totalFees: opportunity.totalFees?.toString() ?? '0',
+      totalFeesUSD: gasCostUSD + swapFeesUSD,
+      feeBreakdown: opportunity.feeBreakdown || [],
+
+      poolA: poolId(firstLeg),
+      poolB: poolId(lastLeg),
+      liquidityA: (opportunity.poolA?.liquidity ?? '0').toString(),
+      liquidityB: (opportunity.poolB?.liquidity ?? '0').toString(),
+      liquidityAUSD: this.getLiquidityUSD(opportunity.poolA, chainId),
+      liquidityBUSD: this.getLiquidityUSD(opportunity.poolB, chainId),
+
+      blockNumber,
+      blockTimestamp: detectedAt,
+      status: 'detected',
+      metadata: {
+        chainId,
+        feeTier: opportunity.metadata?.feeTier ?? 3000,
+        slippageTolerance: opportunity.metadata?.slippageTolerance ?? 0.5,
+        priceImpact: Math.min(toNumber(opportunity.priceDifferencePercent), 5.0),
+        blockNumber,
+        detectorId: opportunity.id,
+        type: opportunity.type || (legs.length > 2 ? 'triangular' : 'simple')
+      }
+    };
+
+    if (opportunity.triangularPath && opportunity.triangularPath.length > 0) {
+      document.triangularPath = opportunity.triangularPath.map((step, k) => ({
+        dex: legs[k].dex,
+        tokenIn: tokenAddress(legs[k].tokenIn),
+        tokenOut: tokenAddress(legs[k].tokenOut),
+        pool: legs[k].pool,
+        feeTier: step.feeTier,
+        amount: step.amount?.toString() ?? '0',
+        amountOut: step.amountOut?.toString()
+      }));
+    }
+
+    return document;
+  }
+
+  // Store detector output once. Returns { opportunity, created }: the stored document and whether
+  // this call created it.
+  async save(opportunity) {
+    const chainId = opportunity.chainId ?? 1;
+    const blockNumber = this.getBlockNumber(opportunity) ?? await rpcManager.getBlockNumber(chainId).catch(() => 0);
+    const gasPrice = opportunity.gasPrice == null
+      ? gasCostService.getEffectiveGasPrice(await gasCostService.getFeeData(chainId)).toString()
+      : opportunity.gasPrice.toString();
+    const fields = this.toDocument(opportunity, { blockNumber, gasPrice });
+
+    const existing = await storage.opportunities.findById(fields.id);
+    if (existing) {
+      return { opportunity: existing, created: false };
+    }
+
+    try {
+      const document = await storage.opportunities.insert(fields);
+      logger.info(`💾 Opportunity saved: ${fields.tokenInSymbol}/${fields.tokenOutSymbol} ${fields.dexA} → ${fields.dexB}`, {
+        id: fields.id,
+        expectedProfitUSD: fields.expectedProfitUSD.toFixed(2),
+        blockNumber: fields.blockNumber
+      });
+      return { opportunity: document, created: true };
+
+    } catch (error) {
+      // Saved concurrently under the same content hash
+      if (error.code === 11000) {
+        return { opportunity: await storage.opportunities.findById(fields.id), created: false };
+      }
+      logError(error, { context: 'OpportunityRepository.save', opportunityId: opportunity.id });
+      throw error;
+    }
+  }
+
+  // Stored opportunity by id
+  async findById(id) {
+    return storage.opportunities.findById(id);
+  }
+}
+
+// Create singleton instance
+const opportunityRepository = new OpportunityRepository();
+
+export default opportunityRepository;
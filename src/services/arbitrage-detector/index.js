@@ -1,9 +1,14 @@
 import priceFetcher from '../price-fetcher/index.js';
-import { SUPPORTED_TOKENS, TOKEN_PAIRS, ARBITRAGE_CONFIG, FEE_TIERS } from '../../config/constants.js';
+import { ARBITRAGE_CONFIG, INTERVALS } from '../../config/constants.js';
+import tokenRegistry from '../../config/token-registry.js';
 import { logArbitrageOpportunity, logError, logger } from '../../utils/logger.js';
 import HelperUtils from '../../utils/helpers.js';
+import gasCostService from '../gas-cost.js';
 import rpcManager from '../rpc-manager.js';
 import priceNormalizer from '../../utils/price-normalizer.js';
+import dexAdapterRegistry from '../dex-adapters/index.js';
+import PoolGraph from './pool-graph.js';
+import { getPoolFeeTier } from '../../config/dex-config.js';
 
 class ArbitrageDetector {
   constructor() {
@@ -12,10 +17,17 @@ class ArbitrageDetector {
     this.scanInterval = null;
     this.lastScan = null;
     this.subscribers = new Set();
+    // 'interval' scans every SCAN_INTERVAL_MS; 'block' scans once per new block with every pool read at that block
+    this.scanMode = process.env.SCAN_MODE === 'block' ? 'block' : 'interval';
+    this.blockWatcher = null;
+    this.lastScannedBlocks = new Map(); // chainId -> block number
+    this.scanningChains = new Set();
     this.stats = {
       totalScans: 0,
       opportunitiesFound: 0,
-      profitableOpportunities: 0
+      profitableOpportunities: 0,
+      mixedBlockRejections: 0,
+      gasEstimateRejections: 0
     };
   }
 
@@ -49,13 +61,17 @@ class ArbitrageDetector {
       return;
     }
 
-    logger.info('🔍 Starting arbitrage detection loop...');
-    
-    // Run initial scan
-    await this.scanForOpportunities();
-    
-    // Start continuous scanning
-    this.start(process.env.SCAN_INTERVAL_MS || 10000);
+    logger.info(`🔍 Starting arbitrage detection loop (${this.scanMode} mode)...`);
+
+    if (this.scanMode === 'block') {
+      this.startBlockScanning();
+    } else {
+      // Run initial scan
+      await this.scanForOpportunities();
+
+      // Start continuous scanning
+      this.start(process.env.SCAN_INTERVAL_MS || 10000);
+    }
     
     logger.info('✅ Arbitrage detection started successfully');
   }
@@ -79,6 +95,45 @@ class ArbitrageDetector {
     logger.info(`Arbitrage detector started with ${intervalMs}ms interval`);
   }
 
+  // Start block-pinned scanning: each new block of a chain triggers one scan of that chain,
+  // with every pool state re-read at that block
+  startBlockScanning() {
+    if (this.isRunning) {
+      logger.warn('Arbitrage detector is already running');
+      return;
+    }
+
+    this.isRunning = true;
+    this.blockWatcher = setInterval(async () => {
+      for (const chainId of rpcManager.getChainIds()) {
+        if (this.scanningChains.has(chainId)) continue;
+
+        try {
+          const blockNumber = await rpcManager.getBlockNumber(chainId);
+          if (blockNumber > (this.lastScannedBlocks.get(chainId) ?? 0)) {
+            await this.scanBlock(chainId, blockNumber);
+          }
+        } catch (error) {
+          logError(error, { context: 'ArbitrageDetector.blockWatcher', chainId });
+        }
+      }
+    }, INTERVALS.LOG_POLL);
+
+    logger.info(`Arbitrage detector started in block mode (polling new blocks every ${INTERVALS.LOG_POLL}ms)`);
+  }
+
+  // Read every pool of a chain at a block, then scan the chain against that block only
+  async scanBlock(chainId, blockNumber) {
+    this.scanningChains.add(chainId);
+    try {
+      await priceFetcher.updateChainPrices(chainId, blockNumber);
+      await this.scanForOpportunities({ chainIds: [chainId], blockNumber });
+      this.lastScannedBlocks.set(chainId, blockNumber);
+    } finally {
+      this.scanningChains.delete(chainId);
+    }
+  }
+
   // Stop arbitrage scanning
   stop() {
     if (!this.isRunning) {
@@ -90,33 +145,40 @@ class ArbitrageDetector {
       clearInterval(this.scanInterval);
       this.scanInterval = null;
     }
+    if (this.blockWatcher) {
+      clearInterval(this.blockWatcher);
+      this.blockWatcher = null;
+    }
 
     logger.info('Arbitrage detector stopped');
   }
 
-  // Scan for arbitrage opportunities
-  async scanForOpportunities() {
+  // Scan for arbitrage opportunities.
+  // With a blockNumber the scan is pinned: only pool states read at that block are compared.
+  async scanForOpportunities({ chainIds = rpcManager.getChainIds(), blockNumber = null } = {}) {
     try {
       this.stats.totalScans++;
       const newOpportunities = [];
 
-      logger.info(`🔍 Scanning for arbitrage opportunities (scan #${this.stats.totalScans})`);
-      
-      // Scan simple arbitrage opportunities
-      for (const [tokenA, tokenB] of TOKEN_PAIRS) {
-        logger.info(`🔍 Checking ${tokenA}/${tokenB} for arbitrage opportunities...`);
-        const opportunity = await this.detectSimpleArbitrage(tokenA, tokenB);
-        if (opportunity) {
-          logger.info(`✅ Found opportunity: ${tokenA}/${tokenB} - $${parseFloat(opportunity.expectedProfit.toString()).toFixed(2)} profit`);
-          newOpportunities.push(opportunity);
-        } else {
-          logger.info(`❌ No opportunity found for ${tokenA}/${tokenB}`);
+      logger.info(`🔍 Scanning for arbitrage opportunities (scan #${this.stats.totalScans}${blockNumber !== null ? `, block ${blockNumber}` : ''})`);
+
+      for (const chainId of chainIds) {
+        // Scan simple arbitrage opportunities
+        for (const [tokenA, tokenB] of tokenRegistry.getActivePairs(chainId)) {
+          logger.info(`🔍 Checking ${tokenA}/${tokenB} on chain ${chainId} for arbitrage opportunities...`);
+          const opportunity = await this.detectSimpleArbitrage(tokenA, tokenB, ARBITRAGE_CONFIG.DEFAULT_TRADE_SIZE_USD, chainId, blockNumber);
+          if (opportunity) {
+            logger.info(`✅ Found opportunity: ${tokenA}/${tokenB} - $${parseFloat(opportunity.expectedProfit.toString()).toFixed(2)} profit`);
+            newOpportunities.push(opportunity);
+          } else {
+            logger.info(`❌ No opportunity found for ${tokenA}/${tokenB}`);
+          }
         }
-      }
 
-      // Scan triangular arbitrage opportunities
-      const triangularOpportunities = await this.detectTriangularArbitrage();
-      newOpportunities.push(...triangularOpportunities);
+        // Scan triangular arbitrage opportunities
+        const triangularOpportunities = await this.detectTriangularArbitrage(ARBITRAGE_CONFIG.DEFAULT_TRADE_SIZE_USD, chainId, blockNumber);
+        newOpportunities.push(...triangularOpportunities);
+      }
 
       // Filter by minimum profit threshold
       const minProfitUSD = parseFloat(process.env.MIN_PROFIT_USD) || 1;
@@ -133,14 +195,12 @@ class ArbitrageDetector {
 
         logger.info(`💰 ARBITRAGE OPPORTUNITY FOUND!`);
         logger.info(`   Type: ${opp.type}`);
+        logger.info(`   Chain: ${opp.chainId}`);
         logger.info(`   Pair: ${opp.tokenA}/${opp.tokenB}`);
         logger.info(`   Expected Profit: $${parseFloat(opp.expectedProfit.toString()).toFixed(2)}`);
         logger.info(`   Buy DEX: ${opp.buyDex || 'N/A'}`);
         logger.info(`   Sell DEX: ${opp.sellDex || 'N/A'}`);
 
-        // Save to database
-        await this.saveOpportunityToDatabase(opp);
-
         logArbitrageOpportunity(opp);
         this.notifySubscribers(opp);
       }
@@ -162,17 +222,22 @@ class ArbitrageDetector {
     }
   }
 
-  // Detect simple arbitrage opportunities between two DEXs OR different fee tiers
-  async detectSimpleArbitrage(tokenA, tokenB) {
+  // Detect simple arbitrage opportunities between two DEXs OR different fee tiers.
+  // Every ordered pool pair is priced with exact swap math: buy tokenA with tokenB on one pool,
+  // sell it back for tokenB on the other, and keep the pair that returns the most tokenB.
+  // In a block-pinned scan, prices read at any other block are rejected.
+  async detectSimpleArbitrage(tokenA, tokenB, tradeAmountUSD = ARBITRAGE_CONFIG.DEFAULT_TRADE_SIZE_USD, chainId = 1, blockNumber = null) {
     try {
       // Get all price data from price fetcher
       const allPrices = priceFetcher.getAllPricesMap();
       const relevantPrices = [];
       
-      // Find all prices for this token pair (including different fee tiers)
-      for (const [key, priceData] of allPrices) {
+      // Find all prices for this token pair on the chain (including different fee tiers)
+      for (const priceData of allPrices.values()) {
+        if (!priceData.poolState || priceData.chainId !== chainId) continue;
         if ((priceData.tokenA === tokenA && priceData.tokenB === tokenB) ||
             (priceData.tokenA === tokenB && priceData.tokenB === tokenA)) {
+          if (!this.isAtBlock(priceData.blockNumber, blockNumber)) continue;
           relevantPrices.push(priceData);
         }
       }
@@ -190,144 +255,162 @@ class ArbitrageDetector {
         return null;
       }
 
-      // Find best buy and sell prices from all available pools
-      let bestBuy = null;
-      let bestSell = null;
-
-      for (const priceData of relevantPrices) {
-        if (!priceData || !priceData.price) continue;
-
-        // Ensure price is a BigNumber
-        const price = HelperUtils.BigNumber.isBigNumber(priceData.price) 
-          ? priceData.price 
-          : new HelperUtils.BigNumber(priceData.price.toString());
-
-        if (price.isZero()) continue;
-
-        // Normalize token order (A/B vs B/A)
-        let normalizedPrice = price;
-        let normalizedTokenA = priceData.tokenA;
-        let normalizedTokenB = priceData.tokenB;
-        
-        if (priceData.tokenA !== tokenA) {
-          // Price is inverted, flip it
-          normalizedPrice = new HelperUtils.BigNumber(1).dividedBy(price);
-          normalizedTokenA = priceData.tokenB;
-          normalizedTokenB = priceData.tokenA;
-        }
-
-        const poolId = `${priceData.dex}_${normalizedTokenA}_${normalizedTokenB}_${priceData.feeTier || 3000}`;
-
-        if (!bestBuy || normalizedPrice.lt(bestBuy.price)) {
-          bestBuy = { 
-            ...priceData, 
-            price: normalizedPrice, 
-            action: 'buy',
-            poolId,
-            tokenA: normalizedTokenA,
-            tokenB: normalizedTokenB
-          };
-        }
-        if (!bestSell || normalizedPrice.gt(bestSell.price)) {
-          bestSell = { 
-            ...priceData, 
-            price: normalizedPrice, 
-            action: 'sell',
-            poolId,
-            tokenA: normalizedTokenA,
-            tokenB: normalizedTokenB
-          };
-        }
-      }
+      const tokenAInfo = tokenRegistry.getToken(tokenA, chainId);
+      const tokenBInfo = tokenRegistry.getToken(tokenB, chainId);
+      const tokenBUsdPrice = priceNormalizer.getUsdPrice(tokenB);
 
-      if (!bestBuy || !bestSell || bestBuy.poolId === bestSell.poolId) {
-        logger.debug(`No arbitrage for ${tokenA}/${tokenB}: same pool or insufficient price points`);
+      if (!tokenAInfo || !tokenBInfo || !tokenBUsdPrice) {
+        logger.debug(`No arbitrage for ${tokenA}/${tokenB}: missing token info or USD price`);
         return null;
       }
 
-      const priceDifference = bestSell.price.minus(bestBuy.price);
-      const priceDifferencePercent = priceDifference.dividedBy(bestBuy.price).multipliedBy(100);
+      // The round trip starts and ends in tokenB, so the trade is sized in tokenB
+      const amountIn = BigInt(
+        HelperUtils.parseTokenAmount(tradeAmountUSD / tokenBUsdPrice, tokenBInfo.decimals).toFixed(0)
+      );
 
-      if (priceDifferencePercent.lt(0.5)) { // Minimum 0.5% price difference
-        return null;
-      }
+      let best = null;
+      for (const buyEntry of relevantPrices) {
+        for (const sellEntry of relevantPrices) {
+          if (buyEntry === sellEntry) continue;
 
-      // Calculate potential profit for a sample trade amount using proper price normalization
-      const tradeAmountUSD = 1000; // $1000 worth
-      
-      // Use price normalizer for accurate calculations
-      const arbitrageCalc = priceNormalizer.calculateArbitrageOpportunity(
-        tokenA, 
-        tokenB, 
-        parseFloat(bestBuy.price.toString()), 
-        parseFloat(bestSell.price.toString()),
-        tradeAmountUSD
-      );
+          const route = this.priceRoundTrip(buyEntry, sellEntry, tokenAInfo, tokenBInfo, amountIn);
+          if (route && (!best || route.amountOut > best.amountOut)) {
+            best = { buyEntry, sellEntry, ...route };
+          }
+        }
+      }
 
-      if (!arbitrageCalc || !arbitrageCalc.profitable) {
-        logger.debug(`Arbitrage not profitable for ${tokenA}/${tokenB} after normalization`);
+      if (!best || best.amountOut <= amountIn) {
+        logger.debug(`No arbitrage for ${tokenA}/${tokenB}: no pool pair returns more than it costs`);
         return null;
       }
 
-      // Calculate fees
-      const tradeAmount = new HelperUtils.BigNumber(tradeAmountUSD);
-      const swapFees = this.calculateSwapFees(tradeAmount, bestBuy.dex, bestSell.dex);
-      const estimatedGasCost = await this.estimateGasCost(bestBuy.dex, bestSell.dex);
+      const { buyEntry, sellEntry, amountOut, amountIntermediate } = best;
+      const toUsd = (rawAmount) => HelperUtils.formatTokenAmount(rawAmount.toString(), tokenBInfo.decimals)
+        .multipliedBy(tokenBUsdPrice);
+
+      // Swap fees are already deducted inside the exact output amounts; they are reported for reference
+      const tradeAmount = toUsd(amountIn);
+      const expectedOutput = toUsd(amountOut);
+      const grossProfit = expectedOutput.minus(tradeAmount);
+      const legs = [
+        {
+          dex: buyEntry.dex,
+          pool: buyEntry.poolState.address,
+          feeTier: getPoolFeeTier(buyEntry.dex, buyEntry.feeTier),
+          tokenIn: tokenB,
+          tokenOut: tokenA,
+          amountIn: amountIn.toString(),
+          amountOut: amountIntermediate.toString()
+        },
+        {
+          dex: sellEntry.dex,
+          pool: sellEntry.poolState.address,
+          feeTier: getPoolFeeTier(sellEntry.dex, sellEntry.feeTier),
+          tokenIn: tokenA,
+          tokenOut: tokenB,
+          amountIn: amountIntermediate.toString(),
+          amountOut: amountOut.toString()
+        }
+      ];
+      const feeBreakdown = this.calculateLegFees(legs, chainId);
+      const swapFees = this.calculateSwapFees(feeBreakdown);
+      const gasEstimate = await this.estimateRouteGasCost(legs, chainId);
+      if (!gasEstimate) {
+        return null;
+      }
+      const estimatedGasCost = gasEstimate.gasCostUSD;
       const totalFees = swapFees.plus(estimatedGasCost);
-
-      // Use normalized profit calculation
-      const grossProfit = new HelperUtils.BigNumber(arbitrageCalc.profitUSD);
-      const expectedOutput = tradeAmount.plus(grossProfit);
-      const expectedProfit = grossProfit.minus(parseFloat(totalFees.toString()));
+      const expectedProfit = grossProfit.minus(estimatedGasCost);
 
       if (!HelperUtils.meetsProfitThreshold(expectedProfit, ARBITRAGE_CONFIG.MIN_PROFIT_THRESHOLD_USD)) {
         return null;
       }
 
+      // Execution prices (tokenB per tokenA) actually achieved at this size
+      const amountAHuman = HelperUtils.formatTokenAmount(amountIntermediate.toString(), tokenAInfo.decimals);
+      const buyPrice = HelperUtils.formatTokenAmount(amountIn.toString(), tokenBInfo.decimals).dividedBy(amountAHuman);
+      const sellPrice = HelperUtils.formatTokenAmount(amountOut.toString(), tokenBInfo.decimals).dividedBy(amountAHuman);
+      const priceDifference = sellPrice.minus(buyPrice);
+      const priceDifferencePercent = priceDifference.dividedBy(buyPrice).multipliedBy(100);
+
+      // Price impact of the buy leg relative to the pool's spot price
+      const spotBuyPrice = buyEntry.tokenA === tokenA
+        ? new HelperUtils.BigNumber(buyEntry.price.toString())
+        : new HelperUtils.BigNumber(1).dividedBy(buyEntry.price.toString());
+      const priceImpact = buyPrice.dividedBy(spotBuyPrice).minus(1).multipliedBy(100);
+
+      const opportunityBlock = blockNumber ?? this.getLatestBlock([buyEntry.blockNumber, sellEntry.blockNumber]);
+
+      const buyPoolId = `${buyEntry.dex}_${tokenA}_${tokenB}_${buyEntry.feeTier || 3000}`;
+      const sellPoolId = `${sellEntry.dex}_${tokenA}_${tokenB}_${sellEntry.feeTier || 3000}`;
+
       return {
         id: HelperUtils.generateId(),
         type: 'simple',
+        chainId,
         tokenA,
         tokenB,
-        buyDex: bestBuy.poolId.split('_')[0],
-        sellDex: bestSell.poolId.split('_')[0],
-        buyPool: bestBuy.poolId,
-        sellPool: bestSell.poolId,
-        buyPrice: bestBuy.price,
-        sellPrice: bestSell.price,
-        priceDifference: new HelperUtils.BigNumber(arbitrageCalc.priceDifference),
-        priceDifferencePercent: new HelperUtils.BigNumber(arbitrageCalc.priceDifferencePercent),
+        buyDex: buyEntry.dex,
+        sellDex: sellEntry.dex,
+        buyPool: buyPoolId,
+        sellPool: sellPoolId,
+        buyPrice,
+        sellPrice,
+        priceDifference,
+        priceDifferencePercent,
         tradeAmount,
+        tradeToken: tokenB,
+        amountIn: amountIn.toString(),
+        amountOut: amountOut.toString(),
         expectedOutput,
+        grossProfit,
         expectedProfit,
         swapFees,
         gasCost: estimatedGasCost,
+        gasLimit: gasEstimate.gasLimit,
+        gasPrice: gasEstimate.effectiveGasPrice,
         totalFees,
-        
+        legs,
+        feeBreakdown,
+        blockNumber: opportunityBlock,
+
         // Add normalized price information
         normalizedPrices: {
           buyPriceUSD: priceNormalizer.getUsdPrice(tokenA),
           sellPriceUSD: priceNormalizer.getUsdPrice(tokenB),
-          explanation: arbitrageCalc.explanation
+          explanation: {
+            action: `Buy ${amountAHuman.toFixed(6)} ${tokenA} on ${buyEntry.dex} (${buyEntry.feeTier}) at ${buyPrice.toFixed(8)} ${tokenB}/${tokenA}`,
+            action2: `Sell ${amountAHuman.toFixed(6)} ${tokenA} on ${sellEntry.dex} (${sellEntry.feeTier}) at ${sellPrice.toFixed(8)} ${tokenB}/${tokenA}`,
+            profit: `Net profit: $${expectedProfit.toFixed(2)} on a $${tradeAmount.toFixed(2)} trade (gas $${estimatedGasCost.toFixed(2)})`
+          }
         },
         poolA: { 
-          address: bestBuy.poolAddress || `pool_${bestBuy.dex}_${tokenA}_${tokenB}`,
-          liquidity: bestBuy.liquidity || '1000000000000000000000',
-          blockNumber: bestBuy.blockNumber || 0
+          address: buyEntry.poolState.address,
+          dex: buyEntry.dex,
+          feeTier: buyEntry.feeTier,
+          liquidity: buyEntry.liquidity || '1000000000000000000000',
+          blockNumber: buyEntry.blockNumber || 0,
+          state: buyEntry.poolState
         },
         poolB: { 
-          address: bestSell.poolAddress || `pool_${bestSell.dex}_${tokenA}_${tokenB}`,
-          liquidity: bestSell.liquidity || '1000000000000000000000',
-          blockNumber: bestSell.blockNumber || 0
+          address: sellEntry.poolState.address,
+          dex: sellEntry.dex,
+          feeTier: sellEntry.feeTier,
+          liquidity: sellEntry.liquidity || '1000000000000000000000',
+          blockNumber: sellEntry.blockNumber || 0,
+          state: sellEntry.poolState
         },
         timestamp: Date.now(),
         status: 'detected',
         // Additional metadata for database
         metadata: {
-          chainId: 1,
-          feeTier: 3000,
+          chainId,
+          feeTier: buyEntry.feeTier || 3000,
           slippageTolerance: 0.5,
-          priceImpact: Math.min(parseFloat(priceDifferencePercent.toString()), 2.0)
+          priceImpact: parseFloat(priceImpact.abs().toFixed(4)),
+          blockNumber: opportunityBlock
         }
       };
 
@@ -335,28 +418,47 @@ class ArbitrageDetector {
       logError(error, {
         tokenA,
         tokenB,
+        chainId,
         context: 'ArbitrageDetector.detectSimpleArbitrage'
       });
       return null;
     }
   }
 
-  // Detect triangular arbitrage opportunities
-  async detectTriangularArbitrage() {
+  // Price a tokenB -> tokenA -> tokenB round trip through two price entries' pool states,
+  // using each DEX adapter's exact swap math. Null when a pool state does not cover the swap.
+  priceRoundTrip(buyEntry, sellEntry, tokenAInfo, tokenBInfo, amountIn) {
+    const amountIntermediate = dexAdapterRegistry.getAmountOut(buyEntry.dex, buyEntry.poolState, tokenBInfo.address, amountIn);
+    const amountOut = amountIntermediate > 0n
+      ? dexAdapterRegistry.getAmountOut(sellEntry.dex, sellEntry.poolState, tokenAInfo.address, amountIntermediate)
+      : amountIntermediate;
+
+    if (amountIntermediate === null || amountOut === null) {
+      return null;
+    }
+    return { amountIn, amountIntermediate, amountOut };
+  }
+
+  // Detect cyclic arbitrage across every discovered pool of a chain.
+  // Builds a token/pool graph, finds cycles of 2-4 hops whose fee-adjusted spot rates multiply
+  // to more than 1, then prices each candidate with exact swap math.
+  // In a block-pinned scan, pools whose state was read at any other block are left out.
+  async detectTriangularArbitrage(tradeAmountUSD = ARBITRAGE_CONFIG.DEFAULT_TRADE_SIZE_USD, chainId = 1, blockNumber = null) {
     try {
-      const opportunities = [];
+      const pools = dexAdapterRegistry.getPools(chainId)
+        .map(pool => ({
+          ...pool,
+          state: dexAdapterRegistry.getAdapter(pool.dex).getPoolState(pool)
+        }))
+        .filter(pool => !pool.state || this.isAtBlock(pool.state.blockNumber, blockNumber));
+      const graph = PoolGraph.fromPools(pools, chainId);
+      const cycles = graph.findCycles({ minHops: 2, maxHops: 4 });
 
-      // Define triangular paths (A -> B -> C -> A)
-      const triangularPaths = [
-        ['USDC', 'WETH', 'WBTC'],
-        ['USDC', 'USDT', 'WETH'],
-        ['USDC', 'DAI', 'WETH'],
-        ['USDT', 'WETH', 'WBTC'],
-        ['DAI', 'WETH', 'WBTC']
-      ];
+      logger.info(`   🔺 Found ${cycles.length} candidate cycles across ${pools.length} pools on chain ${chainId}`);
 
-      for (const path of triangularPaths) {
-        const opportunity = await this.detectTriangularPath(path);
+      const opportunities = [];
+      for (const cycle of cycles) {
+        const opportunity = await this.detectCycleArbitrage(cycle, tradeAmountUSD, chainId, blockNumber);
         if (opportunity) {
           opportunities.push(opportunity);
         }
@@ -364,165 +466,193 @@ class ArbitrageDetector {
 
       return opportunities;
     } catch (error) {
-      logError(error, { context: 'ArbitrageDetector.detectTriangularArbitrage' });
+      logError(error, { context: 'ArbitrageDetector.detectTriangularArbitrage', chainId });
       return [];
     }
   }
 
-  // Detect arbitrage opportunity for a specific triangular path
-  async detectTriangularPath([tokenA, tokenB, tokenC]) {
+  // Price a candidate cycle hop by hop with exact swap math
+  async detectCycleArbitrage(cycle, tradeAmountUSD = ARBITRAGE_CONFIG.DEFAULT_TRADE_SIZE_USD, chainId = 1, blockNumber = null) {
+    const path = cycle.tokens;
+    const startToken = path[0];
+
     try {
-      // Get prices for all pairs in the path
-      const priceAB = priceFetcher.getBestPrice(tokenA, tokenB);
-      const priceBC = priceFetcher.getBestPrice(tokenB, tokenC);
-      const priceCA = priceFetcher.getBestPrice(tokenC, tokenA);
+      const startTokenInfo = tokenRegistry.getToken(startToken, chainId);
+      const startTokenUsdPrice = priceNormalizer.getUsdPrice(startToken);
 
-      if (!priceAB.price || !priceBC.price || !priceCA.price) {
+      if (!startTokenInfo || !startTokenUsdPrice) {
         return null;
       }
 
-      // Ensure all prices are BigNumbers
-      const priceABValue = HelperUtils.BigNumber.isBigNumber(priceAB.price.price) 
-        ? priceAB.price.price 
-        : new HelperUtils.BigNumber(priceAB.price.price?.toString() || '0');
-      const priceBCValue = HelperUtils.BigNumber.isBigNumber(priceBC.price.price) 
-        ? priceBC.price.price 
-        : new HelperUtils.BigNumber(priceBC.price.price?.toString() || '0');
-      const priceCAValue = HelperUtils.BigNumber.isBigNumber(priceCA.price.price) 
-        ? priceCA.price.price 
-        : new HelperUtils.BigNumber(priceCA.price.price?.toString() || '0');
-
-      // Calculate effective rate for triangular arbitrage
-      const effectiveRate = priceABValue
-        .multipliedBy(priceBCValue)
-        .multipliedBy(priceCAValue);
+      const amountIn = BigInt(
+        HelperUtils.parseTokenAmount(tradeAmountUSD / startTokenUsdPrice, startTokenInfo.decimals).toFixed(0)
+      );
 
-      const profitRate = effectiveRate.minus(1);
+      const triangularPath = [];
+      let currentAmount = amountIn;
+      for (const hop of cycle.hops) {
+        const amountOut = currentAmount > 0n
+          ? dexAdapterRegistry.getAmountOut(hop.dex, hop.state, hop.tokenIn, currentAmount)
+          : 0n;
+        if (amountOut === null) {
+          return null; // The hop's pool state does not cover the swap
+        }
 
-      if (profitRate.lt(0.005)) { // Minimum 0.5% profit
-        return null;
+        triangularPath.push({
+          dex: hop.dex,
+          pool: hop.pool,
+          feeTier: getPoolFeeTier(hop.dex, hop.feeTier),
+          tokenIn: hop.tokenInSymbol,
+          tokenOut: hop.tokenOutSymbol,
+          amount: currentAmount.toString(),
+          amountIn: currentAmount.toString(),
+          amountOut: amountOut.toString()
+        });
+        currentAmount = amountOut;
       }
+      const amountOut = currentAmount;
 
-      // Calculate profit for sample trade amount
-      const tradeAmount = new HelperUtils.BigNumber(1000); // $1000 worth
-      const expectedProfit = tradeAmount.multipliedBy(profitRate);
-
-      // Calculate fees (3 swaps)
-      const swapFees = this.calculateTriangularSwapFees(tradeAmount, [
-        { dex: priceAB.dex, pair: [tokenA, tokenB] },
-        { dex: priceBC.dex, pair: [tokenB, tokenC] },
-        { dex: priceCA.dex, pair: [tokenC, tokenA] }
-      ]);
-
-      const estimatedGasCost = await this.estimateTriangularGasCost([
-        priceAB.dex, priceBC.dex, priceCA.dex
-      ]);
+      if (amountOut <= amountIn) {
+        return null;
+      }
 
+      const toUsd = (rawAmount) => HelperUtils.formatTokenAmount(rawAmount.toString(), startTokenInfo.decimals)
+        .multipliedBy(startTokenUsdPrice);
+
+      // Swap fees are already deducted inside the exact output amounts; they are reported for reference
+      const tradeAmount = toUsd(amountIn);
+      const expectedOutput = toUsd(amountOut);
+      const grossProfit = expectedOutput.minus(tradeAmount);
+      const feeBreakdown = this.calculateLegFees(triangularPath, chainId);
+      const swapFees = this.calculateSwapFees(feeBreakdown);
+      const gasEstimate = await this.estimateRouteGasCost(triangularPath, chainId);
+      if (!gasEstimate) {
+        return null;
+      }
+      const estimatedGasCost = gasEstimate.gasCostUSD;
       const totalFees = swapFees.plus(estimatedGasCost);
-      const netProfit = expectedProfit.minus(totalFees);
+      const netProfit = grossProfit.minus(estimatedGasCost);
 
       if (!HelperUtils.meetsProfitThreshold(netProfit, ARBITRAGE_CONFIG.MIN_PROFIT_THRESHOLD_USD)) {
         return null;
       }
 
+      const effectiveRate = new HelperUtils.BigNumber(amountOut.toString()).dividedBy(amountIn.toString());
+      const opportunityBlock = blockNumber ?? this.getLatestBlock(cycle.hops.map(hop => hop.state.blockNumber));
+      const profitRate = effectiveRate.minus(1);
+
       return {
         id: HelperUtils.generateId(),
         type: 'triangular',
-        tokenA,
-        tokenB: tokenB,
-        tokenC,
-        path: [tokenA, tokenB, tokenC],
+        chainId,
+        tokenA: path[0],
+        tokenB: path[1],
+        tokenC: path[2] || null,
+        path,
+        hopCount: triangularPath.length,
         effectiveRate,
         profitRate,
+        spotReturn: cycle.spotReturn,
         tradeAmount,
-        expectedProfit,
-        expectedOutput: netProfit.plus(tradeAmount),
+        tradeToken: startToken,
+        amountIn: amountIn.toString(),
+        amountOut: amountOut.toString(),
+        expectedOutput,
+        grossProfit,
+        expectedProfit: netProfit,
         netProfit,
         swapFees,
         gasCost: estimatedGasCost,
+        gasLimit: gasEstimate.gasLimit,
+        gasPrice: gasEstimate.effectiveGasPrice,
         totalFees,
-        triangularPath: [
-          { 
-            dex: priceAB.dex, 
-            tokenIn: tokenA, 
-            tokenOut: tokenB, 
-            amount: tradeAmount.toString(),
-            pool: 'pool_' + priceAB.dex + '_' + tokenA + '_' + tokenB
-          },
-          { 
-            dex: priceBC.dex, 
-            tokenIn: tokenB, 
-            tokenOut: tokenC, 
-            amount: tradeAmount.multipliedBy(priceABValue).toString(),
-            pool: 'pool_' + priceBC.dex + '_' + tokenB + '_' + tokenC
-          },
-          { 
-            dex: priceCA.dex, 
-            tokenIn: tokenC, 
-            tokenOut: tokenA, 
-            amount: tradeAmount.multipliedBy(priceABValue).multipliedBy(priceBCValue).toString(),
-            pool: 'pool_' + priceCA.dex + '_' + tokenC + '_' + tokenA
-          }
-        ],
+        feeBreakdown,
+        triangularPath,
+        blockNumber: opportunityBlock,
         timestamp: Date.now(),
         status: 'detected',
         metadata: {
-          chainId: 1,
-          feeTier: 3000,
+          chainId,
+          feeTier: triangularPath[0].feeTier,
           slippageTolerance: 0.5,
-          priceImpact: Math.min(parseFloat(profitRate.toString()) * 100, 5.0)
+          priceImpact: Math.max(0, (cycle.spotReturn / effectiveRate.toNumber() - 1) * 100),
+          blockNumber: opportunityBlock
         }
       };
 
     } catch (error) {
       logError(error, {
-        path: [tokenA, tokenB, tokenC],
-        context: 'ArbitrageDetector.detectTriangularPath'
+        path,
+        chainId,
+        context: 'ArbitrageDetector.detectCycleArbitrage'
       });
       return null;
     }
   }
 
-  // Calculate swap fees for simple arbitrage
-  calculateSwapFees(tradeAmount, dexA, dexB) {
-    // Assume 0.3% fee per swap (standard for most pools)
-    const feeRate = 0.003;
-    return tradeAmount.multipliedBy(feeRate * 2); // Two swaps = 0.6% total
+  // Whether a price or pool state read at `stateBlock` may be used in a scan pinned to `scanBlock`.
+  // Unpinned scans accept any block; pinned scans reject mixed-block comparisons.
+  isAtBlock(stateBlock, scanBlock) {
+    if (scanBlock === null) return true;
+    if (stateBlock === scanBlock) return true;
+
+    this.stats.mixedBlockRejections++;
+    return false;
   }
 
-  // Calculate swap fees for triangular arbitrage
-  calculateTriangularSwapFees(tradeAmount, trades) {
-    const feeRate = 0.003;
-    return tradeAmount.multipliedBy(feeRate * trades.length); // 3 swaps = 0.9% total
+  // Most recent known block among the states an opportunity was computed from (null if none is known)
+  getLatestBlock(blockNumbers) {
+    const known = blockNumbers.filter(blockNumber => Number.isInteger(blockNumber));
+    return known.length > 0 ? Math.max(...known) : null;
   }
 
-  // Estimate gas cost for simple arbitrage
-  async estimateGasCost(dexA, dexB) {
-    try {
-      const feeData = await rpcManager.getGasPrice();
-      const gasPrice = feeData.gasPrice || BigInt(20000000000); // 20 gwei default
-      const gasLimit = BigInt(300000); // Estimated gas for 2 swaps
+  // Break swap fees down per leg using each pool's own fee tier.
+  // Legs carry dex, pool, feeTier, tokenIn (symbol) and amountIn (raw units of tokenIn).
+  calculateLegFees(legs, chainId = 1) {
+    return legs.map((leg, index) => {
+      const feeTier = getPoolFeeTier(leg.dex, leg.feeTier);
+      const tokenInfo = tokenRegistry.getToken(leg.tokenIn, chainId);
+      const usdPrice = priceNormalizer.getUsdPrice(leg.tokenIn);
+      const feeAmount = new HelperUtils.BigNumber(leg.amountIn.toString())
+        .multipliedBy(feeTier)
+        .dividedBy(1e6)
+        .integerValue(HelperUtils.BigNumber.ROUND_UP);
+      const feeUSD = tokenInfo && usdPrice
+        ? HelperUtils.formatTokenAmount(feeAmount, tokenInfo.decimals).multipliedBy(usdPrice).toNumber()
+        : null;
 
-      const gasCostWei = gasPrice * gasLimit;
-      return HelperUtils.fromWei(gasCostWei.toString());
-    } catch (error) {
-      logError(error, { context: 'ArbitrageDetector.estimateGasCost' });
-      return new HelperUtils.BigNumber(10); // $10 default
-    }
+      return {
+        leg: index,
+        dex: leg.dex,
+        pool: leg.pool,
+        feeTier,
+        feePercent: feeTier / 1e4,
+        tokenIn: leg.tokenIn,
+        feeAmount: feeAmount.toFixed(0),
+        feeUSD
+      };
+    });
   }
 
-  // Estimate gas cost for triangular arbitrage
-  async estimateTriangularGasCost(dexs) {
-    try {
-      const feeData = await rpcManager.getGasPrice();
-      const gasPrice = feeData.gasPrice || BigInt(20000000000); // 20 gwei default
-      const gasLimit = BigInt(500000); // Estimated gas for 3 swaps
+  // Total swap fees in USD across all legs
+  calculateSwapFees(feeBreakdown) {
+    return feeBreakdown.reduce(
+      (total, leg) => total.plus(leg.feeUSD || 0),
+      new HelperUtils.BigNumber(0)
+    );
+  }
 
-      const gasCostWei = gasPrice * gasLimit;
-      return HelperUtils.fromWei(gasCostWei.toString());
+  // Estimate gas cost in USD for a route on a chain (legs carry the dex of each swap), or null
+  // when gas or native token prices are unavailable: the route's net profit is then unknown and
+  // it is not reported
+  async estimateRouteGasCost(legs, chainId = 1) {
+    const gasLimit = dexAdapterRegistry.getRouteGasLimit(legs);
+    try {
+      return await gasCostService.estimateGasCost(gasLimit, {}, ARBITRAGE_CONFIG.GAS_BUFFER_PERCENTAGE, chainId);
     } catch (error) {
-      logError(error, { context: 'ArbitrageDetector.estimateTriangularGasCost' });
-      return new HelperUtils.BigNumber(15); // $15 default
+      logError(error, { context: 'ArbitrageDetector.estimateRouteGasCost', hopCount: legs.length, chainId });
+      this.stats.gasEstimateRejections++;
+      return null;
     }
   }
 
@@ -531,6 +661,11 @@ class ArbitrageDetector {
     return Array.from(this.opportunities.values());
   }
 
+  // Get a current opportunity by its id
+  getOpportunityById(opportunityId) {
+    return this.getAllOpportunities().find(opp => opp.id === opportunityId) || null;
+  }
+
   // Get opportunities for a specific token pair
   getOpportunitiesForPair(tokenA, tokenB) {
     return this.getAllOpportunities().filter(opp =>
@@ -593,6 +728,8 @@ class ArbitrageDetector {
       currentOpportunities: this.opportunities.size,
       lastScan: this.lastScan,
       isRunning: this.isRunning,
+      scanMode: this.scanMode,
+      lastScannedBlocks: Object.fromEntries(this.lastScannedBlocks),
       opportunitiesByType: this.getOpportunitiesByType()
     };
   }
@@ -610,10 +747,12 @@ class ArbitrageDetector {
 
   // Utility methods
   getOpportunityKey(opportunity) {
+    const chainId = opportunity.chainId ?? 1;
     if (opportunity.type === 'simple') {
-      return `simple:${opportunity.tokenA}-${opportunity.tokenB}:${opportunity.buyDex}-${opportunity.sellDex}`;
+      return `${chainId}:simple:${opportunity.tokenA}-${opportunity.tokenB}:${opportunity.buyDex}-${opportunity.sellDex}`;
     } else {
-      return `triangular:${opportunity.path.join('-')}`;
+      const pools = (opportunity.triangularPath || []).map(hop => hop.pool).join(',');
+      return `${chainId}:triangular:${opportunity.path.join('-')}:${pools}`;
     }
   }
 
@@ -624,116 +763,6 @@ class ArbitrageDetector {
            opportunity.expectedProfit.gt(0) &&
            (Date.now() - opportunity.timestamp) < (5 * 60 * 1000); // 5 minutes
   }
-
-  // Save opportunity to database
-  async saveOpportunityToDatabase(opportunity) {
-    try {
-      // Import the Opportunity model dynamically to avoid circular dependencies
-      const { default: Opportunity } = await import('../../models/opportunity.js');
-      
-      // Get token addresses from the constants
-      const tokenAInfo = SUPPORTED_TOKENS[opportunity.tokenA];
-      const tokenBInfo = SUPPORTED_TOKENS[opportunity.tokenB];
-      
-      // Convert BigNumber values to regular numbers for database storage with clear field meanings
-      const dbOpportunity = {
-        id: opportunity.id,
-        timestamp: new Date(opportunity.timestamp),
-        
-        // Token addresses and symbols  
-        tokenIn: tokenAInfo?.address || opportunity.tokenA,  // Contract address of token to buy
-        tokenOut: tokenBInfo?.address || opportunity.tokenB, // Contract address of token to receive
-        tokenInSymbol: opportunity.tokenA,   // Human-readable symbol (e.g., "USDT")
-        tokenOutSymbol: opportunity.tokenB,  // Human-readable symbol (e.g., "WETH")
-        
-        // DEX information
-        dexA: opportunity.buyDex === 'SUSHISWAP' ? 'SUSHISWAP' : 'UNISWAP',  // Where to BUY (cheaper price)
-        dexB: opportunity.sellDex === 'SUSHISWAP' ? 'SUSHISWAP' : 'UNISWAP', // Where to SELL (higher price)
-        
-        // Trade amounts
-        amountIn: opportunity.tradeAmount?.toString() || '1000',        // USD amount to trade ($1000)
-        amountOutExpected: opportunity.expectedOutput?.toString() || '0', // Expected USD output after trade
-        
-        // Price information (token ratios, NOT USD prices)
-        priceA: parseFloat(opportunity.buyPrice?.toString() || '0').toFixed(8),   // Price on DEX A (buy here - cheaper)
-        priceB: parseFloat(opportunity.sellPrice?.toString() || '0').toFixed(8),  // Price on DEX B (sell here - higher)
-        priceDifference: parseFloat(opportunity.priceDifference?.toString() || '0'), // Absolute price difference
-        expectedProfit: opportunity.expectedProfit?.toString() || '0',
-        expectedProfitUSD: parseFloat(opportunity.expectedProfit?.toString() || '0'),
-        profitPercentage: parseFloat(opportunity.priceDifferencePercent?.toString() || '0'),
-        grossProfitUSD: parseFloat(opportunity.expectedProfit?.toString() || '0') + parseFloat(opportunity.totalFees?.toString() || '0'),
-        netProfitUSD: parseFloat(opportunity.expectedProfit?.toString() || '0'),
-        profitAfterFeesUSD: parseFloat(opportunity.expectedProfit?.toString() || '0'),
-        gasEstimate: '150000',
-        gasPrice: '20000000000',
-        gasCostUSD: parseFloat(opportunity.gasCost?.toString() || '0'),
-        swapFees: opportunity.swapFees?.toString() || '0',
-        swapFeesUSD: parseFloat(opportunity.swapFees?.toString() || '0'),
-        totalFees: opportunity.totalFees?.toString() || '0',
-        totalFeesUSD: parseFloat(opportunity.totalFees?.toString() || '0'),
-        poolA: opportunity.poolA?.address || `pool_${opportunity.buyDex}_${opportunity.tokenA}_${opportunity.tokenB}`,
-        poolB: opportunity.poolB?.address || `pool_${opportunity.sellDex}_${opportunity.tokenA}_${opportunity.tokenB}`,
-        liquidityA: opportunity.poolA?.liquidity || '1000000000000000000000',
-        liquidityB: opportunity.poolB?.liquidity || '1000000000000000000000',
-        liquidityAUSD: parseFloat(opportunity.poolA?.liquidity || '1000000'),
-        liquidityBUSD: parseFloat(opportunity.poolB?.liquidity || '1000000'),
-        blockNumber: opportunity.poolA?.blockNumber || await this.getCurrentBlockNumber(),
-        blockTimestamp: new Date(),
-        tradeSizeUSD: parseFloat(opportunity.tradeAmount?.toString() || '1000'),
-        status: opportunity.status || 'detected',
-        metadata: {
-          chainId: 1,
-          feeTier: opportunity.metadata?.feeTier || 3000,
-          slippageTolerance: opportunity.metadata?.slippageTolerance || 0.5,
-          priceImpact: opportunity.metadata?.priceImpact || 1.0,
-          blockNumber: opportunity.poolA?.blockNumber || 0,
-          detectedAt: new Date().toISOString(),
-          scanId: this.stats.totalScans,
-          path: opportunity.path || [opportunity.tokenA, opportunity.tokenB]
-        }
-      };
-
-      // Use upsert to avoid duplicate key errors
-      const doc = await Opportunity.findOneAndUpdate(
-        { id: dbOpportunity.id },
-        dbOpportunity,
-        { 
-          upsert: true, 
-          new: true,
-          setDefaultsOnInsert: true 
-        }
-      );
-      
-      logger.info(`💾 SAVED TO DATABASE: ${opportunity.tokenA}→${opportunity.tokenB} | Profit: $${dbOpportunity.expectedProfitUSD.toFixed(2)} | ID: ${opportunity.id}`);
-      
-      return doc;
-    } catch (error) {
-      logger.error('❌ Failed to save opportunity to database:', error.message);
-      logError(error, { context: 'ArbitrageDetector.saveOpportunityToDatabase', opportunity: opportunity.id });
-      // Don't throw - continue even if database save fails
-      return null;
-    }
-  }
-
-  // Get current block number
-  async getCurrentBlockNumber() {
-    try {
-      const { default: rpcManager } = await import('../rpc-manager.js');
-      return await rpcManager.getBlockNumber();
-    } catch (error) {
-      logger.warn('Could not get current block number:', error.message);
-      return 0;
-    }
-  }
-
-  // Update opportunity status
-  updateOpportunityStatus(opportunityId, status, additionalData = {}) {
-    const opportunity = this.opportunities.get(opportunityId);
-    if (opportunity) {
-      opportunity.status = status;
-      Object.assign(opportunity, additionalData);
-    }
-  }
 }
 
 // Create singleton instance
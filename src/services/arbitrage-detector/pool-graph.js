@@ -0,0 +1,163 @@
+import tokenRegistry from '../../config/token-registry.js';
+import SwapMath from '../../utils/swap-math.js';
+
+// Token/pool graph used to search for profitable cycles.
+// Nodes are tokens, and every pool contributes one directed edge per swap direction
+// weighted by -log(spot rate after fee), so a profitable cycle has a negative total weight.
+// A graph covers a single chain; only registry tokens of that chain become nodes.
+class PoolGraph {
+  constructor(chainId = 1) {
+    this.chainId = chainId;
+    this.edges = new Map(); // token address (lowercase) -> outgoing edges
+    this.symbols = new Map(); // token address (lowercase) -> symbol
+
+    for (const token of tokenRegistry.getAllTokens(chainId)) {
+      this.symbols.set(token.address.toLowerCase(), token.symbol);
+    }
+  }
+
+  // Build a graph from pool entries of the V3 and V2 discovery services
+  static fromPools(pools, chainId = 1) {
+    const graph = new PoolGraph(chainId);
+    for (const pool of pools) {
+      graph.addPool(pool);
+    }
+    return graph;
+  }
+
+  // Convert a discovered pool entry into a swap-math pool state
+  static toPoolState(pool) {
+    const base = {
+      address: pool.address,
+      token0: pool.token0,
+      token1: pool.token1,
+      feeTier: pool.feeTier
+    };
+
+    if (pool.version === 'V2' || pool.reserve0 !== undefined) {
+      if (pool.reserve0 === undefined || pool.reserve1 === undefined) return null;
+      return {
+        ...base,
+        type: 'V2',
+        reserve0: pool.reserve0.toString(),
+        reserve1: pool.reserve1.toString()
+      };
+    }
+
+    if (!pool.sqrtPriceX96 || !pool.liquidity || BigInt(pool.liquidity) === 0n) return null;
+    return {
+      ...base,
+      type: 'V3',
+      sqrtPriceX96: pool.sqrtPriceX96.toString(),
+      liquidity: pool.liquidity.toString(),
+      tick: Number(pool.tick),
+      ...(pool.tickSpacing !== undefined ? { tickSpacing: pool.tickSpacing } : {}),
+      ...(pool.ticks ? { ticks: pool.ticks, tickWordRange: pool.tickWordRange } : {})
+    };
+  }
+
+  // Add both swap directions of a pool (using pool.state when the caller already built it)
+  addPool(pool) {
+    const state = pool.state ?? PoolGraph.toPoolState(pool);
+    if (!state || !state.token0 || !state.token1) return;
+
+    const token0 = state.token0.toLowerCase();
+    const token1 = state.token1.toLowerCase();
+    if (!this.symbols.has(token0) || !this.symbols.has(token1)) return;
+
+    const rate0To1 = this.getSpotRate(state);
+    if (!(rate0To1 > 0) || !Number.isFinite(rate0To1)) return;
+
+    const feeFactor = 1 - state.feeTier / 1e6;
+    this.addEdge(token0, token1, pool, state, -Math.log(rate0To1 * feeFactor));
+    this.addEdge(token1, token0, pool, state, -Math.log(feeFactor / rate0To1));
+  }
+
+  // Add a directed edge
+  addEdge(tokenIn, tokenOut, pool, state, weight) {
+    if (!this.edges.has(tokenIn)) {
+      this.edges.set(tokenIn, []);
+    }
+
+    this.edges.get(tokenIn).push({
+      tokenIn,
+      tokenOut,
+      tokenInSymbol: this.symbols.get(tokenIn),
+      tokenOutSymbol: this.symbols.get(tokenOut),
+      dex: pool.dex,
+      pool: state.address,
+      feeTier: state.feeTier,
+      state,
+      weight
+    });
+  }
+
+  // Raw token1 per raw token0 at the pool's current price
+  getSpotRate(state) {
+    if (state.type === 'V2') {
+      return Number(state.reserve1) / Number(state.reserve0);
+    }
+
+    if (state.type === 'STABLESWAP') {
+      return SwapMath.getStableSwapSpotRate(state).toNumber();
+    }
+
+    const sqrtPrice = Number(BigInt(state.sqrtPriceX96)) / Number(SwapMath.Q96);
+    return sqrtPrice * sqrtPrice;
+  }
+
+  // Find cycles with a negative total weight using a depth-bounded DFS.
+  // Each cycle is reported once, starting at its lowest-ordered token; a pool is never used twice.
+  // The whole search space within maxHops is explored and the maxCycles most negative cycles are
+  // kept, so the result does not depend on the order tokens and pools are visited in.
+  findCycles({ minHops = 2, maxHops = 4, maxCycles = 200 } = {}) {
+    const tokens = Array.from(this.edges.keys()).sort();
+    const order = new Map(tokens.map((token, index) => [token, index]));
+    let cycles = [];
+
+    // Keep the best maxCycles, trimming once twice as many have been collected
+    const keepBest = () => {
+      cycles = cycles.sort((a, b) => a.weight - b.weight).slice(0, maxCycles);
+    };
+
+    const visit = (start, current, hops, weight, visited, usedPools) => {
+      for (const edge of this.edges.get(current) || []) {
+        if (usedPools.has(edge.pool)) continue;
+        if (order.get(edge.tokenOut) < order.get(start)) continue;
+
+        const nextWeight = weight + edge.weight;
+        const nextHops = [...hops, edge];
+
+        if (edge.tokenOut === start) {
+          if (nextHops.length >= minHops && nextWeight < 0) {
+            cycles.push({ hops: nextHops, weight: nextWeight });
+            if (cycles.length >= 2 * maxCycles) keepBest();
+          }
+          continue;
+        }
+
+        if (nextHops.length >= maxHops || visited.has(edge.tokenOut)) continue;
+
+        visited.add(edge.tokenOut);
+        usedPools.add(edge.pool);
+        visit(start, edge.tokenOut, nextHops, nextWeight, visited, usedPools);
+        usedPools.delete(edge.pool);
+        visited.delete(edge.tokenOut);
+      }
+    };
+
+    for (const start of tokens) {
+      visit(start, start, [], 0, new Set([start]), new Set());
+    }
+
+    // Most negative weight (highest spot return) first
+    keepBest();
+    return cycles.map(cycle => ({
+      ...cycle,
+      tokens: cycle.hops.map(hop => hop.tokenInSymbol),
+      spotReturn: Math.exp(-cycle.weight)
+    }));
+  }
+}
+
+export default PoolGraph;
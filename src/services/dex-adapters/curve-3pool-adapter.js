@@ -0,0 +1,247 @@
+import { ethers } from 'ethers';
+import DexAdapter from './dex-adapter.js';
+import rpcManager from '../rpc-manager.js';
+import tokenRegistry from '../../config/token-registry.js';
+import { GAS_LIMITS, SWAP_KINDS } from '../../config/constants.js';
+import { getDexConfig } from '../../config/dex-config.js';
+import HelperUtils from '../../utils/helpers.js';
+import SwapMath from '../../utils/swap-math.js';
+import { logger, logError } from '../../utils/logger.js';
+
+// Curve StableSwap pool ABI (minimal)
+const CURVE_POOL_ABI = [
+  "function coins(uint256 i) external view returns (address)",
+  "function balances(uint256 i) external view returns (uint256)",
+  "function A() external view returns (uint256)",
+  "function fee() external view returns (uint256)",
+  "function get_dy(int128 i, int128 j, uint256 dx) external view returns (uint256)"
+];
+const CURVE_POOL_INTERFACE = new ethers.Interface(CURVE_POOL_ABI);
+
+// Curve 3pool events that change the pool's balances (none of them carry the new balances)
+const CURVE_POOL_EVENTS = new ethers.Interface([
+  "event TokenExchange(address indexed buyer, int128 sold_id, uint256 tokens_sold, int128 bought_id, uint256 tokens_bought)",
+  "event AddLiquidity(address indexed provider, uint256[3] token_amounts, uint256[3] fees, uint256 invariant, uint256 token_supply)",
+  "event RemoveLiquidity(address indexed provider, uint256[3] token_amounts, uint256[3] fees, uint256 token_supply)",
+  "event RemoveLiquidityOne(address indexed provider, uint256 token_amount, uint256 coin_amount)",
+  "event RemoveLiquidityImbalance(address indexed provider, uint256[3] token_amounts, uint256[3] fees, uint256 invariant, uint256 token_supply)"
+]);
+
+// Curve 3pool (DAI/USDC/USDT) StableSwap DEX.
+// The pool is exposed as one pool entry per coin pair so it fits the pair-based services;
+// the entries of a pool share its balances, A and fee, which are read once per refresh.
+class Curve3PoolAdapter extends DexAdapter {
+  constructor(name = 'CURVE_3POOL') {
+    super(name, 'STABLESWAP');
+    this.pools = new Map(); // `${chainId}:${address}` -> pool data
+    this.pairs = new Map(); // `${chainId}:${tokenA}-${tokenB}` -> pair entry
+    this.pendingFetches = new Map();
+  }
+
+  // Read the pool's coins and expose a pair entry for every pair of registry tokens
+  async discoverPools(chainId) {
+    try {
+      const { pool: poolAddress, nCoins } = getDexConfig(this.name, chainId);
+      const contract = await rpcManager.execute(async (provider) => {
+        return new ethers.Contract(poolAddress, CURVE_POOL_ABI, provider);
+      }, chainId);
+
+      const coinResults = await rpcManager.multicall(Array.from({ length: nCoins }, (_, i) => ({
+        target: poolAddress,
+        iface: CURVE_POOL_INTERFACE,
+        method: 'coins',
+        args: [i]
+      })), { chainId });
+      const failure = coinResults.find(result => !result.success);
+      if (failure) {
+        throw failure.error;
+      }
+      const coins = coinResults.map(({ result }) => result[0]);
+
+      const tokens = coins.map(coin => tokenRegistry.getTokenByAddress(coin, chainId));
+      if (tokens.some(token => !token)) {
+        logger.warn(`${this.name} pool ${poolAddress} has coins missing from the token registry, skipping`);
+        return this.getPools(chainId);
+      }
+
+      const poolData = {
+        address: poolAddress,
+        contract,
+        chainId,
+        coins,
+        symbols: tokens.map(token => token.symbol),
+        // Normalize every coin to 18 decimals, times 1e18 (Curve's RATES)
+        rates: tokens.map(token => (10n ** BigInt(36 - token.decimals)).toString())
+      };
+      this.pools.set(`${chainId}:${poolAddress.toLowerCase()}`, poolData);
+
+      for (let i = 0; i < coins.length; i++) {
+        for (let j = i + 1; j < coins.length; j++) {
+          const [token0, token1] = HelperUtils.sortTokens(coins[i], coins[j]);
+          this.pairs.set(`${chainId}:${tokens[i].symbol}-${tokens[j].symbol}`, {
+            address: poolAddress,
+            chainId,
+            tokenA: tokens[i].symbol,
+            tokenB: tokens[j].symbol,
+            tokenASymbol: tokens[i].symbol,
+            tokenBSymbol: tokens[j].symbol,
+            token0,
+            token1,
+            dex: this.name,
+            version: 'STABLESWAP',
+            feeTier: null
+          });
+        }
+      }
+
+      await this.fetchState(this.getPools(chainId)[0]);
+
+      logger.info(`📍 ${this.name} pool discovered: ${poolData.symbols.join('/')}`, {
+        chainId,
+        address: poolAddress
+      });
+
+      return this.getPools(chainId);
+    } catch (error) {
+      logError(error, { context: 'Curve3PoolAdapter.discoverPools', chainId });
+      throw error;
+    }
+  }
+
+  // Get already discovered pair entries on a chain
+  getPools(chainId) {
+    return Array.from(this.pairs.values()).filter(pool => pool.chainId === chainId);
+  }
+
+  // Get the pool data shared by a pair entry
+  getPoolData(pool) {
+    return this.pools.get(`${pool.chainId}:${pool.address.toLowerCase()}`) || null;
+  }
+
+  // Read balances, A and fee. Pair entries of the same pool share one in-flight read per block.
+  async fetchState(pool, blockTag = null) {
+    const key = `${this.getStateKey(pool)}:${blockTag ?? 'latest'}`;
+    if (!this.pendingFetches.has(key)) {
+      const fetch = super.fetchState(pool, blockTag).finally(() => this.pendingFetches.delete(key));
+      this.pendingFetches.set(key, fetch);
+    }
+    await this.pendingFetches.get(key);
+
+    return this.getPoolState(pool);
+  }
+
+  // balances(i) of every coin, A and fee
+  getStateCalls(pool) {
+    const { address, coins } = this.requirePoolData(pool);
+    return [
+      ...coins.map((coin, i) => ({ target: address, iface: CURVE_POOL_INTERFACE, method: 'balances', args: [i] })),
+      { target: address, iface: CURVE_POOL_INTERFACE, method: 'A' },
+      { target: address, iface: CURVE_POOL_INTERFACE, method: 'fee' }
+    ];
+  }
+
+  // Store the read balances, amplification and fee in the pool data shared by the pool's pair entries
+  applyStateResults(pool, results, blockTag = null) {
+    const poolData = this.requirePoolData(pool);
+    const nCoins = poolData.coins.length;
+    const fee = results[nCoins + 1][0];
+
+    Object.assign(poolData, {
+      balances: results.slice(0, nCoins).map(([balance]) => balance.toString()),
+      A: results[nCoins][0].toString(),
+      fee: fee.toString(),
+      blockNumber: blockTag,
+      lastUpdated: Date.now()
+    });
+
+    // Fee in hundredths of a bip, like the other DEXs' fee tiers
+    const feeTier = Number(fee) / 1e4;
+    for (const pair of this.pairs.values()) {
+      if (pair.chainId === poolData.chainId && pair.address === poolData.address) {
+        pair.feeTier = feeTier;
+      }
+    }
+
+    return this.getPoolState(pool);
+  }
+
+  // Pool data of a pair entry, which must have been discovered
+  requirePoolData(pool) {
+    const poolData = this.getPoolData(pool);
+    if (!poolData) {
+      throw new Error(`${this.name} pool ${pool.address} has not been discovered`);
+    }
+    return poolData;
+  }
+
+  // Pool state of a pair entry from the last known pool data
+  getPoolState(pool) {
+    const poolData = this.getPoolData(pool);
+    if (!poolData?.balances) return null;
+
+    return {
+      type: 'STABLESWAP',
+      address: pool.address,
+      token0: pool.token0,
+      token1: pool.token1,
+      feeTier: pool.feeTier,
+      coins: poolData.coins,
+      balances: poolData.balances,
+      rates: poolData.rates,
+      A: poolData.A,
+      fee: poolData.fee,
+      blockNumber: poolData.blockNumber ?? null
+    };
+  }
+
+  // Quote through the pool's own get_dy
+  async quote(pool, tokenIn, tokenOut, amountIn) {
+    const poolData = this.requirePoolData(pool);
+    const { i, j } = this.getCoinIndices(pool, tokenIn, tokenOut);
+
+    const amountOut = await rpcManager.execute(async () => {
+      return await poolData.contract.get_dy(i, j, amountIn.toString());
+    }, pool.chainId);
+
+    return {
+      amountOut: BigInt(amountOut),
+      gasEstimate: BigInt(this.gasEstimate(pool))
+    };
+  }
+
+  // Coin indices of a swap's tokens in the pool
+  getCoinIndices(pool, tokenIn, tokenOut) {
+    const coins = this.requirePoolData(pool).coins.map(coin => coin.toLowerCase());
+    const i = coins.indexOf(tokenIn.toLowerCase());
+    const j = coins.indexOf(tokenOut.toLowerCase());
+    if (i === -1 || j === -1) {
+      throw new Error(`Token not in ${this.name} pool ${pool.address}`);
+    }
+    return { i, j };
+  }
+
+  // exchange(i, j) on the pool itself
+  getSwapStep(pool, tokenIn, tokenOut) {
+    const { i, j } = this.getCoinIndices(pool, tokenIn, tokenOut);
+    return { kind: SWAP_KINDS.CURVE, target: pool.address, tokenIn, tokenOut, fee: 0, i, j };
+  }
+
+  // StableSwap get_dy computed off-chain
+  getAmountOut(state, tokenIn, amountIn) {
+    return SwapMath.getAmountOut(state, tokenIn, amountIn);
+  }
+
+  // Gas used by one StableSwap exchange
+  gasEstimate(pool) {
+    return GAS_LIMITS.CURVE_SWAP;
+  }
+
+  // Exchanges and liquidity changes; the state is re-read on each (see DexAdapter.applyLog)
+  getLogTopics() {
+    const topics = [];
+    CURVE_POOL_EVENTS.forEachEvent(event => topics.push(event.topicHash));
+    return topics;
+  }
+}
+
+export default Curve3PoolAdapter;
@@ -0,0 +1,110 @@
+import rpcManager from '../rpc-manager.js';
+import { getDexsForChain } from '../../config/dex-config.js';
+
+// Base class for DEX adapters.
+// An adapter owns everything protocol-specific about a DEX: finding its pools, reading their
+// on-chain state, quoting swaps on-chain, pricing swaps locally against a state snapshot and
+// estimating the gas of a swap. Services iterate adapters through the registry instead of
+// branching on the DEX.
+//
+// Pool entries returned by an adapter carry at least: address, dex, chainId, token0, token1,
+// feeTier, tokenASymbol and tokenBSymbol. Pool states are the snapshots used by SwapMath
+// ({ type, address, token0, token1, feeTier, blockNumber, ...protocol fields }); blockNumber is
+// the block the state was read at (null when unknown).
+//
+// State reads are declared as view calls (getStateCalls) so the price fetcher can batch the
+// reads of every pool of a chain into one Multicall3 call per block.
+class DexAdapter {
+  constructor(name, version) {
+    this.name = name; // DEX_CONFIG key, e.g. 'UNISWAP_V3'
+    this.version = version;
+  }
+
+  // Whether the DEX is deployed on a chain
+  supportsChain(chainId) {
+    return Boolean(getDexsForChain(chainId)[this.name]);
+  }
+
+  // Discover the DEX's pools for the registry's candidate pairs on a chain; returns the pools
+  async discoverPools(chainId) {
+    throw new Error(`${this.name} adapter does not implement discoverPools`);
+  }
+
+  // Get already discovered pools on a chain
+  getPools(chainId) {
+    throw new Error(`${this.name} adapter does not implement getPools`);
+  }
+
+  // Get discovered pools for a token pair on a chain
+  getPoolsForPair(tokenA, tokenB, chainId) {
+    return this.getPools(chainId).filter(pool =>
+      (pool.tokenASymbol === tokenA && pool.tokenBSymbol === tokenB) ||
+      (pool.tokenASymbol === tokenB && pool.tokenBSymbol === tokenA)
+    );
+  }
+
+  // Read a pool's on-chain state at a block (latest when blockTag is null) and return it as a pool state
+  async fetchState(pool, blockTag = null) {
+    const results = await rpcManager.multicall(this.getStateCalls(pool), { chainId: pool.chainId, blockTag });
+    const failure = results.find(result => !result.success);
+    if (failure) {
+      throw failure.error;
+    }
+    return this.applyStateResults(pool, results.map(result => result.result), blockTag);
+  }
+
+  // View calls that read a pool's state ({ target, iface, method, args }, see RPCManager.multicall)
+  getStateCalls(pool) {
+    throw new Error(`${this.name} adapter does not implement getStateCalls`);
+  }
+
+  // Store the decoded results of getStateCalls (read at blockTag) on the pool entry; returns its pool state
+  applyStateResults(pool, results, blockTag = null) {
+    throw new Error(`${this.name} adapter does not implement applyStateResults`);
+  }
+
+  // Contract a pool entry's state is read from; entries with the same key share one read
+  getStateKey(pool) {
+    return `${pool.chainId}:${pool.address.toLowerCase()}`;
+  }
+
+  // Get the pool state from the last known pool data, without RPC calls (null if unusable)
+  getPoolState(pool) {
+    throw new Error(`${this.name} adapter does not implement getPoolState`);
+  }
+
+  // Quote an exact-input swap on-chain; returns { amountOut, gasEstimate } as BigInts
+  async quote(pool, tokenIn, tokenOut, amountIn) {
+    throw new Error(`${this.name} adapter does not implement quote`);
+  }
+
+  // Price an exact-input swap locally against a pool state (raw BigInt amounts); null when the
+  // state does not cover the swap
+  getAmountOut(state, tokenIn, amountIn) {
+    throw new Error(`${this.name} adapter does not implement getAmountOut`);
+  }
+
+  // Swap of a route through a pool, as executed by the route contracts:
+  // { kind (SWAP_KINDS), target, tokenIn, tokenOut, fee, i, j } (see contracts/libraries/SwapRoute.sol)
+  getSwapStep(pool, tokenIn, tokenOut) {
+    throw new Error(`${this.name} adapter does not implement getSwapStep`);
+  }
+
+  // Gas used by one swap through a pool of this DEX
+  gasEstimate(pool) {
+    throw new Error(`${this.name} adapter does not implement gasEstimate`);
+  }
+
+  // Topics of the pool events that change its state (for log-driven price updates)
+  getLogTopics() {
+    return [];
+  }
+
+  // Apply a pool event to the pool entry. Returns true when the new state was read from the log,
+  // false when the event only signals a change and the state has to be fetched again.
+  applyLog(pool, log) {
+    return false;
+  }
+}
+
+export default DexAdapter;
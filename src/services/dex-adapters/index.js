@@ -0,0 +1,90 @@
+import UniswapV3Adapter from './uniswap-v3-adapter.js';
+import V2ForkAdapter from './v2-fork-adapter.js';
+import Curve3PoolAdapter from './curve-3pool-adapter.js';
+import DexAdapter from './dex-adapter.js';
+import { GAS_LIMITS } from '../../config/constants.js';
+import { getDexsByVersion } from '../../config/dex-config.js';
+
+// Registry of DEX adapters keyed by DEX name (the DEX_CONFIG key).
+// Adding a DEX means writing one DexAdapter subclass and registering it here.
+class DexAdapterRegistry {
+  constructor() {
+    this.adapters = new Map();
+  }
+
+  // Register an adapter
+  register(adapter) {
+    if (!(adapter instanceof DexAdapter)) {
+      throw new Error('DEX adapters must extend DexAdapter');
+    }
+    if (this.adapters.has(adapter.name)) {
+      throw new Error(`DEX adapter ${adapter.name} is already registered`);
+    }
+
+    this.adapters.set(adapter.name, adapter);
+    return adapter;
+  }
+
+  // Get the adapter of a DEX
+  getAdapter(dexName) {
+    return dexName ? this.adapters.get(dexName.toUpperCase()) || null : null;
+  }
+
+  // Get all registered adapters
+  getAdapters() {
+    return Array.from(this.adapters.values());
+  }
+
+  // Get the adapters of DEXs deployed on a chain
+  getAdaptersForChain(chainId) {
+    return this.getAdapters().filter(adapter => adapter.supportsChain(chainId));
+  }
+
+  // Discover pools of every DEX on a chain
+  async discoverPools(chainId) {
+    const results = await Promise.allSettled(
+      this.getAdaptersForChain(chainId).map(adapter => adapter.discoverPools(chainId))
+    );
+    return results.flatMap(result => result.status === 'fulfilled' ? result.value : []);
+  }
+
+  // Get the discovered pools of every DEX on a chain
+  getPools(chainId) {
+    return this.getAdaptersForChain(chainId).flatMap(adapter => adapter.getPools(chainId));
+  }
+
+  // Get a discovered pool by address
+  getPoolByAddress(poolAddress, chainId) {
+    if (!poolAddress) return null;
+    const lower = poolAddress.toLowerCase();
+    return this.getPools(chainId).find(pool => pool.address.toLowerCase() === lower) || null;
+  }
+
+  // Price an exact-input swap locally through the adapter of the pool's DEX
+  getAmountOut(dexName, state, tokenIn, amountIn) {
+    const adapter = this.getAdapter(dexName);
+    if (!adapter) {
+      throw new Error(`No DEX adapter registered for ${dexName}`);
+    }
+    return adapter.getAmountOut(state, tokenIn, amountIn);
+  }
+
+  // Gas limit of a route: the sum of each leg's swap gas ({ dex } per leg)
+  getRouteGasLimit(legs) {
+    return legs.reduce((total, leg) => {
+      const adapter = this.getAdapter(leg.dex);
+      return total + (adapter ? adapter.gasEstimate(leg) : GAS_LIMITS.SINGLE_SWAP);
+    }, 0);
+  }
+}
+
+// Create singleton instance with the built-in adapters
+const dexAdapterRegistry = new DexAdapterRegistry();
+dexAdapterRegistry.register(new UniswapV3Adapter());
+for (const dexName of getDexsByVersion('V2')) {
+  dexAdapterRegistry.register(new V2ForkAdapter(dexName));
+}
+dexAdapterRegistry.register(new Curve3PoolAdapter());
+
+export { DexAdapter };
+export default dexAdapterRegistry;
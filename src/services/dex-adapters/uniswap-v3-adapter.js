@@ -0,0 +1,160 @@
+import { ethers } from 'ethers';
+import DexAdapter from './dex-adapter.js';
+import poolDiscovery from '../pool-discovery.js';
+import rpcManager from '../rpc-manager.js';
+import { GAS_LIMITS, SWAP_KINDS } from '../../config/constants.js';
+import { getDexConfig } from '../../config/dex-config.js';
+import SwapMath from '../../utils/swap-math.js';
+
+// Uniswap V3 QuoterV2 ABI (minimal)
+const QUOTER_V2_ABI = [
+  "function quoteExactInputSingle((address tokenIn, address tokenOut, uint256 amountIn, uint24 fee, uint160 sqrtPriceLimitX96) params) external returns (uint256 amountOut, uint160 sqrtPriceX96After, uint32 initializedTicksCrossed, uint256 gasEstimate)"
+];
+
+// Uniswap V3 pool state reads
+const V3_POOL_INTERFACE = new ethers.Interface([
+  "function slot0() external view returns (uint160 sqrtPriceX96, int24 tick, uint16 observationIndex, uint16 observationCardinality, uint16 observationCardinalityNext, uint8 feeProtocol, bool unlocked)",
+  "function liquidity() external view returns (uint128)"
+]);
+
+// Uniswap V3 pool events: Swap carries the post-swap state, Mint/Burn change liquidity
+const V3_POOL_EVENTS = new ethers.Interface([
+  "event Swap(address indexed sender, address indexed recipient, int256 amount0, int256 amount1, uint160 sqrtPriceX96, uint128 liquidity, int24 tick)",
+  "event Mint(address sender, address indexed owner, int24 indexed tickLower, int24 indexed tickUpper, uint128 amount, uint256 amount0, uint256 amount1)",
+  "event Burn(address indexed owner, int24 indexed tickLower, int24 indexed tickUpper, uint128 amount, uint256 amount0, uint256 amount1)"
+]);
+
+// Uniswap V3 style concentrated-liquidity DEX, backed by the factory-based pool discovery
+class UniswapV3Adapter extends DexAdapter {
+  constructor(name = 'UNISWAP_V3') {
+    super(name, 'V3');
+  }
+
+  // Discover pools through the V3 factories
+  async discoverPools(chainId) {
+    await poolDiscovery.discoverAllPools({ dexName: this.name, chainId });
+    return this.getPools(chainId);
+  }
+
+  // Get already discovered pools on a chain
+  getPools(chainId) {
+    return poolDiscovery.getPoolsForDex(this.name).filter(pool => pool.chainId === chainId);
+  }
+
+  // slot0 and in-range liquidity
+  getStateCalls(pool) {
+    return [
+      { target: pool.address, iface: V3_POOL_INTERFACE, method: 'slot0' },
+      { target: pool.address, iface: V3_POOL_INTERFACE, method: 'liquidity' }
+    ];
+  }
+
+  // Keep the discovered pool in sync with the read slot0/liquidity. Its ticks are reloaded in the
+  // background once the price nears the edge of the loaded range or they get old.
+  applyStateResults(pool, [slot0, liquidity], blockTag = null) {
+    Object.assign(pool, {
+      sqrtPriceX96: slot0.sqrtPriceX96.toString(),
+      tick: Number(slot0.tick),
+      liquidity: liquidity[0].toString(),
+      blockNumber: blockTag,
+      lastUpdated: Date.now()
+    });
+
+    if (poolDiscovery.needsTickLoad(pool, blockTag, poolDiscovery.tickMaxAgeBlocks)) {
+      poolDiscovery.scheduleTickLoad(pool, blockTag);
+    }
+
+    return this.getPoolState(pool);
+  }
+
+  // Pool state from the last known slot0/liquidity
+  getPoolState(pool) {
+    if (!pool.sqrtPriceX96 || pool.liquidity === undefined) return null;
+
+    return {
+      type: 'V3',
+      address: pool.address,
+      token0: pool.token0,
+      token1: pool.token1,
+      feeTier: pool.feeTier,
+      sqrtPriceX96: pool.sqrtPriceX96.toString(),
+      liquidity: pool.liquidity.toString(),
+      tick: Number(pool.tick),
+      blockNumber: pool.blockNumber ?? null,
+      ...(pool.tickSpacing !== undefined ? { tickSpacing: pool.tickSpacing } : {}),
+      ...(pool.ticks ? { ticks: pool.ticks, tickWordRange: pool.tickWordRange } : {})
+    };
+  }
+
+  // Quote through the chain's QuoterV2
+  async quote(pool, tokenIn, tokenOut, amountIn) {
+    const { quoter: quoterAddress } = getDexConfig(this.name, pool.chainId);
+    if (!quoterAddress) {
+      throw new Error(`Quoter not available for ${this.name} on chain ${pool.chainId}`);
+    }
+
+    const result = await rpcManager.execute(async (provider) => {
+      const quoter = new ethers.Contract(quoterAddress, QUOTER_V2_ABI, provider);
+      return await quoter.quoteExactInputSingle.staticCall({
+        tokenIn,
+        tokenOut,
+        amountIn: amountIn.toString(),
+        fee: pool.feeTier,
+        sqrtPriceLimitX96: 0
+      });
+    }, pool.chainId);
+
+    return {
+      amountOut: BigInt(result.amountOut),
+      gasEstimate: BigInt(result.gasEstimate ?? this.gasEstimate(pool))
+    };
+  }
+
+  // Exact V3 swap math, crossing initialized ticks when the state carries them
+  getAmountOut(state, tokenIn, amountIn) {
+    return SwapMath.getAmountOut(state, tokenIn, amountIn);
+  }
+
+  // exactInputSingle through the chain's SwapRouter
+  getSwapStep(pool, tokenIn, tokenOut) {
+    const { router } = getDexConfig(this.name, pool.chainId);
+    return { kind: SWAP_KINDS.V3, target: router, tokenIn, tokenOut, fee: pool.feeTier, i: 0, j: 0 };
+  }
+
+  // Gas used by one V3 swap
+  gasEstimate(pool) {
+    return GAS_LIMITS.SINGLE_SWAP;
+  }
+
+  // Swap, Mint and Burn
+  getLogTopics() {
+    return ['Swap', 'Mint', 'Burn'].map(event => V3_POOL_EVENTS.getEvent(event).topicHash);
+  }
+
+  // Swap logs carry slot0 and liquidity after the swap; Mint/Burn change the boundary ticks'
+  // liquidityNet and, for in-range positions, the active liquidity
+  applyLog(pool, log) {
+    const event = V3_POOL_EVENTS.parseLog(log);
+    if (!event) return false;
+
+    if (event.name === 'Swap') {
+      Object.assign(pool, {
+        sqrtPriceX96: event.args.sqrtPriceX96.toString(),
+        tick: Number(event.args.tick),
+        liquidity: event.args.liquidity.toString()
+      });
+      if (poolDiscovery.needsTickLoad(pool)) {
+        poolDiscovery.scheduleTickLoad(pool, log.blockNumber);
+      }
+    } else {
+      const liquidityDelta = event.name === 'Mint' ? event.args.amount : -event.args.amount;
+      poolDiscovery.applyLiquidityChange(pool, Number(event.args.tickLower), Number(event.args.tickUpper), liquidityDelta, log.blockNumber);
+    }
+
+    pool.blockNumber = log.blockNumber;
+    pool.lastUpdated = Date.now();
+    return true;
+  }
+}
+
+export default UniswapV3Adapter;
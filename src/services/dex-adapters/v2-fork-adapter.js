@@ -0,0 +1,127 @@
+import { ethers } from 'ethers';
+import DexAdapter from './dex-adapter.js';
+import v2ForkDiscovery from '../v2-fork-discovery.js';
+import rpcManager from '../rpc-manager.js';
+import { GAS_LIMITS, SWAP_KINDS } from '../../config/constants.js';
+import { getDexConfig, getPoolFeeTier } from '../../config/dex-config.js';
+import SwapMath from '../../utils/swap-math.js';
+
+// Uniswap V2 Router ABI (minimal)
+const V2_ROUTER_ABI = [
+  "function getAmountsOut(uint256 amountIn, address[] path) external view returns (uint256[] amounts)"
+];
+
+// Uniswap V2 pair state reads
+const V2_PAIR_INTERFACE = new ethers.Interface([
+  "function getReserves() external view returns (uint112 reserve0, uint112 reserve1, uint32 blockTimestampLast)"
+]);
+
+// Uniswap V2 pair event emitted with the new reserves after every swap, mint and burn
+const V2_PAIR_EVENTS = new ethers.Interface([
+  "event Sync(uint112 reserve0, uint112 reserve1)"
+]);
+
+// Uniswap V2 style constant-product DEX (Uniswap V2, SushiSwap, ShibaSwap, ...),
+// backed by the V2-fork pair discovery service. One instance per fork.
+class V2ForkAdapter extends DexAdapter {
+  constructor(name) {
+    super(name, 'V2');
+  }
+
+  // Discover the fork's pairs on a chain
+  async discoverPools(chainId) {
+    await v2ForkDiscovery.discoverPools(this.name, chainId);
+    return this.getPools(chainId);
+  }
+
+  // Get already discovered pools on a chain
+  getPools(chainId) {
+    return v2ForkDiscovery.getPoolsForDex(this.name, chainId);
+  }
+
+  // Get the pair for a token pair on a chain
+  getPoolsForPair(tokenA, tokenB, chainId) {
+    const pool = v2ForkDiscovery.getPool(this.name, tokenA, tokenB, chainId);
+    return pool ? [pool] : [];
+  }
+
+  // getReserves
+  getStateCalls(pool) {
+    return [{ target: pool.address, iface: V2_PAIR_INTERFACE, method: 'getReserves' }];
+  }
+
+  // Store the read reserves on the pair
+  applyStateResults(pool, [reserves], blockTag = null) {
+    pool.reserve0 = reserves.reserve0;
+    pool.reserve1 = reserves.reserve1;
+    pool.blockNumber = blockTag;
+    pool.lastUpdate = Date.now();
+    return this.getPoolState(pool);
+  }
+
+  // Pool state from the last known reserves
+  getPoolState(pool) {
+    if (pool.reserve0 === undefined || pool.reserve1 === undefined) return null;
+
+    return {
+      type: 'V2',
+      address: pool.address,
+      token0: pool.token0,
+      token1: pool.token1,
+      feeTier: getPoolFeeTier(this.name, pool.feeTier),
+      reserve0: pool.reserve0.toString(),
+      reserve1: pool.reserve1.toString(),
+      blockNumber: pool.blockNumber ?? null
+    };
+  }
+
+  // Quote through the chain's V2 router
+  async quote(pool, tokenIn, tokenOut, amountIn) {
+    const { router: routerAddress } = getDexConfig(this.name, pool.chainId);
+
+    const amounts = await rpcManager.execute(async (provider) => {
+      const router = new ethers.Contract(routerAddress, V2_ROUTER_ABI, provider);
+      return await router.getAmountsOut(amountIn.toString(), [tokenIn, tokenOut]);
+    }, pool.chainId);
+
+    return {
+      amountOut: BigInt(amounts[amounts.length - 1]),
+      gasEstimate: BigInt(this.gasEstimate(pool))
+    };
+  }
+
+  // Constant-product math with the DEX's fixed fee
+  getAmountOut(state, tokenIn, amountIn) {
+    return SwapMath.getAmountOut(state, tokenIn, amountIn);
+  }
+
+  // swapExactTokensForTokens through the fork's router
+  getSwapStep(pool, tokenIn, tokenOut) {
+    const { router } = getDexConfig(this.name, pool.chainId);
+    return { kind: SWAP_KINDS.V2, target: router, tokenIn, tokenOut, fee: 0, i: 0, j: 0 };
+  }
+
+  // Gas used by one V2 swap
+  gasEstimate(pool) {
+    return GAS_LIMITS.V2_SWAP;
+  }
+
+  // Sync
+  getLogTopics() {
+    return [V2_PAIR_EVENTS.getEvent('Sync').topicHash];
+  }
+
+  // Sync logs carry the pair's new reserves
+  applyLog(pool, log) {
+    const event = V2_PAIR_EVENTS.parseLog(log);
+    if (event?.name !== 'Sync') return false;
+
+    pool.reserve0 = event.args.reserve0;
+    pool.reserve1 = event.args.reserve1;
+    pool.blockNumber = log.blockNumber;
+    pool.lastUpdate = Date.now();
+    return true;
+  }
+}
+
+export default V2ForkAdapter;
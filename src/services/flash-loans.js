@@ -0,0 +1,146 @@
+import { ethers } from 'ethers';
+import { FLASH_LOAN_SOURCES, GAS_LIMITS } from '../config/constants.js';
+import dexAdapterRegistry from './dex-adapters/index.js';
+import rpcManager from './rpc-manager.js';
+import HelperUtils from '../utils/helpers.js';
+import { logger, logError } from '../utils/logger.js';
+
+// Aave V3 Pool ABI (minimal)
+const AAVE_POOL_ABI = [
+  "function FLASHLOAN_PREMIUM_TOTAL() external view returns (uint128)"
+];
+
+// Funding of executed routes (EXECUTION_FUNDING): `inventory` spends the executor's own tokens,
+// `balancer`, `aave_v3` and `uniswap_v3` borrow the route's first token with a flash loan that the
+// route's output repays in the same transaction, so no inventory is needed.
+class FlashLoanService {
+  constructor() {
+    const funding = (process.env.EXECUTION_FUNDING || 'inventory').toUpperCase();
+    this.source = FLASH_LOAN_SOURCES[funding] ? funding : null;
+    this.fees = new Map(); // chainId -> fee read from the lender, over the configured one
+
+    if (!this.source && funding !== 'INVENTORY') {
+      logger.warn(`Unknown EXECUTION_FUNDING ${process.env.EXECUTION_FUNDING}, using inventory`);
+    }
+  }
+
+  // Read the Aave premium from the Pool of each chain; a chain whose Pool cannot be read keeps
+  // its configured fee
+  async initialize() {
+    if (this.source !== 'AAVE_V3') {
+      return;
+    }
+
+    const { lenders } = FLASH_LOAN_SOURCES.AAVE_V3;
+    for (const chainId of rpcManager.getChainIds().filter(id => lenders[id])) {
+      try {
+        const premium = await rpcManager.execute(async (provider) => {
+          return new ethers.Contract(lenders[chainId], AAVE_POOL_ABI, provider).FLASHLOAN_PREMIUM_TOTAL();
+        }, chainId);
+        // The premium is in bips
+        this.fees.set(chainId, Number(premium) * 100);
+        logger.info(`Aave V3 flash-loan premium on chain ${chainId}: ${Number(premium) / 100}%`);
+      } catch (error) {
+        logError(error, { chainId, context: 'FlashLoanService.initialize' });
+        logger.warn(`Aave V3 flash-loan premium not read on chain ${chainId}, using ${this.getFee(chainId) / 10000}%`);
+      }
+    }
+  }
+
+  // Whether routes are funded by flash loans
+  isEnabled() {
+    return this.source !== null;
+  }
+
+  // Uniswap V3 pool to flash-borrow a token from: the lowest fee tier pool of the token that the
+  // route does not trade through (a pool is locked during its own flash)
+  getFlashPool(tokenAddress, chainId = 1, routePools = []) {
+    const token = tokenAddress.toLowerCase();
+    const excluded = new Set(routePools.map(address => address.toLowerCase()));
+
+    const pools = dexAdapterRegistry.getAdapter('UNISWAP_V3').getPools(chainId).filter(pool =>
+      !excluded.has(pool.address.toLowerCase()) &&
+      (pool.token0?.toLowerCase() === token || pool.token1?.toLowerCase() === token)
+    );
+    return pools.sort((a, b) => a.feeTier - b.feeTier)[0] || null;
+  }
+
+  // Lender and fee (hundredths of a bip) of a flash loan of a token, or null when routes are
+  // funded from inventory
+  getLender(tokenAddress, chainId = 1, routePools = []) {
+    if (!this.source) {
+      return null;
+    }
+
+    const source = FLASH_LOAN_SOURCES[this.source];
+    if (this.source === 'UNISWAP_V3') {
+      const pool = this.getFlashPool(tokenAddress, chainId, routePools);
+      if (!pool) {
+        throw new Error(`No Uniswap V3 pool to flash-borrow ${tokenAddress} from on chain ${chainId}`);
+      }
+      return { source: this.source, kind: source.kind, lender: pool.address, fee: pool.feeTier };
+    }
+
+    const lender = source.lenders[chainId];
+    if (!lender) {
+      throw new Error(`${this.source} flash loans are not available on chain ${chainId}`);
+    }
+    return { source: this.source, kind: source.kind, lender, fee: this.getFee(chainId) };
+  }
+
+  // Fee (hundredths of a bip) of the source's lender on a chain: the one read from it, else the
+  // configured one
+  getFee(chainId = 1) {
+    return this.fees.get(Number(chainId)) ?? FLASH_LOAN_SOURCES[this.source].fees[chainId];
+  }
+
+  // Fee of a flash loan, rounded up like the lenders do
+  getFlashFee(amount, fee) {
+    return (BigInt(amount) * BigInt(fee) + 999999n) / 1000000n;
+  }
+
+  // Borrow and repay legs of a flash loan of `amount` of a token ({ source, kind, lender, fee,
+  // amount, feeAmount, repayAmount, gasUsed }), or null when routes are funded from inventory
+  getFlashLoan(tokenAddress, amount, chainId = 1, routePools = []) {
+    const lender = this.getLender(tokenAddress, chainId, routePools);
+    if (!lender) {
+      return null;
+    }
+
+    const feeAmount = this.getFlashFee(amount, lender.fee);
+    return {
+      ...lender,
+      token: tokenAddress,
+      amount: amount.toString(),
+      feeAmount: feeAmount.toString(),
+      repayAmount: (BigInt(amount) + feeAmount).toString(),
+      gasUsed: GAS_LIMITS.FLASH_LOAN.toString()
+    };
+  }
+
+  // Flash fee as a fraction of the borrowed amount (zero when funded from inventory)
+  getFeeRate(tokenAddress, chainId = 1, routePools = []) {
+    const lender = this.getLender(tokenAddress, chainId, routePools);
+    return new HelperUtils.BigNumber(lender ? lender.fee : 0).dividedBy(1000000);
+  }
+
+  // Gas of borrowing and repaying around a route (zero when funded from inventory)
+  getGasOverhead() {
+    return this.source ? GAS_LIMITS.FLASH_LOAN : 0;
+  }
+
+  // Funding mode
+  getStats() {
+    return {
+      funding: this.source || 'INVENTORY',
+      fees: this.source
+        ? Object.fromEntries(Object.keys(FLASH_LOAN_SOURCES[this.source].lenders).map(chainId => [chainId, this.getFee(chainId)]))
+        : {}
+    };
+  }
+}
+
+// Create singleton instance
+const flashLoanService = new FlashLoanService();
+
+export default flashLoanService;
@@ -0,0 +1,221 @@
+import { ARBITRAGE_CONFIG, GAS_LIMITS } from '../config/constants.js';
+import { logError, logger } from '../utils/logger.js';
+import HelperUtils from '../utils/helpers.js';
+import rpcManager from './rpc-manager.js';
+import priceFetcher from './price-fetcher/index.js';
+import tokenRegistry from '../config/token-registry.js';
+
+const DEFAULT_FEE_DATA = {
+  gasPrice: BigInt(20000000000), // 20 gwei
+  maxFeePerGas: BigInt(30000000000), // 30 gwei
+  maxPriorityFeePerGas: BigInt(2000000000), // 2 gwei
+  baseFeePerGas: null
+};
+
+// Gas costs are tracked per chain. feeData/lastUpdate and ethPriceUSD mirror the primary chain.
+class GasCostService {
+  constructor() {
+    this.feeData = null;
+    this.lastUpdate = null;
+    this.updateInterval = 12000; // one block
+    this.ethPriceUSD = null;
+    this.lastEthPriceUpdate = null;
+    this.feeDataByChain = new Map(); // chainId -> fee data
+    this.nativePricesUSD = new Map(); // chainId -> BigNumber
+  }
+
+  // Refresh fee data of a chain (legacy gas price plus EIP-1559 fields and the latest base fee)
+  async updateFeeData(chainId = rpcManager.chainId) {
+    let feeData = this.feeDataByChain.get(chainId) || null;
+
+    try {
+      const [rpcFeeData, block] = await Promise.all([
+        rpcManager.getGasPrice(chainId),
+        rpcManager.execute(async (provider) => {
+          return await provider.getBlock('latest');
+        }, chainId)
+      ]);
+
+      feeData = {
+        gasPrice: rpcFeeData.gasPrice ?? DEFAULT_FEE_DATA.gasPrice,
+        maxFeePerGas: rpcFeeData.maxFeePerGas ?? null,
+        maxPriorityFeePerGas: rpcFeeData.maxPriorityFeePerGas ?? null,
+        baseFeePerGas: block?.baseFeePerGas ?? null,
+        timestamp: Date.now()
+      };
+
+      logger.debug('Gas fee data updated', {
+        chainId,
+        gasPrice: feeData.gasPrice.toString(),
+        baseFeePerGas: feeData.baseFeePerGas?.toString(),
+        maxFeePerGas: feeData.maxFeePerGas?.toString(),
+        maxPriorityFeePerGas: feeData.maxPriorityFeePerGas?.toString()
+      });
+
+    } catch (error) {
+      logError(error, { context: 'GasCostService.updateFeeData', chainId });
+
+      // Keep the last known values, or fall back to defaults
+      if (!feeData) {
+        feeData = { ...DEFAULT_FEE_DATA, timestamp: Date.now() };
+      }
+    }
+
+    this.feeDataByChain.set(chainId, feeData);
+    if (chainId === rpcManager.chainId) {
+      this.feeData = feeData;
+      this.lastUpdate = feeData.timestamp;
+    }
+
+    return feeData;
+  }
+
+  // Get fee data of a chain, refreshing it once it is older than a block
+  async getFeeData(chainId = rpcManager.chainId) {
+    const feeData = this.feeDataByChain.get(chainId);
+    if (feeData && (Date.now() - feeData.timestamp) < this.updateInterval) {
+      return feeData;
+    }
+    return await this.updateFeeData(chainId);
+  }
+
+  // Gas price actually paid per unit of gas.
+  // EIP-1559: min(maxFeePerGas, baseFee + maxPriorityFeePerGas); legacy: gasPrice.
+  getEffectiveGasPrice(feeData, overrides = {}) {
+    const maxFeePerGas = overrides.maxFeePerGas ?? feeData.maxFeePerGas;
+    const maxPriorityFeePerGas = overrides.maxPriorityFeePerGas ?? feeData.maxPriorityFeePerGas;
+
+    if (maxFeePerGas == null || maxPriorityFeePerGas == null) {
+      return BigInt(overrides.gasPrice ?? feeData.gasPrice);
+    }
+
+    // Without a known base fee the max fee is the worst case
+    if (feeData.baseFeePerGas == null) {
+      return BigInt(maxFeePerGas);
+    }
+
+    const expected = BigInt(feeData.baseFeePerGas) + BigInt(maxPriorityFeePerGas);
+    return expected < BigInt(maxFeePerGas) ? expected : BigInt(maxFeePerGas);
+  }
+
+  // Price in USD of a chain's native gas token, from the live pools of its wrapped
+  // token (tagged native-wrapped in the registry) against USDC, median across pools and fee tiers
+  getNativePriceUSD(chainId = rpcManager.chainId) {
+    const [nativeSymbol] = tokenRegistry.getSymbolsByTag('native-wrapped', chainId);
+    const quotes = [];
+
+    for (const priceData of priceFetcher.getAllPricesMap().values()) {
+      if ((priceData.chainId ?? 1) !== chainId) continue;
+
+      const price = new HelperUtils.BigNumber(priceData.price?.toString() || '0');
+      if (!price.isFinite() || price.lte(0)) continue;
+
+      if (priceData.tokenA === nativeSymbol && priceData.tokenB === 'USDC') {
+        quotes.push(price);
+      } else if (priceData.tokenA === 'USDC' && priceData.tokenB === nativeSymbol) {
+        quotes.push(new HelperUtils.BigNumber(1).dividedBy(price));
+      }
+    }
+
+    if (quotes.length > 0) {
+      quotes.sort((a, b) => a.comparedTo(b));
+      const mid = Math.floor(quotes.length / 2);
+      this.nativePricesUSD.set(chainId, quotes.length % 2
+        ? quotes[mid]
+        : quotes[mid - 1].plus(quotes[mid]).dividedBy(2));
+
+      if (chainId === rpcManager.chainId) {
+        this.ethPriceUSD = this.nativePricesUSD.get(chainId);
+        this.lastEthPriceUpdate = Date.now();
+      }
+    }
+
+    return this.nativePricesUSD.get(chainId) || null;
+  }
+
+  // ETH price in USD on the primary chain
+  getEthPriceUSD() {
+    return this.getNativePriceUSD(rpcManager.chainId);
+  }
+
+  // Gas limit for a route with the given number of swaps
+  getRouteGasLimit(hopCount) {
+    if (hopCount <= 1) return GAS_LIMITS.SINGLE_SWAP;
+    if (hopCount === 2) return GAS_LIMITS.SIMPLE_ARBITRAGE;
+    if (hopCount === 3) return GAS_LIMITS.TRIANGULAR_SWAP;
+    return GAS_LIMITS.TRIANGULAR_SWAP + (hopCount - 3) * GAS_LIMITS.SINGLE_SWAP;
+  }
+
+  // Estimate the USD cost of spending gasLimit gas on a chain, including a safety buffer.
+  // overrides may set gasPrice, maxFeePerGas or maxPriorityFeePerGas (wei).
+  // gasCostETH and ethPriceUSD are denominated in the chain's native token.
+  async estimateGasCost(gasLimit, overrides = {}, bufferPercentage = ARBITRAGE_CONFIG.GAS_BUFFER_PERCENTAGE, chainId = rpcManager.chainId) {
+    const feeData = await this.getFeeData(chainId);
+    const effectiveGasPrice = this.getEffectiveGasPrice(feeData, overrides);
+    const gasCostWei = effectiveGasPrice * BigInt(gasLimit);
+    const gasCostETH = HelperUtils.fromWei(gasCostWei.toString());
+
+    const ethPriceUSD = this.getNativePriceUSD(chainId);
+    if (!ethPriceUSD) {
+      throw new Error(`Native token USD price not available on chain ${chainId}`);
+    }
+
+    const gasCostUSD = HelperUtils.getGasPriceWithBuffer(
+      gasCostETH.multipliedBy(ethPriceUSD),
+      bufferPercentage
+    );
+
+    return {
+      chainId,
+      gasLimit: Number(gasLimit),
+      effectiveGasPrice: effectiveGasPrice.toString(),
+      baseFeePerGas: feeData.baseFeePerGas?.toString() ?? null,
+      maxFeePerGas: (overrides.maxFeePerGas ?? feeData.maxFeePerGas)?.toString() ?? null,
+      maxPriorityFeePerGas: (overrides.maxPriorityFeePerGas ?? feeData.maxPriorityFeePerGas)?.toString() ?? null,
+      gasCostWei: gasCostWei.toString(),
+      gasCostETH,
+      ethPriceUSD,
+      gasCostUSD
+    };
+  }
+
+  // Estimate the USD cost of spending gasLimit gas
+  async estimateGasCostUSD(gasLimit, overrides = {}, bufferPercentage = ARBITRAGE_CONFIG.GAS_BUFFER_PERCENTAGE, chainId = rpcManager.chainId) {
+    const estimate = await this.estimateGasCost(gasLimit, overrides, bufferPercentage, chainId);
+    return estimate.gasCostUSD;
+  }
+
+  // Convert a wei amount of a chain's native token to USD at the live price
+  weiToUSD(amountWei, chainId = rpcManager.chainId) {
+    const nativePriceUSD = this.getNativePriceUSD(chainId);
+    if (!nativePriceUSD) {
+      return null;
+    }
+    return HelperUtils.fromWei(amountWei.toString()).multipliedBy(nativePriceUSD);
+  }
+
+  // Get gas cost service statistics
+  getStats() {
+    return {
+      gasPrice: this.feeData?.gasPrice?.toString(),
+      baseFeePerGas: this.feeData?.baseFeePerGas?.toString(),
+      maxFeePerGas: this.feeData?.maxFeePerGas?.toString(),
+      maxPriorityFeePerGas: this.feeData?.maxPriorityFeePerGas?.toString(),
+      lastUpdate: this.lastUpdate,
+      ethPriceUSD: this.ethPriceUSD?.toNumber() ?? null,
+      lastEthPriceUpdate: this.lastEthPriceUpdate,
+      chains: Array.from(this.feeDataByChain.entries()).map(([chainId, feeData]) => ({
+        chainId,
+        gasPrice: feeData.gasPrice?.toString(),
+        baseFeePerGas: feeData.baseFeePerGas?.toString(),
+        lastUpdate: feeData.timestamp,
+        nativePriceUSD: this.nativePricesUSD.get(chainId)?.toNumber() ?? null
+      }))
+    };
+  }
+}
+
+// Create singleton instance
+const gasCostService = new GasCostService();
+
+export default gasCostService;
@@ -0,0 +1,180 @@
+import { ethers } from 'ethers';
+import rpcManager from './rpc-manager.js';
+import { getChainConfig, INTERVALS } from '../config/constants.js';
+import { logger, logError } from '../utils/logger.js';
+
+// Block-range log subscription.
+// Each new block range is read with one eth_getLogs per address chunk and handed to the
+// subscriber in block order. New blocks are detected by polling eth_blockNumber, or by a
+// WebSocket newHeads subscription when the chain has a wsUrl (polling resumes if it drops).
+class LogSubscriber {
+  constructor() {
+    this.subscriptions = new Map(); // chainId -> subscription
+    this.maxBlockRange = parseInt(process.env.LOG_BLOCK_RANGE) || 500;
+    this.maxAddressesPerQuery = 500;
+  }
+
+  // Subscribe to logs of a chain.
+  // getAddresses() returns the contract addresses to watch (re-read every block range),
+  // onLogs(logs, { fromBlock, toBlock }) receives each non-empty range, and the optional
+  // onSync({ fromBlock, toBlock }) every range once its logs are handled, empty or not.
+  async subscribe(chainId, { getAddresses, topics, onLogs, onSync = null }) {
+    if (this.subscriptions.has(chainId)) {
+      throw new Error(`Already subscribed to logs on chain ${chainId}`);
+    }
+
+    const subscription = {
+      chainId,
+      getAddresses,
+      topics,
+      onLogs,
+      onSync,
+      lastBlock: await rpcManager.getBlockNumber(chainId),
+      isSyncing: false,
+      pollTimer: null,
+      wsProvider: null,
+      stats: { ranges: 0, logs: 0, errors: 0 }
+    };
+    this.subscriptions.set(chainId, subscription);
+
+    const wsUrl = getChainConfig(chainId)?.wsUrl;
+    if (wsUrl) {
+      this.subscribeNewHeads(subscription, wsUrl);
+    } else {
+      this.startPolling(subscription);
+    }
+
+    logger.info(`📡 Subscribed to logs on chain ${chainId} from block ${subscription.lastBlock} (${wsUrl ? 'newHeads' : 'polling'})`);
+    return subscription;
+  }
+
+  // Poll for new blocks
+  startPolling(subscription) {
+    if (subscription.pollTimer) return;
+
+    subscription.pollTimer = setInterval(async () => {
+      try {
+        await this.sync(subscription, await rpcManager.getBlockNumber(subscription.chainId));
+      } catch (error) {
+        logError(error, { context: 'LogSubscriber.poll', chainId: subscription.chainId });
+      }
+    }, INTERVALS.LOG_POLL);
+  }
+
+  // Follow new heads over a WebSocket, falling back to polling when the socket fails
+  subscribeNewHeads(subscription, wsUrl) {
+    try {
+      const wsProvider = new ethers.WebSocketProvider(wsUrl, subscription.chainId);
+      subscription.wsProvider = wsProvider;
+
+      wsProvider.on('block', async (blockNumber) => {
+        try {
+          await this.sync(subscription, blockNumber);
+        } catch (error) {
+          logError(error, { context: 'LogSubscriber.newHeads', chainId: subscription.chainId });
+        }
+      });
+
+      wsProvider.on('error', (error) => {
+        logger.warn(`WebSocket newHeads failed on chain ${subscription.chainId}, polling instead: ${error.message}`);
+        this.closeWebSocket(subscription);
+        this.startPolling(subscription);
+      });
+    } catch (error) {
+      logError(error, { context: 'LogSubscriber.subscribeNewHeads', chainId: subscription.chainId });
+      this.closeWebSocket(subscription);
+      this.startPolling(subscription);
+    }
+  }
+
+  // Close the newHeads WebSocket of a subscription
+  closeWebSocket(subscription) {
+    if (!subscription.wsProvider) return;
+
+    const wsProvider = subscription.wsProvider;
+    subscription.wsProvider = null;
+    wsProvider.removeAllListeners();
+    wsProvider.destroy().catch(() => {});
+  }
+
+  // Read every block after the last processed one up to `latestBlock`.
+  // Ranges are processed one at a time; heads arriving meanwhile are picked up by the next sync.
+  async sync(subscription, latestBlock) {
+    if (subscription.isSyncing || latestBlock <= subscription.lastBlock) return;
+    subscription.isSyncing = true;
+
+    try {
+      while (subscription.lastBlock < latestBlock) {
+        const fromBlock = subscription.lastBlock + 1;
+        const toBlock = Math.min(latestBlock, fromBlock + this.maxBlockRange - 1);
+
+        const logs = await this.getLogs(subscription, fromBlock, toBlock);
+        subscription.lastBlock = toBlock;
+        subscription.stats.ranges++;
+        subscription.stats.logs += logs.length;
+
+        if (logs.length > 0) {
+          await subscription.onLogs(logs, { fromBlock, toBlock });
+        }
+        if (subscription.onSync) {
+          await subscription.onSync({ fromBlock, toBlock });
+        }
+      }
+    } catch (error) {
+      subscription.stats.errors++;
+      throw error;
+    } finally {
+      subscription.isSyncing = false;
+    }
+  }
+
+  // eth_getLogs for a block range, chunked by address, sorted in block/log order
+  async getLogs(subscription, fromBlock, toBlock) {
+    const addresses = subscription.getAddresses();
+    const logs = [];
+
+    for (let i = 0; i < addresses.length; i += this.maxAddressesPerQuery) {
+      const address = addresses.slice(i, i + this.maxAddressesPerQuery);
+      const chunk = await rpcManager.execute(async (provider) => {
+        return await provider.getLogs({ address, topics: [subscription.topics], fromBlock, toBlock });
+      }, subscription.chainId);
+      logs.push(...chunk);
+    }
+
+    return logs.sort((a, b) => a.blockNumber - b.blockNumber || a.index - b.index);
+  }
+
+  // Stop a chain's subscription, or all of them
+  unsubscribe(chainId = null) {
+    const chainIds = chainId === null ? Array.from(this.subscriptions.keys()) : [chainId];
+
+    for (const id of chainIds) {
+      const subscription = this.subscriptions.get(id);
+      if (!subscription) continue;
+
+      if (subscription.pollTimer) {
+        clearInterval(subscription.pollTimer);
+      }
+      this.closeWebSocket(subscription);
+      this.subscriptions.delete(id);
+    }
+  }
+
+  // Get subscription statistics per chain
+  getStats() {
+    const stats = {};
+    for (const [chainId, subscription] of this.subscriptions) {
+      stats[chainId] = {
+        lastBlock: subscription.lastBlock,
+        mode: subscription.wsProvider ? 'newHeads' : 'polling',
+        ...subscription.stats
+      };
+    }
+    return stats;
+  }
+}
+
+// Create singleton instance
+const logSubscriber = new LogSubscriber();
+
+export default logSubscriber;
@@ -0,0 +1,179 @@
+import priceFetcher from './price-fetcher/index.js';
+import transactionBuilder from './trade-executor/transaction-builder.js';
+import tokenRegistry from '../config/token-registry.js';
+import storage from '../storage/index.js';
+import { OPPORTUNITY_TRANSITIONS } from '../config/constants.js';
+import HelperUtils from '../utils/helpers.js';
+import { logger } from '../utils/logger.js';
+
+// Statuses an opportunity only moves to while it still holds at fresh prices
+const REVALIDATED_STATUSES = ['simulated', 'profitable'];
+
+// Single writer of opportunity statuses. Transitions follow OPPORTUNITY_TRANSITIONS; each one is
+// appended to the opportunity's statusHistory and stamps statusTimestamps[status]. Before moving
+// towards execution an opportunity is revalidated against the latest pool prices, and expires
+// (with the reason in expiryReason) when it no longer holds. Changes are persisted through the
+// storage layer.
+class OpportunityLifecycle {
+  constructor() {
+    this.maxAgeMs = 5 * 60 * 1000; // opportunities older than this expire
+    this.maxPriceAgeMs = 30000; // pool prices older than this don't revalidate an opportunity
+
+    this.stats = {
+      transitions: 0,
+      rejected: 0,
+      expired: 0
+    };
+  }
+
+  // Whether an opportunity may move from one status to another
+  canTransition(from, to) {
+    return OPPORTUNITY_TRANSITIONS[from]?.includes(to) ?? false;
+  }
+
+  // Whether a status is final
+  isFinal(status) {
+    return OPPORTUNITY_TRANSITIONS[status]?.length === 0;
+  }
+
+  // Check an opportunity against the latest prices of its pools: it must be younger than
+  // maxAgeMs, every leg's pool must have a price fresher than maxPriceAgeMs, and a round trip at
+  // those prices, net of each pool's fee, must return more than it puts in.
+  // Returns { valid, reason, roundTripRate }.
+  revalidate(opportunity, now = Date.now()) {
+    const age = now - new Date(opportunity.timestamp).getTime();
+    if (age > this.maxAgeMs) {
+      return { valid: false, reason: `Older than ${this.maxAgeMs / 1000}s`, roundTripRate: null };
+    }
+
+    const chainId = opportunity.metadata?.chainId ?? 1;
+    let roundTripRate = new HelperUtils.BigNumber(1);
+
+    for (const leg of transactionBuilder.getLegs(opportunity)) {
+      const priceData = priceFetcher.getPriceByPoolAddress(leg.pool);
+      if (priceFetcher.isPriceStale(priceData, this.maxPriceAgeMs)) {
+        return { valid: false, reason: `No fresh price for ${leg.dex} pool ${leg.pool}`, roundTripRate: null };
+      }
+
+      // Prices are tokenB per tokenA
+      const price = new HelperUtils.BigNumber(priceData.price.toString());
+      const tokenIn = tokenRegistry.getTokenByAddress(leg.tokenIn, chainId);
+      const rate = tokenIn?.symbol === priceData.tokenA ? price : new HelperUtils.BigNumber(1).dividedBy(price);
+      const fee = new HelperUtils.BigNumber(priceData.feeTier ?? 3000).dividedBy(1000000);
+
+      roundTripRate = roundTripRate.multipliedBy(rate).multipliedBy(new HelperUtils.BigNumber(1).minus(fee));
+    }
+
+    if (!roundTripRate.isFinite() || roundTripRate.lte(1)) {
+      return {
+        valid: false,
+        reason: `Spread closed: round trip returns ${roundTripRate.toFixed(6)} per unit`,
+        roundTripRate: roundTripRate.toFixed(6)
+      };
+    }
+    return { valid: true, reason: null, roundTripRate: roundTripRate.toFixed(6) };
+  }
+
+  // Move an opportunity to a status, merging `data` into it. Transitions into REVALIDATED_STATUSES
+  // revalidate it first and expire it instead when it no longer holds. Returns the history entry
+  // ({ from, to, at, reason, roundTripRate }) of the transition made, or null when the opportunity
+  // already has the status (`data` is still merged). Throws on transitions OPPORTUNITY_TRANSITIONS
+  // does not allow.
+  async transition(opportunity, status, { reason = null, data = {}, revalidate = REVALIDATED_STATUSES.includes(status) } = {}) {
+    const from = opportunity.status || 'detected';
+    if (from === status) {
+      await this.update(opportunity, data);
+      return null;
+    }
+    if (!this.canTransition(from, status)) {
+      this.stats.rejected++;
+      throw new Error(`Invalid opportunity transition from ${from} to ${status}`);
+    }
+
+    const entry = { from, to: status, at: new Date(), reason, roundTripRate: null };
+    if (revalidate) {
+      const validation = this.revalidate(opportunity, entry.at.getTime());
+      entry.roundTripRate = validation.roundTripRate;
+      if (!validation.valid) {
+        entry.to = 'expired';
+        entry.reason = validation.reason;
+      }
+    }
+
+    Object.assign(opportunity, data);
+    opportunity.status = entry.to;
+    opportunity.statusHistory = [...(opportunity.statusHistory || []), entry];
+    if (typeof opportunity.set === 'function') {
+      opportunity.set(`statusTimestamps.${entry.to}`, entry.at);
+    } else {
+      opportunity.statusTimestamps = { ...opportunity.statusTimestamps, [entry.to]: entry.at };
+    }
+
+    if (entry.to === 'expired') {
+      opportunity.expiryReason = entry.reason;
+      this.stats.expired++;
+      logger.info(`⌛ Opportunity ${opportunity.id} expired: ${entry.reason}`);
+    } else {
+      logger.debug(`Opportunity ${opportunity.id}: ${from} → ${entry.to}`);
+    }
+    this.stats.transitions++;
+
+    await storage.opportunities.save(opportunity);
+    return entry;
+  }
+
+  // Expire an opportunity for a reason (nothing happens to one in a final status)
+  async expire(opportunity, reason) {
+    if (this.isFinal(opportunity.status)) {
+      return null;
+    }
+    return this.transition(opportunity, 'expired', { reason, revalidate: false });
+  }
+
+  // Record a simulation result ({ success, actualOutput, gasUsed, errorMessage, simulationTimestamp })
+  // and move the opportunity to profitable or unprofitable. Simulations of opportunities that can no
+  // longer move there (e.g. already executed) are stored without a transition.
+  async recordSimulation(opportunity, simulationResult) {
+    const status = simulationResult.success ? 'profitable' : 'unprofitable';
+    const data = { simulationResult };
+
+    if (this.canTransition(opportunity.status || 'detected', status)) {
+      return this.transition(opportunity, status, { data });
+    }
+
+    await this.update(opportunity, data);
+    return null;
+  }
+
+  // Merge fields (dotted paths allowed) into an opportunity without changing its status
+  async update(opportunity, data) {
+    if (Object.keys(data).length > 0) {
+      await storage.opportunities.update(opportunity, data);
+    }
+  }
+
+  // Transition history of an opportunity, oldest first
+  getHistory(opportunity) {
+    return (opportunity.statusHistory || []).map(entry => ({
+      from: entry.from ?? null,
+      to: entry.to,
+      at: entry.at,
+      reason: entry.reason ?? null,
+      roundTripRate: entry.roundTripRate ?? null
+    }));
+  }
+
+  // Transition counters
+  getStats() {
+    return {
+      maxAgeMs: this.maxAgeMs,
+      maxPriceAgeMs: this.maxPriceAgeMs,
+      ...this.stats
+    };
+  }
+}
+
+// Create singleton instance
+const opportunityLifecycle = new OpportunityLifecycle();
+
+export default opportunityLifecycle;
@@ -1,9 +1,11 @@
 import { ethers } from 'ethers';
-import { DEX_CONFIG } from '../config/dex-config.js';
-import { SUPPORTED_TOKENS, TOKEN_PAIRS, FEE_TIERS } from '../config/constants.js';
+import { getDexsForChain } from '../config/dex-config.js';
+import { FEE_TIERS } from '../config/constants.js';
+import tokenRegistry from '../config/token-registry.js';
 import rpcManager from './rpc-manager.js';
 import { logPoolDiscovery, logError, logger } from '../utils/logger.js';
 import HelperUtils from '../utils/helpers.js';
+import SwapMath from '../utils/swap-math.js';
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
@@ -11,36 +13,53 @@ import { fileURLToPath } from 'url';
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
+// Uniswap V3 pool tick reads (not in the UniswapV3Pool.json ABI)
+const V3_TICK_INTERFACE = new ethers.Interface([
+  "function tickBitmap(int16 wordPosition) external view returns (uint256)",
+  "function ticks(int24 tick) external view returns (uint128 liquidityGross, int128 liquidityNet, uint256 feeGrowthOutside0X128, uint256 feeGrowthOutside1X128, int56 tickCumulativeOutside, uint160 secondsPerLiquidityOutsideX128, uint32 secondsOutside, bool initialized)"
+]);
+
 class PoolDiscovery {
   constructor() {
     this.discoveredPools = new Map();
     this.factoryContracts = new Map();
     this.poolContracts = new Map();
+    this.tickLoads = new Map(); // `${chainId}:${address}` -> in-flight tick load
+    this.tickLoadChanges = new Map(); // `${chainId}:${address}` -> liquidity changes applied while its ticks load
+    this.tickWordRadius = parseInt(process.env.V3_TICK_WORD_RADIUS) || 2; // bitmap words loaded each side of the current tick
+    this.tickMaxAgeBlocks = parseInt(process.env.V3_TICK_MAX_AGE_BLOCKS) || 100; // reload age when ticks aren't kept in sync by logs
     this.isInitialized = false;
   }
 
   // Initialize the pool discovery service
   async initialize() {
     try {
-      // Initialize factory contracts for all DEXs
-      for (const [dexName, config] of Object.entries(DEX_CONFIG)) {
-        try {
-          const factoryABI = JSON.parse(fs.readFileSync(path.join(__dirname, '../abis/UniswapV3Factory.json'), 'utf8'));
-          const factoryContract = new ethers.Contract(
-            config.factory,
-            factoryABI,
-            rpcManager.getProvider()
-          );
-
-          this.factoryContracts.set(dexName, {
-            contract: factoryContract,
-            config,
-            pools: new Map()
-          });
-
-          logger.info(`Factory contract initialized for ${dexName}`);
-        } catch (error) {
-          logError(error, { dex: dexName, context: 'PoolDiscovery.initialize' });
+      // Initialize factory contracts for all DEXs on every connected chain
+      const factoryABI = JSON.parse(fs.readFileSync(path.join(__dirname, '../abis/UniswapV3Factory.json'), 'utf8'));
+      for (const chainId of rpcManager.getChainIds()) {
+        for (const [dexName, config] of Object.entries(getDexsForChain(chainId))) {
+          // V2-style DEXs have no V3 factory; their adapters discover pairs themselves
+          if (config.version !== 'V3') continue;
+
+          try {
+            const factoryContract = new ethers.Contract(
+              config.factory,
+              factoryABI,
+              rpcManager.getProvider(chainId)
+            );
+
+            this.factoryContracts.set(this.getFactoryKey(dexName, chainId), {
+              dexName,
+              chainId,
+              contract: factoryContract,
+              config,
+              pools: new Map()
+            });
+
+            logger.info(`Factory contract initialized for ${dexName} on chain ${chainId}`);
+          } catch (error) {
+            logError(error, { dex: dexName, chainId, context: 'PoolDiscovery.initialize' });
+          }
         }
       }
 
@@ -56,13 +75,16 @@ class PoolDiscovery {
     }
   }
 
-  // Discover all pools for supported token pairs
-  async discoverAllPools() {
+  // Discover all pools for supported token pairs, optionally limited to one DEX and/or chain
+  async discoverAllPools(filter = {}) {
     try {
       const discoveryPromises = [];
       
-      for (const [dexName, factoryInfo] of this.factoryContracts) {
-        for (const [tokenA, tokenB] of TOKEN_PAIRS) {
+      for (const { dexName, chainId } of this.factoryContracts.values()) {
+        if (filter.dexName && filter.dexName !== dexName) continue;
+        if (filter.chainId && filter.chainId !== chainId) continue;
+
+        for (const [tokenA, tokenB] of tokenRegistry.getCandidatePairs(chainId)) {
           // Only check the most common fee tiers to speed up discovery
           const feeTiers = [3000, 500]; // Focus on 0.3% and 0.05% pools
           for (const feeTier of feeTiers) {
@@ -72,10 +94,10 @@ class PoolDiscovery {
             });
             
             const discoveryPromise = Promise.race([
-              this.discoverPool(dexName, tokenA, tokenB, feeTier),
+              this.discoverPool(dexName, tokenA, tokenB, feeTier, chainId),
               timeoutPromise
             ]).catch(error => {
-              logger.debug(`Pool discovery failed for ${dexName} ${tokenA}/${tokenB}: ${error.message}`);
+              logger.debug(`Pool discovery failed for ${dexName} ${tokenA}/${tokenB} on chain ${chainId}: ${error.message}`);
               return null;
             });
             
@@ -105,16 +127,16 @@ class PoolDiscovery {
   }
 
   // Discover a specific pool
-  async discoverPool(dexName, tokenA, tokenB, feeTier) {
+  async discoverPool(dexName, tokenA, tokenB, feeTier, chainId = 1) {
     try {
-      const factoryInfo = this.factoryContracts.get(dexName);
+      const factoryInfo = this.factoryContracts.get(this.getFactoryKey(dexName, chainId));
       if (!factoryInfo) {
-        throw new Error(`DEX ${dexName} not initialized`);
+        throw new Error(`DEX ${dexName} not initialized on chain ${chainId}`);
       }
 
       // Use proper checksummed addresses
-      const tokenAAddress = await HelperUtils.toChecksumAddress(SUPPORTED_TOKENS[tokenA].address);
-      const tokenBAddress = await HelperUtils.toChecksumAddress(SUPPORTED_TOKENS[tokenB].address);
+      const tokenAAddress = await HelperUtils.toChecksumAddress(tokenRegistry.getToken(tokenA, chainId).address);
+      const tokenBAddress = await HelperUtils.toChecksumAddress(tokenRegistry.getToken(tokenB, chainId).address);
 
       // Sort tokens for pool address calculation
       const [token0, token1] = HelperUtils.sortTokens(tokenAAddress, tokenBAddress);
@@ -124,7 +146,7 @@ class PoolDiscovery {
       try {
         poolAddress = await rpcManager.execute(async (provider) => {
           return await factoryInfo.contract.getPool(token0, token1, feeTier);
-        });
+        }, chainId);
       } catch (error) {
         // Handle missing revert data - this means pool doesn't exist
         if (error.message.includes('missing revert data') || error.code === 'CALL_EXCEPTION') {
@@ -144,15 +166,16 @@ class PoolDiscovery {
       const poolContract = new ethers.Contract(
         poolAddress,
         poolABI,
-        rpcManager.getProvider()
+        rpcManager.getProvider(chainId)
       );
 
       // Get pool data
-      const poolData = await this.getPoolData(poolContract);
+      const poolData = await this.getPoolData(poolContract, chainId);
 
       const poolInfo = {
         address: poolAddress,
         dex: dexName,
+        chainId,
         token0: token0,
         token1: token1,
         tokenASymbol: token0 === tokenAAddress ? tokenA : tokenB,
@@ -164,11 +187,14 @@ class PoolDiscovery {
       };
 
       // Store pool info
-      const poolKey = this.getPoolKey(dexName, tokenA, tokenB, feeTier);
+      const poolKey = this.getPoolKey(dexName, tokenA, tokenB, feeTier, chainId);
       this.discoveredPools.set(poolKey, poolInfo);
       factoryInfo.pools.set(poolKey, poolInfo);
 
-      logPoolDiscovery(dexName, poolAddress, { tokenA, tokenB, feeTier, liquidity: poolData.liquidity });
+      logPoolDiscovery(dexName, poolAddress, { chainId, tokenA, tokenB, feeTier, liquidity: poolData.liquidity });
+
+      // Initialized ticks around the current price, for swaps that cross ticks
+      await this.scheduleTickLoad(poolInfo);
 
       return poolInfo;
 
@@ -178,28 +204,32 @@ class PoolDiscovery {
         tokenA,
         tokenB,
         feeTier,
+        chainId,
         context: 'PoolDiscovery.discoverPool'
       });
       return null;
     }
   }
 
-  // Get pool data (slot0, liquidity, etc.)
-  async getPoolData(poolContract) {
+  // Get pool data (slot0, liquidity, etc.), read in one multicall
+  async getPoolData(poolContract, chainId = 1) {
     try {
-      const [slot0, liquidity] = await Promise.all([
-        rpcManager.execute(async (provider) => {
-          return await poolContract.slot0();
-        }),
-        rpcManager.execute(async (provider) => {
-          return await poolContract.liquidity();
-        })
-      ]);
+      const results = await rpcManager.multicall(['slot0', 'liquidity', 'tickSpacing'].map(method => ({
+        target: poolContract.target,
+        iface: poolContract.interface,
+        method
+      })), { chainId });
+      const failure = results.find(result => !result.success);
+      if (failure) {
+        throw failure.error;
+      }
+      const [slot0, [liquidity], [tickSpacing]] = results.map(result => result.result);
 
       return {
         sqrtPriceX96: slot0.sqrtPriceX96.toString(),
         tick: slot0.tick,
         liquidity: liquidity.toString(),
+        tickSpacing: Number(tickSpacing),
         observationIndex: slot0.observationIndex,
         observationCardinality: slot0.observationCardinality,
         feeProtocol: slot0.feeProtocol,
@@ -212,17 +242,181 @@ class PoolDiscovery {
     }
   }
 
+  // Load the initialized ticks (liquidityNet/liquidityGross) of the tick bitmap words around the
+  // pool's current tick, tickWordRadius words on each side: one multicall for the bitmap words and
+  // one for ticks() of every initialized tick, both at the same block. Mint/Burn changes applied
+  // to the pool while the load is in flight are replayed on the loaded ticks when they are from a
+  // later block than the one read.
+  async loadTicks(pool, blockTag = null) {
+    const key = this.getTickLoadKey(pool);
+    const changes = [];
+    this.tickLoadChanges.set(key, changes);
+    try {
+      return await this.readTicks(pool, blockTag, changes);
+    } finally {
+      this.tickLoadChanges.delete(key);
+    }
+  }
+
+  // Read the ticks of loadTicks and store them on the pool with the given changes replayed
+  async readTicks(pool, blockTag, changes) {
+    const { chainId, address, tickSpacing } = pool;
+    const readBlock = blockTag ?? await rpcManager.getBlockNumber(chainId);
+    const { wordPos } = SwapMath.getTickPosition(SwapMath.compressTick(Number(pool.tick), tickSpacing));
+    const tickWordRange = { lower: wordPos - this.tickWordRadius, upper: wordPos + this.tickWordRadius };
+
+    const words = [];
+    for (let word = tickWordRange.lower; word <= tickWordRange.upper; word++) {
+      words.push(word);
+    }
+    const wordResults = await rpcManager.multicall(words.map(word => ({
+      target: address,
+      iface: V3_TICK_INTERFACE,
+      method: 'tickBitmap',
+      args: [word]
+    })), { chainId, blockTag: readBlock });
+
+    const initializedTicks = [];
+    for (let i = 0; i < words.length; i++) {
+      if (!wordResults[i].success) throw wordResults[i].error;
+
+      const bitmap = wordResults[i].result[0];
+      for (let bitPos = 0; bitPos < 256; bitPos++) {
+        if ((bitmap >> BigInt(bitPos)) & 1n) {
+          initializedTicks.push(((words[i] << 8) + bitPos) * tickSpacing);
+        }
+      }
+    }
+
+    const tickResults = await rpcManager.multicall(initializedTicks.map(tick => ({
+      target: address,
+      iface: V3_TICK_INTERFACE,
+      method: 'ticks',
+      args: [tick]
+    })), { chainId, blockTag: readBlock });
+
+    const ticks = initializedTicks.map((tick, i) => {
+      if (!tickResults[i].success) throw tickResults[i].error;
+      const { liquidityGross, liquidityNet } = tickResults[i].result;
+      return { tick, liquidityNet: liquidityNet.toString(), liquidityGross: liquidityGross.toString() };
+    });
+
+    Object.assign(pool, { tickWordRange, ticksBlockNumber: readBlock, tickLoadFailed: false });
+    let replayedTicks = ticks;
+    for (const change of changes) {
+      if (change.blockNumber > readBlock) {
+        replayedTicks = this.updateTick(pool, replayedTicks, change.tickLower, change.liquidityDelta, false);
+        replayedTicks = this.updateTick(pool, replayedTicks, change.tickUpper, change.liquidityDelta, true);
+      }
+    }
+    pool.ticks = replayedTicks;
+    logger.debug(`Loaded ${ticks.length} ticks of ${pool.dex} pool ${address} in words ${tickWordRange.lower}..${tickWordRange.upper}`);
+
+    return replayedTicks;
+  }
+
+  // Load a pool's ticks unless a load of the same pool is already in flight. Failures are logged
+  // and mark the pool so that needsTickLoad asks for the load again.
+  scheduleTickLoad(pool, blockTag = null) {
+    const key = this.getTickLoadKey(pool);
+    if (!this.tickLoads.has(key)) {
+      const load = this.loadTicks(pool, blockTag)
+        .catch(error => {
+          pool.tickLoadFailed = true;
+          logError(error, { pool: pool.address, chainId: pool.chainId, context: 'PoolDiscovery.loadTicks' });
+          return null;
+        })
+        .finally(() => this.tickLoads.delete(key));
+      this.tickLoads.set(key, load);
+    }
+    return this.tickLoads.get(key);
+  }
+
+  // Key of a pool's tick loads
+  getTickLoadKey(pool) {
+    return `${pool.chainId}:${pool.address.toLowerCase()}`;
+  }
+
+  // Whether a pool's ticks need a (re)load: none loaded, the last load failed, the current tick
+  // reached the edge words of the loaded range, or (with maxAgeBlocks) they were loaded more than
+  // maxAgeBlocks before blockNumber
+  needsTickLoad(pool, blockNumber = null, maxAgeBlocks = 0) {
+    if (pool.tickLoadFailed || !pool.tickWordRange || pool.tickSpacing === undefined) return true;
+
+    const { wordPos } = SwapMath.getTickPosition(SwapMath.compressTick(Number(pool.tick), pool.tickSpacing));
+    if (wordPos <= pool.tickWordRange.lower || wordPos >= pool.tickWordRange.upper) return true;
+
+    return maxAgeBlocks > 0 && blockNumber !== null && blockNumber - pool.ticksBlockNumber > maxAgeBlocks;
+  }
+
+  // Apply a Mint (positive liquidityDelta) or Burn (negative) of a position, logged at blockNumber,
+  // to the pool: Tick.update on both boundary ticks, and the active liquidity when the position is
+  // in range. Kept for replay while the pool's ticks load (see loadTicks).
+  applyLiquidityChange(pool, tickLower, tickUpper, liquidityDelta, blockNumber = null) {
+    if (liquidityDelta === 0n) return;
+
+    this.tickLoadChanges.get(this.getTickLoadKey(pool))?.push({ tickLower, tickUpper, liquidityDelta, blockNumber });
+
+    if (pool.ticks) {
+      let ticks = this.updateTick(pool, pool.ticks, tickLower, liquidityDelta, false);
+      ticks = this.updateTick(pool, ticks, tickUpper, liquidityDelta, true);
+      pool.ticks = ticks;
+    }
+
+    const tick = Number(pool.tick);
+    if (tickLower <= tick && tick < tickUpper) {
+      pool.liquidity = (BigInt(pool.liquidity) + liquidityDelta).toString();
+    }
+  }
+
+  // Tick.update of one boundary tick inside the loaded words; returns the new tick list
+  // (lists are replaced, not mutated, since pool states keep references to them)
+  updateTick(pool, ticks, tick, liquidityDelta, upper) {
+    const { wordPos } = SwapMath.getTickPosition(SwapMath.compressTick(tick, pool.tickSpacing));
+    if (wordPos < pool.tickWordRange.lower || wordPos > pool.tickWordRange.upper) return ticks;
+
+    const current = ticks.find(t => t.tick === tick) || { tick, liquidityNet: '0', liquidityGross: '0' };
+    const liquidityGross = BigInt(current.liquidityGross) + liquidityDelta;
+    // Upper ticks subtract liquidity when crossed left to right
+    const liquidityNet = upper
+      ? BigInt(current.liquidityNet) - liquidityDelta
+      : BigInt(current.liquidityNet) + liquidityDelta;
+
+    const others = ticks.filter(t => t.tick !== tick);
+    if (liquidityGross === 0n) {
+      return others; // Tick.clear
+    }
+    return [...others, { tick, liquidityNet: liquidityNet.toString(), liquidityGross: liquidityGross.toString() }]
+      .sort((a, b) => a.tick - b.tick);
+  }
+
+  // Exact-input swap through a discovered pool, off-chain, walking its loaded ticks like the pool
+  // contract does (see SwapMath.swapExactInV3; complete is false when the swap leaves the loaded words)
+  swapExactIn(pool, tokenIn, amountIn) {
+    const zeroForOne = tokenIn.toLowerCase() === pool.token0.toLowerCase();
+    return SwapMath.swapExactInV3({
+      sqrtPriceX96: pool.sqrtPriceX96,
+      liquidity: pool.liquidity,
+      tick: pool.tick,
+      feeTier: pool.feeTier,
+      tickSpacing: pool.tickSpacing,
+      ticks: pool.ticks || [],
+      tickWordRange: pool.tickWordRange
+    }, zeroForOne, amountIn);
+  }
+
   // Get pool for a specific token pair and DEX
-  getPool(dexName, tokenA, tokenB, feeTier = FEE_TIERS.MEDIUM) {
-    const poolKey = this.getPoolKey(dexName, tokenA, tokenB, feeTier);
+  getPool(dexName, tokenA, tokenB, feeTier = FEE_TIERS.MEDIUM, chainId = 1) {
+    const poolKey = this.getPoolKey(dexName, tokenA, tokenB, feeTier, chainId);
     return this.discoveredPools.get(poolKey);
   }
 
-  // Get all pools for a token pair across all DEXs
-  getPoolsForPair(tokenA, tokenB) {
+  // Get all pools for a token pair across all DEXs of a chain
+  getPoolsForPair(tokenA, tokenB, chainId = 1) {
     const pools = [];
 
     for (const [poolKey, poolInfo] of this.discoveredPools) {
+      if (poolInfo.chainId !== chainId) continue;
       if ((poolInfo.tokenASymbol === tokenA && poolInfo.tokenBSymbol === tokenB) ||
           (poolInfo.tokenASymbol === tokenB && poolInfo.tokenBSymbol === tokenA)) {
         pools.push(poolInfo);
@@ -260,7 +454,7 @@ class PoolDiscovery {
         throw new Error(`Pool not found: ${poolKey}`);
       }
 
-      const freshData = await this.getPoolData(poolInfo.contract);
+      const freshData = await this.getPoolData(poolInfo.contract, poolInfo.chainId);
       Object.assign(poolInfo, freshData, { lastUpdated: Date.now() });
 
       return poolInfo;
@@ -298,6 +492,7 @@ class PoolDiscovery {
     const stats = {
       totalPools: this.discoveredPools.size,
       poolsByDex: {},
+      poolsByChain: {},
       poolsByPair: {},
       poolsWithLiquidity: 0
     };
@@ -306,6 +501,9 @@ class PoolDiscovery {
       // Count by DEX
       stats.poolsByDex[poolInfo.dex] = (stats.poolsByDex[poolInfo.dex] || 0) + 1;
 
+      // Count by chain
+      stats.poolsByChain[poolInfo.chainId] = (stats.poolsByChain[poolInfo.chainId] || 0) + 1;
+
       // Count by pair
       const pairKey = `${poolInfo.tokenASymbol}/${poolInfo.tokenBSymbol}`;
       stats.poolsByPair[pairKey] = (stats.poolsByPair[pairKey] || 0) + 1;
@@ -320,9 +518,13 @@ class PoolDiscovery {
   }
 
   // Utility methods
-  getPoolKey(dexName, tokenA, tokenB, feeTier) {
+  getPoolKey(dexName, tokenA, tokenB, feeTier, chainId = 1) {
     const [token0, token1] = HelperUtils.sortTokens(tokenA, tokenB);
-    return `${dexName}:${token0}-${token1}:${feeTier}`;
+    return `${chainId}:${dexName}:${token0}-${token1}:${feeTier}`;
+  }
+
+  getFactoryKey(dexName, chainId = 1) {
+    return `${chainId}:${dexName}`;
   }
 
   getTotalPools() {
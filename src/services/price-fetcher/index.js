@@ -1,18 +1,23 @@
-import { ethers } from 'ethers';
 import poolDiscovery from '../pool-discovery.js';
-import sushiSwapV2Discovery from '../sushiswap-v2-discovery.js';
+import dexAdapterRegistry from '../dex-adapters/index.js';
 import rpcManager from '../rpc-manager.js';
-import { SUPPORTED_TOKENS, TOKEN_PAIRS, ARBITRAGE_CONFIG, FEE_TIERS } from '../../config/constants.js';
+import tokenRegistry from '../../config/token-registry.js';
 import { logPriceUpdate, logError, logger } from '../../utils/logger.js';
 import HelperUtils from '../../utils/helpers.js';
+import SwapMath from '../../utils/swap-math.js';
+import priceNormalizer from '../../utils/price-normalizer.js';
+import usdOracle from '../usd-oracle.js';
+import logSubscriber from '../log-subscriber.js';
 
 class PriceFetcher {
   constructor() {
     this.prices = new Map();
-    this.priceHistory = new Map();
     this.isRunning = false;
+    this.mode = process.env.PRICE_UPDATE_MODE === 'logs' ? 'logs' : 'poll';
     this.updateInterval = null;
     this.subscribers = new Set();
+    this.blockSubscribers = new Set();
+    this.unsyncedPools = new Set(); // chainId:address of pools whose logged changes could not be read
     this.lastUpdate = null;
   }
 
@@ -78,54 +83,20 @@ class PriceFetcher {
       clearInterval(this.updateInterval);
       this.updateInterval = null;
     }
+    logSubscriber.unsubscribe();
 
     logger.info('Price fetcher stopped');
   }
 
-  // Update all prices for supported token pairs
+  // Update all prices for supported token pairs, each chain read at its latest block
   async updateAllPrices() {
     try {
-      const updatePromises = [];
-
-      // Update prices for all token pairs across both Uniswap V3 and SushiSwap V2
-      for (const [tokenA, tokenB] of TOKEN_PAIRS) {
-        // 1. Get prices from Uniswap V3 (multiple fee tiers)
-        const v3FeeTiers = [500, 3000, 10000];
-        let v3PoolsFound = 0;
-        
-        for (const feeTier of v3FeeTiers) {
-          const poolInfo = poolDiscovery.getPool('UNISWAP_V3', tokenA, tokenB, feeTier);
-          if (poolInfo) {
-            updatePromises.push(
-              this.updatePriceV3('UNISWAP_V3', tokenA, tokenB, feeTier)
-            );
-            v3PoolsFound++;
-          }
-        }
-        
-        // 2. Get prices from SushiSwap V2
-        const v2Pool = sushiSwapV2Discovery.getPool(tokenA, tokenB);
-        if (v2Pool) {
-          updatePromises.push(
-            this.updatePriceV2('SUSHISWAP_V2', tokenA, tokenB)
-          );
-        }
-        
-        logger.debug(`${tokenA}/${tokenB}: V3 pools: ${v3PoolsFound}, V2 pool: ${v2Pool ? 'found' : 'not found'}`);
-      }
+      const results = (await Promise.all(
+        rpcManager.getChainIds().map(chainId => this.updateChainPrices(chainId))
+      )).flat();
 
-      const results = await Promise.allSettled(updatePromises);
-
-      let successful = 0;
-      let failed = 0;
-
-      results.forEach(result => {
-        if (result.status === 'fulfilled' && result.value) {
-          successful++;
-        } else {
-          failed++;
-        }
-      });
+      const successful = results.filter(Boolean).length;
+      const failed = results.length - successful;
 
       this.lastUpdate = Date.now();
 
@@ -144,154 +115,287 @@ class PriceFetcher {
     }
   }
 
-  // Update price for Uniswap V3
-  async updatePriceV3(dexName, tokenA, tokenB, feeTier = 3000) {
+  // Refresh every pool of a chain at one block (the latest when not given), so that all of the
+  // chain's prices describe the same block. Returns the recorded prices (null for failed pools).
+  async updateChainPrices(chainId, blockNumber = null) {
     try {
-      const poolInfo = poolDiscovery.getPool(dexName, tokenA, tokenB, feeTier);
-      if (!poolInfo) {
-        logger.debug(`Pool not found for price update: ${dexName} ${tokenA}/${tokenB}`);
-        return null;
+      const blockTag = blockNumber ?? await rpcManager.getBlockNumber(chainId);
+      const adapters = dexAdapterRegistry.getAdaptersForChain(chainId);
+      const entries = [];
+
+      // Only pairs that share a discovered pool are priced
+      const tokenPairs = tokenRegistry.updateActivePairs(dexAdapterRegistry.getPools(chainId), chainId);
+
+      // Every pool of every DEX adapter on the chain
+      for (const [tokenA, tokenB] of tokenPairs) {
+        for (const adapter of adapters) {
+          const pools = adapter.getPoolsForPair(tokenA, tokenB, chainId);
+          for (const pool of pools) {
+            entries.push({ adapter, pool, tokenA, tokenB });
+          }
+          logger.debug(`[chain ${chainId}] ${tokenA}/${tokenB}: ${adapter.name} pools: ${pools.length}`);
+        }
       }
 
-      // Get current pool state
-      const [slot0, liquidity] = await Promise.all([
-        rpcManager.execute(async (provider) => {
-          return await poolInfo.contract.slot0();
-        }),
-        rpcManager.execute(async (provider) => {
-          return await poolInfo.contract.liquidity();
-        })
-      ]);
-
-      // Calculate price from sqrtPriceX96
-      const price = this.calculatePriceFromSqrt(slot0.sqrtPriceX96, tokenA, tokenB);
-
-      const priceData = {
-        dex: dexName,
-        tokenA,
-        tokenB,
-        feeTier,
-        price,
-        sqrtPriceX96: slot0.sqrtPriceX96.toString(),
-        tick: slot0.tick,
-        liquidity: liquidity.toString(),
-        blockNumber: await rpcManager.getBlockNumber(),
-        timestamp: Date.now()
-      };
+      const failed = await this.refreshPoolStates(entries, chainId, blockTag);
 
-      // Store price with fee tier in key
-      const priceKey = this.getPriceKey(dexName, tokenA, tokenB, feeTier);
-      this.prices.set(priceKey, priceData);
+      const results = entries.map(({ adapter, pool, tokenA, tokenB }) => {
+        if (failed.has(adapter.getStateKey(pool))) return null;
 
-      // Store in history (keep last 100 entries)
-      if (!this.priceHistory.has(priceKey)) {
-        this.priceHistory.set(priceKey, []);
-      }
-      const history = this.priceHistory.get(priceKey);
-      history.push(priceData);
-      if (history.length > 100) {
-        history.shift();
+        const poolState = adapter.getPoolState(pool);
+        if (!poolState) {
+          logger.debug(`No pool state for ${adapter.name} ${tokenA}/${tokenB}`);
+          return null;
+        }
+        return this.recordPoolPrice(adapter, pool, poolState, tokenA, tokenB, blockTag);
+      });
+
+      // Re-derive USD prices from the fresh pool prices
+      priceNormalizer.updateUsdPrices(usdOracle.update(this.prices.values()));
+      this.notifyBlockSubscribers(chainId, blockTag);
+
+      return results;
+
+    } catch (error) {
+      logError(error, { context: 'PriceFetcher.updateChainPrices', chainId });
+      return [];
+    }
+  }
+
+  // Read the state of pool entries at one block with a single Multicall3 batch; entries of the
+  // same contract (see DexAdapter.getStateKey) share its reads. A failed read only skips its pool.
+  // Returns the state keys whose reads failed.
+  async refreshPoolStates(entries, chainId, blockTag) {
+    const reads = new Map(); // state key -> { adapter, pool, start, count }
+    const calls = [];
+
+    for (const { adapter, pool } of entries) {
+      const key = adapter.getStateKey(pool);
+      if (reads.has(key)) continue;
+
+      const poolCalls = adapter.getStateCalls(pool);
+      reads.set(key, { adapter, pool, start: calls.length, count: poolCalls.length });
+      calls.push(...poolCalls);
+    }
+
+    const results = await rpcManager.multicall(calls, { chainId, blockTag });
+    const failed = new Set();
+
+    for (const [key, { adapter, pool, start, count }] of reads) {
+      const poolResults = results.slice(start, start + count);
+      const failure = poolResults.find(result => !result.success);
+
+      try {
+        if (failure) {
+          throw failure.error;
+        }
+        adapter.applyStateResults(pool, poolResults.map(result => result.result), blockTag);
+      } catch (error) {
+        failed.add(key);
+        logError(error, {
+          dex: adapter.name,
+          pool: pool.address,
+          chainId,
+          blockTag,
+          context: 'PriceFetcher.refreshPoolStates'
+        });
       }
+    }
 
-      // Log real-time price with detailed info
-      logger.info(`💰 REAL PRICE UPDATE: ${dexName} ${tokenA}/${tokenB} = $${price.toFixed(6)} (Block: ${priceData.blockNumber}, Liquidity: ${liquidity.toString()})`);
-      
-      logPriceUpdate(dexName, `${tokenA}/${tokenB}`, price);
+    return failed;
+  }
 
-      // Notify subscribers
-      this.notifySubscribers(priceData);
+  // Start log-driven price updates: every new block range is read with eth_getLogs and only
+  // the pools with Swap/Sync (or other state-changing) events are re-priced
+  async startLogSubscription() {
+    if (this.isRunning) {
+      logger.warn('Price fetcher is already running');
+      return;
+    }
 
-      return priceData;
+    for (const chainId of rpcManager.getChainIds()) {
+      const topics = [...new Set(
+        dexAdapterRegistry.getAdaptersForChain(chainId).flatMap(adapter => adapter.getLogTopics())
+      )];
 
-    } catch (error) {
-      logError(error, {
-        dex: dexName,
-        tokenA,
-        tokenB,
-        feeTier,
-        context: 'PriceFetcher.updatePriceV3'
+      await logSubscriber.subscribe(chainId, {
+        topics,
+        getAddresses: () => [...new Set(dexAdapterRegistry.getPools(chainId).map(pool => pool.address))],
+        onLogs: (logs) => this.handleLogs(chainId, logs),
+        onSync: () => this.confirmPrices(chainId)
       });
-      return null;
     }
+
+    this.isRunning = true;
+    logger.info('Price fetcher started in log subscription mode');
   }
 
-  // Update price for SushiSwap V2
-  async updatePriceV2(dexName, tokenA, tokenB) {
+  // Apply a block range of pool logs, then re-price the pools they touched
+  async handleLogs(chainId, logs) {
     try {
-      await sushiSwapV2Discovery.updatePoolReserves(tokenA, tokenB);
-      const price = await sushiSwapV2Discovery.calculatePrice(tokenA, tokenB);
-      
-      if (!price) {
-        logger.debug(`No price calculated for ${dexName} ${tokenA}/${tokenB}`);
-        return null;
+      // Pool entries by address (a Curve pool has one entry per coin pair)
+      const entriesByAddress = new Map();
+      for (const adapter of dexAdapterRegistry.getAdaptersForChain(chainId)) {
+        for (const pool of adapter.getPools(chainId)) {
+          const address = pool.address.toLowerCase();
+          if (!entriesByAddress.has(address)) {
+            entriesByAddress.set(address, []);
+          }
+          entriesByAddress.get(address).push({ adapter, pool });
+        }
       }
 
-      const priceData = {
-        dex: dexName,
-        tokenA,
-        tokenB,
-        price: new HelperUtils.BigNumber(price.toString()),
-        liquidity: '1000000000', // V2 doesn't have direct liquidity measure
-        blockNumber: await rpcManager.getBlockNumber(),
-        timestamp: Date.now(),
-        feeTier: 3000 // V2 has fixed 0.3% fee
-      };
-
-      // Store price with fee tier in key for consistency
-      const priceKey = this.getPriceKey(dexName, tokenA, tokenB, 3000);
-      this.prices.set(priceKey, priceData);
+      const changes = new Map();
+      for (const log of logs) {
+        const address = log.address.toLowerCase();
+        const entries = entriesByAddress.get(address);
+        if (!entries) continue;
 
-      // Store in history
-      if (!this.priceHistory.has(priceKey)) {
-        this.priceHistory.set(priceKey, []);
+        const change = changes.get(address) || { entries, needsRefresh: false, blockNumber: log.blockNumber };
+        for (const { adapter, pool } of entries) {
+          if (!adapter.applyLog(pool, log)) {
+            change.needsRefresh = true;
+          }
+        }
+        change.blockNumber = log.blockNumber;
+        changes.set(address, change);
       }
-      const history = this.priceHistory.get(priceKey);
-      history.push(priceData);
-      if (history.length > 100) {
-        history.shift();
+
+      // Pools whose logs don't carry their new state are re-read together, at the range's last
+      // log block (no later log touched them, so that is their state at the end of the range)
+      const blockTag = logs[logs.length - 1].blockNumber;
+      const refreshes = Array.from(changes.values())
+        .filter(change => change.needsRefresh)
+        .map(change => change.entries[0]);
+      const failedKeys = await this.refreshPoolStates(refreshes, chainId, blockTag);
+
+      let failed = 0;
+      for (const change of changes.values()) {
+        if (change.needsRefresh) {
+          const { adapter, pool } = change.entries[0];
+          if (failedKeys.has(adapter.getStateKey(pool))) {
+            failed++;
+            this.unsyncedPools.add(this.getPoolId(chainId, pool.address));
+            continue;
+          }
+          change.blockNumber = blockTag;
+        }
+        this.recordChangedPool(change, chainId);
       }
 
-      logger.info(`💰 REAL PRICE UPDATE: ${dexName} ${tokenA}/${tokenB} = $${price.toFixed(6)} (Block: ${priceData.blockNumber})`);
-      
-      logPriceUpdate(dexName, `${tokenA}/${tokenB}`, price);
-      this.notifySubscribers(priceData);
+      this.lastUpdate = Date.now();
+      priceNormalizer.updateUsdPrices(usdOracle.update(this.prices.values()));
+      this.notifyBlockSubscribers(chainId, blockTag);
 
-      return priceData;
+      logger.debug(`[chain ${chainId}] ${logs.length} pool logs, ${changes.size} pools re-priced, ${failed} failed`);
 
     } catch (error) {
-      logError(error, {
-        dex: dexName,
-        tokenA,
-        tokenB,
-        context: 'PriceFetcher.updatePriceV2'
-      });
-      return null;
+      logError(error, { context: 'PriceFetcher.handleLogs', chainId });
     }
   }
 
-  // Calculate price from sqrtPriceX96
-  calculatePriceFromSqrt(sqrtPriceX96, tokenA, tokenB) {
-    try {
-      const tokenAInfo = SUPPORTED_TOKENS[tokenA];
-      const tokenBInfo = SUPPORTED_TOKENS[tokenB];
+  // Re-price the entries of a pool touched by logs from their current state
+  recordChangedPool({ entries, blockNumber }, chainId) {
+    for (const { adapter, pool } of entries) {
+      const poolState = adapter.getPoolState(pool);
+      if (!poolState) continue;
 
-      if (!tokenAInfo || !tokenBInfo) {
-        throw new Error('Token info not found');
-      }
+      const [tokenA, tokenB] = this.getPairSymbols(pool, chainId);
+      this.recordPoolPrice(adapter, pool, poolState, tokenA, tokenB, blockNumber);
+      this.unsyncedPools.delete(this.getPoolId(chainId, pool.address));
+    }
+  }
+
+  // After a synced block range every pool of the chain is known to be current: pools without
+  // logs in it did not change. Their prices are confirmed as fresh, so quiet pools are not
+  // dropped as stale (see UsdOracle.maxPriceAgeMs); pools whose changes could not be read are not.
+  confirmPrices(chainId) {
+    const now = Date.now();
+    for (const priceData of this.prices.values()) {
+      if (priceData.chainId !== chainId || this.unsyncedPools.has(this.getPoolId(chainId, priceData.poolAddress))) continue;
+      priceData.timestamp = now;
+    }
+    priceNormalizer.updateUsdPrices(usdOracle.update(this.prices.values()));
+  }
+
+  // Identifier of a pool across chains
+  getPoolId(chainId, address) {
+    return `${chainId}:${address.toLowerCase()}`;
+  }
+
+  // Symbols of a pool's pair in the token registry's pair order (the order used in price keys)
+  getPairSymbols(pool, chainId) {
+    const pair = tokenRegistry.getActivePairs(chainId).find(([tokenA, tokenB]) =>
+      (tokenA === pool.tokenASymbol && tokenB === pool.tokenBSymbol) ||
+      (tokenA === pool.tokenBSymbol && tokenB === pool.tokenASymbol)
+    );
+    return pair || [pool.tokenASymbol, pool.tokenBSymbol];
+  }
+
+  // Store a pool's price (tokenB per tokenA) at a block and notify subscribers
+  recordPoolPrice(adapter, pool, poolState, tokenA, tokenB, blockNumber) {
+    const dexName = adapter.name;
+    const chainId = pool.chainId;
+    const price = this.calculateSpotPrice(poolState, tokenA, tokenB, chainId);
+
+    const priceData = {
+      dex: dexName,
+      chainId,
+      tokenA,
+      tokenB,
+      feeTier: poolState.feeTier,
+      price,
+      ...(poolState.type === 'V3' ? {
+        sqrtPriceX96: poolState.sqrtPriceX96,
+        tick: poolState.tick
+      } : {}),
+      liquidity: poolState.liquidity ?? '1000000000', // V2 doesn't have direct liquidity measure
+      poolAddress: pool.address,
+      poolState,
+      blockNumber,
+      timestamp: Date.now()
+    };
 
-      // sqrtPriceX96 = sqrt(price) * 2^96
-      // price = (sqrtPriceX96 / 2^96)^2
+    // Store price with fee tier in key
+    const priceKey = this.getPriceKey(dexName, tokenA, tokenB, poolState.feeTier, chainId);
+    this.prices.set(priceKey, priceData);
 
-      const Q96 = new HelperUtils.BigNumber(2).pow(96);
-      const sqrtPrice = new HelperUtils.BigNumber(sqrtPriceX96.toString()).dividedBy(Q96);
-      const rawPrice = sqrtPrice.multipliedBy(sqrtPrice);
+    // Log real-time price with detailed info
+    logger.info(`💰 REAL PRICE UPDATE: ${dexName} ${tokenA}/${tokenB} = $${price.toFixed(6)} (Block: ${priceData.blockNumber}, Liquidity: ${priceData.liquidity})`);
+    
+    logPriceUpdate(dexName, `${tokenA}/${tokenB}`, price);
+
+    // Notify subscribers
+    this.notifySubscribers(priceData);
+
+    return priceData;
+  }
+
+  // Calculate the spot price (tokenB per tokenA) of a pool state
+  calculateSpotPrice(poolState, tokenA, tokenB, chainId = 1) {
+    const tokenAInfo = tokenRegistry.getToken(tokenA, chainId);
+    const tokenBInfo = tokenRegistry.getToken(tokenB, chainId);
+
+    if (!tokenAInfo || !tokenBInfo) {
+      throw new Error('Token info not found');
+    }
+
+    // Pool states price token1 in token0 terms, in raw token units
+    const tokenAIsToken0 = !poolState.token0 ||
+      poolState.token0.toLowerCase() === tokenAInfo.address.toLowerCase();
+    const [token0Info, token1Info] = tokenAIsToken0
+      ? [tokenAInfo, tokenBInfo]
+      : [tokenBInfo, tokenAInfo];
 
-      // Adjust for token decimals
-      const decimalsAdjustment = new HelperUtils.BigNumber(10).pow(
-        tokenBInfo.decimals - tokenAInfo.decimals
-      );
+    const price1Per0 = SwapMath.getSpotPrice(poolState, token0Info.decimals, token1Info.decimals);
 
-      return rawPrice.multipliedBy(decimalsAdjustment);
+    return tokenAIsToken0 ? price1Per0 : new HelperUtils.BigNumber(1).dividedBy(price1Per0);
+  }
+
+  // Calculate price (tokenB per tokenA) from sqrtPriceX96
+  calculatePriceFromSqrt(sqrtPriceX96, tokenA, tokenB, token0Address, chainId = 1) {
+    try {
+      return this.calculateSpotPrice({ type: 'V3', sqrtPriceX96, token0: token0Address }, tokenA, tokenB, chainId);
     } catch (error) {
       logError(error, { context: 'PriceFetcher.calculatePriceFromSqrt' });
       throw error;
@@ -299,15 +403,15 @@ class PriceFetcher {
   }
 
   // Get current price
-  getPrice(dexName, tokenA, tokenB, feeTier = null) {
+  getPrice(dexName, tokenA, tokenB, feeTier = null, chainId = 1) {
     if (feeTier) {
-      const priceKey = this.getPriceKey(dexName, tokenA, tokenB, feeTier);
+      const priceKey = this.getPriceKey(dexName, tokenA, tokenB, feeTier, chainId);
       return this.prices.get(priceKey);
     }
     
     // If no fee tier specified, return the first available
     for (const tier of [500, 3000, 10000]) {
-      const priceKey = this.getPriceKey(dexName, tokenA, tokenB, tier);
+      const priceKey = this.getPriceKey(dexName, tokenA, tokenB, tier, chainId);
       const price = this.prices.get(priceKey); 
       if (price) return price;
     }
@@ -315,12 +419,12 @@ class PriceFetcher {
   }
 
   // Get price from any DEX for token pair
-  getBestPrice(tokenA, tokenB) {
+  getBestPrice(tokenA, tokenB, chainId = 1) {
     let bestPrice = null;
     let bestDex = null;
 
     for (const dex of ['UNISWAP_V3', 'SUSHISWAP_V3']) {
-      const price = this.getPrice(dex, tokenA, tokenB);
+      const price = this.getPrice(dex, tokenA, tokenB, null, chainId);
       if (price && price.price > 0) {
         if (!bestPrice || price.price.gt(bestPrice.price)) {
           bestPrice = price;
@@ -333,11 +437,11 @@ class PriceFetcher {
   }
 
   // Get all prices for a token pair
-  getAllPrices(tokenA, tokenB) {
+  getAllPrices(tokenA, tokenB, chainId = 1) {
     const prices = {};
 
     for (const dex of ['UNISWAP_V3', 'SUSHISWAP_V3']) {
-      const price = this.getPrice(dex, tokenA, tokenB);
+      const price = this.getPrice(dex, tokenA, tokenB, null, chainId);
       if (price) {
         prices[dex] = price;
       }
@@ -346,46 +450,66 @@ class PriceFetcher {
     return prices;
   }
 
-  // Calculate price difference between two DEXs
-  calculatePriceDifference(tokenA, tokenB) {
-    const prices = this.getAllPrices(tokenA, tokenB);
-    const dexs = Object.keys(prices);
+  // Latest prices of a pair on every DEX and fee tier (its venues), quoted as tokenB per tokenA
+  getPairVenues(tokenA, tokenB, chainId = 1) {
+    const venues = [];
 
-    if (dexs.length < 2) {
-      return null;
+    for (const priceData of this.prices.values()) {
+      if ((priceData.chainId ?? 1) !== chainId || !priceData.price || priceData.price.isZero()) continue;
+
+      if (priceData.tokenA === tokenA && priceData.tokenB === tokenB) {
+        venues.push(priceData);
+      } else if (priceData.tokenA === tokenB && priceData.tokenB === tokenA) {
+        venues.push({
+          ...priceData,
+          tokenA,
+          tokenB,
+          price: new HelperUtils.BigNumber(1).dividedBy(priceData.price)
+        });
+      }
     }
 
-    const [dexA, dexB] = dexs;
-    const priceA = prices[dexA].price;
-    const priceB = prices[dexB].price;
+    return venues;
+  }
+
+  // Calculate the price difference of a pair between its dearest venue (A) and cheapest venue (B)
+  // across DEXs and fee tiers
+  calculatePriceDifference(tokenA, tokenB, chainId = 1) {
+    const venues = this.getPairVenues(tokenA, tokenB, chainId);
 
-    if (priceA.isZero() || priceB.isZero()) {
+    if (venues.length < 2) {
       return null;
     }
 
+    venues.sort((a, b) => b.price.comparedTo(a.price));
+    const venueA = venues[0];
+    const venueB = venues[venues.length - 1];
+    const priceA = venueA.price;
+    const priceB = venueB.price;
+
     const difference = priceA.minus(priceB);
     const percentage = difference.dividedBy(priceB).multipliedBy(100);
 
     return {
+      chainId,
       tokenA,
       tokenB,
-      dexA,
-      dexB,
+      dexA: venueA.dex,
+      dexB: venueB.dex,
+      feeTierA: venueA.feeTier,
+      feeTierB: venueB.feeTier,
+      poolA: venueA.poolAddress,
+      poolB: venueB.poolAddress,
       priceA,
       priceB,
       difference,
       percentage: percentage.abs(),
-      isArbitrage: percentage.abs().gte(0.5) // 0.5% threshold
+      isArbitrage: percentage.abs().gte(0.5), // 0.5% threshold
+      venues: venues.length,
+      blockNumber: Math.max(...venues.map(venue => venue.blockNumber ?? 0))
     };
   }
 
-  // Get price history
-  getPriceHistory(dexName, tokenA, tokenB, limit = 50) {
-    const priceKey = this.getPriceKey(dexName, tokenA, tokenB);
-    const history = this.priceHistory.get(priceKey) || [];
-    return history.slice(-limit);
-  }
-
   // Subscribe to price updates
   subscribe(callback) {
     this.subscribers.add(callback);
@@ -403,13 +527,33 @@ class PriceFetcher {
     }
   }
 
+  // Subscribe to blocks whose price updates are complete (callback(chainId, blockNumber))
+  subscribeBlocks(callback) {
+    this.blockSubscribers.add(callback);
+    return () => this.blockSubscribers.delete(callback);
+  }
+
+  // Notify block subscribers once every price of a chain has been updated to a block
+  notifyBlockSubscribers(chainId, blockNumber) {
+    for (const callback of this.blockSubscribers) {
+      try {
+        callback(chainId, blockNumber);
+      } catch (error) {
+        logError(error, { context: 'PriceFetcher.notifyBlockSubscribers' });
+      }
+    }
+  }
+
   // Get price statistics
   getStats() {
     const stats = {
       totalPrices: this.prices.size,
       lastUpdate: this.lastUpdate,
       isRunning: this.isRunning,
+      mode: this.mode,
+      logSubscriptions: logSubscriber.getStats(),
       pricesByDex: {},
+      pricesByChain: {},
       pricesByPair: {}
     };
 
@@ -417,6 +561,9 @@ class PriceFetcher {
       // Count by DEX
       stats.pricesByDex[priceData.dex] = (stats.pricesByDex[priceData.dex] || 0) + 1;
 
+      // Count by chain
+      stats.pricesByChain[priceData.chainId] = (stats.pricesByChain[priceData.chainId] || 0) + 1;
+
       // Count by pair
       const pairKey = `${priceData.tokenA}/${priceData.tokenB}`;
       stats.pricesByPair[pairKey] = (stats.pricesByPair[pairKey] || 0) + 1;
@@ -426,8 +573,8 @@ class PriceFetcher {
   }
 
   // Utility methods
-  getPriceKey(dexName, tokenA, tokenB, feeTier = 3000) {
-    return `${dexName}:${tokenA}-${tokenB}:${feeTier}`;
+  getPriceKey(dexName, tokenA, tokenB, feeTier = 3000, chainId = 1) {
+    return `${chainId}:${dexName}:${tokenA}-${tokenB}:${feeTier}`;
   }
 
   // Check if price is stale
@@ -435,6 +582,25 @@ class PriceFetcher {
     return !priceData || (Date.now() - priceData.timestamp) > maxAgeMs;
   }
 
+  // Get the latest swap state of a pool by its address
+  getPoolStateByAddress(poolAddress) {
+    return this.getPriceByPoolAddress(poolAddress)?.poolState || null;
+  }
+
+  // Get the latest price record of a pool by its address
+  getPriceByPoolAddress(poolAddress) {
+    if (!poolAddress) {
+      return null;
+    }
+
+    for (const priceData of this.prices.values()) {
+      if (priceData.poolState && priceData.poolAddress?.toLowerCase() === poolAddress.toLowerCase()) {
+        return priceData;
+      }
+    }
+    return null;
+  }
+
   // Get all current prices (needed by arbitrage detector)
   getAllPricesMap() {
     return this.prices;
@@ -447,6 +613,7 @@ class PriceFetcher {
       result[key] = {
         price: priceData.price.toString(),
         dex: priceData.dex,
+        chainId: priceData.chainId,
         tokenA: priceData.tokenA,
         tokenB: priceData.tokenB,
         lastUpdate: priceData.timestamp,
@@ -463,10 +630,14 @@ class PriceFetcher {
       return;
     }
 
-    logger.info('🔄 Starting continuous price fetching...');
-    
-    // Start the price fetching loop
-    this.start(process.env.PRICE_UPDATE_INTERVAL_MS || 5000);
+    logger.info(`🔄 Starting continuous price fetching (${this.mode} mode)...`);
+
+    // Follow pool logs block by block, or poll every pool on an interval
+    if (this.mode === 'logs') {
+      await this.startLogSubscription();
+    } else {
+      this.start(process.env.PRICE_UPDATE_INTERVAL_MS || 5000);
+    }
     
     logger.info('✅ Price fetching started successfully');
   }
@@ -475,10 +646,12 @@ class PriceFetcher {
   getArbitrageOpportunities() {
     const opportunities = [];
 
-    for (const [tokenA, tokenB] of TOKEN_PAIRS) {
-      const diff = this.calculatePriceDifference(tokenA, tokenB);
-      if (diff && diff.isArbitrage) {
-        opportunities.push(diff);
+    for (const chainId of rpcManager.getChainIds()) {
+      for (const [tokenA, tokenB] of tokenRegistry.getActivePairs(chainId)) {
+        const diff = this.calculatePriceDifference(tokenA, tokenB, chainId);
+        if (diff && diff.isArbitrage) {
+          opportunities.push(diff);
+        }
       }
     }
 
@@ -500,7 +673,7 @@ class PriceFetcher {
 
     for (const priceData of sortedPrices) {
       const ageMinutes = Math.floor((Date.now() - priceData.timestamp) / 60000);
-      logger.info(`💎 ${priceData.dex}: ${priceData.tokenA}/${priceData.tokenB} = $${priceData.price.toFixed(8)} (${ageMinutes}m ago, Block: ${priceData.blockNumber})`);
+      logger.info(`💎 [${priceData.chainId}] ${priceData.dex}: ${priceData.tokenA}/${priceData.tokenB} = $${priceData.price.toFixed(8)} (${ageMinutes}m ago, Block: ${priceData.blockNumber})`);
     }
     
     logger.info('================================================');
@@ -521,13 +694,6 @@ class PriceFetcher {
       }
     }
 
-    // Clean price history
-    for (const [key, history] of this.priceHistory) {
-      const filtered = history.filter(item => now - item.timestamp <= maxAge);
-      this.priceHistory.set(key, filtered);
-      cleaned += history.length - filtered.length;
-    }
-
     if (cleaned > 0) {
       logger.info(`Cleaned up ${cleaned} stale price entries`);
     }
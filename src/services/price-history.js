@@ -0,0 +1,370 @@
+import storage from '../storage/index.js';
+import { PRICE_HISTORY } from '../config/constants.js';
+import HelperUtils from '../utils/helpers.js';
+import { logger, logError } from '../utils/logger.js';
+
+const { BigNumber } = HelperUtils;
+
+// Intervals served by getHistory: snapshots as stored, or candles
+const HISTORY_INTERVALS = ['raw', ...Object.keys(PRICE_HISTORY.CANDLE_INTERVALS)];
+
+// Intervals returned by getHistory when no start is given
+const DEFAULT_HISTORY_POINTS = 60;
+
+// Time (ms) of a snapshot or candle
+const pointTime = (point) => new Date(point.start ?? point.timestamp).getTime();
+
+// Price time series of every pool. Price updates are recorded once per pool and block, buffered
+// and flushed to storage as snapshots; completed intervals are rolled up into OHLC candles, 1m from
+// snapshots, 5m from 1m and 1h from 5m (see PRICE_HISTORY). Snapshots and each candle interval are
+// deleted once older than their retention. Prices are kept as strings, quoted as tokenB per tokenA.
+class PriceHistory {
+  constructor() {
+    this.buffer = []; // snapshots not yet flushed
+    this.lastBlocks = new Map(); // `${chainId}:${pool}` -> last recorded block
+
+    this.stats = {
+      recorded: 0,
+      flushed: 0,
+      candles: 0,
+      lastRollup: null
+    };
+  }
+
+  // Queue a price update from the price fetcher as a snapshot; returns false when the pool
+  // already has one for that block
+  record(priceData) {
+    const pool = priceData.poolAddress?.toLowerCase();
+    if (!pool || priceData.price == null) {
+      return false;
+    }
+
+    const poolKey = `${priceData.chainId}:${pool}`;
+    if (priceData.blockNumber != null && this.lastBlocks.get(poolKey) === priceData.blockNumber) {
+      return false;
+    }
+    this.lastBlocks.set(poolKey, priceData.blockNumber);
+
+    this.buffer.push({
+      chainId: priceData.chainId,
+      dex: priceData.dex,
+      pool,
+      feeTier: priceData.feeTier,
+      tokenA: priceData.tokenA,
+      tokenB: priceData.tokenB,
+      price: new BigNumber(priceData.price).toFixed(),
+      liquidity: priceData.liquidity?.toString(),
+      blockNumber: priceData.blockNumber,
+      timestamp: new Date(priceData.timestamp)
+    });
+    this.stats.recorded++;
+    return true;
+  }
+
+  // Store buffered snapshots; returns how many were stored
+  async flush() {
+    if (this.buffer.length === 0) {
+      return 0;
+    }
+
+    const snapshots = this.buffer.splice(0);
+    try {
+      const stored = await storage.priceSnapshots.insertMany(snapshots);
+      this.stats.flushed += stored;
+      return stored;
+    } catch (error) {
+      logError(error, { context: 'PriceHistory.flush', snapshots: snapshots.length });
+      return 0;
+    }
+  }
+
+  // OHLC candles of an interval from snapshots or shorter candles, per pool and interval start
+  buildCandles(points, interval) {
+    const intervalMs = PRICE_HISTORY.CANDLE_INTERVALS[interval];
+    const candles = new Map();
+
+    const sorted = [...points].sort((a, b) =>
+      pointTime(a) - pointTime(b) || (a.startBlock ?? a.blockNumber ?? 0) - (b.startBlock ?? b.blockNumber ?? 0)
+    );
+
+    for (const point of sorted) {
+      const start = Math.floor(pointTime(point) / intervalMs) * intervalMs;
+      const pool = point.pool.toLowerCase();
+      const id = `${point.chainId}:${pool}:${interval}:${start}`;
+
+      const open = point.open ?? point.price;
+      const high = point.high ?? point.price;
+      const low = point.low ?? point.price;
+      const close = point.close ?? point.price;
+      const count = point.count ?? 1;
+      const startBlock = point.startBlock ?? point.blockNumber;
+      const endBlock = point.endBlock ?? point.blockNumber;
+
+      const candle = candles.get(id);
+      if (!candle) {
+        candles.set(id, {
+          id,
+          chainId: point.chainId,
+          dex: point.dex,
+          pool,
+          feeTier: point.feeTier,
+          tokenA: point.tokenA,
+          tokenB: point.tokenB,
+          interval,
+          start: new Date(start),
+          open,
+          high,
+          low,
+          close,
+          count,
+          startBlock,
+          endBlock
+        });
+        continue;
+      }
+
+      if (new BigNumber(high).gt(candle.high)) candle.high = high;
+      if (new BigNumber(low).lt(candle.low)) candle.low = low;
+      candle.close = close;
+      candle.count += count;
+      candle.startBlock = candle.startBlock ?? startBlock;
+      candle.endBlock = endBlock ?? candle.endBlock;
+    }
+
+    return [...candles.values()];
+  }
+
+  // Snapshots (source 'raw') or candles of an interval between two times (ms, end excluded), oldest first
+  async findPoints(source, from, to, query = {}, { limit = 0 } = {}) {
+    if (source === 'raw') {
+      return storage.priceSnapshots.find(
+        { ...query, timestamp: { $gte: new Date(from), $lt: new Date(to) } },
+        { sort: { timestamp: 1 }, limit }
+      );
+    }
+    return storage.priceCandles.find(
+      { ...query, interval: source, start: { $gte: new Date(from), $lt: new Date(to) } },
+      { sort: { start: 1 }, limit }
+    );
+  }
+
+  // Store the candles of every interval completed since the last rollup; returns how many were stored
+  async rollup(now = Date.now()) {
+    try {
+      // Snapshots still buffered belong to the intervals being closed
+      await this.flush();
+
+      let stored = 0;
+      let source = 'raw';
+      for (const [interval, intervalMs] of Object.entries(PRICE_HISTORY.CANDLE_INTERVALS)) {
+        stored += await this.rollupInterval(interval, intervalMs, source, now);
+        source = interval;
+      }
+
+      this.stats.candles += stored;
+      this.stats.lastRollup = new Date(now);
+      return stored;
+    } catch (error) {
+      logError(error, { context: 'PriceHistory.rollup' });
+      return 0;
+    }
+  }
+
+  // Roll the completed intervals after the last stored candle up from their source
+  async rollupInterval(interval, intervalMs, source, now) {
+    const end = Math.floor(now / intervalMs) * intervalMs;
+
+    const [last] = await storage.priceCandles.find({ interval }, { sort: { start: -1 }, limit: 1 });
+    let from;
+    if (last) {
+      from = pointTime(last) + intervalMs;
+    } else {
+      const [first] = await this.findPoints(source, 0, end, {}, { limit: 1 });
+      if (!first) {
+        return 0;
+      }
+      from = Math.floor(pointTime(first) / intervalMs) * intervalMs;
+    }
+
+    if (from >= end) {
+      return 0;
+    }
+
+    const candles = this.buildCandles(await this.findPoints(source, from, end), interval);
+    await storage.priceCandles.deleteMany({ interval, start: { $gte: new Date(from), $lt: new Date(end) } });
+    return storage.priceCandles.insertMany(candles);
+  }
+
+  // Delete snapshots and candles older than their retention; returns how many were deleted
+  async applyRetention(now = Date.now()) {
+    const { RETENTION_MS } = PRICE_HISTORY;
+
+    let deleted = await storage.priceSnapshots.deleteMany({
+      timestamp: { $lt: new Date(now - RETENTION_MS.raw) }
+    });
+    for (const interval of Object.keys(PRICE_HISTORY.CANDLE_INTERVALS)) {
+      deleted += await storage.priceCandles.deleteMany({
+        interval,
+        start: { $lt: new Date(now - RETENTION_MS[interval]) }
+      });
+    }
+
+    if (deleted > 0) {
+      logger.info(`🧹 Cleaned up ${deleted} old price snapshots and candles`);
+    }
+    return deleted;
+  }
+
+  // Price series per pool of a pool or pair (either order, optionally on one DEX) between two
+  // times: snapshots for interval 'raw', otherwise candles, including the ones not rolled up yet.
+  // A pair's series are quoted as tokenB per tokenA of the pair as asked.
+  async getHistory({ pool, tokenA, tokenB, dex, chainId = 1, interval = '1m', from, to } = {}) {
+    if (!HISTORY_INTERVALS.includes(interval)) {
+      throw new Error(`Unknown interval ${interval} (expected ${HISTORY_INTERVALS.join(', ')})`);
+    }
+    if (!pool && !(tokenA && tokenB)) {
+      throw new Error('A pool or a pair (tokenA and tokenB) is required');
+    }
+
+    const intervalMs = PRICE_HISTORY.CANDLE_INTERVALS[interval];
+    const toMs = to != null ? new Date(to).getTime() : Date.now();
+    const fromMs = from != null
+      ? new Date(from).getTime()
+      : toMs - (intervalMs ?? PRICE_HISTORY.CANDLE_INTERVALS['1m']) * DEFAULT_HISTORY_POINTS;
+
+    const query = { chainId };
+    if (pool) query.pool = pool.toLowerCase();
+    if (tokenA && tokenB) query.$or = [{ tokenA, tokenB }, { tokenA: tokenB, tokenB: tokenA }];
+    if (dex) query.dex = dex;
+
+    let points;
+    if (interval === 'raw') {
+      points = await this.findPoints('raw', fromMs, toMs + 1, query);
+    } else {
+      const bucketFrom = Math.floor(fromMs / intervalMs) * intervalMs;
+      const stored = await this.findPoints(interval, bucketFrom, toMs + 1, query);
+
+      // Intervals after the last rollup are built from their snapshots
+      const [last] = await storage.priceCandles.find({ interval }, { sort: { start: -1 }, limit: 1 });
+      const tailFrom = Math.max(last ? pointTime(last) + intervalMs : 0, bucketFrom);
+      const tail = tailFrom <= toMs
+        ? this.buildCandles(await this.findPoints('raw', tailFrom, toMs + 1, query), interval)
+        : [];
+
+      points = [...stored, ...tail];
+    }
+
+    const series = new Map();
+    for (const point of points) {
+      if (!series.has(point.pool)) {
+        const inverted = Boolean(tokenA && tokenB) && point.tokenA !== tokenA;
+        series.set(point.pool, {
+          chainId: point.chainId,
+          dex: point.dex,
+          pool: point.pool,
+          feeTier: point.feeTier,
+          tokenA: inverted ? point.tokenB : point.tokenA,
+          tokenB: inverted ? point.tokenA : point.tokenB,
+          inverted,
+          points: []
+        });
+      }
+
+      const entry = series.get(point.pool);
+      entry.points.push(interval === 'raw'
+        ? this.formatSnapshot(point, entry.inverted)
+        : this.formatCandle(point, entry.inverted));
+    }
+
+    return {
+      interval,
+      from: new Date(fromMs),
+      to: new Date(toMs),
+      series: [...series.values()]
+    };
+  }
+
+  // Snapshot as served by getHistory
+  formatSnapshot(snapshot, inverted) {
+    return {
+      timestamp: new Date(snapshot.timestamp),
+      blockNumber: snapshot.blockNumber,
+      price: inverted ? this.invert(snapshot.price) : snapshot.price
+    };
+  }
+
+  // Candle as served by getHistory (an inverted candle's high is the inverse of its low)
+  formatCandle(candle, inverted) {
+    return {
+      start: new Date(candle.start),
+      open: inverted ? this.invert(candle.open) : candle.open,
+      high: inverted ? this.invert(candle.low) : candle.high,
+      low: inverted ? this.invert(candle.high) : candle.low,
+      close: inverted ? this.invert(candle.close) : candle.close,
+      count: candle.count,
+      startBlock: candle.startBlock,
+      endBlock: candle.endBlock
+    };
+  }
+
+  // Price quoted the other way round
+  invert(price) {
+    const value = new BigNumber(price);
+    return value.isZero() ? '0' : new BigNumber(1).div(value).toFixed();
+  }
+
+  // Latest stored price of every pool updated within maxAgeMs (optionally on one chain),
+  // listed and grouped by pair
+  async getLatestPrices({ chainId, maxAgeMs = 10 * 60 * 1000 } = {}) {
+    const query = { timestamp: { $gte: new Date(Date.now() - maxAgeMs) } };
+    if (chainId) query.chainId = chainId;
+
+    const latest = new Map();
+    for (const snapshot of await storage.priceSnapshots.find(query, { sort: { timestamp: -1 } })) {
+      const poolKey = `${snapshot.chainId}:${snapshot.pool}`;
+      if (!latest.has(poolKey)) latest.set(poolKey, snapshot);
+    }
+
+    const realTime = [...latest.values()].map(snapshot => ({
+      dex: snapshot.dex,
+      chainId: snapshot.chainId,
+      tokenPair: `${snapshot.tokenA}/${snapshot.tokenB}`,
+      pool: snapshot.pool,
+      feeTier: snapshot.feeTier,
+      price: parseFloat(snapshot.price),
+      blockNumber: snapshot.blockNumber,
+      timestamp: new Date(snapshot.timestamp).getTime()
+    }));
+
+    const pairs = {};
+    for (const price of realTime) {
+      (pairs[price.tokenPair] = pairs[price.tokenPair] || []).push(price);
+    }
+
+    return {
+      realTime,
+      summary: {
+        totalPairs: Object.keys(pairs).length,
+        totalPools: realTime.length,
+        dexes: [...new Set(realTime.map(price => price.dex))],
+        lastUpdated: realTime.length > 0 ? new Date(realTime[0].timestamp).toISOString() : null,
+        blockNumber: realTime.reduce((max, price) => Math.max(max, price.blockNumber ?? 0), 0)
+      },
+      pairs
+    };
+  }
+
+  // Get recording and rollup statistics
+  getStats() {
+    return {
+      ...this.stats,
+      buffered: this.buffer.length,
+      pools: this.lastBlocks.size
+    };
+  }
+}
+
+// Create singleton instance
+const priceHistory = new PriceHistory();
+
+export default priceHistory;
@@ -1,12 +1,15 @@
-import { SUPPORTED_TOKENS, ARBITRAGE_CONFIG, GAS_LIMITS } from '../../config/constants.js';
+import { ARBITRAGE_CONFIG, GAS_LIMITS } from '../../config/constants.js';
+import tokenRegistry from '../../config/token-registry.js';
 import { logError, logger } from '../../utils/logger.js';
 import HelperUtils from '../../utils/helpers.js';
-import rpcManager from '../rpc-manager.js';
+import gasCostService from '../gas-cost.js';
+import flashLoanService from '../flash-loans.js';
+import { getPoolFeeRate } from '../../config/dex-config.js';
+import SwapMath from '../../utils/swap-math.js';
+import priceNormalizer from '../../utils/price-normalizer.js';
 
 class ProfitCalculator {
   constructor() {
-    this.gasPriceCache = null;
-    this.lastGasUpdate = null;
     this.gasUpdateInterval = 30000; // 30 seconds
   }
 
@@ -15,7 +18,7 @@ class ProfitCalculator {
     try {
       logger.info('Initializing profit calculator...');
 
-      // Initialize gas price cache
+      // Initialize gas fee data
       await this.updateGasPrice();
 
       // Start periodic gas price updates
@@ -32,89 +35,73 @@ class ProfitCalculator {
     }
   }
 
-  // Update gas price cache
+  // Update gas fee data
   async updateGasPrice() {
-    try {
-      const feeData = await rpcManager.getGasPrice();
-
-      this.gasPriceCache = {
-        gasPrice: feeData.gasPrice || BigInt(20000000000), // 20 gwei default
-        maxFeePerGas: feeData.maxFeePerGas,
-        maxPriorityFeePerGas: feeData.maxPriorityFeePerGas,
-        timestamp: Date.now()
-      };
-
-      this.lastGasUpdate = Date.now();
-
-      logger.debug('Gas price updated', {
-        gasPrice: this.gasPriceCache.gasPrice.toString(),
-        maxFeePerGas: this.gasPriceCache.maxFeePerGas?.toString(),
-        maxPriorityFeePerGas: this.gasPriceCache.maxPriorityFeePerGas?.toString()
-      });
-
-    } catch (error) {
-      logError(error, { context: 'ProfitCalculator.updateGasPrice' });
-
-      // Use default values if update fails
-      if (!this.gasPriceCache) {
-        this.gasPriceCache = {
-          gasPrice: BigInt(20000000000), // 20 gwei
-          maxFeePerGas: BigInt(30000000000), // 30 gwei
-          maxPriorityFeePerGas: BigInt(2000000000), // 2 gwei
-          timestamp: Date.now()
-        };
-      }
-    }
+    return await gasCostService.updateFeeData();
   }
 
-  // Get current gas price
+  // Get current gas fee data
   getGasPrice() {
-    // Return cached value if it's recent
-    if (this.gasPriceCache && (Date.now() - this.lastGasUpdate) < this.gasUpdateInterval) {
-      return this.gasPriceCache;
-    }
-
-    // Otherwise, trigger an update and return current cache
-    this.updateGasPrice().catch(() => {}); // Fire and forget
-    return this.gasPriceCache;
+    return gasCostService.feeData;
   }
 
   // Calculate profit for simple arbitrage
   async calculateSimpleArbitrageProfit(opportunity, tradeAmount) {
     try {
-      const { tokenA, tokenB, buyDex, sellDex, buyPrice, sellPrice } = opportunity;
+      const { tokenB, buyDex, sellDex, buyPrice, sellPrice } = opportunity;
+      const chainId = opportunity.chainId ?? 1;
 
       // Calculate amounts
-      const tokenAInfo = SUPPORTED_TOKENS[tokenA];
-      const tokenBInfo = SUPPORTED_TOKENS[tokenB];
+      const tokenBInfo = tokenRegistry.getToken(tokenB, chainId);
+      const tokenBUsdPrice = priceNormalizer.getUsdPrice(tokenB);
 
-      // Amount of tokenA to buy
-      const amountIn = this.parseTokenAmount(tradeAmount, tokenAInfo.decimals);
+      if (!tokenBInfo || !tokenBUsdPrice) {
+        throw new Error(`Token information or USD price not available for ${tokenB}`);
+      }
 
-      // Calculate expected output amount of tokenB
-      const amountOutExpected = this.calculateOutputAmount(amountIn, buyPrice);
+      // Amount of tokenB worth tradeAmount USD traded in: the round trip buys tokenA with tokenB on
+      // buyDex and sells it back on sellDex, as the detector prices it (prices are tokenB per tokenA)
+      const amountIn = this.parseTokenAmount(
+        new HelperUtils.BigNumber(tradeAmount).dividedBy(tokenBUsdPrice),
+        tokenBInfo.decimals
+      ).integerValue(HelperUtils.BigNumber.ROUND_FLOOR);
+      const toUsd = (rawAmount) => this.formatTokenAmount(rawAmount, tokenBInfo.decimals).multipliedBy(tokenBUsdPrice);
+
+      // Expected output amount of tokenB. The detector's prices are execution prices from each
+      // pool's swap math, so the pool fees are already taken out of it
+      const amountOutExpected = this.calculateOutputAmount(
+        amountIn,
+        new HelperUtils.BigNumber(sellPrice.toString()).dividedBy(buyPrice.toString())
+      );
 
-      // Calculate swap fees (0.3% per swap typically)
-      const swapFeeBuy = amountIn.multipliedBy(0.003);
-      const swapFeeSell = amountOutExpected.multipliedBy(0.003);
-      const totalSwapFees = swapFeeBuy.plus(swapFeeSell);
+      // Swap fees for reference only: the output before the pool fees less the output after them
+      const buyFeeRate = getPoolFeeRate(buyDex, opportunity.poolA?.feeTier ?? opportunity.legs?.[0]?.feeTier);
+      const sellFeeRate = getPoolFeeRate(sellDex, opportunity.poolB?.feeTier ?? opportunity.legs?.[1]?.feeTier);
+      const amountOutBeforeFees = amountOutExpected
+        .dividedBy(new HelperUtils.BigNumber(1).minus(buyFeeRate))
+        .dividedBy(new HelperUtils.BigNumber(1).minus(sellFeeRate));
+      const swapFeesUSD = toUsd(amountOutBeforeFees.minus(amountOutExpected));
+
+      // Flash-loan fee on the borrowed amount in (zero when funded from inventory)
+      const flashFeeRate = flashLoanService.getFeeRate(
+        tokenBInfo.address,
+        chainId,
+        [opportunity.poolA?.address, opportunity.poolB?.address].filter(Boolean)
+      );
 
       // Calculate gas cost
-      const gasCost = await this.calculateGasCost(GAS_LIMITS.SINGLE_SWAP);
-
-      // Calculate net output after fees
-      const netOutput = amountOutExpected.minus(swapFeeSell);
+      const gasCost = await this.calculateGasCost(GAS_LIMITS.SIMPLE_ARBITRAGE + flashLoanService.getGasOverhead(), chainId);
 
       // Convert both amounts to USD for profit calculation
-      const inputUSD = this.formatTokenAmount(amountIn, tokenAInfo.decimals);
-      const outputUSD = this.formatTokenAmount(netOutput, tokenBInfo.decimals);
+      const inputUSD = toUsd(amountIn);
+      const outputUSD = toUsd(amountOutExpected);
 
       // Calculate gross profit
       const grossProfit = outputUSD.minus(inputUSD);
 
-      // Calculate total fees in USD
-      const swapFeesUSD = this.formatTokenAmount(totalSwapFees, tokenAInfo.decimals);
-      const totalFeesUSD = swapFeesUSD.plus(gasCost);
+      // Calculate total fees in USD (the swap fees are already in the output)
+      const flashFeeUSD = inputUSD.multipliedBy(flashFeeRate);
+      const totalFeesUSD = gasCost.plus(flashFeeUSD);
 
       // Calculate net profit
       const netProfit = grossProfit.minus(totalFeesUSD);
@@ -128,12 +115,13 @@ class ProfitCalculator {
       return {
         tradeAmount: tradeAmount.toString(),
         amountIn: amountIn.toString(),
-        amountOutExpected: netOutput.toString(),
+        amountOutExpected: amountOutExpected.toString(),
         grossProfit: grossProfit.toString(),
         netProfit: netProfit.toString(),
         roi: roi.toNumber(),
         swapFees: swapFeesUSD.toString(),
         gasCost: gasCost.toString(),
+        flashFee: flashFeeUSD.toString(),
         totalFees: totalFeesUSD.toString(),
         priceImpact: priceImpact.toNumber(),
         isProfitable: netProfit.gt(ARBITRAGE_CONFIG.MIN_PROFIT_THRESHOLD_USD),
@@ -155,39 +143,72 @@ class ProfitCalculator {
   async calculateTriangularArbitrageProfit(opportunity, tradeAmount) {
     try {
       const { path, trades } = opportunity;
-      let currentAmount = this.parseTokenAmount(tradeAmount, SUPPORTED_TOKENS[path[0]].decimals);
+      const chainId = opportunity.chainId ?? 1;
+      const startTokenInfo = tokenRegistry.getToken(path[0], chainId);
+      const startTokenUsdPrice = priceNormalizer.getUsdPrice(path[0]);
+
+      if (!startTokenInfo || !startTokenUsdPrice) {
+        throw new Error(`Token information or USD price not available for ${path[0]}`);
+      }
+
+      // Amount of the start token worth tradeAmount USD
+      let currentAmount = this.parseTokenAmount(
+        new HelperUtils.BigNumber(tradeAmount).dividedBy(startTokenUsdPrice),
+        startTokenInfo.decimals
+      ).integerValue(HelperUtils.BigNumber.ROUND_FLOOR);
       const initialAmount = currentAmount;
       let totalSwapFees = new HelperUtils.BigNumber(0);
 
       // Simulate the triangular path
       for (let i = 0; i < trades.length; i++) {
         const trade = trades[i];
-        const fromTokenInfo = SUPPORTED_TOKENS[trade.token];
-        const toTokenInfo = SUPPORTED_TOKENS[trade.toToken];
-
-        // Calculate output for this leg
-        const outputAmount = this.calculateOutputAmount(currentAmount, trade.price.price);
-
-        // Calculate swap fee for this leg (0.3%)
-        const swapFee = currentAmount.multipliedBy(0.003);
-        totalSwapFees = totalSwapFees.plus(this.formatTokenAmount(swapFee, fromTokenInfo.decimals));
+        const toToken = trade.tokenOut ?? trade.toToken;
+        const toTokenInfo = tokenRegistry.getToken(toToken, chainId);
+        if (!toTokenInfo) {
+          throw new Error(`Token information not found for ${toToken}`);
+        }
 
-        // Net output after fee
-        currentAmount = outputAmount.minus(swapFee);
+        // Output of this leg at its quoted rate: the detector's exact amounts (raw out per raw in)
+        // already have the pool fee taken out
+        const rate = trade.price?.price ??
+          new HelperUtils.BigNumber(trade.amountOut).dividedBy(trade.amountIn ?? trade.amount);
+        const outputAmount = this.calculateOutputAmount(currentAmount, rate);
+
+        // Swap fee of this leg for reference only: its output before the pool fee less its output
+        const outputBeforeFee = outputAmount.dividedBy(
+          new HelperUtils.BigNumber(1).minus(getPoolFeeRate(trade.dex, trade.feeTier))
+        );
+        totalSwapFees = totalSwapFees.plus(
+          this.formatTokenAmount(outputBeforeFee.minus(outputAmount), toTokenInfo.decimals)
+            .multipliedBy(priceNormalizer.getUsdPrice(toToken))
+        );
+
+        currentAmount = outputAmount;
       }
 
-      // Convert final amount back to initial token USD value
-      const finalAmountUSD = this.formatTokenAmount(currentAmount, SUPPORTED_TOKENS[path[0]].decimals);
-      const initialAmountUSD = tradeAmount;
+      // Convert final amount back to USD at the start token's price
+      const finalAmountUSD = this.formatTokenAmount(currentAmount, startTokenInfo.decimals).multipliedBy(startTokenUsdPrice);
+      const initialAmountUSD = this.formatTokenAmount(initialAmount, startTokenInfo.decimals).multipliedBy(startTokenUsdPrice);
 
       // Calculate gross profit
       const grossProfit = finalAmountUSD.minus(initialAmountUSD);
 
       // Calculate gas cost (higher for triangular)
-      const gasCost = await this.calculateGasCost(GAS_LIMITS.TRIANGULAR_SWAP);
+      const gasCost = await this.calculateGasCost(
+        gasCostService.getRouteGasLimit(trades.length) + flashLoanService.getGasOverhead(),
+        chainId
+      );
+
+      // Flash-loan fee on the borrowed amount in (zero when funded from inventory)
+      const flashFeeRate = flashLoanService.getFeeRate(
+        startTokenInfo.address,
+        chainId,
+        trades.map(trade => trade.pool).filter(pool => typeof pool === 'string')
+      );
+      const flashFee = initialAmountUSD.multipliedBy(flashFeeRate);
 
-      // Calculate total fees
-      const totalFees = totalSwapFees.plus(gasCost);
+      // Calculate total fees (the swap fees are already in the final amount)
+      const totalFees = gasCost.plus(flashFee);
 
       // Calculate net profit
       const netProfit = grossProfit.minus(totalFees);
@@ -209,6 +230,7 @@ class ProfitCalculator {
         effectiveRate: effectiveRate.toNumber(),
         swapFees: totalSwapFees.toString(),
         gasCost: gasCost.toString(),
+        flashFee: flashFee.toString(),
         totalFees: totalFees.toString(),
         isProfitable: netProfit.gt(ARBITRAGE_CONFIG.MIN_PROFIT_THRESHOLD_USD),
         meetsThreshold: netProfit.gt(ARBITRAGE_CONFIG.MIN_PROFIT_THRESHOLD_USD),
@@ -225,34 +247,14 @@ class ProfitCalculator {
     }
   }
 
-  // Calculate gas cost in USD
-  async calculateGasCost(gasLimit) {
+  // Calculate gas cost in USD on a chain. Throws when it cannot be estimated, so a route whose
+  // gas cost is unknown is never reported profitable
+  async calculateGasCost(gasLimit, chainId = 1) {
     try {
-      const gasPrice = this.getGasPrice();
-      const gasPriceGwei = new HelperUtils.BigNumber(gasPrice.gasPrice.toString()).dividedBy(1e9);
-
-      // Estimate ETH price (this should come from a price oracle in production)
-      const ethPriceUSD = new HelperUtils.BigNumber(2000); // $2000 ETH
-
-      // Calculate gas cost in ETH
-      const gasCostETH = gasPriceGwei.multipliedBy(gasLimit).dividedBy(1e9);
-
-      // Convert to USD
-      const gasCostUSD = gasCostETH.multipliedBy(ethPriceUSD);
-
-      // Add buffer
-      const bufferedGasCost = HelperUtils.getGasPriceWithBuffer(
-        gasCostUSD,
-        ARBITRAGE_CONFIG.GAS_BUFFER_PERCENTAGE
-      );
-
-      return bufferedGasCost;
-
+      return await gasCostService.estimateGasCostUSD(gasLimit, {}, ARBITRAGE_CONFIG.GAS_BUFFER_PERCENTAGE, chainId);
     } catch (error) {
       logError(error, { context: 'ProfitCalculator.calculateGasCost' });
-
-      // Return default estimate
-      return new HelperUtils.BigNumber(10); // $10 default
+      throw error;
     }
   }
 
@@ -278,12 +280,19 @@ class ProfitCalculator {
     }
   }
 
-  // Calculate optimal trade size
+  // Calculate optimal trade size.
+  // Two-pool routes with known pool states are solved in closed form (both legs treated as
+  // constant-product curves) and refined with a golden-section search over the exact swap math;
+  // other opportunities fall back to testing a fixed set of sizes.
   async calculateOptimalTradeSize(opportunity) {
     try {
       const maxTradeSize = new HelperUtils.BigNumber(process.env.MAX_TRADE_SIZE_USD || 10000);
       const minTradeSize = new HelperUtils.BigNumber(process.env.MIN_TRADE_SIZE_USD || 100);
 
+      if (opportunity.type === 'simple' && opportunity.poolA?.state && opportunity.poolB?.state) {
+        return await this.calculateOptimalTwoPoolSize(opportunity, minTradeSize, maxTradeSize);
+      }
+
       // Test different trade sizes to find optimal profit
       const testSizes = [
         minTradeSize,
@@ -296,6 +305,7 @@ class ProfitCalculator {
 
       let bestProfit = new HelperUtils.BigNumber(0);
       let bestSize = minTradeSize;
+      const profitCurve = [];
 
       for (const size of testSizes) {
         let profit;
@@ -308,6 +318,11 @@ class ProfitCalculator {
           profit = new HelperUtils.BigNumber(result.netProfit);
         }
 
+        profitCurve.push({
+          tradeSizeUSD: size.toNumber(),
+          netProfitUSD: profit.toNumber()
+        });
+
         if (profit.gt(bestProfit)) {
           bestProfit = profit;
           bestSize = size;
@@ -317,7 +332,9 @@ class ProfitCalculator {
       return {
         optimalSize: bestSize.toString(),
         expectedProfit: bestProfit.toString(),
-        roi: HelperUtils.calculateROI(bestProfit, bestSize).toNumber()
+        roi: HelperUtils.calculateROI(bestProfit, bestSize).toNumber(),
+        method: 'grid',
+        profitCurve
       };
 
     } catch (error) {
@@ -329,11 +346,185 @@ class ProfitCalculator {
       return {
         optimalSize: process.env.MIN_TRADE_SIZE_USD || '100',
         expectedProfit: '0',
-        roi: 0
+        roi: 0,
+        profitCurve: []
       };
     }
   }
 
+  // Optimal size for a tokenB -> tokenA -> tokenB round trip through two pool states
+  async calculateOptimalTwoPoolSize(opportunity, minTradeSize, maxTradeSize, curvePoints = 20) {
+    const { tokenA, tokenB } = opportunity;
+    const chainId = opportunity.chainId ?? 1;
+    const tokenAInfo = tokenRegistry.getToken(tokenA, chainId);
+    const tokenBInfo = tokenRegistry.getToken(tokenB, chainId);
+    const tokenBUsdPrice = priceNormalizer.getUsdPrice(tokenB);
+
+    if (!tokenAInfo || !tokenBInfo || !tokenBUsdPrice) {
+      throw new Error(`Token information or USD price not available for ${tokenA}/${tokenB}`);
+    }
+
+    const buyState = opportunity.poolA.state;
+    const sellState = opportunity.poolB.state;
+
+    // Gas does not depend on size, so it shifts the curve without moving the optimum
+    const gasCost = await this.calculateGasCost(GAS_LIMITS.SIMPLE_ARBITRAGE + flashLoanService.getGasOverhead(), chainId);
+
+    // A flash-loan fee grows with size, so it moves the optimum (zero when funded from inventory)
+    const flashFeeRate = flashLoanService.getFeeRate(
+      tokenBInfo.address,
+      chainId,
+      [opportunity.poolA.address, opportunity.poolB.address].filter(Boolean)
+    );
+
+    const toRaw = (sizeUSD) => BigInt(
+      HelperUtils.parseTokenAmount(new HelperUtils.BigNumber(sizeUSD).dividedBy(tokenBUsdPrice), tokenBInfo.decimals).toFixed(0)
+    );
+    const toUsd = (rawAmount) => HelperUtils.formatTokenAmount(rawAmount.toString(), tokenBInfo.decimals)
+      .multipliedBy(tokenBUsdPrice);
+
+    const evaluate = (sizeUSD) => {
+      const amountIn = toRaw(sizeUSD);
+      // Sizes beyond the loaded ticks of a V3 pool cannot be priced and count as returning nothing
+      const amountIntermediate = SwapMath.getAmountOut(buyState, tokenBInfo.address, amountIn);
+      const amountOut = amountIntermediate > 0n
+        ? SwapMath.getAmountOut(sellState, tokenAInfo.address, amountIntermediate) ?? 0n
+        : 0n;
+      const grossProfit = toUsd(amountOut).minus(toUsd(amountIn));
+      const flashFee = toUsd(amountIn).multipliedBy(flashFeeRate);
+
+      return {
+        tradeSizeUSD: new HelperUtils.BigNumber(sizeUSD).toNumber(),
+        amountIn: amountIn.toString(),
+        amountOut: amountOut.toString(),
+        grossProfitUSD: grossProfit.toNumber(),
+        flashFeeUSD: flashFee.toNumber(),
+        netProfitUSD: grossProfit.minus(gasCost).minus(flashFee).toNumber()
+      };
+    };
+
+    const lo = minTradeSize.toNumber();
+    const hi = maxTradeSize.toNumber();
+    const candidates = [];
+
+    // Closed-form seed: maximize K*x / (C + D*x) - x over the composite constant-product curve
+    const closedForm = this.solveTwoPoolClosedForm(buyState, sellState, tokenAInfo.address, tokenBInfo.address, flashFeeRate);
+    if (closedForm !== null) {
+      const closedFormUSD = toUsd(closedForm).toNumber();
+      candidates.push({ ...evaluate(Math.min(Math.max(closedFormUSD, lo), hi)), method: 'closed-form' });
+    }
+
+    // Golden-section refinement on the exact swap math (captures tick crossings on V3 legs)
+    const goldenSize = this.goldenSectionMaximize(size => evaluate(size).netProfitUSD, lo, hi);
+    candidates.push({ ...evaluate(goldenSize), method: 'golden-section' });
+
+    const best = candidates.reduce((a, b) => (b.netProfitUSD > a.netProfitUSD ? b : a));
+
+    // Profit curve across the allowed size range, including the optimum
+    const profitCurve = [];
+    for (let i = 0; i < curvePoints; i++) {
+      profitCurve.push(evaluate(lo + ((hi - lo) * i) / (curvePoints - 1)));
+    }
+    profitCurve.push(best);
+    profitCurve.sort((a, b) => a.tradeSizeUSD - b.tradeSizeUSD);
+
+    const optimalSize = new HelperUtils.BigNumber(best.tradeSizeUSD);
+    const expectedProfit = new HelperUtils.BigNumber(best.netProfitUSD);
+
+    return {
+      optimalSize: optimalSize.toFixed(2),
+      expectedProfit: expectedProfit.toFixed(6),
+      grossProfit: new HelperUtils.BigNumber(best.grossProfitUSD).toFixed(6),
+      gasCost: gasCost.toString(),
+      flashFee: new HelperUtils.BigNumber(best.flashFeeUSD).toFixed(6),
+      amountIn: best.amountIn,
+      amountOut: best.amountOut,
+      roi: HelperUtils.calculateROI(expectedProfit, optimalSize).toNumber(),
+      method: best.method,
+      profitCurve: profitCurve.map(({ method, ...point }) => point)
+    };
+  }
+
+  // Closed-form optimal input (raw tokenB units) for two constant-product legs.
+  // V3 legs use their in-range virtual reserves; returns null when the route is not profitable
+  // or a leg is not constant-product (StableSwap legs are sized by golden-section only).
+  // A flash-loan fee rate f makes each unit in cost 1 + f.
+  solveTwoPoolClosedForm(buyState, sellState, tokenAAddress, tokenBAddress, flashFeeRate = 0) {
+    if (buyState.type === 'STABLESWAP' || sellState.type === 'STABLESWAP') {
+      return null;
+    }
+
+    const BigNumber = HelperUtils.BigNumber;
+    const buy = this.getVirtualReserves(buyState, tokenBAddress);
+    const sell = this.getVirtualReserves(sellState, tokenAAddress);
+    const gammaBuy = new BigNumber(1).minus(new BigNumber(buyState.feeTier).dividedBy(1e6));
+    const gammaSell = new BigNumber(1).minus(new BigNumber(sellState.feeTier).dividedBy(1e6));
+
+    // out(x) = K*x / (C + D*x), maximize out(x) - (1 + f)*x
+    const K = gammaBuy.multipliedBy(gammaSell).multipliedBy(buy.reserveOut).multipliedBy(sell.reserveOut);
+    const C = buy.reserveIn.multipliedBy(sell.reserveIn);
+    const D = gammaBuy.multipliedBy(sell.reserveIn.plus(gammaSell.multipliedBy(buy.reserveOut)));
+
+    const cost = new BigNumber(1).plus(flashFeeRate);
+    if (K.lte(C.multipliedBy(cost))) {
+      return null;
+    }
+
+    const optimal = K.multipliedBy(C).dividedBy(cost).sqrt().minus(C).dividedBy(D);
+    return BigInt(optimal.integerValue(BigNumber.ROUND_DOWN).toFixed(0));
+  }
+
+  // Reserves (raw units) seen by a swap of tokenIn through a pool state
+  getVirtualReserves(state, tokenIn) {
+    const BigNumber = HelperUtils.BigNumber;
+    let reserve0;
+    let reserve1;
+
+    if (state.type === 'V2') {
+      reserve0 = new BigNumber(state.reserve0.toString());
+      reserve1 = new BigNumber(state.reserve1.toString());
+    } else {
+      // x = L / sqrtP, y = L * sqrtP
+      const sqrtPrice = new BigNumber(state.sqrtPriceX96.toString()).dividedBy(SwapMath.Q96.toString());
+      const liquidity = new BigNumber(state.liquidity.toString());
+      reserve0 = liquidity.dividedBy(sqrtPrice);
+      reserve1 = liquidity.multipliedBy(sqrtPrice);
+    }
+
+    return tokenIn.toLowerCase() === state.token0.toLowerCase()
+      ? { reserveIn: reserve0, reserveOut: reserve1 }
+      : { reserveIn: reserve1, reserveOut: reserve0 };
+  }
+
+  // Maximize a unimodal function on [lo, hi]
+  goldenSectionMaximize(fn, lo, hi, tolerance = 0.01, maxIterations = 100) {
+    const ratio = (Math.sqrt(5) - 1) / 2;
+    let a = lo;
+    let b = hi;
+    let c = b - ratio * (b - a);
+    let d = a + ratio * (b - a);
+    let fc = fn(c);
+    let fd = fn(d);
+
+    for (let i = 0; i < maxIterations && (b - a) > tolerance; i++) {
+      if (fc > fd) {
+        b = d;
+        d = c;
+        fd = fc;
+        c = b - ratio * (b - a);
+        fc = fn(c);
+      } else {
+        a = c;
+        c = d;
+        fc = fd;
+        d = a + ratio * (b - a);
+        fd = fn(d);
+      }
+    }
+
+    return (a + b) / 2;
+  }
+
   // Validate profit calculation
   validateProfitCalculation(calculation) {
     return calculation &&
@@ -356,8 +547,8 @@ class ProfitCalculator {
   // Get profit calculator statistics
   getStats() {
     return {
-      gasPrice: this.gasPriceCache?.gasPrice?.toString(),
-      lastGasUpdate: this.lastGasUpdate,
+      gasPrice: gasCostService.feeData?.gasPrice?.toString(),
+      lastGasUpdate: gasCostService.lastUpdate,
       gasUpdateInterval: this.gasUpdateInterval
     };
   }
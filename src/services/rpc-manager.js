@@ -1,72 +1,46 @@
 import { ethers } from 'ethers';
 import { logError, logger } from '../utils/logger.js';
 import HelperUtils from '../utils/helpers.js';
+import { ENABLED_CHAIN_IDS, getChainConfig } from '../config/constants.js';
+
+// Multicall3 ABI (minimal)
+const MULTICALL3 = new ethers.Interface([
+  "function aggregate3((address target, bool allowFailure, bytes callData)[] calls) external payable returns ((bool success, bytes returnData)[] returnData)"
+]);
 
 class RPCManager {
   constructor() {
-    this.providers = new Map();
-    this.currentProvider = null;
-    this.chainId = 1; // Ethereum mainnet by default
+    this.chains = new Map(); // chainId -> { chainId, name, providers, currentProvider, isHealthy }
+    this.chainId = ENABLED_CHAIN_IDS[0] || 1; // Primary chain
     this.healthCheckInterval = null;
     this.isHealthy = false;
     this.lastHealthCheck = null;
     this.connectionAttempts = 0;
     this.maxRetries = 3;
+    this.multicallBatchSize = parseInt(process.env.MULTICALL_BATCH_SIZE) || 500; // calls per aggregate3
   }
 
-  // Initialize RPC providers
+  // Initialize RPC providers for every enabled chain
   async initialize() {
     try {
-      const rpcUrls = [
-        process.env.ETHEREUM_RPC,
-        'https://ethereum.publicnode.com',
-        'https://rpc.ankr.com/eth',
-        'https://eth.llamarpc.com',
-        'https://ethereum.blockpi.network/v1/rpc/public',
-        'https://1rpc.io/eth'
-      ].filter(Boolean); // Remove undefined/null values
-
-      logger.info(`Testing ${rpcUrls.length} RPC endpoints...`);
-
-      for (const url of rpcUrls) {
+      for (const chainId of ENABLED_CHAIN_IDS) {
         try {
-          logger.info(`Testing RPC: ${url}`);
-          const provider = new ethers.JsonRpcProvider(url);
-          await this.testProvider(provider);
-
-          this.providers.set(url, {
-            provider,
-            url,
-            isHealthy: true,
-            lastCheck: Date.now(),
-            errors: 0
-          });
-
-          logger.info(`✅ RPC provider initialized: ${url}`);
-          
-          // Break after first successful connection for faster startup
-          if (this.providers.size >= 1) {
-            logger.info(`Found working RPC, continuing with initialization...`);
-            break;
-          }
+          await this.initializeChain(chainId);
         } catch (error) {
-          logger.warn(`❌ Failed to initialize RPC provider ${url}: ${error.message}`);
+          // Only the primary chain is required; other chains are skipped
+          if (chainId === this.chainId) {
+            throw error;
+          }
+          logger.warn(`Chain ${chainId} disabled: ${error.message}`);
         }
       }
 
-      if (this.providers.size === 0) {
-        throw new Error('No RPC providers could be initialized');
-      }
-
-      // Set current provider to the first healthy one
-      this.currentProvider = this.providers.values().next().value;
       this.isHealthy = true;
-      this.chainId = await this.currentProvider.provider.getNetwork().then(network => Number(network.chainId));
 
       // Start health checks
       this.startHealthChecks();
 
-      logger.info(`RPC Manager initialized with ${this.providers.size} providers on chain ${this.chainId}`);
+      logger.info(`RPC Manager initialized on chains ${this.getChainIds().join(', ')}`);
 
     } catch (error) {
       logError(error, { context: 'RPCManager.initialize' });
@@ -74,6 +48,89 @@ class RPCManager {
     }
   }
 
+  // Initialize the provider pool of a chain
+  async initializeChain(chainId) {
+    const chainConfig = getChainConfig(chainId);
+    if (!chainConfig) {
+      throw new Error(`Unsupported chain: ${chainId}`);
+    }
+
+    const chain = {
+      chainId,
+      name: chainConfig.name,
+      providers: new Map(),
+      currentProvider: null,
+      isHealthy: false
+    };
+
+    logger.info(`Testing ${chainConfig.rpcUrls.length} RPC endpoints for ${chainConfig.name}...`);
+
+    for (const url of chainConfig.rpcUrls) {
+      try {
+        logger.info(`Testing RPC: ${url}`);
+        const provider = new ethers.JsonRpcProvider(url, chainId, { staticNetwork: true });
+        await this.testProvider(provider);
+
+        chain.providers.set(url, {
+          provider,
+          url,
+          isHealthy: true,
+          lastCheck: Date.now(),
+          errors: 0
+        });
+
+        logger.info(`✅ RPC provider initialized: ${url}`);
+
+        // Break after first successful connection for faster startup
+        if (chain.providers.size >= 1) {
+          logger.info(`Found working RPC, continuing with initialization...`);
+          break;
+        }
+      } catch (error) {
+        logger.warn(`❌ Failed to initialize RPC provider ${url}: ${error.message}`);
+      }
+    }
+
+    if (chain.providers.size === 0) {
+      throw new Error(`No RPC providers could be initialized for chain ${chainId}`);
+    }
+
+    // Make sure the endpoint serves the chain it is configured for
+    const firstProvider = chain.providers.values().next().value;
+    const reportedChainId = Number(await firstProvider.provider.send('eth_chainId', []));
+    if (reportedChainId !== chainId) {
+      throw new Error(`RPC ${firstProvider.url} reports chain ${reportedChainId}, expected ${chainId}`);
+    }
+
+    // Set current provider to the first healthy one
+    chain.currentProvider = firstProvider;
+    chain.isHealthy = true;
+    this.chains.set(chainId, chain);
+
+    logger.info(`${chain.name} initialized with ${chain.providers.size} providers on chain ${chainId}`);
+
+    return chain;
+  }
+
+  // Get the provider pool of a chain
+  getChain(chainId = this.chainId) {
+    const chain = this.chains.get(Number(chainId));
+    if (!chain) {
+      throw new Error(`Chain ${chainId} is not initialized`);
+    }
+    return chain;
+  }
+
+  // Get the IDs of initialized chains (primary chain first)
+  getChainIds() {
+    return Array.from(this.chains.keys());
+  }
+
+  // Check whether a chain has been initialized
+  hasChain(chainId) {
+    return this.chains.has(Number(chainId));
+  }
+
   // Test provider connectivity
   async testProvider(provider) {
     try {
@@ -102,49 +159,52 @@ class RPCManager {
     }
   }
 
-  // Get current provider
-  getProvider() {
-    if (!this.currentProvider) {
-      throw new Error('No provider available');
+  // Get current provider of a chain
+  getProvider(chainId = this.chainId) {
+    const chain = this.getChain(chainId);
+    if (!chain.currentProvider) {
+      throw new Error(`No provider available for chain ${chain.chainId}`);
     }
-    return this.currentProvider.provider;
+    return chain.currentProvider.provider;
   }
 
-  // Switch to next available provider
-  async switchProvider() {
-    const availableProviders = Array.from(this.providers.values())
+  // Switch to next available provider of a chain
+  async switchProvider(chainId = this.chainId) {
+    const chain = this.getChain(chainId);
+    const availableProviders = Array.from(chain.providers.values())
       .filter(p => p.isHealthy);
 
     if (availableProviders.length === 0) {
-      throw new Error('No healthy providers available');
+      throw new Error(`No healthy providers available for chain ${chain.chainId}`);
     }
 
     // Find current provider index
-    const currentIndex = availableProviders.indexOf(this.currentProvider);
+    const currentIndex = availableProviders.indexOf(chain.currentProvider);
     const nextIndex = (currentIndex + 1) % availableProviders.length;
     const nextProvider = availableProviders[nextIndex];
 
-    this.currentProvider = nextProvider;
-    logger.info(`Switched to RPC provider: ${nextProvider.url}`);
+    chain.currentProvider = nextProvider;
+    logger.info(`Switched to RPC provider: ${nextProvider.url} (chain ${chain.chainId})`);
 
-    return this.currentProvider;
+    return chain.currentProvider;
   }
 
-  // Execute call with automatic retry and failover
-  async execute(call) {
+  // Execute call with automatic retry and failover on a chain's providers
+  async execute(call, chainId = this.chainId) {
+    const chain = this.getChain(chainId);
     let lastError;
 
     for (let attempt = 0; attempt < this.maxRetries; attempt++) {
       try {
-        if (!this.currentProvider || !this.currentProvider.isHealthy) {
-          await this.switchProvider();
+        if (!chain.currentProvider || !chain.currentProvider.isHealthy) {
+          await this.switchProvider(chain.chainId);
         }
 
-        const result = await call(this.currentProvider.provider);
+        const result = await call(chain.currentProvider.provider);
 
         // Reset error count on success
-        if (this.currentProvider) {
-          this.currentProvider.errors = 0;
+        if (chain.currentProvider) {
+          chain.currentProvider.errors = 0;
         }
 
         return result;
@@ -154,12 +214,13 @@ class RPCManager {
 
         // Mark provider as unhealthy on certain errors
         if (this.shouldMarkUnhealthy(error)) {
-          if (this.currentProvider) {
-            this.currentProvider.isHealthy = false;
-            this.currentProvider.errors++;
-            logger.warn(`Provider marked as unhealthy: ${this.currentProvider.url}`, {
+          if (chain.currentProvider) {
+            chain.currentProvider.isHealthy = false;
+            chain.currentProvider.errors++;
+            logger.warn(`Provider marked as unhealthy: ${chain.currentProvider.url}`, {
+              chainId: chain.chainId,
               error: error.message,
-              errorCount: this.currentProvider.errors
+              errorCount: chain.currentProvider.errors
             });
           }
         }
@@ -167,7 +228,7 @@ class RPCManager {
         // Try switching provider
         if (attempt < this.maxRetries - 1) {
           await HelperUtils.sleep(1000 * (attempt + 1)); // Exponential backoff
-          await this.switchProvider();
+          await this.switchProvider(chain.chainId);
         }
       }
     }
@@ -204,57 +265,63 @@ class RPCManager {
     }, 30000); // Check every 30 seconds
   }
 
-  // Perform health check on all providers
+  // Perform health check on all providers of every chain
   async performHealthCheck() {
     this.lastHealthCheck = Date.now();
 
-    for (const [url, providerInfo] of this.providers) {
-      try {
-        const start = Date.now();
-        await providerInfo.provider.getBlockNumber();
-        const latency = Date.now() - start;
-
-        providerInfo.isHealthy = true;
-        providerInfo.lastCheck = Date.now();
-        providerInfo.latency = latency;
+    for (const chain of this.chains.values()) {
+      for (const [url, providerInfo] of chain.providers) {
+        try {
+          const start = Date.now();
+          await providerInfo.provider.getBlockNumber();
+          const latency = Date.now() - start;
 
-        if (latency > 5000) {
-          logger.warn(`Provider slow response: ${url} (${latency}ms)`);
-        }
+          providerInfo.isHealthy = true;
+          providerInfo.lastCheck = Date.now();
+          providerInfo.latency = latency;
 
-      } catch (error) {
-        providerInfo.isHealthy = false;
-        providerInfo.errors++;
-        logger.warn(`Provider health check failed: ${url}`, {
-          error: error.message,
-          errorCount: providerInfo.errors
-        });
+          if (latency > 5000) {
+            logger.warn(`Provider slow response: ${url} (${latency}ms)`);
+          }
 
-        // Disable provider after too many errors
-        if (providerInfo.errors > 5) {
+        } catch (error) {
           providerInfo.isHealthy = false;
-          logger.error(`Provider disabled due to repeated errors: ${url}`);
+          providerInfo.errors++;
+          logger.warn(`Provider health check failed: ${url}`, {
+            chainId: chain.chainId,
+            error: error.message,
+            errorCount: providerInfo.errors
+          });
+
+          // Disable provider after too many errors
+          if (providerInfo.errors > 5) {
+            providerInfo.isHealthy = false;
+            logger.error(`Provider disabled due to repeated errors: ${url}`);
+          }
         }
       }
-    }
 
-    // Update overall health status
-    const healthyProviders = Array.from(this.providers.values())
-      .filter(p => p.isHealthy);
+      // Update chain health status
+      const healthyProviders = Array.from(chain.providers.values())
+        .filter(p => p.isHealthy);
 
-    this.isHealthy = healthyProviders.length > 0;
+      chain.isHealthy = healthyProviders.length > 0;
 
-    // Switch if current provider is unhealthy
-    if (this.currentProvider && !this.currentProvider.isHealthy) {
-      await this.switchProvider();
+      // Switch if current provider is unhealthy
+      if (chain.isHealthy && chain.currentProvider && !chain.currentProvider.isHealthy) {
+        await this.switchProvider(chain.chainId);
+      }
+
+      logger.debug(`RPC Health Check (chain ${chain.chainId}): ${healthyProviders.length}/${chain.providers.size} providers healthy`);
     }
 
-    logger.debug(`RPC Health Check: ${healthyProviders.length}/${this.providers.size} providers healthy`);
+    // Overall health follows the primary chain
+    this.isHealthy = this.chains.get(this.chainId)?.isHealthy ?? false;
   }
 
-  // Get provider statistics
-  getStats() {
-    const providers = Array.from(this.providers.values()).map(p => ({
+  // Get provider statistics of a chain
+  getChainStats(chain) {
+    const providers = Array.from(chain.providers.values()).map(p => ({
       url: p.url,
       isHealthy: p.isHealthy,
       lastCheck: p.lastCheck,
@@ -263,66 +330,130 @@ class RPCManager {
     }));
 
     return {
-      isHealthy: this.isHealthy,
-      totalProviders: this.providers.size,
+      chainId: chain.chainId,
+      name: chain.name,
+      isHealthy: chain.isHealthy,
+      totalProviders: chain.providers.size,
       healthyProviders: providers.filter(p => p.isHealthy).length,
-      currentProvider: this.currentProvider?.url,
+      currentProvider: chain.currentProvider?.url,
+      providers
+    };
+  }
+
+  // Get provider statistics (primary chain at the top level, every chain under chains)
+  getStats() {
+    const chains = Array.from(this.chains.values()).map(chain => this.getChainStats(chain));
+    const primary = chains.find(chain => chain.chainId === this.chainId);
+
+    return {
+      isHealthy: this.isHealthy,
+      totalProviders: primary?.totalProviders ?? 0,
+      healthyProviders: primary?.healthyProviders ?? 0,
+      currentProvider: primary?.currentProvider,
       chainId: this.chainId,
       lastHealthCheck: this.lastHealthCheck,
-      providers
+      providers: primary?.providers ?? [],
+      chains
     };
   }
 
   // Get current gas price
-  async getGasPrice() {
+  async getGasPrice(chainId = this.chainId) {
     return this.execute(async (provider) => {
       return await provider.getFeeData();
-    });
+    }, chainId);
   }
 
   // Get latest block
-  async getLatestBlock() {
+  async getLatestBlock(chainId = this.chainId) {
     return this.execute(async (provider) => {
       return await provider.getBlock('latest');
-    });
+    }, chainId);
   }
 
   // Get block number
-  async getBlockNumber() {
+  async getBlockNumber(chainId = this.chainId) {
     return this.execute(async (provider) => {
       return await provider.getBlockNumber();
-    });
+    }, chainId);
   }
 
   // Get transaction receipt
-  async getTransactionReceipt(txHash) {
+  async getTransactionReceipt(txHash, chainId = this.chainId) {
     return this.execute(async (provider) => {
       return await provider.getTransactionReceipt(txHash);
-    });
+    }, chainId);
   }
 
   // Send transaction (if needed for future use)
-  async sendTransaction(transaction) {
+  async sendTransaction(transaction, chainId = this.chainId) {
     return this.execute(async (provider) => {
       return await provider.broadcastTransaction(transaction);
-    });
+    }, chainId);
   }
 
   // Call contract
-  async call(contract, data, blockTag = 'latest') {
+  async call(contract, data, blockTag = 'latest', chainId = this.chainId) {
     return this.execute(async (provider) => {
       return await provider.call({
         to: contract.target,
         data
       }, blockTag);
-    });
+    }, chainId);
+  }
+
+  // Batch view calls through Multicall3 aggregate3: one eth_call per multicallBatchSize calls.
+  // Each call is { target, iface, method, args } (iface: ethers.Interface of the target). Results
+  // come back in call order as { success: true, result } (the decoded ethers Result) or
+  // { success: false, error }; a reverting call doesn't fail the rest of its batch.
+  async multicall(calls, { chainId = this.chainId, blockTag = null } = {}) {
+    const multicallAddress = getChainConfig(chainId)?.multicall3;
+    if (!multicallAddress) {
+      throw new Error(`Multicall3 not available on chain ${chainId}`);
+    }
+
+    const results = [];
+    for (let i = 0; i < calls.length; i += this.multicallBatchSize) {
+      const batch = calls.slice(i, i + this.multicallBatchSize);
+      const data = MULTICALL3.encodeFunctionData('aggregate3', [batch.map(call => ({
+        target: call.target,
+        allowFailure: true,
+        callData: call.iface.encodeFunctionData(call.method, call.args || [])
+      }))]);
+
+      const response = await this.execute(async (provider) => {
+        return await provider.call({
+          to: multicallAddress,
+          data,
+          ...(blockTag !== null ? { blockTag } : {})
+        });
+      }, chainId);
+      const [returnData] = MULTICALL3.decodeFunctionResult('aggregate3', response);
+
+      batch.forEach((call, index) => {
+        const { success, returnData: callData } = returnData[index];
+        if (!success) {
+          results.push({ success: false, error: new Error(`${call.method} reverted on ${call.target}`) });
+          return;
+        }
+
+        try {
+          results.push({ success: true, result: call.iface.decodeFunctionResult(call.method, callData) });
+        } catch (error) {
+          // Calls to an address without code "succeed" with empty return data
+          results.push({ success: false, error });
+        }
+      });
+    }
+
+    return results;
   }
 
   // Estimate gas
-  async estimateGas(transaction) {
+  async estimateGas(transaction, chainId = this.chainId) {
     return this.execute(async (provider) => {
       return await provider.estimateGas(transaction);
-    });
+    }, chainId);
   }
 
   // Cleanup
@@ -332,8 +463,7 @@ class RPCManager {
       this.healthCheckInterval = null;
     }
 
-    this.providers.clear();
-    this.currentProvider = null;
+    this.chains.clear();
     this.isHealthy = false;
 
     logger.info('RPC Manager destroyed');
@@ -0,0 +1,257 @@
+import priceFetcher from './price-fetcher/index.js';
+import gasCostService from './gas-cost.js';
+import tokenRegistry from '../config/token-registry.js';
+import storage from '../storage/index.js';
+import { ARBITRAGE_CONFIG, PRICE_HISTORY } from '../config/constants.js';
+import { logger, logError } from '../utils/logger.js';
+
+// Upper bounds of the spread size buckets (percent) and spread duration buckets (blocks)
+const SPREAD_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2];
+const DURATION_BUCKETS = [1, 2, 5, 10, 50];
+
+// Counts of values per bucket ('<= bound', then '> last bound')
+const histogram = (values, bounds, unit) => {
+  const buckets = bounds.map(bound => ({ range: `<= ${bound}${unit}`, count: 0 }));
+  buckets.push({ range: `> ${bounds[bounds.length - 1]}${unit}`, count: 0 });
+
+  for (const value of values) {
+    const index = bounds.findIndex(bound => value <= bound);
+    buckets[index === -1 ? bounds.length : index].count++;
+  }
+  return buckets;
+};
+
+// Min, average, median, 90th percentile and max of numbers, or null when there are none
+const summarize = (values) => {
+  if (values.length === 0) {
+    return null;
+  }
+
+  const sorted = [...values].sort((a, b) => a - b);
+  const percentile = (p) => sorted[Math.min(sorted.length - 1, Math.floor(p * sorted.length))];
+  return {
+    min: sorted[0],
+    avg: sorted.reduce((total, value) => total + value, 0) / sorted.length,
+    p50: percentile(0.5),
+    p90: percentile(0.9),
+    max: sorted[sorted.length - 1]
+  };
+};
+
+// Per-block spread of every active pair across its venues (each DEX and fee tier, see
+// PriceFetcher.calculatePriceDifference), stored once a chain's prices are complete for a block.
+// Each spread is compared with the break-even of a round trip through its two venues: both pool
+// fees plus the gas of a two-swap route, relative to the default trade size. Statistics report
+// how large spreads are, how often they clear break-even and how many blocks they last.
+class SpreadTracker {
+  constructor() {
+    this.lastBlocks = new Map(); // `${chainId}:${tokenA}/${tokenB}` -> last recorded block
+
+    this.stats = {
+      blocks: 0,
+      recorded: 0,
+      aboveBreakEven: 0,
+      lastBlock: null
+    };
+  }
+
+  // Gas of a two-swap route on a chain as a percentage of the default trade size, or null when
+  // its cost is unknown
+  async getGasPercentage(chainId) {
+    try {
+      const gasCostUSD = await gasCostService.estimateGasCostUSD(
+        gasCostService.getRouteGasLimit(2), {}, undefined, chainId
+      );
+      return {
+        gasCostUSD: gasCostUSD.toNumber(),
+        gasPercentage: gasCostUSD.dividedBy(ARBITRAGE_CONFIG.DEFAULT_TRADE_SIZE_USD).multipliedBy(100).toNumber()
+      };
+    } catch (error) {
+      logger.debug(`Gas cost unavailable for spreads on chain ${chainId}: ${error.message}`);
+      return { gasCostUSD: null, gasPercentage: null };
+    }
+  }
+
+  // Spread record of a pair from its price difference at a block
+  toRecord(difference, blockNumber, { gasCostUSD, gasPercentage }) {
+    // Pool fees are in hundredths of a basis point (3000 = 0.3%)
+    const feePercentage = ((difference.feeTierA ?? 3000) + (difference.feeTierB ?? 3000)) / 10000;
+    const spreadPercentage = difference.percentage.toNumber();
+    const breakEvenPercentage = gasPercentage != null ? feePercentage + gasPercentage : null;
+
+    return {
+      chainId: difference.chainId,
+      tokenA: difference.tokenA,
+      tokenB: difference.tokenB,
+      blockNumber,
+      timestamp: new Date(),
+      dexA: difference.dexA,
+      feeTierA: difference.feeTierA,
+      poolA: difference.poolA,
+      priceA: difference.priceA.toFixed(),
+      dexB: difference.dexB,
+      feeTierB: difference.feeTierB,
+      poolB: difference.poolB,
+      priceB: difference.priceB.toFixed(),
+      spreadPercentage,
+      venues: difference.venues,
+      feePercentage,
+      gasCostUSD,
+      breakEvenPercentage,
+      exceedsBreakEven: breakEvenPercentage != null ? spreadPercentage > breakEvenPercentage : null
+    };
+  }
+
+  // Store the spread of every active pair of a chain priced on at least two venues at a block;
+  // returns how many were stored
+  async recordBlock(chainId, blockNumber) {
+    try {
+      const gas = await this.getGasPercentage(chainId);
+      const records = [];
+
+      for (const [tokenA, tokenB] of tokenRegistry.getActivePairs(chainId)) {
+        const pairKey = `${chainId}:${tokenA}/${tokenB}`;
+        if (this.lastBlocks.get(pairKey) === blockNumber) continue;
+
+        const difference = priceFetcher.calculatePriceDifference(tokenA, tokenB, chainId);
+        if (!difference) continue;
+
+        this.lastBlocks.set(pairKey, blockNumber);
+        records.push(this.toRecord(difference, blockNumber, gas));
+      }
+
+      const stored = records.length > 0 ? await storage.spreads.insertMany(records) : 0;
+
+      this.stats.blocks++;
+      this.stats.recorded += stored;
+      this.stats.aboveBreakEven += records.filter(record => record.exceedsBreakEven).length;
+      this.stats.lastBlock = blockNumber;
+      return stored;
+
+    } catch (error) {
+      logError(error, { context: 'SpreadTracker.recordBlock', chainId, blockNumber });
+      return 0;
+    }
+  }
+
+  // Runs of consecutive blocks in which a pair's spread exceeds break-even (or minSpread percent
+  // when given), from records sorted by block; the last one is open when it lasts to the last record
+  getEpisodes(records, minSpread = null) {
+    const episodes = [];
+    let episode = null;
+
+    for (const record of records) {
+      const exceeds = minSpread != null
+        ? record.spreadPercentage >= minSpread
+        : record.exceedsBreakEven === true;
+
+      if (exceeds) {
+        if (!episode) {
+          episode = { startBlock: record.blockNumber, endBlock: record.blockNumber, maxSpread: 0, open: false };
+          episodes.push(episode);
+        }
+        episode.endBlock = record.blockNumber;
+        episode.maxSpread = Math.max(episode.maxSpread, record.spreadPercentage);
+      } else {
+        episode = null;
+      }
+    }
+
+    if (episode) {
+      episode.open = true;
+    }
+    return episodes.map(run => ({ ...run, blocks: run.endBlock - run.startBlock + 1 }));
+  }
+
+  // Distribution of spread size, spread duration in blocks and how often spreads exceed
+  // break-even, over the spreads stored since a date (optionally one chain or pair)
+  async getSpreadStats({ since, chainId, tokenA, tokenB, minSpread = null } = {}) {
+    const query = { timestamp: { $gte: since } };
+    if (chainId) query.chainId = chainId;
+    if (tokenA && tokenB) query.$or = [{ tokenA, tokenB }, { tokenA: tokenB, tokenB: tokenA }];
+
+    const records = await storage.spreads.find(query, { sort: { blockNumber: 1 } });
+
+    const pairs = new Map();
+    for (const record of records) {
+      const pairKey = `${record.chainId}:${record.tokenA}/${record.tokenB}`;
+      if (!pairs.has(pairKey)) pairs.set(pairKey, []);
+      pairs.get(pairKey).push(record);
+    }
+
+    const byPair = [];
+    const episodes = [];
+    for (const pairRecords of pairs.values()) {
+      const pairEpisodes = this.getEpisodes(pairRecords, minSpread);
+      const spreads = pairRecords.map(record => record.spreadPercentage);
+      const compared = pairRecords.filter(record => record.exceedsBreakEven != null);
+
+      episodes.push(...pairEpisodes);
+      byPair.push({
+        chainId: pairRecords[0].chainId,
+        pair: `${pairRecords[0].tokenA}/${pairRecords[0].tokenB}`,
+        blocks: pairRecords.length,
+        spread: summarize(spreads),
+        exceedsBreakEven: compared.filter(record => record.exceedsBreakEven).length,
+        exceedsBreakEvenRate: compared.length > 0
+          ? compared.filter(record => record.exceedsBreakEven).length / compared.length * 100
+          : null,
+        episodes: pairEpisodes.length,
+        duration: summarize(pairEpisodes.map(run => run.blocks)),
+        longest: pairEpisodes.reduce((longest, run) => (!longest || run.blocks > longest.blocks ? run : longest), null)
+      });
+    }
+
+    const spreads = records.map(record => record.spreadPercentage);
+    const compared = records.filter(record => record.exceedsBreakEven != null);
+    const exceeding = compared.filter(record => record.exceedsBreakEven).length;
+    const durations = episodes.map(run => run.blocks);
+
+    return {
+      summary: {
+        samples: records.length,
+        pairs: pairs.size,
+        exceedsBreakEven: exceeding,
+        exceedsBreakEvenRate: compared.length > 0 ? exceeding / compared.length * 100 : null,
+        episodes: episodes.length,
+        openEpisodes: episodes.filter(run => run.open).length,
+        threshold: minSpread != null ? `${minSpread}%` : 'break-even'
+      },
+      spread: {
+        ...summarize(spreads),
+        distribution: histogram(spreads, SPREAD_BUCKETS, '%')
+      },
+      breakEven: summarize(compared.map(record => record.breakEvenPercentage)),
+      duration: {
+        ...summarize(durations),
+        distribution: histogram(durations, DURATION_BUCKETS, ' blocks')
+      },
+      byPair: byPair.sort((a, b) => b.episodes - a.episodes || b.blocks - a.blocks)
+    };
+  }
+
+  // Delete spreads kept longer than price snapshots; returns how many were deleted
+  async cleanup(now = Date.now()) {
+    const deleted = await storage.spreads.deleteMany({
+      timestamp: { $lt: new Date(now - PRICE_HISTORY.RETENTION_MS.raw) }
+    });
+
+    if (deleted > 0) {
+      logger.info(`🧹 Cleaned up ${deleted} old spreads`);
+    }
+    return deleted;
+  }
+
+  // Get spread recording statistics
+  getStats() {
+    return {
+      ...this.stats,
+      pairs: this.lastBlocks.size
+    };
+  }
+}
+
+// Create singleton instance
+const spreadTracker = new SpreadTracker();
+
+export default spreadTracker;
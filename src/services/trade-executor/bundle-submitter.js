@@ -0,0 +1,348 @@
+import { ethers } from 'ethers';
+import rpcManager from '../rpc-manager.js';
+import { getChainConfig, INTERVALS } from '../../config/constants.js';
+import { logError, logger } from '../../utils/logger.js';
+
+// Private submission of signed transactions as bundles to a Flashbots-style relay, so executions
+// never sit in the public mempool. Each bundle is simulated with eth_callBundle first and sent
+// with eth_sendBundle for one target block; a bundle that misses its block is (re-signed and)
+// sent again for the next one, up to BUNDLE_MAX_BLOCKS blocks. Chains without a relay
+// (<CHAIN>_BUNDLE_RELAY_URL) fall back to a public broadcast, sped up after every block it misses
+// and cancelled when it is not mined within PUBLIC_MAX_BLOCKS blocks.
+class BundleSubmitter {
+  constructor() {
+    // Relay requests are signed by a reputation key that holds no funds
+    this.authSigner = process.env.BUNDLE_SIGNER_KEY
+      ? new ethers.Wallet(process.env.BUNDLE_SIGNER_KEY)
+      : ethers.Wallet.createRandom();
+    this.maxBlocks = parseInt(process.env.BUNDLE_MAX_BLOCKS) || 3;
+    this.publicMaxBlocks = parseInt(process.env.PUBLIC_MAX_BLOCKS) || 5;
+    this.pollInterval = INTERVALS.LOG_POLL;
+    this.blockTimeout = 120000; // longest wait for a target block
+    this.requestTimeout = 10000;
+    this.requestId = 0;
+
+    this.stats = {
+      bundlesSent: 0,
+      simulationsFailed: 0,
+      publicSent: 0,
+      included: 0,
+      expired: 0,
+      cancelled: 0
+    };
+  }
+
+  // Block number, receipt and broadcast access of a chain, through rpcManager unless a provider is given
+  getChain(chainId, provider = null) {
+    return provider || {
+      getBlockNumber: () => rpcManager.getBlockNumber(chainId),
+      getTransactionReceipt: (hash) => rpcManager.getTransactionReceipt(hash, chainId),
+      broadcastTransaction: (transaction) => rpcManager.sendTransaction(transaction, chainId)
+    };
+  }
+
+  // Relay of a chain, or null when its transactions go to the public mempool
+  getRelayUrl(chainId) {
+    return getChainConfig(chainId)?.bundleRelay || null;
+  }
+
+  // JSON-RPC request to a relay, signed with the X-Flashbots-Signature header
+  async relayRequest(relayUrl, method, params) {
+    const body = JSON.stringify({ jsonrpc: '2.0', id: ++this.requestId, method, params });
+    const signature = await this.authSigner.signMessage(ethers.id(body));
+
+    const request = new ethers.FetchRequest(relayUrl);
+    request.body = body;
+    request.setHeader('content-type', 'application/json');
+    request.setHeader('x-flashbots-signature', `${this.authSigner.address}:${signature}`);
+    request.timeout = this.requestTimeout;
+
+    const response = await request.send();
+    response.assertOk();
+
+    const { result, error } = response.bodyJson;
+    if (error) {
+      throw new Error(`${method} failed: ${error.message}`);
+    }
+    return result;
+  }
+
+  // Simulate a bundle on top of the latest state as if it were included in the target block.
+  // Returns { success, gasUsed, coinbaseDiff, error }; a bundle fails when any transaction reverts.
+  async callBundle(relayUrl, signedTransactions, targetBlock) {
+    try {
+      const result = await this.relayRequest(relayUrl, 'eth_callBundle', [{
+        txs: signedTransactions,
+        blockNumber: ethers.toQuantity(targetBlock),
+        stateBlockNumber: 'latest'
+      }]);
+
+      const failed = (result.results || []).find(tx => tx.error || tx.revert);
+      return {
+        success: !failed,
+        gasUsed: result.totalGasUsed?.toString() ?? null,
+        coinbaseDiff: result.coinbaseDiff?.toString() ?? null,
+        error: failed ? (failed.revert || failed.error) : null
+      };
+
+    } catch (error) {
+      return { success: false, gasUsed: null, coinbaseDiff: null, error: error.message };
+    }
+  }
+
+  // Send a bundle for inclusion in the target block only; returns the relay's bundle hash
+  async sendBundle(relayUrl, signedTransactions, targetBlock) {
+    const result = await this.relayRequest(relayUrl, 'eth_sendBundle', [{
+      txs: signedTransactions,
+      blockNumber: ethers.toQuantity(targetBlock)
+    }]);
+    this.stats.bundlesSent++;
+    return result?.bundleHash ?? null;
+  }
+
+  // Wait for the chain to reach a block and return the first receipt of the transactions in it or
+  // before it, or null when the block passed without them
+  async waitForInclusion(transactionHashes, targetBlock, chain) {
+    const deadline = Date.now() + this.blockTimeout;
+    while (await chain.getBlockNumber() < targetBlock) {
+      if (Date.now() > deadline) {
+        throw new Error(`Block ${targetBlock} not reached after ${this.blockTimeout}ms`);
+      }
+      await new Promise(resolve => setTimeout(resolve, this.pollInterval));
+    }
+
+    for (const hash of transactionHashes) {
+      const receipt = await chain.getTransactionReceipt(hash);
+      if (receipt) {
+        return receipt;
+      }
+    }
+    return null;
+  }
+
+  // Submit signed transactions as a bundle, from the block after the current one. `resign(targetBlock)`
+  // may return the transactions re-signed (same nonces) for a replacement bundle; `onUpdate` receives
+  // the submission ({ mode, relay, status, targetBlock, bundleHash, attempts, transactionHash,
+  // includedBlock, gasUsed, error }) whenever its status changes. Status ends as `included`,
+  // `reverted`, `simulation_failed`, `expired` or `failed`.
+  async submitBundle(signedTransactions, {
+    chainId = 1,
+    relayUrl = this.getRelayUrl(chainId),
+    provider = null,
+    maxBlocks = this.maxBlocks,
+    resign = null,
+    onUpdate = null
+  } = {}) {
+    const chain = this.getChain(chainId, provider);
+    const submission = {
+      mode: 'bundle',
+      relay: relayUrl,
+      status: 'pending',
+      targetBlock: null,
+      bundleHash: null,
+      attempts: [],
+      transactionHash: null,
+      includedBlock: null,
+      gasUsed: null,
+      error: null
+    };
+    const update = async (changes) => {
+      Object.assign(submission, changes);
+      if (onUpdate) await onUpdate({ ...submission, attempts: [...submission.attempts] });
+    };
+
+    try {
+      let transactions = signedTransactions;
+      let transactionHashes = transactions.map(tx => ethers.keccak256(tx));
+      let targetBlock = await chain.getBlockNumber() + 1;
+
+      for (let attempt = 0; attempt < maxBlocks; attempt++) {
+        if (attempt > 0 && resign) {
+          transactions = await resign(targetBlock);
+          // Earlier bundles may still land, so their hashes are kept
+          transactionHashes = [...new Set([...transactionHashes, ...transactions.map(tx => ethers.keccak256(tx))])];
+        }
+
+        const simulation = await this.callBundle(relayUrl, transactions, targetBlock);
+        const record = { targetBlock, bundleHash: null, simulation, submittedAt: new Date() };
+        submission.attempts.push(record);
+
+        if (!simulation.success) {
+          this.stats.simulationsFailed++;
+          logger.warn(`Bundle simulation failed for block ${targetBlock}: ${simulation.error}`);
+          await update({ status: 'simulation_failed', targetBlock, error: simulation.error });
+          return submission;
+        }
+
+        record.bundleHash = await this.sendBundle(relayUrl, transactions, targetBlock);
+        logger.info(`📦 Bundle ${record.bundleHash} sent for block ${targetBlock} (attempt ${attempt + 1}/${maxBlocks})`);
+        await update({ status: 'submitted', targetBlock, bundleHash: record.bundleHash });
+
+        const receipt = await this.waitForInclusion(transactionHashes, targetBlock, chain);
+        if (receipt) {
+          this.stats.included++;
+          await update({
+            status: receipt.status === 1 ? 'included' : 'reverted',
+            transactionHash: receipt.hash,
+            includedBlock: receipt.blockNumber,
+            gasUsed: receipt.gasUsed.toString()
+          });
+          return submission;
+        }
+
+        // Missed: replace it for the block after the latest
+        targetBlock = Math.max(targetBlock, await chain.getBlockNumber()) + 1;
+      }
+
+      this.stats.expired++;
+      await update({ status: 'expired' });
+      return submission;
+
+    } catch (error) {
+      logError(error, { chainId, relayUrl, context: 'BundleSubmitter.submitBundle' });
+      await update({ status: 'failed', error: error.message });
+      return submission;
+    }
+  }
+
+  // Broadcast signed transactions, adding their hashes to transactionHashes. Replacements may be
+  // rejected (e.g. when the transaction they replace was just mined), which only the first
+  // broadcast treats as a failure.
+  async broadcast(signedTransactions, transactionHashes, chain, { replacement = false } = {}) {
+    for (const transaction of signedTransactions) {
+      try {
+        const response = await chain.broadcastTransaction(transaction);
+        transactionHashes.push(response.hash);
+      } catch (error) {
+        if (!replacement) throw error;
+        logger.warn(`Replacement transaction rejected: ${error.shortMessage || error.message}`);
+      }
+    }
+    this.stats.publicSent++;
+    return transactionHashes[transactionHashes.length - 1];
+  }
+
+  // Broadcast signed transactions to the public mempool and wait for one of them to be mined, for
+  // up to maxBlocks blocks after the broadcast block. After each block without them,
+  // `replace(targetBlock)` may return the transactions re-signed at higher fees (same nonces);
+  // once maxBlocks pass, `cancel()` may return signed cancellations of their nonces, awaited for
+  // another maxBlocks blocks. `onUpdate` receives the submission as in submitBundle. Status ends as
+  // `included`, `reverted`, `cancelled`, `expired` (broadcast but not mined yet) or `failed`.
+  async submitPublic(signedTransactions, {
+    chainId = 1,
+    provider = null,
+    maxBlocks = this.publicMaxBlocks,
+    replace = null,
+    cancel = null,
+    onUpdate = null
+  } = {}) {
+    const chain = this.getChain(chainId, provider);
+    const submission = {
+      mode: 'public',
+      relay: null,
+      status: 'pending',
+      targetBlock: null,
+      bundleHash: null,
+      attempts: [],
+      transactionHash: null,
+      includedBlock: null,
+      gasUsed: null,
+      error: null
+    };
+    const update = async (changes) => {
+      Object.assign(submission, changes);
+      if (onUpdate) await onUpdate({ ...submission, attempts: [...submission.attempts] });
+    };
+    const included = async (receipt) => {
+      this.stats.included++;
+      await update({
+        status: receipt.status === 1 ? 'included' : 'reverted',
+        transactionHash: receipt.hash,
+        includedBlock: receipt.blockNumber,
+        gasUsed: receipt.gasUsed.toString()
+      });
+      return submission;
+    };
+
+    try {
+      const sentBlock = await chain.getBlockNumber();
+      const transactionHashes = [];
+      const transactionHash = await this.broadcast(signedTransactions, transactionHashes, chain);
+
+      submission.attempts.push({ targetBlock: sentBlock + 1, bundleHash: null, submittedAt: new Date() });
+      logger.info(`📣 Transaction ${transactionHash} broadcast publicly after block ${sentBlock}`);
+      await update({ status: 'submitted', targetBlock: sentBlock + 1, transactionHash });
+
+      const lastBlock = sentBlock + maxBlocks;
+      for (let block = sentBlock + 1; block <= lastBlock; block++) {
+        const receipt = await this.waitForInclusion(transactionHashes, block, chain);
+        if (receipt) {
+          return included(receipt);
+        }
+
+        // Missed: speed the transactions up for the next block (earlier ones may still land)
+        if (replace && block < lastBlock) {
+          const replacementHash = await this.broadcast(await replace(block + 1), transactionHashes, chain, { replacement: true });
+          submission.attempts.push({ targetBlock: block + 1, bundleHash: null, submittedAt: new Date() });
+          await update({ targetBlock: block + 1, transactionHash: replacementHash });
+        }
+      }
+
+      if (cancel) {
+        const cancellationHashes = [];
+        await this.broadcast(await cancel(), cancellationHashes, chain, { replacement: true });
+        logger.info(`🛑 Transaction not mined within ${maxBlocks} blocks, cancelling its nonce`);
+
+        for (let block = lastBlock + 1; block <= lastBlock + maxBlocks; block++) {
+          const receipt = await this.waitForInclusion([...transactionHashes, ...cancellationHashes], block, chain);
+          if (receipt && cancellationHashes.includes(receipt.hash)) {
+            this.stats.cancelled++;
+            await update({
+              status: 'cancelled',
+              transactionHash: receipt.hash,
+              includedBlock: receipt.blockNumber,
+              gasUsed: receipt.gasUsed.toString(),
+              error: `Cancelled after ${maxBlocks} blocks`
+            });
+            return submission;
+          }
+          if (receipt) {
+            return included(receipt);
+          }
+        }
+      }
+
+      this.stats.expired++;
+      await update({ status: 'expired', error: `Not mined within ${maxBlocks} blocks` });
+      return submission;
+
+    } catch (error) {
+      logError(error, { chainId, context: 'BundleSubmitter.submitPublic' });
+      await update({ status: 'failed', error: error.message });
+      return submission;
+    }
+  }
+
+  // Submit signed transactions through the chain's relay, or broadcast them publicly when it has none
+  async submit(signedTransactions, options = {}) {
+    const { chainId = 1, relayUrl = this.getRelayUrl(chainId) } = options;
+    return relayUrl
+      ? this.submitBundle(signedTransactions, { ...options, relayUrl })
+      : this.submitPublic(signedTransactions, options);
+  }
+
+  // Relay signer and submission counters
+  getStats() {
+    return {
+      authSigner: this.authSigner.address,
+      maxBlocks: this.maxBlocks,
+      publicMaxBlocks: this.publicMaxBlocks,
+      ...this.stats
+    };
+  }
+}
+
+// Create singleton instance
+const bundleSubmitter = new BundleSubmitter();
+
+export default bundleSubmitter;
@@ -0,0 +1,272 @@
+import { ethers } from 'ethers';
+import fs from 'fs';
+import path from 'path';
+import rpcManager from '../rpc-manager.js';
+import gasCostService from '../gas-cost.js';
+import { logError, logger } from '../../utils/logger.js';
+
+// Hot wallets that sign executions, with locally tracked nonces.
+// Keys come from EXECUTOR_PRIVATE_KEYS (comma-separated, or EXECUTOR_PRIVATE_KEY) and from
+// encrypted JSON keystores (EXECUTOR_KEYSTORE: a file or a directory of them, decrypted with
+// EXECUTOR_KEYSTORE_PASSWORD). Each execution leases a wallet that has no other execution in
+// flight on its chain, so parallel opportunities never compete for a nonce. Nonces are allocated
+// locally from the chain's pending count, synced when a wallet is first used on a chain and
+// whenever a transaction may have been dropped.
+class SignerManager {
+  constructor() {
+    this.wallets = new Map(); // address -> ethers.Wallet
+    this.nonces = new Map(); // `${chainId}:${address}` -> { next, synced, pending: Map<nonce, entry> }
+    this.leases = new Set(); // `${chainId}:${address}` with an execution in flight
+    this.replacementBump = 15; // % fee increase of a replacement (nodes require at least 10%)
+    this.cancelGasLimit = 21000n;
+
+    this.stats = {
+      signed: 0,
+      replaced: 0,
+      cancelled: 0,
+      reconciled: 0
+    };
+  }
+
+  // Load the configured keys
+  async initialize() {
+    const keys = (process.env.EXECUTOR_PRIVATE_KEYS || process.env.EXECUTOR_PRIVATE_KEY || '')
+      .split(',')
+      .map(key => key.trim())
+      .filter(Boolean);
+
+    for (const key of keys) {
+      this.addWallet(new ethers.Wallet(key));
+    }
+
+    if (process.env.EXECUTOR_KEYSTORE) {
+      await this.loadKeystore(process.env.EXECUTOR_KEYSTORE, process.env.EXECUTOR_KEYSTORE_PASSWORD || '');
+    }
+
+    logger.info(`🔑 ${this.wallets.size} execution wallet(s) loaded`);
+  }
+
+  // Decrypt a keystore file, or every .json keystore in a directory
+  async loadKeystore(keystorePath, password) {
+    const files = fs.statSync(keystorePath).isDirectory()
+      ? fs.readdirSync(keystorePath).filter(file => file.endsWith('.json')).map(file => path.join(keystorePath, file))
+      : [keystorePath];
+
+    for (const file of files) {
+      try {
+        const wallet = await ethers.Wallet.fromEncryptedJson(fs.readFileSync(file, 'utf8'), password);
+        this.addWallet(wallet);
+      } catch (error) {
+        logError(error, { file, context: 'SignerManager.loadKeystore' });
+      }
+    }
+  }
+
+  // Register a wallet (duplicates are ignored)
+  addWallet(wallet) {
+    if (!this.wallets.has(wallet.address)) {
+      this.wallets.set(wallet.address, wallet);
+    }
+    return wallet.address;
+  }
+
+  // Whether any wallet can sign executions
+  hasWallets() {
+    return this.wallets.size > 0;
+  }
+
+  // Nonce state of a wallet on a chain
+  getNonceState(address, chainId) {
+    const key = `${chainId}:${address}`;
+    if (!this.nonces.has(key)) {
+      this.nonces.set(key, { next: 0, synced: false, pending: new Map() });
+    }
+    return this.nonces.get(key);
+  }
+
+  // Sync a wallet's nonces with the chain: transactions below its confirmed count are settled
+  // (mined, or replaced by another transaction at the same nonce), and the next nonce is never
+  // below the node's pending count. Run on first use, after restarts and after dropped transactions.
+  async reconcile(address, chainId) {
+    const [confirmed, pending] = await rpcManager.execute(async (provider) => {
+      return await Promise.all([
+        provider.getTransactionCount(address, 'latest'),
+        provider.getTransactionCount(address, 'pending')
+      ]);
+    }, chainId);
+
+    const state = this.getNonceState(address, chainId);
+    for (const nonce of state.pending.keys()) {
+      if (nonce < confirmed) {
+        state.pending.delete(nonce);
+      }
+    }
+
+    // Without local transactions above it, the node's view wins (also rewinding dropped nonces)
+    const localNext = state.pending.size > 0 ? Math.max(...state.pending.keys()) + 1 : 0;
+    state.next = Math.max(pending, localNext);
+    state.synced = true;
+    this.stats.reconciled++;
+
+    logger.debug(`Nonces of ${address} on chain ${chainId}: confirmed ${confirmed}, next ${state.next}, ${state.pending.size} pending`);
+    return state.next;
+  }
+
+  // Lease a wallet without an execution in flight on a chain and allocate its next nonce.
+  // Returns { address, nonce, chainId }, or null when every wallet is busy.
+  async acquire(chainId) {
+    const address = [...this.wallets.keys()].find(candidate => !this.leases.has(`${chainId}:${candidate}`));
+    if (!address) {
+      return null;
+    }
+    this.leases.add(`${chainId}:${address}`);
+
+    try {
+      const state = this.getNonceState(address, chainId);
+      if (!state.synced) {
+        await this.reconcile(address, chainId);
+      }
+      return { address, chainId, nonce: state.next++ };
+
+    } catch (error) {
+      this.leases.delete(`${chainId}:${address}`);
+      throw error;
+    }
+  }
+
+  // End a lease. A nonce that was never broadcast or included is handed back (or, when later
+  // nonces are already out, left for the next reconcile to resolve).
+  release(lease, { used = true } = {}) {
+    const state = this.getNonceState(lease.address, lease.chainId);
+
+    if (!used) {
+      state.pending.delete(lease.nonce);
+      if (state.next === lease.nonce + 1) {
+        state.next = lease.nonce;
+      } else {
+        state.synced = false;
+      }
+    }
+    this.leases.delete(`${lease.chainId}:${lease.address}`);
+  }
+
+  // Mark a nonce as mined
+  confirm(address, chainId, nonce) {
+    this.getNonceState(address, chainId).pending.delete(nonce);
+  }
+
+  // Current fees of a chain: { type, maxFeePerGas, maxPriorityFeePerGas } or { type, gasPrice }
+  async getFees(chainId) {
+    const feeData = await gasCostService.getFeeData(chainId);
+    return feeData.maxFeePerGas != null
+      ? { type: 2, maxFeePerGas: feeData.maxFeePerGas, maxPriorityFeePerGas: feeData.maxPriorityFeePerGas }
+      : { type: 0, gasPrice: feeData.gasPrice };
+  }
+
+  // Fees of a replacement: each fee field the larger of the current fee and the replaced
+  // transaction's fee plus a bump
+  bumpFees(previous, current, bumpPercent = this.replacementBump) {
+    const bump = (fee) => BigInt(fee) * BigInt(100 + bumpPercent) / 100n;
+    const max = (a, b) => (a > b ? a : b);
+
+    if (previous.type === 2) {
+      const maxPriorityFeePerGas = max(bump(previous.maxPriorityFeePerGas), BigInt(current.maxPriorityFeePerGas ?? 0));
+      const maxFeePerGas = max(bump(previous.maxFeePerGas), BigInt(current.maxFeePerGas ?? current.gasPrice));
+      return { type: 2, maxFeePerGas: max(maxFeePerGas, maxPriorityFeePerGas), maxPriorityFeePerGas };
+    }
+    return { type: 0, gasPrice: max(bump(previous.gasPrice), BigInt(current.gasPrice ?? current.maxFeePerGas)) };
+  }
+
+  // Sign a transaction ({ to, data, value, gasLimit }) from a wallet at a nonce, at the chain's
+  // current fees unless `fees` are given, and track it as pending. Returns the signed transaction.
+  async signTransaction(address, chainId, nonce, transaction, fees = null) {
+    const wallet = this.wallets.get(address);
+    if (!wallet) {
+      throw new Error(`Unknown execution wallet ${address}`);
+    }
+
+    const txFees = fees || await this.getFees(chainId);
+    const request = {
+      chainId,
+      to: transaction.to,
+      data: transaction.data ?? '0x',
+      value: BigInt(transaction.value ?? 0),
+      gasLimit: BigInt(transaction.gasLimit),
+      nonce,
+      ...txFees
+    };
+    const signed = await wallet.signTransaction(request);
+
+    const state = this.getNonceState(address, chainId);
+    const replaced = state.pending.get(nonce);
+    state.pending.set(nonce, {
+      transaction: request,
+      fees: txFees,
+      hash: ethers.keccak256(signed),
+      replacedHashes: replaced ? [...replaced.replacedHashes, replaced.hash] : [],
+      signedAt: Date.now()
+    });
+    this.stats.signed++;
+    return signed;
+  }
+
+  // Re-sign a pending transaction at the chain's current fees (never below its own), e.g. for
+  // a bundle retargeted at a later block
+  async resign(address, chainId, nonce) {
+    const entry = this.getPending(address, chainId, nonce);
+    const fees = this.bumpFees(entry.fees, await this.getFees(chainId), 0);
+    return this.signTransaction(address, chainId, nonce, entry.transaction, fees);
+  }
+
+  // Replace a pending transaction with the same one at bumped fees
+  async speedUp(address, chainId, nonce) {
+    const entry = this.getPending(address, chainId, nonce);
+    const fees = this.bumpFees(entry.fees, await this.getFees(chainId));
+
+    this.stats.replaced++;
+    logger.info(`⏩ Speeding up nonce ${nonce} of ${address} on chain ${chainId}`);
+    return this.signTransaction(address, chainId, nonce, entry.transaction, fees);
+  }
+
+  // Replace a pending transaction with an empty self-transfer at bumped fees
+  async cancel(address, chainId, nonce) {
+    const entry = this.getPending(address, chainId, nonce);
+    const fees = this.bumpFees(entry.fees, await this.getFees(chainId));
+
+    this.stats.cancelled++;
+    logger.info(`🛑 Cancelling nonce ${nonce} of ${address} on chain ${chainId}`);
+    return this.signTransaction(address, chainId, nonce, {
+      to: address,
+      data: '0x',
+      value: 0n,
+      gasLimit: this.cancelGasLimit
+    }, fees);
+  }
+
+  // Pending transaction of a wallet at a nonce
+  getPending(address, chainId, nonce) {
+    const entry = this.getNonceState(address, chainId).pending.get(nonce);
+    if (!entry) {
+      throw new Error(`No pending transaction at nonce ${nonce} of ${address} on chain ${chainId}`);
+    }
+    return entry;
+  }
+
+  // Wallets, their nonces and leases
+  getStats() {
+    return {
+      wallets: [...this.wallets.keys()],
+      nonces: Object.fromEntries([...this.nonces.entries()].map(([key, state]) => [key, {
+        next: state.next,
+        pending: [...state.pending.keys()]
+      }])),
+      leased: this.leases.size,
+      ...this.stats
+    };
+  }
+}
+
+// Create singleton instance
+const signerManager = new SignerManager();
+
+export default signerManager;
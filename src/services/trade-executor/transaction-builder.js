@@ -0,0 +1,137 @@
+import { ethers } from 'ethers';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import dexAdapterRegistry from '../dex-adapters/index.js';
+import tradeSimulator from '../trade-simulator/index.js';
+import tokenRegistry from '../../config/token-registry.js';
+import { getChainConfig, SLIPPAGE_TOLERANCE, ARBITRAGE_CONFIG, GAS_LIMITS } from '../../config/constants.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Encodes ArbitrageExecutor (contracts/ArbitrageExecutor.sol) transactions for opportunity documents.
+// The route's swaps are built by each leg's DEX adapter (getSwapStep), so the executor trades
+// through the same routers and pools the opportunity was detected on.
+class TransactionBuilder {
+  constructor() {
+    const artifact = JSON.parse(fs.readFileSync(path.join(__dirname, '../../abis/ArbitrageExecutor.json'), 'utf8'));
+    this.executorInterface = new ethers.Interface(artifact.abi);
+  }
+
+  // Deployed executor of a chain (<CHAIN>_EXECUTOR_ADDRESS)
+  getExecutorAddress(chainId) {
+    return getChainConfig(chainId)?.executor || null;
+  }
+
+  // Legs of an opportunity document ({ dex, pool, tokenIn, tokenOut } with token addresses): the
+  // steps of its triangular path, or buying tokenOut on dexA and selling it back on dexB
+  getLegs(opportunity) {
+    if (opportunity.triangularPath && opportunity.triangularPath.length > 0) {
+      return opportunity.triangularPath.map(step => ({
+        dex: step.dex,
+        pool: step.pool,
+        tokenIn: step.tokenIn,
+        tokenOut: step.tokenOut
+      }));
+    }
+
+    return [
+      { dex: opportunity.dexA, pool: opportunity.poolA, tokenIn: opportunity.tokenIn, tokenOut: opportunity.tokenOut },
+      { dex: opportunity.dexB, pool: opportunity.poolB, tokenIn: opportunity.tokenOut, tokenOut: opportunity.tokenIn }
+    ];
+  }
+
+  // Discovered pool a leg trades through
+  resolvePool(leg, chainId) {
+    const tokenIn = tokenRegistry.getTokenByAddress(leg.tokenIn, chainId);
+    const tokenOut = tokenRegistry.getTokenByAddress(leg.tokenOut, chainId);
+    const pool = tokenIn && tokenOut
+      ? tradeSimulator.getPool(leg.dex, tokenIn.symbol, tokenOut.symbol, chainId, leg.pool)
+      : null;
+
+    if (!pool) {
+      throw new Error(`Pool not found for ${leg.tokenIn}/${leg.tokenOut} on ${leg.dex}`);
+    }
+    return pool;
+  }
+
+  // Swap steps (SwapRoute.Swap) of an opportunity's route
+  buildSwaps(opportunity, chainId = opportunity.metadata?.chainId ?? 1) {
+    return this.getLegs(opportunity).map(leg => {
+      const pool = this.resolvePool(leg, chainId);
+      const step = dexAdapterRegistry.getAdapter(pool.dex).getSwapStep(
+        pool,
+        ethers.getAddress(leg.tokenIn),
+        ethers.getAddress(leg.tokenOut)
+      );
+      return { ...step, dex: pool.dex };
+    });
+  }
+
+  // Minimum profit (in units of the route's first token) the executor must make: the expected
+  // profit (output less the amount in and the flash-loan fee) less the slippage tolerance on it.
+  // Null when the route is not expected to make a profit, so it is skipped rather than sent.
+  getMinProfit(amountIn, expectedAmountOut, slippage = SLIPPAGE_TOLERANCE.DEFAULT, flashFee = 0n) {
+    const expectedProfit = BigInt(expectedAmountOut) - BigInt(amountIn) - BigInt(flashFee);
+    const minProfit = expectedProfit * BigInt(Math.round((1 - slippage) * 10000)) / 10000n;
+    return minProfit > 0n ? minProfit : null;
+  }
+
+  // Executor transaction for an opportunity document: execute(swaps, amountIn, minProfit) from
+  // inventory, or executeWithFlashLoan(loan, swaps, amountIn, minProfit) when a flash loan (see
+  // FlashLoanService.getFlashLoan) funds it, with the route's gas plus the configured buffer as gas limit
+  buildTransaction(opportunity, {
+    amountIn,
+    minProfit,
+    flashLoan = null,
+    chainId = opportunity.metadata?.chainId ?? 1,
+    executor = this.getExecutorAddress(chainId)
+  }) {
+    if (!executor) {
+      throw new Error(`No ArbitrageExecutor configured for chain ${chainId}`);
+    }
+
+    const swaps = this.buildSwaps(opportunity, chainId);
+    const route = swaps.map(({ dex, ...swap }) => swap);
+    const data = flashLoan
+      ? this.executorInterface.encodeFunctionData('executeWithFlashLoan', [
+        { source: flashLoan.kind, lender: flashLoan.lender },
+        route,
+        BigInt(amountIn),
+        BigInt(minProfit)
+      ])
+      : this.executorInterface.encodeFunctionData('execute', [route, BigInt(amountIn), BigInt(minProfit)]);
+
+    const routeGas = BigInt(dexAdapterRegistry.getRouteGasLimit(swaps) + (flashLoan ? GAS_LIMITS.FLASH_LOAN : 0));
+    const gasLimit = routeGas * BigInt(100 + ARBITRAGE_CONFIG.GAS_BUFFER_PERCENTAGE) / 100n;
+
+    return {
+      chainId,
+      to: executor,
+      data,
+      value: 0n,
+      gasLimit,
+      swaps,
+      flashLoan,
+      amountIn: amountIn.toString(),
+      minProfit: minProfit.toString()
+    };
+  }
+
+  // Readable reason of a reverted execution (the executor's custom errors decoded)
+  decodeRevert(data) {
+    try {
+      const parsed = this.executorInterface.parseError(data);
+      if (parsed) return `${parsed.name}(${parsed.args.join(', ')})`;
+    } catch {
+      // Not an executor error
+    }
+    return `reverted with ${data}`;
+  }
+}
+
+// Create singleton instance
+const transactionBuilder = new TransactionBuilder();
+
+export default transactionBuilder;
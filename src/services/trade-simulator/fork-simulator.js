@@ -0,0 +1,184 @@
+import { ethers } from 'ethers';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import rpcManager from '../rpc-manager.js';
+import { logError, logger } from '../../utils/logger.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Address the RouteSimulator runtime code is placed at (no contract lives there)
+const SIMULATOR_ADDRESS = ethers.getAddress(ethers.dataSlice(ethers.id('defi-arbitrage-bot.RouteSimulator'), 12));
+
+// ERC20 balanceOf, to locate a token's balance mapping
+const ERC20_INTERFACE = new ethers.Interface([
+  "function balanceOf(address account) external view returns (uint256)"
+]);
+
+// Whole-route simulation in a single eth_call.
+// The RouteSimulator contract (contracts/RouteSimulator.sol) is never deployed: state overrides
+// place its runtime code at SIMULATOR_ADDRESS and give it the route's input tokens, so the swaps
+// run against real router and pool code with real transfers, approvals and inter-leg state.
+// Calls go to FORK_RPC_URL (a local Anvil/Hardhat fork) when set, otherwise to the chain's RPC
+// (which must support eth_call state overrides, like Geth and Erigon).
+class ForkSimulator {
+  constructor() {
+    this.forkUrl = process.env.FORK_RPC_URL || null;
+    this.forkProvider = null;
+    this.maxBalanceSlot = 50; // balance mapping slots probed per token
+    this.balanceSlots = new Map(); // `${chainId}:${token}` -> { slot, layout }
+    this.gasLimit = 10000000n;
+
+    const artifact = JSON.parse(fs.readFileSync(path.join(__dirname, '../../abis/RouteSimulator.json'), 'utf8'));
+    this.simulatorInterface = new ethers.Interface(artifact.abi);
+    this.simulatorCode = artifact.deployedBytecode;
+  }
+
+  // Send a JSON-RPC request to the fork, or to the chain's providers
+  async send(method, params, chainId) {
+    if (this.forkUrl) {
+      if (!this.forkProvider) {
+        this.forkProvider = new ethers.JsonRpcProvider(this.forkUrl, undefined, { staticNetwork: true });
+      }
+      return await this.forkProvider.send(method, params);
+    }
+
+    return await rpcManager.execute(async (provider) => {
+      return await provider.send(method, params);
+    }, chainId);
+  }
+
+  // Storage slot of `holder`'s balance in a token's balance mapping for a layout
+  // (Solidity: keccak256(holder . slot), Vyper: keccak256(slot . holder))
+  getBalanceStorageKey(holder, slot, layout) {
+    const abiCoder = ethers.AbiCoder.defaultAbiCoder();
+    return layout === 'vyper'
+      ? ethers.keccak256(abiCoder.encode(['uint256', 'address'], [slot, holder]))
+      : ethers.keccak256(abiCoder.encode(['address', 'uint256'], [holder, slot]));
+  }
+
+  // Find a token's balance mapping by overriding candidate slots until balanceOf reflects the override
+  async findBalanceSlot(token, chainId, blockTag = 'latest') {
+    const key = `${chainId}:${token.toLowerCase()}`;
+    if (this.balanceSlots.has(key)) {
+      return this.balanceSlots.get(key);
+    }
+
+    const marker = ethers.toBeHex(ethers.toBigInt(ethers.id(key)) >> 128n, 32);
+    const data = ERC20_INTERFACE.encodeFunctionData('balanceOf', [SIMULATOR_ADDRESS]);
+
+    for (let slot = 0; slot < this.maxBalanceSlot; slot++) {
+      for (const layout of ['solidity', 'vyper']) {
+        const storageKey = this.getBalanceStorageKey(SIMULATOR_ADDRESS, slot, layout);
+        const result = await this.send('eth_call', [
+          { to: token, data },
+          blockTag,
+          { [token]: { stateDiff: { [storageKey]: marker } } }
+        ], chainId);
+
+        if (ethers.toBigInt(result) === ethers.toBigInt(marker)) {
+          const balanceSlot = { slot, layout };
+          this.balanceSlots.set(key, balanceSlot);
+          logger.debug(`Balance mapping of ${token} on chain ${chainId}: slot ${slot} (${layout})`);
+          return balanceSlot;
+        }
+      }
+    }
+
+    throw new Error(`Balance mapping of ${token} not found in the first ${this.maxBalanceSlot} slots`);
+  }
+
+  // Run a route (swap steps from DexAdapter.getSwapStep) with amountIn of its first token in one
+  // eth_call at a block (the latest on a fork, whose block numbers are its own). Returns the output
+  // and gas of every swap and the final balances of the route's tokens; gasUsed adds the 21000
+  // intrinsic gas of a transaction to the swaps' gas.
+  async simulateRoute(swaps, amountIn, { chainId = 1, blockTag = null } = {}) {
+    const tokenIn = swaps[0].tokenIn;
+
+    try {
+      const block = this.forkUrl || blockTag === null ? 'latest' : ethers.toQuantity(blockTag);
+      const { slot, layout } = await this.findBalanceSlot(tokenIn, chainId, block);
+
+      const overrides = {
+        [SIMULATOR_ADDRESS]: {
+          code: this.simulatorCode,
+          balance: ethers.toQuantity(ethers.WeiPerEther) // pays for WETH deposits and the like
+        },
+        [tokenIn]: {
+          stateDiff: {
+            [this.getBalanceStorageKey(SIMULATOR_ADDRESS, slot, layout)]: ethers.toBeHex(amountIn, 32)
+          }
+        }
+      };
+
+      const data = this.simulatorInterface.encodeFunctionData('simulate', [swaps, amountIn]);
+      const result = await this.send('eth_call', [
+        { from: SIMULATOR_ADDRESS, to: SIMULATOR_ADDRESS, data, gas: ethers.toQuantity(this.gasLimit) },
+        block,
+        overrides
+      ], chainId);
+
+      const { amountsOut, gasUsed, balances } = this.simulatorInterface.decodeFunctionResult('simulate', result);
+      const swapGas = gasUsed.reduce((sum, gas) => sum + gas, 0n);
+      const tokens = [tokenIn, ...swaps.map(swap => swap.tokenOut)];
+
+      return {
+        success: true,
+        amountIn: amountIn.toString(),
+        amountOut: amountsOut[amountsOut.length - 1].toString(),
+        swaps: swaps.map((swap, k) => ({
+          tokenIn: swap.tokenIn,
+          tokenOut: swap.tokenOut,
+          target: swap.target,
+          amountOut: amountsOut[k].toString(),
+          gasUsed: gasUsed[k].toString()
+        })),
+        finalBalances: Object.fromEntries(tokens.map((token, k) => [token, balances[k].toString()])),
+        gasUsed: (swapGas + 21000n).toString(),
+        blockTag: block
+      };
+
+    } catch (error) {
+      logError(error, { tokenIn, swaps: swaps.length, chainId, context: 'ForkSimulator.simulateRoute' });
+      return {
+        success: false,
+        error: this.decodeRevert(error),
+        amountIn: amountIn.toString()
+      };
+    }
+  }
+
+  // Readable reason of a failed simulation (custom errors of the route contracts decoded)
+  decodeRevert(error) {
+    const data = error?.info?.error?.data ?? error?.data;
+    if (typeof data === 'string' && data.length >= 10) {
+      try {
+        const parsed = this.simulatorInterface.parseError(data);
+        if (parsed) return `${parsed.name}(${parsed.args.join(', ')})`;
+      } catch {
+        // Not a route contract error
+      }
+      // Error(string)
+      if (data.startsWith('0x08c379a0')) {
+        return ethers.AbiCoder.defaultAbiCoder().decode(['string'], ethers.dataSlice(data, 4))[0];
+      }
+      return `reverted with ${data}`;
+    }
+    return error.message;
+  }
+
+  // Simulator address and whether a fork is configured
+  getStats() {
+    return {
+      simulatorAddress: SIMULATOR_ADDRESS,
+      forkUrl: this.forkUrl,
+      balanceSlots: this.balanceSlots.size
+    };
+  }
+}
+
+// Create singleton instance
+const forkSimulator = new ForkSimulator();
+
+export default forkSimulator;
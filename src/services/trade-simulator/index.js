@@ -1,19 +1,19 @@
-import { ethers } from 'ethers';
 import poolDiscovery from '../pool-discovery.js';
-import rpcManager from '../rpc-manager.js';
-import { SUPPORTED_TOKENS, FEE_TIERS } from '../../config/constants.js';
+import dexAdapterRegistry from '../dex-adapters/index.js';
+import gasCostService from '../gas-cost.js';
+import forkSimulator from './fork-simulator.js';
+import flashLoanService from '../flash-loans.js';
+import { FEE_TIERS } from '../../config/constants.js';
+import tokenRegistry from '../../config/token-registry.js';
 import { logError, logger } from '../../utils/logger.js';
 import HelperUtils from '../../utils/helpers.js';
-import fs from 'fs';
-import path from 'path';
-import { fileURLToPath } from 'url';
-
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
+import priceNormalizer from '../../utils/price-normalizer.js';
 
 class TradeSimulator {
   constructor() {
     this.isInitialized = false;
+    // quote: each leg quoted separately; fork: the whole route in one eth_call with state overrides
+    this.mode = process.env.SIMULATION_MODE === 'fork' ? 'fork' : 'quote';
     this.simulationCache = new Map();
     this.cacheTimeout = 30000; // 30 seconds
   }
@@ -42,7 +42,8 @@ class TradeSimulator {
     }
   }
 
-  // Simulate simple arbitrage trade
+  // Simulate simple arbitrage trade. The round trip is traded in tokenB, as the detector prices it:
+  // tokenB → tokenA on buyDex, then tokenA → tokenB on sellDex, with tradeAmount USD of tokenB.
   async simulateSimpleArbitrage(opportunity, tradeAmount) {
     try {
       const cacheKey = this.getCacheKey('simple', opportunity.id, tradeAmount);
@@ -52,8 +53,9 @@ class TradeSimulator {
       }
 
       const { tokenA, tokenB, buyDex, sellDex } = opportunity;
-      const tokenAInfo = SUPPORTED_TOKENS[tokenA];
-      const tokenBInfo = SUPPORTED_TOKENS[tokenB];
+      const chainId = opportunity.chainId ?? 1;
+      const tokenAInfo = tokenRegistry.getToken(tokenA, chainId);
+      const tokenBInfo = tokenRegistry.getToken(tokenB, chainId);
 
       // Check if token info exists
       if (!tokenAInfo || !tokenBInfo) {
@@ -61,52 +63,44 @@ class TradeSimulator {
       }
 
       // Parse trade amount to token units
-      const amountIn = HelperUtils.parseTokenAmount(tradeAmount, tokenAInfo.decimals);
+      const tokenBUsdPrice = this.getUsdPrice(tokenB);
+      const amountIn = this.toTokenAmount(tradeAmount, tokenBUsdPrice, tokenBInfo.decimals);
 
       // Get pool information
-      const buyPool = poolDiscovery.getPool(buyDex, tokenA, tokenB, FEE_TIERS.MEDIUM);
-      const sellPool = poolDiscovery.getPool(sellDex, tokenA, tokenB, FEE_TIERS.MEDIUM);
+      const buyPool = this.getPool(buyDex, tokenA, tokenB, chainId, opportunity.poolA?.address);
+      const sellPool = this.getPool(sellDex, tokenA, tokenB, chainId, opportunity.poolB?.address);
 
       if (!buyPool || !sellPool) {
         throw new Error('Pool information not available');
       }
 
-      // Simulate buy transaction
-      const buyResult = await this.simulateSwap(
-        buyPool,
-        tokenAInfo.address,
-        tokenBInfo.address,
-        amountIn,
-        'buy'
-      );
+      // Simulate the buy and sell legs
+      const { results: [buyResult, sellResult], route } = await this.simulateLegs([
+        { pool: buyPool, tokenIn: tokenBInfo.address, tokenOut: tokenAInfo.address, description: 'buy' },
+        { pool: sellPool, tokenIn: tokenAInfo.address, tokenOut: tokenBInfo.address, description: 'sell' }
+      ], amountIn, chainId, opportunity.blockNumber ?? null);
 
-      if (!buyResult.success) {
-        throw new Error(`Buy simulation failed: ${buyResult.error}`);
-      }
-
-      // Simulate sell transaction
-      const sellResult = await this.simulateSwap(
-        sellPool,
+      // Borrow and repay legs when the route is funded by a flash loan: the route's output
+      // repays the loan and its fee
+      const flashLoan = flashLoanService.getFlashLoan(
         tokenBInfo.address,
-        tokenAInfo.address,
-        BigInt(buyResult.outputAmount),
-        'sell'
+        amountIn.toString(),
+        chainId,
+        [buyPool.address, sellPool.address]
       );
 
-      if (!sellResult.success) {
-        throw new Error(`Sell simulation failed: ${sellResult.error}`);
-      }
-
       // Calculate final results
       const finalAmount = new HelperUtils.BigNumber(sellResult.outputAmount);
       const initialAmount = new HelperUtils.BigNumber(amountIn.toString());
-      const profit = finalAmount.minus(initialAmount);
-      const profitUSD = HelperUtils.formatTokenAmount(profit, tokenAInfo.decimals);
+      const profit = finalAmount.minus(flashLoan ? flashLoan.repayAmount : initialAmount);
+      const profitUSD = HelperUtils.formatTokenAmount(profit, tokenBInfo.decimals).multipliedBy(tokenBUsdPrice);
 
-      // Calculate gas costs
-      const buyGasCost = await this.estimateGasCost(buyResult.gasUsed);
-      const sellGasCost = await this.estimateGasCost(sellResult.gasUsed);
-      const totalGasCost = buyGasCost.plus(sellGasCost);
+      // Calculate gas costs (a simulated route measures the gas of the whole transaction)
+      const buyGasCost = await this.estimateGasCost(buyResult.gasUsed, chainId);
+      const sellGasCost = await this.estimateGasCost(sellResult.gasUsed, chainId);
+      const routeGasUsed = route ? BigInt(route.gasUsed) : BigInt(buyResult.gasUsed) + BigInt(sellResult.gasUsed);
+      const totalGasUsed = routeGasUsed + BigInt(flashLoan?.gasUsed ?? 0);
+      const totalGasCost = route || flashLoan ? await this.estimateGasCost(totalGasUsed, chainId) : buyGasCost.plus(sellGasCost);
 
       // Calculate net profit
       const netProfit = profitUSD.minus(totalGasCost);
@@ -136,8 +130,11 @@ class TradeSimulator {
           gasCost: sellGasCost.toString(),
           success: sellResult.success
         },
-        totalGasUsed: (BigInt(buyResult.gasUsed) + BigInt(sellResult.gasUsed)).toString(),
+        flashLoan,
+        totalGasUsed: totalGasUsed.toString(),
         totalGasCost: totalGasCost.toString(),
+        simulationMode: this.mode,
+        ...(route ? { finalBalances: route.finalBalances } : {}),
         timestamp: Date.now()
       };
 
@@ -162,7 +159,7 @@ class TradeSimulator {
     }
   }
 
-  // Simulate triangular arbitrage trade
+  // Simulate triangular arbitrage trade, with tradeAmount USD of the path's start token
   async simulateTriangularArbitrage(opportunity, tradeAmount) {
     try {
       const cacheKey = this.getCacheKey('triangular', opportunity.id, tradeAmount);
@@ -172,58 +169,83 @@ class TradeSimulator {
       }
 
       const { path, trades } = opportunity;
-      let currentAmount = HelperUtils.parseTokenAmount(tradeAmount, SUPPORTED_TOKENS[path[0]].decimals);
-      let swapResults = [];
-      let totalGasUsed = BigInt(0);
-      let totalGasCost = new HelperUtils.BigNumber(0);
-
-      // Simulate each leg of the triangular path
-      for (let i = 0; i < trades.length; i++) {
-        const trade = trades[i];
-        const fromTokenInfo = SUPPORTED_TOKENS[trade.token];
-        const toTokenInfo = SUPPORTED_TOKENS[trade.toToken];
+      const chainId = opportunity.chainId ?? 1;
+      const startTokenInfo = tokenRegistry.getToken(path[0], chainId);
+      if (!startTokenInfo) {
+        throw new Error(`Token information not found for ${path[0]}`);
+      }
+      const startTokenUsdPrice = this.getUsdPrice(path[0]);
+      const amountIn = this.toTokenAmount(tradeAmount, startTokenUsdPrice, startTokenInfo.decimals);
+
+      // Resolve the pool and tokens of every leg of the triangular path (stored legs name their
+      // tokens tokenIn/tokenOut)
+      const legs = trades.map((trade, i) => {
+        const fromToken = trade.tokenIn ?? trade.token;
+        const toToken = trade.tokenOut ?? trade.toToken;
+        const fromTokenInfo = tokenRegistry.getToken(fromToken, chainId);
+        const toTokenInfo = tokenRegistry.getToken(toToken, chainId);
+        if (!fromTokenInfo || !toTokenInfo) {
+          throw new Error(`Token information not found for ${fromToken} or ${toToken}`);
+        }
 
-        // Get pool information
-        const pool = poolDiscovery.getPool(trade.dex, trade.token, trade.toToken, FEE_TIERS.MEDIUM);
+        const pool = this.getPool(trade.dex, fromToken, toToken, chainId, trade.pool);
         if (!pool) {
-          throw new Error(`Pool not found for ${trade.token}/${trade.toToken} on ${trade.dex}`);
+          throw new Error(`Pool not found for ${fromToken}/${toToken} on ${trade.dex}`);
         }
-
-        // Simulate swap
-        const swapResult = await this.simulateSwap(
+        return {
           pool,
-          fromTokenInfo.address,
-          toTokenInfo.address,
-          BigInt(currentAmount.toString()),
-          `leg_${i + 1}`
-        );
-
-        if (!swapResult.success) {
-          throw new Error(`Swap simulation failed for leg ${i + 1}: ${swapResult.error}`);
-        }
+          fromToken,
+          toToken,
+          tokenIn: fromTokenInfo.address,
+          tokenOut: toTokenInfo.address,
+          description: `leg_${i + 1}`
+        };
+      });
 
+      const { results, route } = await this.simulateLegs(legs, amountIn, chainId, opportunity.blockNumber ?? null);
+
+      const swapResults = [];
+      let totalGasCost = new HelperUtils.BigNumber(0);
+      for (let i = 0; i < trades.length; i++) {
+        const gasCost = await this.estimateGasCost(results[i].gasUsed, chainId);
         swapResults.push({
           leg: i + 1,
-          dex: trade.dex,
-          fromToken: trade.token,
-          toToken: trade.toToken,
-          inputAmount: currentAmount.toString(),
-          outputAmount: swapResult.outputAmount,
-          gasUsed: swapResult.gasUsed,
-          gasCost: await this.estimateGasCost(swapResult.gasUsed),
+          dex: trades[i].dex,
+          fromToken: legs[i].fromToken,
+          toToken: legs[i].toToken,
+          inputAmount: results[i].inputAmount,
+          outputAmount: results[i].outputAmount,
+          gasUsed: results[i].gasUsed,
+          gasCost,
           success: true
         });
+        totalGasCost = totalGasCost.plus(gasCost);
+      }
+
+      // Borrow and repay legs when the route is funded by a flash loan: the route's output
+      // repays the loan and its fee
+      const flashLoan = flashLoanService.getFlashLoan(
+        startTokenInfo.address,
+        amountIn.toString(),
+        chainId,
+        legs.map(leg => leg.pool.address)
+      );
 
-        currentAmount = new HelperUtils.BigNumber(swapResult.outputAmount);
-        totalGasUsed += BigInt(swapResult.gasUsed);
-        totalGasCost = totalGasCost.plus(await this.estimateGasCost(swapResult.gasUsed));
+      // A simulated route measures the gas of the whole transaction
+      const routeGasUsed = route
+        ? BigInt(route.gasUsed)
+        : results.reduce((sum, result) => sum + BigInt(result.gasUsed), 0n);
+      const totalGasUsed = routeGasUsed + BigInt(flashLoan?.gasUsed ?? 0);
+      if (route || flashLoan) {
+        totalGasCost = await this.estimateGasCost(totalGasUsed, chainId);
       }
+      const currentAmount = new HelperUtils.BigNumber(results[results.length - 1].outputAmount);
 
       // Calculate final results
       const finalAmount = currentAmount;
-      const initialAmount = HelperUtils.parseTokenAmount(tradeAmount, SUPPORTED_TOKENS[path[0]].decimals);
-      const profit = finalAmount.minus(initialAmount);
-      const profitUSD = HelperUtils.formatTokenAmount(profit, SUPPORTED_TOKENS[path[0]].decimals);
+      const initialAmount = amountIn;
+      const profit = finalAmount.minus(flashLoan ? flashLoan.repayAmount : initialAmount);
+      const profitUSD = HelperUtils.formatTokenAmount(profit, startTokenInfo.decimals).multipliedBy(startTokenUsdPrice);
 
       // Calculate net profit
       const netProfit = profitUSD.minus(totalGasCost);
@@ -239,8 +261,11 @@ class TradeSimulator {
         netProfit: netProfit.toString(),
         isProfitable: netProfit.gt(0),
         swaps: swapResults,
+        flashLoan,
         totalGasUsed: totalGasUsed.toString(),
         totalGasCost: totalGasCost.toString(),
+        simulationMode: this.mode,
+        ...(route ? { finalBalances: route.finalBalances } : {}),
         timestamp: Date.now()
       };
 
@@ -265,38 +290,73 @@ class TradeSimulator {
     }
   }
 
-  // Simulate a single swap
+  // Find the pool a leg trades through: the given address if known, else the DEX's
+  // medium fee tier pool for the pair, else its first pool for the pair
+  getPool(dexName, tokenA, tokenB, chainId = 1, poolAddress = null) {
+    const adapter = dexAdapterRegistry.getAdapter(dexName);
+    if (!adapter) {
+      return null;
+    }
+
+    const pools = adapter.getPoolsForPair(tokenA, tokenB, chainId);
+    return pools.find(pool => poolAddress && pool.address.toLowerCase() === poolAddress.toLowerCase()) ||
+      pools.find(pool => pool.feeTier === FEE_TIERS.MEDIUM) ||
+      pools[0] ||
+      null;
+  }
+
+  // Simulate the legs of a route ({ pool, tokenIn, tokenOut, description }, token addresses), each
+  // spending the whole output of the previous one. In quote mode every leg is quoted separately;
+  // in fork mode the route runs in one eth_call (see ForkSimulator), so transfer taxes, approvals
+  // and the state changes of earlier legs are included. Throws when a leg or the route fails.
+  async simulateLegs(legs, amountIn, chainId = 1, blockNumber = null) {
+    if (this.mode === 'fork') {
+      const swaps = legs.map(({ pool, tokenIn, tokenOut }) =>
+        dexAdapterRegistry.getAdapter(pool.dex).getSwapStep(pool, tokenIn, tokenOut)
+      );
+      const route = await forkSimulator.simulateRoute(swaps, BigInt(amountIn.toString()), { chainId, blockTag: blockNumber });
+      if (!route.success) {
+        throw new Error(`Route simulation failed: ${route.error}`);
+      }
+
+      const results = route.swaps.map((swap, i) => ({
+        success: true,
+        inputAmount: i === 0 ? route.amountIn : route.swaps[i - 1].amountOut,
+        outputAmount: swap.amountOut,
+        gasUsed: swap.gasUsed,
+        description: legs[i].description
+      }));
+      return { results, route };
+    }
+
+    const results = [];
+    let amount = BigInt(amountIn.toString());
+    for (const leg of legs) {
+      const result = await this.simulateSwap(leg.pool, leg.tokenIn, leg.tokenOut, amount, leg.description);
+      if (!result.success) {
+        throw new Error(`Swap simulation failed (${leg.description}): ${result.error}`);
+      }
+      results.push(result);
+      amount = BigInt(result.outputAmount);
+    }
+    return { results, route: null };
+  }
+
+  // Simulate a single swap with an on-chain quote from the pool's DEX adapter
   async simulateSwap(pool, tokenIn, tokenOut, amountIn, description) {
     try {
-      // Use quoter for accurate swap simulation
-      const quoterAddress = this.getQuoterAddress(pool.dex);
-      if (!quoterAddress) {
-        throw new Error(`Quoter not available for ${pool.dex}`);
+      const adapter = dexAdapterRegistry.getAdapter(pool.dex);
+      if (!adapter) {
+        throw new Error(`No DEX adapter registered for ${pool.dex}`);
       }
 
-      const quoterABI = JSON.parse(fs.readFileSync(path.join(__dirname, '../../abis/QuoterV2.json'), 'utf8'));
-      const quoter = new ethers.Contract(
-        quoterAddress,
-        quoterABI,
-        rpcManager.getProvider()
-      );
-
-      // Call quoter to get expected output and gas estimate
-      const quoteResult = await rpcManager.execute(async (provider) => {
-        return await quoter.quoteExactInputSingle({
-          tokenIn,
-          tokenOut,
-          fee: pool.feeTier,
-          amountIn: amountIn.toString(),
-          sqrtPriceLimitX96: 0
-        });
-      });
+      const quoteResult = await adapter.quote(pool, tokenIn, tokenOut, BigInt(amountIn.toString()));
 
       return {
         success: true,
         inputAmount: amountIn.toString(),
         outputAmount: quoteResult.amountOut.toString(),
-        gasUsed: quoteResult.gasEstimate?.toString() || '150000',
+        gasUsed: quoteResult.gasEstimate.toString(),
         description
       };
 
@@ -321,36 +381,29 @@ class TradeSimulator {
     }
   }
 
-  // Get quoter address for DEX
-  getQuoterAddress(dexName) {
-    const quoterAddresses = {
-      'UNISWAP_V3': process.env.UNISWAP_V3_QUOTER,
-      'SUSHISWAP_V3': process.env.SUSHISWAP_V3_QUOTER,
-      'PANCAKESWAP_V3': process.env.PANCAKESWAP_V3_QUOTER,
-      'QUICKSWAP_V3': process.env.QUICKSWAP_V3_QUOTER
-    };
+  // USD price of the token a route is traded in; a route cannot be sized or valued without it
+  getUsdPrice(symbol) {
+    const usdPrice = priceNormalizer.getUsdPrice(symbol);
+    if (!usdPrice) {
+      throw new Error(`USD price not available for ${symbol}`);
+    }
+    return usdPrice;
+  }
 
-    return quoterAddresses[dexName];
+  // Raw amount of a token worth amountUSD at its USD price
+  toTokenAmount(amountUSD, usdPrice, decimals) {
+    return HelperUtils.parseTokenAmount(new HelperUtils.BigNumber(amountUSD).dividedBy(usdPrice), decimals)
+      .integerValue(HelperUtils.BigNumber.ROUND_FLOOR);
   }
 
-  // Estimate gas cost in USD
-  async estimateGasCost(gasUsed) {
+  // Estimate gas cost in USD on a chain (gas used is already measured, so no safety buffer).
+  // Throws when it cannot be estimated: the simulation then fails instead of assuming a cost
+  async estimateGasCost(gasUsed, chainId = 1) {
     try {
-      const gasPriceData = rpcManager.getGasPrice();
-      const gasPrice = gasPriceData.gasPrice || BigInt(20000000000); // 20 gwei default
-
-      const gasCostWei = BigInt(gasUsed) * gasPrice;
-
-      // Convert to ETH and then to USD (assuming $2000 ETH price)
-      const gasCostETH = Number(gasCostWei) / 1e18;
-      const ethPriceUSD = 2000; // This should come from a price oracle
-      const gasCostUSD = gasCostETH * ethPriceUSD;
-
-      return new HelperUtils.BigNumber(gasCostUSD);
-
+      return await gasCostService.estimateGasCostUSD(gasUsed, {}, 0, chainId);
     } catch (error) {
       logError(error, { context: 'TradeSimulator.estimateGasCost' });
-      return new HelperUtils.BigNumber(5); // $5 default
+      throw error;
     }
   }
 
@@ -407,7 +460,9 @@ class TradeSimulator {
     return {
       isInitialized: this.isInitialized,
       cache: cacheStats,
-      cacheTimeout: this.cacheTimeout
+      cacheTimeout: this.cacheTimeout,
+      mode: this.mode,
+      ...(this.mode === 'fork' ? { fork: forkSimulator.getStats() } : {})
     };
   }
 
@@ -487,7 +542,10 @@ class TradeSimulator {
 
       // Recalculate profit with slippage
       const slippageAdjustedProfit = slippageAdjustedOutput.minus(new HelperUtils.BigNumber(result.initialAmount));
-      const slippageAdjustedProfitUSD = HelperUtils.formatTokenAmount(slippageAdjustedProfit, SUPPORTED_TOKENS[opportunity.tokenA || opportunity.path[0]].decimals);
+      const token = opportunity.type === 'simple' ? opportunity.tokenB : opportunity.path[0];
+      const { decimals } = tokenRegistry.getToken(token, opportunity.chainId ?? 1);
+      const slippageAdjustedProfitUSD = HelperUtils.formatTokenAmount(slippageAdjustedProfit, decimals)
+        .multipliedBy(this.getUsdPrice(token));
       const netProfitWithSlippage = slippageAdjustedProfitUSD.minus(new HelperUtils.BigNumber(result.totalGasCost));
 
       return {
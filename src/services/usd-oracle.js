@@ -0,0 +1,131 @@
+import tokenRegistry from '../config/token-registry.js';
+import { logger } from '../utils/logger.js';
+
+const Q96 = 2 ** 96;
+
+class UsdOracle {
+  constructor() {
+    this.usdPrices = {};
+    this.lastUpdate = null;
+    // Entries priced longer ago are ignored (in log mode, unchanged pools are re-confirmed every synced block range)
+    this.maxPriceAgeMs = 60000;
+  }
+
+  // Derive USD prices from the latest pool price entries.
+  // Tokens quoted against a stablecoin are priced first; tokens only quoted against
+  // already-priced tokens (e.g. WBTC via WETH) are resolved in further passes.
+  // Each token's price is the liquidity-weighted median of its quotes across pools.
+  // Prices are per symbol: quotes from every chain are pooled, since bridged tokens track the same asset.
+  update(priceEntries) {
+    const now = Date.now();
+    const entries = Array.from(priceEntries).filter(entry =>
+      entry?.price && entry.poolState && (!entry.timestamp || now - entry.timestamp <= this.maxPriceAgeMs)
+    );
+
+    const usdPrices = {};
+    const symbols = new Set();
+    for (const chainId of tokenRegistry.getChainIds()) {
+      // Registry tokens tagged as stablecoins anchor the USD price scale
+      for (const symbol of tokenRegistry.getSymbolsByTag('stablecoin', chainId)) {
+        usdPrices[symbol] = 1;
+      }
+      for (const token of tokenRegistry.getAllTokens(chainId)) {
+        symbols.add(token.symbol);
+      }
+    }
+
+    // Each pass prices tokens that have at least one pool against an already-priced token
+    const maxPasses = symbols.size;
+    for (let pass = 0; pass < maxPasses; pass++) {
+      const quotes = new Map();
+
+      for (const entry of entries) {
+        for (const [base, quote] of [[entry.tokenA, entry.tokenB], [entry.tokenB, entry.tokenA]]) {
+          if (usdPrices[base] !== undefined || usdPrices[quote] === undefined) continue;
+
+          const quotePerBase = this.getQuotePerBase(entry, base);
+          const weight = this.getLiquidityUSD(entry, quote, usdPrices[quote]);
+          if (!(quotePerBase > 0) || !(weight > 0)) continue;
+
+          if (!quotes.has(base)) {
+            quotes.set(base, []);
+          }
+          quotes.get(base).push({ price: quotePerBase * usdPrices[quote], weight });
+        }
+      }
+
+      if (quotes.size === 0) break;
+
+      for (const [symbol, tokenQuotes] of quotes) {
+        usdPrices[symbol] = this.weightedMedian(tokenQuotes);
+      }
+    }
+
+    this.usdPrices = usdPrices;
+    this.lastUpdate = now;
+
+    logger.debug('USD prices updated from pool data', usdPrices);
+
+    return usdPrices;
+  }
+
+  // Price of base in units of the other token of the entry (entry prices are tokenB per tokenA)
+  getQuotePerBase(entry, base) {
+    const price = parseFloat(entry.price.toString());
+    return entry.tokenA === base ? price : 1 / price;
+  }
+
+  // USD value of the pool's reserve of a token: actual reserves for V2 and StableSwap,
+  // in-range virtual reserves for V3
+  getLiquidityUSD(entry, symbol, usdPrice) {
+    const tokenInfo = tokenRegistry.getToken(symbol, entry.chainId ?? 1);
+    const state = entry.poolState;
+    if (!tokenInfo) return 0;
+
+    const isToken0 = state.token0.toLowerCase() === tokenInfo.address.toLowerCase();
+    let reserve;
+
+    if (state.type === 'V2') {
+      reserve = Number(isToken0 ? state.reserve0 : state.reserve1);
+    } else if (state.type === 'STABLESWAP') {
+      const index = state.coins.findIndex(coin => coin.toLowerCase() === tokenInfo.address.toLowerCase());
+      reserve = index === -1 ? 0 : Number(state.balances[index]);
+    } else {
+      const sqrtPrice = Number(state.sqrtPriceX96) / Q96;
+      const liquidity = Number(state.liquidity);
+      reserve = isToken0 ? liquidity / sqrtPrice : liquidity * sqrtPrice;
+    }
+
+    return (reserve / Math.pow(10, tokenInfo.decimals)) * usdPrice;
+  }
+
+  // Weighted median: the smallest price whose cumulative weight reaches half the total
+  weightedMedian(quotes) {
+    const sorted = [...quotes].sort((a, b) => a.price - b.price);
+    const totalWeight = sorted.reduce((sum, quote) => sum + quote.weight, 0);
+
+    let cumulative = 0;
+    for (const quote of sorted) {
+      cumulative += quote.weight;
+      if (cumulative >= totalWeight / 2) {
+        return quote.price;
+      }
+    }
+    return sorted[sorted.length - 1].price;
+  }
+
+  // Get the derived USD price of a token, or null if it has no priced pools
+  getUsdPrice(symbol) {
+    return this.usdPrices[symbol] ?? null;
+  }
+
+  // Get all derived USD prices
+  getAllUsdPrices() {
+    return { ...this.usdPrices };
+  }
+}
+
+// Create singleton instance
+const usdOracle = new UsdOracle();
+
+export default usdOracle;
@@ -0,0 +1,411 @@
+import { ethers } from 'ethers';
+import rpcManager from './rpc-manager.js';
+import { getDexsForChain, getDexsByVersion } from '../config/dex-config.js';
+import tokenRegistry from '../config/token-registry.js';
+import { logger, logError } from '../utils/logger.js';
+import HelperUtils from '../utils/helpers.js';
+
+// Uniswap V2 Factory ABI (minimal)
+const V2_FACTORY_ABI = [
+  "function getPair(address tokenA, address tokenB) external view returns (address pair)",
+  "function allPairs(uint256 index) external view returns (address pair)",
+  "function allPairsLength() external view returns (uint256)"
+];
+
+// Uniswap V2 Pair ABI (minimal)
+const V2_PAIR_ABI = [
+  "function getReserves() external view returns (uint112 reserve0, uint112 reserve1, uint32 blockTimestampLast)",
+  "function token0() external view returns (address)",
+  "function token1() external view returns (address)"
+];
+const V2_PAIR_INTERFACE = new ethers.Interface(V2_PAIR_ABI);
+
+// Pair discovery for Uniswap V2 and its forks (SushiSwap, ShibaSwap, ...).
+// Each fork is described by its DEX_CONFIG entry: factory, init-code hash and fixed fee.
+// Candidate pairs are located by CREATE2 address without querying the factory (once the
+// init-code hash has been checked against the factory's getPair); optionally the factory's
+// allPairs list is scanned for further pairs within the token registry.
+class V2ForkDiscovery {
+  constructor() {
+    this.pools = new Map();
+    this.factoryContracts = new Map(); // `${chainId}:${dex}` -> factory contract
+    this.create2Verified = new Map(); // `${chainId}:${dex}` -> whether CREATE2 addresses match the factory
+    this.pairScanLimit = parseInt(process.env.V2_PAIR_SCAN_LIMIT) || 0; // 0 = candidate pairs only
+    this.isInitialized = false;
+  }
+
+  async initialize() {
+    try {
+      logger.info('Initializing V2-fork pool discovery...');
+
+      for (const chainId of rpcManager.getChainIds()) {
+        for (const dexName of this.getForks(chainId)) {
+          const dexConfig = getDexsForChain(chainId)[dexName];
+
+          const factoryContract = await rpcManager.execute(async (provider) => {
+            return new ethers.Contract(dexConfig.factory, V2_FACTORY_ABI, provider);
+          }, chainId);
+          this.factoryContracts.set(this.getFactoryKey(dexName, chainId), factoryContract);
+          await this.verifyInitCodeHash(dexName, chainId);
+
+          // Discover pools for our token pairs, then scan the factory's pair list
+          await this.discoverPools(dexName, chainId);
+          if (this.pairScanLimit > 0) {
+            await this.scanAllPairs(dexName, chainId, { limit: this.pairScanLimit });
+          }
+        }
+      }
+
+      this.isInitialized = true;
+      logger.info(`✅ V2-fork discovery initialized with ${this.pools.size} pools`);
+
+    } catch (error) {
+      logError(error, { context: 'V2ForkDiscovery.initialize' });
+      throw error;
+    }
+  }
+
+  // Names of the V2 forks deployed on a chain
+  getForks(chainId) {
+    const deployed = getDexsForChain(chainId);
+    return getDexsByVersion('V2').filter(dexName => deployed[dexName]);
+  }
+
+  getFactoryKey(dexName, chainId) {
+    return `${chainId}:${dexName}`;
+  }
+
+  // Pair address of two tokens on a fork: CREATE2(factory, keccak256(token0 ++ token1), initCodeHash)
+  computePairAddress(dexName, tokenA, tokenB, chainId = 1) {
+    const { factory, initCodeHash } = getDexsForChain(chainId)[dexName] || {};
+    if (!factory || !initCodeHash) {
+      throw new Error(`${dexName} has no factory/init code hash on chain ${chainId}`);
+    }
+
+    const [token0, token1] = HelperUtils.sortTokens(tokenA, tokenB);
+    const salt = ethers.solidityPackedKeccak256(['address', 'address'], [token0, token1]);
+    return ethers.getCreate2Address(factory, salt, initCodeHash);
+  }
+
+  // Check the configured init-code hash against the factory's getPair for the first candidate pair
+  // the factory has deployed. On a mismatch, or when none is deployed, pair addresses are looked up
+  // through the factory instead.
+  async verifyInitCodeHash(dexName, chainId = 1) {
+    const factoryKey = this.getFactoryKey(dexName, chainId);
+
+    try {
+      let verified = false;
+      for (const [tokenASymbol, tokenBSymbol] of tokenRegistry.getCandidatePairs(chainId)) {
+        const tokenA = tokenRegistry.getToken(tokenASymbol, chainId);
+        const tokenB = tokenRegistry.getToken(tokenBSymbol, chainId);
+        const factoryPair = await rpcManager.execute(async () => {
+          return await this.factoryContracts.get(factoryKey).getPair(tokenA.address, tokenB.address);
+        }, chainId);
+        if (factoryPair === ethers.ZeroAddress) continue;
+
+        verified = factoryPair.toLowerCase() === this.computePairAddress(dexName, tokenA.address, tokenB.address, chainId).toLowerCase();
+        break;
+      }
+      this.create2Verified.set(factoryKey, verified);
+
+      if (!verified) {
+        logger.warn(`${dexName} init code hash could not be verified against its factory on chain ${chainId}, using getPair lookups`);
+      }
+      return verified;
+
+    } catch (error) {
+      logError(error, { context: 'V2ForkDiscovery.verifyInitCodeHash', dex: dexName, chainId });
+      this.create2Verified.set(factoryKey, false);
+      return false;
+    }
+  }
+
+  // Address of a pair: CREATE2 when the init-code hash is verified, the factory's getPair otherwise
+  async resolvePairAddress(dexName, tokenA, tokenB, chainId = 1) {
+    const factoryKey = this.getFactoryKey(dexName, chainId);
+    if (this.create2Verified.get(factoryKey) !== false) {
+      return this.computePairAddress(dexName, tokenA, tokenB, chainId);
+    }
+
+    const pairAddress = await rpcManager.execute(async () => {
+      return await this.factoryContracts.get(factoryKey).getPair(tokenA, tokenB);
+    }, chainId);
+    return pairAddress === ethers.ZeroAddress ? null : pairAddress;
+  }
+
+  // Locate the registry's candidate pairs on a fork by their CREATE2 addresses and read their
+  // reserves in one multicall (undeployed pairs have no code and fail the read)
+  async discoverPools(dexName, chainId = 1) {
+    try {
+      const candidates = [];
+
+      for (const [tokenASymbol, tokenBSymbol] of tokenRegistry.getCandidatePairs(chainId)) {
+        try {
+          const tokenA = tokenRegistry.getToken(tokenASymbol, chainId);
+          const tokenB = tokenRegistry.getToken(tokenBSymbol, chainId);
+
+          if (!tokenA || !tokenB) {
+            logger.warn(`Token not found: ${tokenASymbol} or ${tokenBSymbol}`);
+            continue;
+          }
+
+          const pairAddress = await this.resolvePairAddress(dexName, tokenA.address, tokenB.address, chainId);
+          if (pairAddress) {
+            candidates.push({ pairAddress, tokenA, tokenB });
+          }
+        } catch (error) {
+          logError(error, {
+            context: 'V2ForkDiscovery.discoverPools',
+            dex: dexName,
+            chainId,
+            tokenPair: `${tokenASymbol}/${tokenBSymbol}`
+          });
+        }
+      }
+
+      const results = await rpcManager.multicall(candidates.map(({ pairAddress }) => ({
+        target: pairAddress,
+        iface: V2_PAIR_INTERFACE,
+        method: 'getReserves'
+      })), { chainId });
+
+      let found = 0;
+      for (let i = 0; i < candidates.length; i++) {
+        if (!results[i].success) continue;
+
+        const { pairAddress, tokenA, tokenB } = candidates[i];
+        if (await this.addPool(dexName, pairAddress, tokenA, tokenB, chainId, results[i].result)) {
+          found++;
+        }
+      }
+
+      logger.info(`${dexName} pool discovery completed on chain ${chainId}: ${found} pools found`);
+
+    } catch (error) {
+      logError(error, { context: 'V2ForkDiscovery.discoverPools', dex: dexName, chainId });
+      throw error;
+    }
+  }
+
+  // Scan the factory's allPairs list, newest first, keeping pairs of two registry tokens
+  async scanAllPairs(dexName, chainId = 1, { limit = 1000 } = {}) {
+    try {
+      const factoryContract = this.factoryContracts.get(this.getFactoryKey(dexName, chainId));
+      if (!factoryContract) {
+        throw new Error(`${dexName} factory not initialized on chain ${chainId}`);
+      }
+
+      const length = Number(await rpcManager.execute(async () => {
+        return await factoryContract.allPairsLength();
+      }, chainId));
+      const end = Math.max(length - limit, 0);
+      let found = 0;
+
+      // Pair addresses newest first, then token0/token1 of the untracked ones, each batch in one multicall
+      const indices = [];
+      for (let index = length - 1; index >= end; index--) {
+        indices.push(index);
+      }
+      const pairResults = await rpcManager.multicall(indices.map(index => ({
+        target: factoryContract.target,
+        iface: factoryContract.interface,
+        method: 'allPairs',
+        args: [index]
+      })), { chainId });
+      const pairAddresses = pairResults
+        .filter(({ success }) => success)
+        .map(({ result }) => result[0])
+        .filter(pairAddress => !this.getPoolByAddress(pairAddress, chainId));
+
+      const tokenResults = await rpcManager.multicall(pairAddresses.flatMap(pairAddress => [
+        { target: pairAddress, iface: V2_PAIR_INTERFACE, method: 'token0' },
+        { target: pairAddress, iface: V2_PAIR_INTERFACE, method: 'token1' }
+      ]), { chainId });
+
+      for (let i = 0; i < pairAddresses.length; i++) {
+        const pairAddress = pairAddresses[i];
+        const [token0Result, token1Result] = tokenResults.slice(2 * i, 2 * i + 2);
+        if (!token0Result.success || !token1Result.success) continue;
+
+        try {
+          // Only pairs inside the registry's token universe are tracked
+          const tokenA = tokenRegistry.getTokenByAddress(token0Result.result[0], chainId);
+          const tokenB = tokenRegistry.getTokenByAddress(token1Result.result[0], chainId);
+          if (!tokenA || !tokenB) continue;
+
+          if (await this.addPool(dexName, pairAddress, tokenA, tokenB, chainId)) {
+            found++;
+          }
+        } catch (error) {
+          logError(error, { context: 'V2ForkDiscovery.scanAllPairs', dex: dexName, chainId, pair: pairAddress });
+        }
+      }
+
+      logger.info(`${dexName} pair scan completed on chain ${chainId}: ${found} new pools in ${length - end} pairs`);
+      return found;
+
+    } catch (error) {
+      logError(error, { context: 'V2ForkDiscovery.scanAllPairs', dex: dexName, chainId });
+      throw error;
+    }
+  }
+
+  // Track a pair if it has liquidity (its reserves are read unless already known)
+  async addPool(dexName, pairAddress, tokenA, tokenB, chainId, reserves = null) {
+    const pairContract = await rpcManager.execute(async (provider) => {
+      return new ethers.Contract(pairAddress, V2_PAIR_ABI, provider);
+    }, chainId);
+
+    // Get reserves to check if pool has liquidity
+    if (!reserves) {
+      reserves = await rpcManager.execute(async () => {
+        return await pairContract.getReserves();
+      }, chainId);
+    }
+
+    if (reserves.reserve0 === 0n || reserves.reserve1 === 0n) {
+      return false;
+    }
+
+    const poolKey = this.getPoolKey(dexName, tokenA.symbol, tokenB.symbol, chainId);
+    const [token0, token1] = HelperUtils.sortTokens(tokenA.address, tokenB.address);
+
+    this.pools.set(poolKey, {
+      address: pairAddress,
+      contract: pairContract,
+      chainId,
+      tokenA: tokenA.symbol,
+      tokenB: tokenB.symbol,
+      tokenASymbol: tokenA.symbol,
+      tokenBSymbol: tokenB.symbol,
+      tokenAAddress: tokenA.address,
+      tokenBAddress: tokenB.address,
+      token0,
+      token1,
+      reserve0: reserves.reserve0,
+      reserve1: reserves.reserve1,
+      dex: dexName,
+      version: 'V2',
+      feeTier: getDexsForChain(chainId)[dexName].feeTiers[0]
+    });
+
+    logger.info(`📍 ${dexName} pool discovered: ${tokenA.symbol}/${tokenB.symbol}`, {
+      chainId,
+      address: pairAddress,
+      reserve0: reserves.reserve0.toString(),
+      reserve1: reserves.reserve1.toString()
+    });
+
+    return true;
+  }
+
+  getPool(dexName, tokenA, tokenB, chainId = 1) {
+    const poolKey = this.getPoolKey(dexName, tokenA, tokenB, chainId);
+    return this.pools.get(poolKey) || this.pools.get(this.getPoolKey(dexName, tokenB, tokenA, chainId));
+  }
+
+  getPoolByAddress(address, chainId = 1) {
+    const lower = address.toLowerCase();
+    return this.getAllPools().find(pool => pool.chainId === chainId && pool.address.toLowerCase() === lower) || null;
+  }
+
+  getAllPools() {
+    return Array.from(this.pools.values());
+  }
+
+  getPoolsForDex(dexName, chainId = 1) {
+    return this.getAllPools().filter(pool => pool.dex === dexName && pool.chainId === chainId);
+  }
+
+  getTotalPools() {
+    return this.pools.size;
+  }
+
+  getPoolKey(dexName, tokenA, tokenB, chainId = 1) {
+    return `${chainId}:${dexName}:${tokenA}-${tokenB}`;
+  }
+
+  // Calculate price from V2 reserves
+  async calculatePrice(dexName, tokenA, tokenB, chainId = 1) {
+    try {
+      const tokenAInfo = tokenRegistry.getToken(tokenA, chainId);
+      const tokenBInfo = tokenRegistry.getToken(tokenB, chainId);
+
+      if (!tokenAInfo || !tokenBInfo) {
+        throw new Error('Token info not found');
+      }
+
+      // Determine which reserve corresponds to which token
+      const pool = this.getPool(dexName, tokenA, tokenB, chainId);
+      if (!pool) return null;
+
+      let reserveA, reserveB;
+
+      if (pool.token0.toLowerCase() === tokenAInfo.address.toLowerCase()) {
+        reserveA = pool.reserve0;
+        reserveB = pool.reserve1;
+      } else {
+        reserveA = pool.reserve1;
+        reserveB = pool.reserve0;
+      }
+
+      // Price = reserveB / reserveA (adjusted for decimals)
+      const reserveADecimal = Number(reserveA) / Math.pow(10, tokenAInfo.decimals);
+      const reserveBDecimal = Number(reserveB) / Math.pow(10, tokenBInfo.decimals);
+
+      return reserveBDecimal / reserveADecimal;
+
+    } catch (error) {
+      logError(error, { context: 'V2ForkDiscovery.calculatePrice', dex: dexName, tokenA, tokenB, chainId });
+      return null;
+    }
+  }
+
+  // Update reserves for a pool, at a block when blockTag is given
+  async updatePoolReserves(dexName, tokenA, tokenB, chainId = 1, blockTag = null) {
+    try {
+      const pool = this.getPool(dexName, tokenA, tokenB, chainId);
+      if (!pool) return null;
+
+      const reserves = await rpcManager.execute(async () => {
+        return await pool.contract.getReserves(blockTag !== null ? { blockTag } : {});
+      }, chainId);
+
+      pool.reserve0 = reserves.reserve0;
+      pool.reserve1 = reserves.reserve1;
+      pool.blockNumber = blockTag;
+      pool.lastUpdate = Date.now();
+
+      return {
+        reserve0: reserves.reserve0,
+        reserve1: reserves.reserve1,
+        blockTimestampLast: reserves.blockTimestampLast
+      };
+
+    } catch (error) {
+      logError(error, { context: 'V2ForkDiscovery.updatePoolReserves', dex: dexName, tokenA, tokenB, chainId });
+      return null;
+    }
+  }
+
+  // Get discovery statistics
+  getStats() {
+    const poolsByDex = {};
+    for (const pool of this.pools.values()) {
+      poolsByDex[pool.dex] = (poolsByDex[pool.dex] || 0) + 1;
+    }
+
+    return {
+      totalPools: this.pools.size,
+      poolsByDex,
+      pairScanLimit: this.pairScanLimit,
+      create2Verified: Object.fromEntries(this.create2Verified),
+      isInitialized: this.isInitialized
+    };
+  }
+}
+
+// Create singleton instance
+const v2ForkDiscovery = new V2ForkDiscovery();
+
+export default v2ForkDiscovery;
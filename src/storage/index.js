@@ -0,0 +1,88 @@
+import MongoStore from './mongo-store.js';
+import MemoryStore from './memory-store.js';
+import { logger } from '../utils/logger.js';
+
+const BACKENDS = {
+  mongodb: MongoStore,
+  memory: MemoryStore
+};
+
+// Persistence of opportunities, executions, price snapshots, price candles and pair spreads behind
+// one interface, so the bot, the API and the tests run the same with or without a database server.
+// STORAGE_BACKEND selects `mongodb` (default) or `memory`; when MongoDB is unreachable at startup the
+// in-memory store is used instead. Every collection offers insert, insertMany, findById, find, count, save, update
+// and deleteMany; opportunities also compute their statistics (getStats, getBreakdown,
+// getProfitStats, getSimulationStats).
+class Storage {
+  constructor() {
+    this.store = null;
+  }
+
+  // Open the configured backend (falling back to memory when MongoDB is unreachable)
+  async initialize(backend = process.env.STORAGE_BACKEND || 'mongodb') {
+    const Store = BACKENDS[backend.toLowerCase()];
+    if (!Store) {
+      throw new Error(`Unknown storage backend ${backend} (expected ${Object.keys(BACKENDS).join(' or ')})`);
+    }
+
+    const store = new Store();
+    if (await store.connect()) {
+      this.store = store;
+    } else {
+      logger.warn(`⚠️ ${store.name} unavailable - storing data in memory, it will not survive a restart`);
+      this.store = new MemoryStore();
+    }
+
+    logger.info(`💾 Storage backend: ${this.store.name}`);
+    return this.store.name;
+  }
+
+  // Open store (in memory until initialize picks one)
+  getStore() {
+    if (!this.store) {
+      this.store = new MemoryStore();
+    }
+    return this.store;
+  }
+
+  get backend() {
+    return this.getStore().name;
+  }
+
+  get opportunities() {
+    return this.getStore().opportunities;
+  }
+
+  get executions() {
+    return this.getStore().executions;
+  }
+
+  get priceSnapshots() {
+    return this.getStore().priceSnapshots;
+  }
+
+  get priceCandles() {
+    return this.getStore().priceCandles;
+  }
+
+  get spreads() {
+    return this.getStore().spreads;
+  }
+
+  // Backend health ({ backend, status: 'connected' | 'disconnected' | 'error', ... })
+  async healthCheck() {
+    return this.getStore().healthCheck();
+  }
+
+  // Close the backend's connection
+  async close() {
+    if (this.store) {
+      await this.store.close();
+    }
+  }
+}
+
+// Create singleton instance
+const storage = new Storage();
+
+export default storage;
@@ -0,0 +1,264 @@
+import Opportunity from '../models/opportunity.js';
+import Execution from '../models/execution.js';
+import PriceSnapshot from '../models/price-snapshot.js';
+import PriceCandle from '../models/price-candle.js';
+import Spread from '../models/spread.js';
+import { getPath, setPath, matches, compareBy } from './query.js';
+
+// Number of a numeric or numeric string field, or null
+const toNumber = (value) => {
+  const number = parseFloat(value?.toString());
+  return Number.isFinite(number) ? number : null;
+};
+
+// Sum, average, max and min of numbers (null entries skipped)
+const summarize = (values) => {
+  const numbers = values.filter(value => value != null);
+  return {
+    sum: numbers.reduce((total, value) => total + value, 0),
+    avg: numbers.length > 0 ? numbers.reduce((total, value) => total + value, 0) / numbers.length : null,
+    max: numbers.length > 0 ? Math.max(...numbers) : null,
+    min: numbers.length > 0 ? Math.min(...numbers) : null
+  };
+};
+
+// Collection held in process memory. Records go through the model's schema (defaults,
+// validation and validate hooks) like MongoDB documents do, are stored as plain objects and
+// are handed out as hydrated documents (findById, insert) or plain copies (find).
+export class MemoryCollection {
+  constructor(model, { key = '_id' } = {}) {
+    this.model = model;
+    this.key = key;
+    this.records = new Map(); // key -> plain record
+  }
+
+  // Plain record of a document (ObjectIds as strings)
+  toRecord(document) {
+    const record = document.toObject({ virtuals: false, versionKey: false });
+    record._id = record._id?.toString();
+    return record;
+  }
+
+  // Copy of a stored record
+  copy(record) {
+    return structuredClone(record);
+  }
+
+  // Validate and store a new record; returns the stored document. Duplicate keys throw with code 11000.
+  async insert(record) {
+    const document = new this.model(record);
+    await document.validate();
+
+    const key = String(document[this.key]);
+    if (this.records.has(key)) {
+      const error = new Error(`E11000 duplicate key error: ${this.key} ${key}`);
+      error.code = 11000;
+      throw error;
+    }
+
+    this.records.set(key, this.toRecord(document));
+    return this.model.hydrate(this.copy(this.records.get(key)));
+  }
+
+  // Store many records at once; returns how many were stored
+  async insertMany(records) {
+    for (const record of records) {
+      await this.insert(record);
+    }
+    return records.length;
+  }
+
+  // Document with a key, or null
+  async findById(id) {
+    const record = this.records.get(String(id));
+    return record ? this.model.hydrate(this.copy(record)) : null;
+  }
+
+  // Plain records matching a query, sorted, skipped and limited
+  async find(query = {}, { sort = null, skip = 0, limit = 0 } = {}) {
+    let results = [...this.records.values()].filter(record => matches(record, query));
+    if (sort) results.sort(compareBy(sort));
+    results = results.slice(skip, limit ? skip + limit : undefined);
+    return results.map(record => this.copy(record));
+  }
+
+  // Number of records matching a query
+  async count(query = {}) {
+    let count = 0;
+    for (const record of this.records.values()) {
+      if (matches(record, query)) count++;
+    }
+    return count;
+  }
+
+  // Persist every change made to a document from insert or findById
+  async save(document) {
+    const key = String(document[this.key]);
+    if (this.records.has(key)) {
+      const record = typeof document.toObject === 'function' ? this.toRecord(document) : this.copy(document);
+      this.records.set(key, record);
+    }
+    return document;
+  }
+
+  // Apply changes ({ 'dotted.path': value }) to a document and store only those paths
+  async update(document, changes) {
+    if (typeof document.set === 'function') {
+      document.set(changes);
+    } else {
+      Object.entries(changes).forEach(([path, value]) => setPath(document, path, value));
+    }
+
+    const record = this.records.get(String(document[this.key]));
+    if (record) {
+      Object.entries(changes).forEach(([path, value]) => setPath(record, path, structuredClone(value)));
+    }
+    return document;
+  }
+
+  // Delete records matching a query; returns how many were deleted
+  async deleteMany(query) {
+    let deleted = 0;
+    for (const [key, record] of this.records) {
+      if (matches(record, query)) {
+        this.records.delete(key);
+        deleted++;
+      }
+    }
+    return deleted;
+  }
+}
+
+// Opportunities, with their statistics computed over the stored records
+export class MemoryOpportunityCollection extends MemoryCollection {
+  constructor() {
+    super(Opportunity, { key: 'id' });
+  }
+
+  // Records detected since a date
+  since(since) {
+    return [...this.records.values()].filter(record => record.timestamp >= since);
+  }
+
+  // Totals of opportunities detected since a date, or null when there were none
+  async getStats(since) {
+    const records = this.since(since);
+    if (records.length === 0) {
+      return null;
+    }
+
+    const profitPercentage = summarize(records.map(record => toNumber(record.profitPercentage)));
+    return {
+      _id: null,
+      totalOpportunities: records.length,
+      profitableOpportunities: records.filter(record => record.status === 'profitable').length,
+      executedTrades: records.filter(record => record.status === 'executed').length,
+      avgProfitPercentage: profitPercentage.avg,
+      maxProfitPercentage: profitPercentage.max,
+      totalExpectedProfit: summarize(records.map(record => toNumber(record.expectedProfit))).sum
+    };
+  }
+
+  // Counts of opportunities detected since a date by type (simple or triangular) and by status
+  async getBreakdown(since) {
+    const byType = {};
+    const byStatus = {};
+    for (const record of this.since(since)) {
+      const type = record.triangularPath?.length > 0 ? 'triangular' : 'simple';
+      byType[type] = (byType[type] || 0) + 1;
+      byStatus[record.status] = (byStatus[record.status] || 0) + 1;
+    }
+    return { byType, byStatus };
+  }
+
+  // Expected profits since a date, actual profits of executed opportunities and expected profit per hour
+  async getProfitStats(since) {
+    const records = this.since(since).filter(record => record.expectedProfit != null);
+    const executed = this.since(since).filter(record =>
+      record.status === 'executed' && getPath(record, 'executionResult.actualProfit') !== undefined
+    );
+
+    const expectedProfit = summarize(records.map(record => toNumber(record.expectedProfit)));
+    const actualProfit = summarize(executed.map(record => toNumber(record.executionResult.actualProfit)));
+
+    const hours = new Map();
+    for (const record of records) {
+      const hour = `${record.timestamp.toISOString().slice(0, 13).replace('T', ' ')}:00:00`;
+      const bucket = hours.get(hour) || { _id: hour, totalProfit: 0, count: 0 };
+      bucket.totalProfit += toNumber(record.expectedProfit) ?? 0;
+      bucket.count++;
+      hours.set(hour, bucket);
+    }
+
+    return {
+      expected: records.length > 0 ? {
+        _id: null,
+        totalExpectedProfit: expectedProfit.sum,
+        avgProfit: expectedProfit.avg,
+        maxProfit: expectedProfit.max,
+        minProfit: expectedProfit.min,
+        count: records.length
+      } : null,
+      actual: executed.length > 0 ? {
+        _id: null,
+        totalActualProfit: actualProfit.sum,
+        avgActualProfit: actualProfit.avg,
+        maxActualProfit: actualProfit.max,
+        executedTrades: executed.length
+      } : null,
+      profitByHour: [...hours.values()].sort((a, b) => a._id.localeCompare(b._id))
+    };
+  }
+
+  // Simulation outcomes and gas of opportunities detected since a date, or null when none was simulated
+  async getSimulationStats(since) {
+    const records = this.since(since).filter(record => getPath(record, 'simulationResult.simulationTimestamp') !== undefined);
+    if (records.length === 0) {
+      return null;
+    }
+
+    const gasUsed = summarize(records.map(record => toNumber(record.simulationResult.gasUsed)));
+    return {
+      _id: null,
+      totalSimulations: records.length,
+      successfulSimulations: records.filter(record => record.simulationResult.success).length,
+      avgGasUsed: gasUsed.avg,
+      maxGasUsed: gasUsed.max,
+      minGasUsed: gasUsed.min
+    };
+  }
+}
+
+// Storage in process memory: nothing survives a restart, and no database server is needed
+class MemoryStore {
+  constructor() {
+    this.name = 'memory';
+    this.opportunities = new MemoryOpportunityCollection();
+    this.executions = new MemoryCollection(Execution);
+    this.priceSnapshots = new MemoryCollection(PriceSnapshot);
+    this.priceCandles = new MemoryCollection(PriceCandle, { key: 'id' });
+    this.spreads = new MemoryCollection(Spread);
+  }
+
+  async connect() {
+    return true;
+  }
+
+  async healthCheck() {
+    return {
+      backend: this.name,
+      status: 'connected',
+      records: {
+        opportunities: this.opportunities.records.size,
+        executions: this.executions.records.size,
+        priceSnapshots: this.priceSnapshots.records.size,
+        priceCandles: this.priceCandles.records.size,
+        spreads: this.spreads.records.size
+      }
+    };
+  }
+
+  async close() {}
+}
+
+export default MemoryStore;
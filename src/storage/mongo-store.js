@@ -0,0 +1,245 @@
+import Opportunity from '../models/opportunity.js';
+import Execution from '../models/execution.js';
+import PriceSnapshot from '../models/price-snapshot.js';
+import PriceCandle from '../models/price-candle.js';
+import Spread from '../models/spread.js';
+import dbConnection from '../config/database.js';
+import { setPath } from './query.js';
+
+// Collection backed by a Mongoose model. Records are keyed on `key` (a unique field, or _id).
+export class MongoCollection {
+  constructor(model, { key = '_id' } = {}) {
+    this.model = model;
+    this.key = key;
+  }
+
+  // Validate and store a new record; returns the stored document. Duplicate keys throw with code 11000.
+  async insert(record) {
+    return new this.model(record).save();
+  }
+
+  // Store many records at once; returns how many were stored
+  async insertMany(records) {
+    if (records.length === 0) {
+      return 0;
+    }
+    const inserted = await this.model.insertMany(records, { ordered: false });
+    return inserted.length;
+  }
+
+  // Document with a key, or null
+  async findById(id) {
+    return this.model.findOne({ [this.key]: id });
+  }
+
+  // Plain records matching a query, sorted, skipped and limited
+  async find(query = {}, { sort = null, skip = 0, limit = 0 } = {}) {
+    let cursor = this.model.find(query);
+    if (sort) cursor = cursor.sort(sort);
+    if (skip) cursor = cursor.skip(skip);
+    if (limit) cursor = cursor.limit(limit);
+    return cursor.lean();
+  }
+
+  // Number of records matching a query
+  async count(query = {}) {
+    return this.model.countDocuments(query);
+  }
+
+  // Persist every change made to a document from insert or findById
+  async save(document) {
+    if (typeof document.save === 'function') {
+      return document.save();
+    }
+    const { _id, ...fields } = document;
+    await this.model.updateOne({ [this.key]: document[this.key] }, { $set: fields });
+    return document;
+  }
+
+  // Apply changes ({ 'dotted.path': value }) to a document and store only those paths
+  async update(document, changes) {
+    if (typeof document.set === 'function') {
+      document.set(changes);
+    } else {
+      Object.entries(changes).forEach(([path, value]) => setPath(document, path, value));
+    }
+    await this.model.updateOne({ [this.key]: document[this.key] }, { $set: changes });
+    return document;
+  }
+
+  // Delete records matching a query; returns how many were deleted
+  async deleteMany(query) {
+    const result = await this.model.deleteMany(query);
+    return result.deletedCount;
+  }
+}
+
+// Opportunities, with their statistics aggregated by MongoDB
+export class MongoOpportunityCollection extends MongoCollection {
+  constructor() {
+    super(Opportunity, { key: 'id' });
+  }
+
+  // Totals of opportunities detected since a date, or null when there were none
+  async getStats(since) {
+    const [stats] = await this.model.aggregate([
+      { $match: { timestamp: { $gte: since } } },
+      {
+        $group: {
+          _id: null,
+          totalOpportunities: { $sum: 1 },
+          profitableOpportunities: {
+            $sum: { $cond: [{ $eq: ['$status', 'profitable'] }, 1, 0] }
+          },
+          executedTrades: {
+            $sum: { $cond: [{ $eq: ['$status', 'executed'] }, 1, 0] }
+          },
+          avgProfitPercentage: { $avg: '$profitPercentage' },
+          maxProfitPercentage: { $max: '$profitPercentage' },
+          totalExpectedProfit: { $sum: { $toDouble: '$expectedProfit' } }
+        }
+      }
+    ]);
+    return stats || null;
+  }
+
+  // Counts of opportunities detected since a date by type (simple or triangular) and by status
+  async getBreakdown(since) {
+    const [byType, byStatus] = await Promise.all([
+      this.model.aggregate([
+        { $match: { timestamp: { $gte: since } } },
+        {
+          $group: {
+            _id: {
+              $cond: [
+                { $gt: [{ $size: { $ifNull: ['$triangularPath', []] } }, 0] },
+                'triangular',
+                'simple'
+              ]
+            },
+            count: { $sum: 1 }
+          }
+        }
+      ]),
+      this.model.aggregate([
+        { $match: { timestamp: { $gte: since } } },
+        { $group: { _id: '$status', count: { $sum: 1 } } }
+      ])
+    ]);
+
+    const toCounts = (groups) => Object.fromEntries(groups.map(group => [group._id, group.count]));
+    return { byType: toCounts(byType), byStatus: toCounts(byStatus) };
+  }
+
+  // Expected profits since a date, actual profits of executed opportunities and expected profit per hour
+  async getProfitStats(since) {
+    const [[expected], [actual], profitByHour] = await Promise.all([
+      this.model.aggregate([
+        { $match: {
+          timestamp: { $gte: since },
+          expectedProfit: { $exists: true, $ne: null }
+        }},
+        {
+          $group: {
+            _id: null,
+            totalExpectedProfit: { $sum: { $toDouble: '$expectedProfit' } },
+            avgProfit: { $avg: { $toDouble: '$expectedProfit' } },
+            maxProfit: { $max: { $toDouble: '$expectedProfit' } },
+            minProfit: { $min: { $toDouble: '$expectedProfit' } },
+            count: { $sum: 1 }
+          }
+        }
+      ]),
+      this.model.aggregate([
+        { $match: {
+          timestamp: { $gte: since },
+          status: 'executed',
+          'executionResult.actualProfit': { $exists: true }
+        }},
+        {
+          $group: {
+            _id: null,
+            totalActualProfit: { $sum: { $toDouble: '$executionResult.actualProfit' } },
+            avgActualProfit: { $avg: { $toDouble: '$executionResult.actualProfit' } },
+            maxActualProfit: { $max: { $toDouble: '$executionResult.actualProfit' } },
+            executedTrades: { $sum: 1 }
+          }
+        }
+      ]),
+      this.model.aggregate([
+        { $match: {
+          timestamp: { $gte: since },
+          expectedProfit: { $exists: true }
+        }},
+        {
+          $group: {
+            _id: {
+              $dateToString: {
+                format: '%Y-%m-%d %H:00:00',
+                date: '$timestamp'
+              }
+            },
+            totalProfit: { $sum: { $toDouble: '$expectedProfit' } },
+            count: { $sum: 1 }
+          }
+        },
+        { $sort: { '_id': 1 } }
+      ])
+    ]);
+
+    return { expected: expected || null, actual: actual || null, profitByHour };
+  }
+
+  // Simulation outcomes and gas of opportunities detected since a date, or null when none was simulated
+  async getSimulationStats(since) {
+    const [stats] = await this.model.aggregate([
+      { $match: {
+        timestamp: { $gte: since },
+        'simulationResult.simulationTimestamp': { $exists: true }
+      }},
+      {
+        $group: {
+          _id: null,
+          totalSimulations: { $sum: 1 },
+          successfulSimulations: {
+            $sum: { $cond: ['$simulationResult.success', 1, 0] }
+          },
+          avgGasUsed: { $avg: { $toDouble: '$simulationResult.gasUsed' } },
+          maxGasUsed: { $max: { $toDouble: '$simulationResult.gasUsed' } },
+          minGasUsed: { $min: { $toDouble: '$simulationResult.gasUsed' } }
+        }
+      }
+    ]);
+    return stats || null;
+  }
+}
+
+// Storage in MongoDB through the shared connection (see config/database.js)
+class MongoStore {
+  constructor() {
+    this.name = 'mongodb';
+    this.opportunities = new MongoOpportunityCollection();
+    this.executions = new MongoCollection(Execution);
+    this.priceSnapshots = new MongoCollection(PriceSnapshot);
+    this.priceCandles = new MongoCollection(PriceCandle, { key: 'id' });
+    this.spreads = new MongoCollection(Spread);
+  }
+
+  // Connect; returns whether the database is reachable
+  async connect() {
+    await dbConnection.connect();
+    return dbConnection.isConnected;
+  }
+
+  async healthCheck() {
+    return { backend: this.name, ...await dbConnection.healthCheck() };
+  }
+
+  async close() {
+    if (dbConnection.isConnected) {
+      await dbConnection.disconnect();
+    }
+  }
+}
+
+export default MongoStore;
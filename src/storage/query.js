@@ -0,0 +1,90 @@
+// Evaluation of the MongoDB query subset the storage layer uses, on plain records: equality
+// (including array membership), $eq, $ne, $gt, $gte, $lt, $lte, $in, $nin, $exists, $or and $and
+// over dotted paths (numeric segments index arrays).
+
+// Value at a dotted path of a record (undefined when any segment is missing)
+export const getPath = (record, path) => path.split('.').reduce(
+  (value, key) => (value == null ? undefined : value[key]),
+  record
+);
+
+// Set a dotted path of a record, creating intermediate objects
+export const setPath = (record, path, value) => {
+  const keys = path.split('.');
+  let target = record;
+  for (const key of keys.slice(0, -1)) {
+    if (target[key] == null || typeof target[key] !== 'object') {
+      target[key] = {};
+    }
+    target = target[key];
+  }
+  target[keys[keys.length - 1]] = value;
+};
+
+// Comparable form of a value (dates by time, ObjectIds by hex string)
+const comparable = (value) => {
+  if (value instanceof Date) return value.getTime();
+  if (value != null && typeof value === 'object' && typeof value.toHexString === 'function') return value.toHexString();
+  return value;
+};
+
+const equals = (value, expected) => {
+  if (Array.isArray(value) && !Array.isArray(expected)) {
+    return value.some(item => equals(item, expected));
+  }
+  return comparable(value) === comparable(expected) || (value == null && expected == null);
+};
+
+const compare = (value, bound, test) => value != null && test(comparable(value), comparable(bound));
+
+const OPERATORS = {
+  $eq: (value, expected) => equals(value, expected),
+  $ne: (value, expected) => !equals(value, expected),
+  $gt: (value, bound) => compare(value, bound, (a, b) => a > b),
+  $gte: (value, bound) => compare(value, bound, (a, b) => a >= b),
+  $lt: (value, bound) => compare(value, bound, (a, b) => a < b),
+  $lte: (value, bound) => compare(value, bound, (a, b) => a <= b),
+  $in: (value, options) => options.some(option => equals(value, option)),
+  $nin: (value, options) => !options.some(option => equals(value, option)),
+  $exists: (value, exists) => (value !== undefined) === Boolean(exists)
+};
+
+// Whether a value satisfies a condition: a literal, or an object of operators
+const satisfies = (value, condition) => {
+  const isOperatorObject = condition != null &&
+    typeof condition === 'object' &&
+    !(condition instanceof Date) &&
+    Object.keys(condition).length > 0 &&
+    Object.keys(condition).every(key => key.startsWith('$'));
+
+  if (!isOperatorObject) {
+    return equals(value, condition);
+  }
+
+  return Object.entries(condition).every(([operator, operand]) => {
+    if (!OPERATORS[operator]) {
+      throw new Error(`Unsupported query operator ${operator}`);
+    }
+    return OPERATORS[operator](value, operand);
+  });
+};
+
+// Whether a record matches a query
+export const matches = (record, query = {}) => Object.entries(query).every(([key, condition]) => {
+  if (key === '$or') return condition.some(branch => matches(record, branch));
+  if (key === '$and') return condition.every(branch => matches(record, branch));
+  return satisfies(getPath(record, key), condition);
+});
+
+// Comparator of records for a sort specification ({ field: 1 | -1, ... })
+export const compareBy = (sort = {}) => (a, b) => {
+  for (const [path, direction] of Object.entries(sort)) {
+    const left = comparable(getPath(a, path));
+    const right = comparable(getPath(b, path));
+    if (left === right) continue;
+    if (left == null) return -direction;
+    if (right == null) return direction;
+    return (left < right ? -1 : 1) * direction;
+  }
+  return 0;
+};
@@ -1,25 +1,10 @@
-import { SUPPORTED_TOKENS } from '../config/constants.js';
+import tokenRegistry from '../config/token-registry.js';
 import HelperUtils from './helpers.js';
 
 class PriceNormalizer {
   constructor() {
-    // Base USD prices for major tokens (current market prices)
-    this.usdPrices = {
-      'WETH': 2650.00,  // Current ETH price ~$2650
-      'USDT': 1.00,     // Stable coin
-      'USDC': 1.00,     // Stable coin  
-      'DAI': 1.00,      // Stable coin
-      'WBTC': 65000.00  // Current BTC price ~$65000
-    };
-
-    // Token decimals for proper scaling
-    this.tokenDecimals = {
-      'WETH': 18,   // 18 decimals
-      'USDT': 6,    // 6 decimals
-      'USDC': 6,    // 6 decimals
-      'DAI': 18,    // 18 decimals
-      'WBTC': 8     // 8 decimals
-    };
+    // USD prices derived from on-chain pool prices (fed by the USD oracle on every price update)
+    this.usdPrices = {};
   }
 
   /**
@@ -30,8 +15,8 @@ class PriceNormalizer {
    * @returns {number} Properly scaled price
    */
   fixDecimalScaling(tokenA, tokenB, rawPrice) {
-    const decimalsA = this.tokenDecimals[tokenA] || 18;
-    const decimalsB = this.tokenDecimals[tokenB] || 18;
+    const decimalsA = tokenRegistry.getDecimals(tokenA) ?? 18;
+    const decimalsB = tokenRegistry.getDecimals(tokenB) ?? 18;
     
     // Calculate the decimal difference
     const decimalDiff = decimalsA - decimalsB;
@@ -75,14 +60,8 @@ class PriceNormalizer {
         wasInverted = true;
       }
       
-      // Step 4: If still unrealistic, use market ratio with small variation
+      // Step 4: Flag prices that still disagree with the USD oracle instead of replacing them
       const deviation = Math.abs(correctedPrice - expectedRatio) / expectedRatio;
-      if (deviation > 0.5) { // More than 50% off
-        // Use expected ratio with ±2% random variation to simulate market conditions
-        const variation = (Math.random() - 0.5) * 0.04; 
-        correctedPrice = expectedRatio * (1 + variation);
-        wasInverted = false;
-      }
       
       const normalizedPrice = {
         // Original values
@@ -90,6 +69,8 @@ class PriceNormalizer {
         scaledPrice: scaledPrice,
         expectedRatio: expectedRatio,
         wasInverted: wasInverted,
+        deviation: deviation,
+        isOutlier: deviation > 0.5, // More than 50% off
         
         // USD prices
         tokenAUsdPrice: tokenAUsdPrice,
@@ -124,7 +105,7 @@ class PriceNormalizer {
    */
   formatDisplayPrice(tokenA, tokenB, rawPrice, tokenAUsdPrice, tokenBUsdPrice) {
     // Always show the USD equivalent
-    if (tokenA === 'USDT' || tokenA === 'USDC' || tokenA === 'DAI') {
+    if (tokenRegistry.getToken(tokenA)?.tags.includes('stablecoin')) {
       // For stablecoin pairs, show how many tokens you get for $1
       return {
         description: `1 ${tokenA} = ${rawPrice.toFixed(8)} ${tokenB}`,
@@ -274,10 +255,13 @@ class PriceNormalizer {
   }
 
   /**
-   * Update USD prices (in production, fetch from price feeds)
+   * Replace USD prices (fed from the on-chain USD oracle). The oracle prices every token it has
+   * fresh pool quotes for, so a token missing from newPrices has no current price and is dropped
+   * rather than kept at its last value.
+   * @param {object} newPrices - USD price by token symbol
    */
   updateUsdPrices(newPrices) {
-    this.usdPrices = { ...this.usdPrices, ...newPrices };
+    this.usdPrices = { ...newPrices };
   }
 
   /**
@@ -0,0 +1,482 @@
+import { BigNumber } from '../config/constants.js';
+
+// Fixed-point constants used by the Uniswap contracts
+const Q96 = 2n ** 96n;
+const FEE_DENOMINATOR = 1000000n; // fees are expressed in hundredths of a bip (3000 = 0.3%)
+
+const MIN_TICK = -887272;
+const MAX_TICK = 887272;
+const MIN_SQRT_RATIO = 4295128739n;
+const MAX_SQRT_RATIO = 1461446703485210103287273052203988822378723970342n;
+
+// Tick spacing of the fee tiers enabled on the Uniswap V3 factory (used when a state doesn't carry it)
+const TICK_SPACINGS = { 100: 1, 500: 10, 3000: 60, 10000: 200 };
+
+// Curve StableSwap fixed-point constants
+const STABLESWAP_PRECISION = 10n ** 18n;
+const STABLESWAP_FEE_DENOMINATOR = 10n ** 10n; // fees are expressed in 1e10 units (4000000 = 0.04%)
+const STABLESWAP_MAX_ITERATIONS = 255;
+
+// Pure AMM output math (Uniswap V2 constant product, Uniswap V3 concentrated liquidity and
+// Curve StableSwap).
+// All amounts are raw token units as BigInt; results match the on-chain integer math.
+class SwapMath {
+  static Q96 = Q96;
+  static MIN_TICK = MIN_TICK;
+  static MAX_TICK = MAX_TICK;
+  static MIN_SQRT_RATIO = MIN_SQRT_RATIO;
+  static MAX_SQRT_RATIO = MAX_SQRT_RATIO;
+
+  // floor(a * b / denominator)
+  static mulDiv(a, b, denominator) {
+    return (a * b) / denominator;
+  }
+
+  // ceil(a * b / denominator)
+  static mulDivRoundingUp(a, b, denominator) {
+    const product = a * b;
+    const result = product / denominator;
+    return product % denominator > 0n ? result + 1n : result;
+  }
+
+  static divRoundingUp(a, b) {
+    const result = a / b;
+    return a % b > 0n ? result + 1n : result;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Uniswap V2
+  // ---------------------------------------------------------------------------
+
+  // UniswapV2Library.getAmountOut with a configurable fee (3000 = 0.3%)
+  static getAmountOutV2(amountIn, reserveIn, reserveOut, feePips = 3000) {
+    amountIn = BigInt(amountIn);
+    reserveIn = BigInt(reserveIn);
+    reserveOut = BigInt(reserveOut);
+
+    if (amountIn <= 0n || reserveIn <= 0n || reserveOut <= 0n) {
+      return 0n;
+    }
+
+    const amountInWithFee = amountIn * (FEE_DENOMINATOR - BigInt(feePips));
+    const numerator = amountInWithFee * reserveOut;
+    const denominator = reserveIn * FEE_DENOMINATOR + amountInWithFee;
+    return numerator / denominator;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Uniswap V3 (TickMath, SqrtPriceMath, SwapMath)
+  // ---------------------------------------------------------------------------
+
+  // TickMath.getSqrtRatioAtTick
+  static getSqrtRatioAtTick(tick) {
+    const absTick = BigInt(Math.abs(tick));
+    if (absTick > BigInt(MAX_TICK)) {
+      throw new Error(`Tick out of range: ${tick}`);
+    }
+
+    let ratio = (absTick & 0x1n) !== 0n
+      ? 0xfffcb933bd6fad37aa2d162d1a594001n
+      : 0x100000000000000000000000000000000n;
+    if ((absTick & 0x2n) !== 0n) ratio = (ratio * 0xfff97272373d413259a46990580e213an) >> 128n;
+    if ((absTick & 0x4n) !== 0n) ratio = (ratio * 0xfff2e50f5f656932ef12357cf3c7fdccn) >> 128n;
+    if ((absTick & 0x8n) !== 0n) ratio = (ratio * 0xffe5caca7e10e4e61c3624eaa0941cd0n) >> 128n;
+    if ((absTick & 0x10n) !== 0n) ratio = (ratio * 0xffcb9843d60f6159c9db58835c926644n) >> 128n;
+    if ((absTick & 0x20n) !== 0n) ratio = (ratio * 0xff973b41fa98c081472e6896dfb254c0n) >> 128n;
+    if ((absTick & 0x40n) !== 0n) ratio = (ratio * 0xff2ea16466c96a3843ec78b326b52861n) >> 128n;
+    if ((absTick & 0x80n) !== 0n) ratio = (ratio * 0xfe5dee046a99a2a811c461f1969c3053n) >> 128n;
+    if ((absTick & 0x100n) !== 0n) ratio = (ratio * 0xfcbe86c7900a88aedcffc83b479aa3a4n) >> 128n;
+    if ((absTick & 0x200n) !== 0n) ratio = (ratio * 0xf987a7253ac413176f2b074cf7815e54n) >> 128n;
+    if ((absTick & 0x400n) !== 0n) ratio = (ratio * 0xf3392b0822b70005940c7a398e4b70f3n) >> 128n;
+    if ((absTick & 0x800n) !== 0n) ratio = (ratio * 0xe7159475a2c29b7443b29c7fa6e889d9n) >> 128n;
+    if ((absTick & 0x1000n) !== 0n) ratio = (ratio * 0xd097f3bdfd2022b8845ad8f792aa5825n) >> 128n;
+    if ((absTick & 0x2000n) !== 0n) ratio = (ratio * 0xa9f746462d870fdf8a65dc1f90e061e5n) >> 128n;
+    if ((absTick & 0x4000n) !== 0n) ratio = (ratio * 0x70d869a156d2a1b890bb3df62baf32f7n) >> 128n;
+    if ((absTick & 0x8000n) !== 0n) ratio = (ratio * 0x31be135f97d08fd981231505542fcfa6n) >> 128n;
+    if ((absTick & 0x10000n) !== 0n) ratio = (ratio * 0x9aa508b5b7a84e1c677de54f3e99bc9n) >> 128n;
+    if ((absTick & 0x20000n) !== 0n) ratio = (ratio * 0x5d6af8dedb81196699c329225ee604n) >> 128n;
+    if ((absTick & 0x40000n) !== 0n) ratio = (ratio * 0x2216e584f5fa1ea926041bedfe98n) >> 128n;
+    if ((absTick & 0x80000n) !== 0n) ratio = (ratio * 0x48a170391f7dc42444e8fa2n) >> 128n;
+
+    if (tick > 0) {
+      ratio = ((1n << 256n) - 1n) / ratio;
+    }
+
+    // Round up when converting from Q128.128 to Q64.96
+    return (ratio >> 32n) + (ratio % (1n << 32n) === 0n ? 0n : 1n);
+  }
+
+  // TickMath.getTickAtSqrtRatio (greatest tick whose sqrt ratio is <= sqrtPriceX96)
+  static getTickAtSqrtRatio(sqrtPriceX96) {
+    sqrtPriceX96 = BigInt(sqrtPriceX96);
+    if (sqrtPriceX96 < MIN_SQRT_RATIO || sqrtPriceX96 >= MAX_SQRT_RATIO) {
+      throw new Error(`sqrtPriceX96 out of range: ${sqrtPriceX96}`);
+    }
+
+    // Estimate with floating point, then correct against the exact integer ratio
+    const sqrtPrice = Number(sqrtPriceX96) / Number(Q96);
+    let tick = Math.floor(Math.log(sqrtPrice * sqrtPrice) / Math.log(1.0001));
+    tick = Math.max(MIN_TICK, Math.min(MAX_TICK - 1, tick));
+
+    while (tick > MIN_TICK && this.getSqrtRatioAtTick(tick) > sqrtPriceX96) tick--;
+    while (tick < MAX_TICK - 1 && this.getSqrtRatioAtTick(tick + 1) <= sqrtPriceX96) tick++;
+
+    return tick;
+  }
+
+  // SqrtPriceMath.getAmount0Delta
+  static getAmount0Delta(sqrtRatioAX96, sqrtRatioBX96, liquidity, roundUp) {
+    if (sqrtRatioAX96 > sqrtRatioBX96) {
+      [sqrtRatioAX96, sqrtRatioBX96] = [sqrtRatioBX96, sqrtRatioAX96];
+    }
+
+    const numerator1 = liquidity << 96n;
+    const numerator2 = sqrtRatioBX96 - sqrtRatioAX96;
+
+    return roundUp
+      ? this.divRoundingUp(this.mulDivRoundingUp(numerator1, numerator2, sqrtRatioBX96), sqrtRatioAX96)
+      : this.mulDiv(numerator1, numerator2, sqrtRatioBX96) / sqrtRatioAX96;
+  }
+
+  // SqrtPriceMath.getAmount1Delta
+  static getAmount1Delta(sqrtRatioAX96, sqrtRatioBX96, liquidity, roundUp) {
+    if (sqrtRatioAX96 > sqrtRatioBX96) {
+      [sqrtRatioAX96, sqrtRatioBX96] = [sqrtRatioBX96, sqrtRatioAX96];
+    }
+
+    return roundUp
+      ? this.mulDivRoundingUp(liquidity, sqrtRatioBX96 - sqrtRatioAX96, Q96)
+      : this.mulDiv(liquidity, sqrtRatioBX96 - sqrtRatioAX96, Q96);
+  }
+
+  // SqrtPriceMath.getNextSqrtPriceFromInput
+  static getNextSqrtPriceFromInput(sqrtPriceX96, liquidity, amountIn, zeroForOne) {
+    if (zeroForOne) {
+      // getNextSqrtPriceFromAmount0RoundingUp (add = true)
+      if (amountIn === 0n) return sqrtPriceX96;
+      const numerator1 = liquidity << 96n;
+      const denominator = numerator1 + amountIn * sqrtPriceX96;
+      return this.mulDivRoundingUp(numerator1, sqrtPriceX96, denominator);
+    }
+
+    // getNextSqrtPriceFromAmount1RoundingDown (add = true)
+    return sqrtPriceX96 + (amountIn << 96n) / liquidity;
+  }
+
+  // SwapMath.computeSwapStep for an exact-input swap
+  static computeSwapStep(sqrtRatioCurrentX96, sqrtRatioTargetX96, liquidity, amountRemaining, feePips) {
+    const fee = BigInt(feePips);
+    const zeroForOne = sqrtRatioCurrentX96 >= sqrtRatioTargetX96;
+
+    const amountRemainingLessFee = this.mulDiv(amountRemaining, FEE_DENOMINATOR - fee, FEE_DENOMINATOR);
+    let amountIn = zeroForOne
+      ? this.getAmount0Delta(sqrtRatioTargetX96, sqrtRatioCurrentX96, liquidity, true)
+      : this.getAmount1Delta(sqrtRatioCurrentX96, sqrtRatioTargetX96, liquidity, true);
+
+    const sqrtRatioNextX96 = amountRemainingLessFee >= amountIn
+      ? sqrtRatioTargetX96
+      : this.getNextSqrtPriceFromInput(sqrtRatioCurrentX96, liquidity, amountRemainingLessFee, zeroForOne);
+
+    const max = sqrtRatioTargetX96 === sqrtRatioNextX96;
+
+    if (!max) {
+      amountIn = zeroForOne
+        ? this.getAmount0Delta(sqrtRatioNextX96, sqrtRatioCurrentX96, liquidity, true)
+        : this.getAmount1Delta(sqrtRatioCurrentX96, sqrtRatioNextX96, liquidity, true);
+    }
+
+    const amountOut = zeroForOne
+      ? this.getAmount1Delta(sqrtRatioNextX96, sqrtRatioCurrentX96, liquidity, false)
+      : this.getAmount0Delta(sqrtRatioCurrentX96, sqrtRatioNextX96, liquidity, false);
+
+    const feeAmount = max
+      ? this.mulDivRoundingUp(amountIn, fee, FEE_DENOMINATOR - fee)
+      : amountRemaining - amountIn;
+
+    return { sqrtRatioNextX96, amountIn, amountOut, feeAmount };
+  }
+
+  // Tick spacing of a V3 fee tier
+  static getTickSpacing(feeTier) {
+    const tickSpacing = TICK_SPACINGS[Number(feeTier)];
+    if (!tickSpacing) {
+      throw new Error(`Unknown tick spacing for fee tier ${feeTier}`);
+    }
+    return tickSpacing;
+  }
+
+  // Tick divided by the tick spacing, rounded towards negative infinity (TickBitmap's `compressed`)
+  static compressTick(tick, tickSpacing) {
+    let compressed = Math.trunc(tick / tickSpacing);
+    if (tick < 0 && tick % tickSpacing !== 0) compressed--;
+    return compressed;
+  }
+
+  // Bitmap word and bit of a compressed tick (TickBitmap.position)
+  static getTickPosition(compressed) {
+    return { wordPos: compressed >> 8, bitPos: compressed & 255 };
+  }
+
+  // Tick bitmap (wordPos -> BigInt word) of a set of initialized ticks
+  static buildTickBitmap(ticks, tickSpacing) {
+    const bitmap = new Map();
+    for (const tick of ticks) {
+      const { wordPos, bitPos } = this.getTickPosition(this.compressTick(Number(tick), tickSpacing));
+      bitmap.set(wordPos, (bitmap.get(wordPos) || 0n) | (1n << BigInt(bitPos)));
+    }
+    return bitmap;
+  }
+
+  // TickBitmap.nextInitializedTickWithinOneWord: the next initialized tick in the same bitmap word as
+  // `tick` (at or below it when lte, above it otherwise), or the word's last tick when there is none.
+  // Also returns the word that was read.
+  static nextInitializedTickWithinOneWord(tickBitmap, tick, tickSpacing, lte) {
+    const compressed = this.compressTick(tick, tickSpacing);
+
+    if (lte) {
+      const { wordPos, bitPos } = this.getTickPosition(compressed);
+      // All the 1s at or to the right of the current bitPos
+      const mask = (1n << BigInt(bitPos)) - 1n + (1n << BigInt(bitPos));
+      const masked = (tickBitmap.get(wordPos) || 0n) & mask;
+      const initialized = masked !== 0n;
+      const tickNext = initialized
+        ? (compressed - (bitPos - this.mostSignificantBit(masked))) * tickSpacing
+        : (compressed - bitPos) * tickSpacing;
+      return { tickNext, initialized, wordPos };
+    }
+
+    // Start from the word of the next tick, since the current tick state doesn't matter
+    const { wordPos, bitPos } = this.getTickPosition(compressed + 1);
+    // All the 1s at or to the left of the bitPos
+    const mask = ~((1n << BigInt(bitPos)) - 1n);
+    const masked = (tickBitmap.get(wordPos) || 0n) & mask;
+    const initialized = masked !== 0n;
+    const tickNext = initialized
+      ? (compressed + 1 + (this.leastSignificantBit(masked) - bitPos)) * tickSpacing
+      : (compressed + 1 + (255 - bitPos)) * tickSpacing;
+    return { tickNext, initialized, wordPos };
+  }
+
+  // BitMath.mostSignificantBit of a non-zero word
+  static mostSignificantBit(x) {
+    return x.toString(2).length - 1;
+  }
+
+  // BitMath.leastSignificantBit of a non-zero word
+  static leastSignificantBit(x) {
+    return this.mostSignificantBit(x & -x);
+  }
+
+  // Exact-input swap against a V3 pool state, stepping through the tick bitmap one word at a time
+  // exactly like UniswapV3Pool.swap.
+  // `state.ticks` lists the initialized ticks ({ tick, liquidityNet }) of the bitmap words in
+  // `state.tickWordRange` ({ lower, upper }, inclusive). The swap stops (complete: false) when it
+  // needs a word outside that range; without a range the ticks are taken as the complete bitmap.
+  static swapExactInV3(state, zeroForOne, amountIn) {
+    let amountRemaining = BigInt(amountIn);
+    let sqrtPriceX96 = BigInt(state.sqrtPriceX96);
+    let liquidity = BigInt(state.liquidity);
+    let tick = Number(state.tick);
+    const feePips = Number(state.feeTier);
+    const tickSpacing = Number(state.tickSpacing ?? this.getTickSpacing(feePips));
+    const wordRange = state.tickWordRange || null;
+
+    const liquidityNets = new Map((state.ticks || []).map(t => [Number(t.tick), BigInt(t.liquidityNet)]));
+    const tickBitmap = this.buildTickBitmap(liquidityNets.keys(), tickSpacing);
+
+    const sqrtPriceLimitX96 = zeroForOne ? MIN_SQRT_RATIO + 1n : MAX_SQRT_RATIO - 1n;
+    let amountOut = 0n;
+    let feePaid = 0n;
+    let ticksCrossed = 0;
+    let complete = true;
+
+    while (amountRemaining > 0n && sqrtPriceX96 !== sqrtPriceLimitX96) {
+      const sqrtPriceStartX96 = sqrtPriceX96;
+      const next = this.nextInitializedTickWithinOneWord(tickBitmap, tick, tickSpacing, zeroForOne);
+
+      // The pool's liquidity beyond the loaded words is unknown
+      if (wordRange && (next.wordPos < wordRange.lower || next.wordPos > wordRange.upper)) {
+        complete = false;
+        break;
+      }
+
+      // The bitmap is not aware of the min/max tick bounds
+      const tickNext = Math.min(Math.max(next.tickNext, MIN_TICK), MAX_TICK);
+      const sqrtPriceNextX96 = this.getSqrtRatioAtTick(tickNext);
+
+      const sqrtRatioTargetX96 = zeroForOne
+        ? (sqrtPriceNextX96 < sqrtPriceLimitX96 ? sqrtPriceLimitX96 : sqrtPriceNextX96)
+        : (sqrtPriceNextX96 > sqrtPriceLimitX96 ? sqrtPriceLimitX96 : sqrtPriceNextX96);
+
+      const step = this.computeSwapStep(sqrtPriceX96, sqrtRatioTargetX96, liquidity, amountRemaining, feePips);
+      sqrtPriceX96 = step.sqrtRatioNextX96;
+      amountRemaining -= step.amountIn + step.feeAmount;
+      amountOut += step.amountOut;
+      feePaid += step.feeAmount;
+
+      if (sqrtPriceX96 === sqrtPriceNextX96) {
+        if (next.initialized) {
+          // Crossing the tick: liquidityNet is added when moving up, subtracted when moving down
+          const liquidityNet = liquidityNets.get(tickNext) ?? 0n;
+          liquidity = zeroForOne ? liquidity - liquidityNet : liquidity + liquidityNet;
+          ticksCrossed++;
+        }
+        tick = zeroForOne ? tickNext - 1 : tickNext;
+      } else if (sqrtPriceX96 !== sqrtPriceStartX96) {
+        // Recompute unless we're on a lower tick boundary (already transitioned ticks) and haven't moved
+        tick = this.getTickAtSqrtRatio(sqrtPriceX96);
+      }
+    }
+
+    return {
+      amountIn: BigInt(amountIn) - amountRemaining,
+      amountOut,
+      feePaid,
+      sqrtPriceX96,
+      liquidity,
+      tick,
+      ticksCrossed,
+      complete
+    };
+  }
+
+  // ---------------------------------------------------------------------------
+  // Curve StableSwap (3pool-style vyper math, A without A_PRECISION)
+  // ---------------------------------------------------------------------------
+
+  // StableSwap invariant D for normalized balances, solved by Newton iteration (StableSwap.get_D)
+  static getStableSwapD(xp, amp) {
+    const n = BigInt(xp.length);
+    const sum = xp.reduce((total, x) => total + x, 0n);
+    if (sum === 0n) return 0n;
+
+    const ann = BigInt(amp) * n;
+    let d = sum;
+    for (let i = 0; i < STABLESWAP_MAX_ITERATIONS; i++) {
+      let dP = d;
+      for (const x of xp) {
+        dP = (dP * d) / (x * n);
+      }
+      const dPrev = d;
+      d = ((ann * sum + dP * n) * d) / ((ann - 1n) * d + (n + 1n) * dP);
+      if (d > dPrev ? d - dPrev <= 1n : dPrev - d <= 1n) break;
+    }
+    return d;
+  }
+
+  // New normalized balance of coin j after coin i's balance becomes x (StableSwap.get_y)
+  static getStableSwapY(i, j, x, xp, amp) {
+    const n = BigInt(xp.length);
+    const ann = BigInt(amp) * n;
+    const d = this.getStableSwapD(xp, amp);
+
+    let c = d;
+    let sum = 0n;
+    for (let k = 0; k < xp.length; k++) {
+      if (k === j) continue;
+      const balance = k === i ? x : xp[k];
+      sum += balance;
+      c = (c * d) / (balance * n);
+    }
+    c = (c * d) / (ann * n);
+    const b = sum + d / ann;
+
+    let y = d;
+    for (let k = 0; k < STABLESWAP_MAX_ITERATIONS; k++) {
+      const yPrev = y;
+      y = (y * y + c) / (2n * y + b - d);
+      if (y > yPrev ? y - yPrev <= 1n : yPrev - y <= 1n) break;
+    }
+    return y;
+  }
+
+  // Output of swapping dx of coin i for coin j (StableSwap.get_dy).
+  // `rates` scale raw balances to 18 decimals times 1e18 (10^(36 - decimals) for plain coins).
+  static getDyStableSwap(state, i, j, dx, withFee = true) {
+    dx = BigInt(dx);
+    if (dx <= 0n || i === j) return 0n;
+
+    const rates = state.rates.map(BigInt);
+    const xp = state.balances.map((balance, k) => (BigInt(balance) * rates[k]) / STABLESWAP_PRECISION);
+    if (xp.some(x => x === 0n)) return 0n;
+
+    const x = xp[i] + (dx * rates[i]) / STABLESWAP_PRECISION;
+    const y = this.getStableSwapY(i, j, x, xp, state.A);
+    if (xp[j] <= y + 1n) return 0n;
+
+    const dy = ((xp[j] - y - 1n) * STABLESWAP_PRECISION) / rates[j];
+    if (!withFee) return dy;
+    return dy - (BigInt(state.fee) * dy) / STABLESWAP_FEE_DENOMINATOR;
+  }
+
+  // Coin indices of a swap from tokenIn to the other token of a StableSwap pair view
+  static getStableSwapIndices(state, tokenIn) {
+    const zeroForOne = tokenIn.toLowerCase() === state.token0.toLowerCase();
+    const tokenOut = zeroForOne ? state.token1 : state.token0;
+    const coins = state.coins.map(coin => coin.toLowerCase());
+    const i = coins.indexOf(tokenIn.toLowerCase());
+    const j = coins.indexOf(tokenOut.toLowerCase());
+    if (i === -1 || j === -1) {
+      throw new Error(`Token not in StableSwap pool ${state.address}`);
+    }
+    return { i, j };
+  }
+
+  // Marginal raw-unit rate of token1 per token0, before fees.
+  // Measured with a swap of a millionth of the token0 balance, which is flat on a StableSwap curve.
+  static getStableSwapSpotRate(state) {
+    const { i, j } = this.getStableSwapIndices(state, state.token0);
+    const dx = BigInt(state.balances[i]) / 1000000n || 1n;
+    const dy = this.getDyStableSwap(state, i, j, dx, false);
+    return new BigNumber(dy.toString()).dividedBy(dx.toString());
+  }
+
+  // ---------------------------------------------------------------------------
+  // Pool-state helpers
+  // ---------------------------------------------------------------------------
+
+  // Quote an exact-input swap against a pool state snapshot (see PriceFetcher poolState).
+  // Null when a V3 swap runs past the loaded tick words, where the pool's liquidity is unknown.
+  static getAmountOut(state, tokenIn, amountIn) {
+    const zeroForOne = tokenIn.toLowerCase() === state.token0.toLowerCase();
+
+    if (state.type === 'V2') {
+      const [reserveIn, reserveOut] = zeroForOne
+        ? [state.reserve0, state.reserve1]
+        : [state.reserve1, state.reserve0];
+      return this.getAmountOutV2(amountIn, reserveIn, reserveOut, state.feeTier);
+    }
+
+    if (state.type === 'V3') {
+      const { amountOut, complete } = this.swapExactInV3(state, zeroForOne, amountIn);
+      return complete ? amountOut : null;
+    }
+
+    if (state.type === 'STABLESWAP') {
+      const { i, j } = this.getStableSwapIndices(state, tokenIn);
+      return this.getDyStableSwap(state, i, j, amountIn);
+    }
+
+    throw new Error(`Unsupported pool type: ${state.type}`);
+  }
+
+  // Spot price of token1 in token0 terms, adjusted for decimals
+  static getSpotPrice(state, decimals0, decimals1) {
+    const decimalsAdjustment = new BigNumber(10).pow(decimals0 - decimals1);
+
+    if (state.type === 'V2') {
+      return new BigNumber(state.reserve1.toString())
+        .dividedBy(state.reserve0.toString())
+        .multipliedBy(decimalsAdjustment);
+    }
+
+    if (state.type === 'STABLESWAP') {
+      return this.getStableSwapSpotRate(state).multipliedBy(decimalsAdjustment);
+    }
+
+    const sqrtPrice = new BigNumber(state.sqrtPriceX96.toString()).dividedBy(Q96.toString());
+    return sqrtPrice.multipliedBy(sqrtPrice).multipliedBy(decimalsAdjustment);
+  }
+}
+
+export default SwapMath;
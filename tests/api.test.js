@@ -1,5 +1,11 @@
-const request = require('supertest');
-const apiServer = require('../src/api/server');
+import { jest } from '@jest/globals';
+import request from 'supertest';
+import apiServer from '../src/api/server.js';
+import storage from '../src/storage/index.js';
+import rpcManager from '../src/services/rpc-manager.js';
+import arbitrageDetector from '../src/services/arbitrage-detector/index.js';
+import priceFetcher from '../src/services/price-fetcher/index.js';
+import poolDiscovery from '../src/services/pool-discovery.js';
 
 describe('API Endpoints', () => {
   let server;
@@ -40,7 +46,18 @@ describe('API Endpoints', () => {
   });
 
   describe('GET /api/health/system', () => {
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
     test('should return system health', async () => {
+      // Every service running, as in the bot
+      jest.spyOn(storage, 'healthCheck').mockResolvedValue({ status: 'connected' });
+      jest.spyOn(rpcManager, 'getStats').mockReturnValue({ isHealthy: true });
+      jest.spyOn(arbitrageDetector, 'getStats').mockReturnValue({ isRunning: true });
+      jest.spyOn(priceFetcher, 'getStats').mockReturnValue({ isRunning: true, lastUpdate: Date.now() });
+      jest.spyOn(poolDiscovery, 'getStats').mockReturnValue({ totalPools: 1 });
+
       const response = await request(server)
         .get('/api/health/system')
         .expect(200);
@@ -0,0 +1,214 @@
+import hre from 'hardhat';
+import http from 'http';
+import { ethers } from 'ethers';
+import bundleSubmitter from '../src/services/trade-executor/bundle-submitter.js';
+
+// Hardhat's first default account
+const SENDER_KEY = '0xac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf4f2ff80';
+const REVERTER = '0x00000000000000000000000000000000000000e1';
+
+// Local Flashbots-style relay on top of Hardhat: eth_callBundle runs each transaction with
+// eth_call, eth_sendBundle mines the bundle into its target block, or lets `skip` blocks pass
+// without it
+const startRelay = (provider) => {
+  const relay = { requests: [], bundles: [], skip: 0 };
+
+  relay.server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', async () => {
+      const { id, method, params: [bundle] } = JSON.parse(body);
+      const [address, signature] = req.headers['x-flashbots-signature'].split(':');
+      relay.requests.push({ method, bundle, signedBy: ethers.verifyMessage(ethers.id(body), signature) === address ? address : null });
+
+      let result;
+      if (method === 'eth_callBundle') {
+        const results = [];
+        for (const raw of bundle.txs) {
+          const tx = ethers.Transaction.from(raw);
+          try {
+            await provider.call({ from: tx.from, to: tx.to, data: tx.data, value: tx.value });
+            results.push({ txHash: tx.hash, gasUsed: 21000 });
+          } catch (error) {
+            results.push({ txHash: tx.hash, error: 'execution reverted', revert: error.shortMessage });
+          }
+        }
+        result = { results, totalGasUsed: 21000 * results.length, coinbaseDiff: '0' };
+      } else {
+        relay.bundles.push(bundle);
+        if (relay.skip > 0) {
+          relay.skip--;
+          await provider.send('evm_mine', []);
+        } else {
+          for (const raw of bundle.txs) {
+            await provider.send('eth_sendRawTransaction', [raw]);
+          }
+        }
+        result = { bundleHash: ethers.id(bundle.txs.join('')) };
+      }
+
+      res.setHeader('content-type', 'application/json');
+      res.end(JSON.stringify({ jsonrpc: '2.0', id, result }));
+    });
+  });
+
+  return new Promise(resolve => relay.server.listen(0, '127.0.0.1', () => {
+    relay.url = `http://127.0.0.1:${relay.server.address().port}`;
+    resolve(relay);
+  }));
+};
+
+describe('BundleSubmitter', () => {
+  let provider, relay, sender, chainId;
+
+  beforeAll(async () => {
+    provider = new ethers.BrowserProvider(hre.network.provider, undefined, { cacheTimeout: -1 }); // nonces read fresh
+    relay = await startRelay(provider);
+    sender = new ethers.Wallet(SENDER_KEY, provider);
+    chainId = Number((await provider.getNetwork()).chainId);
+    bundleSubmitter.pollInterval = 10;
+    // PUSH1 0 PUSH1 0 REVERT
+    await provider.send('hardhat_setCode', [REVERTER, '0x60006000fd']);
+  });
+
+  afterAll(() => new Promise(resolve => {
+    relay.server.close(resolve);
+    relay.server.closeAllConnections();
+  }));
+
+  beforeEach(() => {
+    relay.requests = [];
+    relay.bundles = [];
+    relay.skip = 0;
+  });
+
+  // Transfer from the sender signed at a nonce
+  const signTransfer = async (nonce, to = ethers.Wallet.createRandom().address) => {
+    const feeData = await provider.getFeeData();
+    return sender.signTransaction({
+      chainId,
+      to,
+      value: 1n,
+      gasLimit: 100000n,
+      nonce,
+      maxFeePerGas: feeData.maxFeePerGas * 2n,
+      maxPriorityFeePerGas: feeData.maxPriorityFeePerGas
+    });
+  };
+
+  const submit = (transactions, options = {}) => bundleSubmitter.submitBundle(transactions, {
+    chainId,
+    relayUrl: relay.url,
+    provider,
+    ...options
+  });
+
+  test('should simulate and send a signed bundle for the next block and record its inclusion', async () => {
+    const signed = await signTransfer(await sender.getNonce());
+    const startBlock = await provider.getBlockNumber();
+    const updates = [];
+
+    const submission = await submit([signed], { onUpdate: update => updates.push(update.status) });
+
+    expect(relay.requests.map(request => request.method)).toEqual(['eth_callBundle', 'eth_sendBundle']);
+    expect(relay.requests.every(request => request.signedBy === bundleSubmitter.authSigner.address)).toBe(true);
+    expect(relay.bundles[0].blockNumber).toBe(ethers.toQuantity(startBlock + 1));
+    expect(updates).toEqual(['submitted', 'included']);
+    expect(submission).toMatchObject({
+      mode: 'bundle',
+      status: 'included',
+      targetBlock: startBlock + 1,
+      includedBlock: startBlock + 1,
+      transactionHash: ethers.keccak256(signed)
+    });
+  });
+
+  test('should replace a bundle that missed its block for the next block', async () => {
+    const nonce = await sender.getNonce();
+    const startBlock = await provider.getBlockNumber();
+    const resignedFor = [];
+    relay.skip = 1;
+
+    const submission = await submit([await signTransfer(nonce)], {
+      resign: async (targetBlock) => {
+        resignedFor.push(targetBlock);
+        return [await signTransfer(nonce)];
+      }
+    });
+
+    expect(resignedFor).toEqual([startBlock + 2]);
+    expect(relay.bundles.map(bundle => Number(bundle.blockNumber))).toEqual([startBlock + 1, startBlock + 2]);
+    expect(submission.attempts).toHaveLength(2);
+    expect(submission.status).toBe('included');
+    expect(submission.includedBlock).toBe(startBlock + 2);
+  });
+
+  test('should expire after the configured number of blocks', async () => {
+    relay.skip = 2;
+
+    const submission = await submit([await signTransfer(await sender.getNonce())], { maxBlocks: 2 });
+
+    expect(relay.bundles).toHaveLength(2);
+    expect(submission.status).toBe('expired');
+    expect(submission.transactionHash).toBeNull();
+  });
+
+  test('should not send a bundle whose simulation reverts', async () => {
+    const submission = await submit([await signTransfer(await sender.getNonce(), REVERTER)]);
+
+    expect(relay.requests.map(request => request.method)).toEqual(['eth_callBundle']);
+    expect(submission.status).toBe('simulation_failed');
+    expect(submission.attempts[0].simulation.success).toBe(false);
+    expect(submission.error).toBeTruthy();
+  });
+
+  describe('public fallback', () => {
+    const broadcast = (transactions, options = {}) => bundleSubmitter.submit(transactions, { chainId, relayUrl: null, provider, ...options });
+
+    // Mine a block every few milliseconds instead of one per transaction
+    const withIntervalMining = async (run) => {
+      await provider.send('evm_setAutomine', [false]);
+      await provider.send('evm_setIntervalMining', [20]);
+      try {
+        return await run();
+      } finally {
+        await provider.send('evm_setIntervalMining', [0]);
+        await provider.send('evm_setAutomine', [true]);
+      }
+    };
+
+    test('should broadcast without a relay and record the inclusion of the transaction', async () => {
+      const signed = await signTransfer(await sender.getNonce());
+      const updates = [];
+
+      const submission = await broadcast([signed], { onUpdate: update => updates.push(update.status) });
+
+      expect(relay.requests).toHaveLength(0);
+      expect(updates).toEqual(['submitted', 'included']);
+      expect(submission).toMatchObject({ mode: 'public', status: 'included', transactionHash: ethers.keccak256(signed) });
+      expect(submission.includedBlock).toBe(await provider.getBlockNumber());
+      expect(submission.gasUsed).toBe('21000');
+    });
+
+    test('should record a mined transaction that reverted', async () => {
+      const signed = await signTransfer(await sender.getNonce(), REVERTER);
+
+      const submission = await withIntervalMining(() => broadcast([signed]));
+
+      expect(submission.status).toBe('reverted');
+      expect(submission.transactionHash).toBe(ethers.keccak256(signed));
+    });
+
+    test('should expire when the transaction is not mined within maxBlocks blocks', async () => {
+      // A nonce gap keeps the transaction out of every block
+      const signed = await signTransfer(await sender.getNonce() + 1);
+      const startBlock = await provider.getBlockNumber();
+
+      const submission = await withIntervalMining(() => broadcast([signed], { maxBlocks: 2 }));
+      await provider.send('hardhat_dropTransaction', [ethers.keccak256(signed)]);
+
+      expect(submission).toMatchObject({ status: 'expired', includedBlock: null, error: 'Not mined within 2 blocks' });
+      expect(await provider.getBlockNumber()).toBeGreaterThanOrEqual(startBlock + 2);
+    });
+  });
+});
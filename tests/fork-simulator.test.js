@@ -0,0 +1,167 @@
+import { jest } from '@jest/globals';
+import hre from 'hardhat';
+import { ethers } from 'ethers';
+import fs from 'fs';
+import path from 'path';
+import solc from 'solc';
+import forkSimulator from '../src/services/trade-simulator/fork-simulator.js';
+import dexAdapterRegistry from '../src/services/dex-adapters/index.js';
+import rpcManager from '../src/services/rpc-manager.js';
+import { getDexConfig } from '../src/config/dex-config.js';
+
+const contractsDir = path.resolve('contracts');
+const simulatorArtifact = JSON.parse(fs.readFileSync(path.resolve('src/abis/RouteSimulator.json'), 'utf8'));
+
+// Compile the route simulator as scripts/compile-contracts.js does, and the mock tokens and router
+const compile = () => {
+  const sources = ['RouteSimulator.sol', 'mocks/MockERC20.sol', 'mocks/MockVyperERC20.sol', 'mocks/MockRouter.sol'];
+  const input = {
+    language: 'Solidity',
+    sources: Object.fromEntries(sources.map(file => [file, { content: fs.readFileSync(path.join(contractsDir, file), 'utf8') }])),
+    settings: {
+      optimizer: { enabled: true, runs: 200 },
+      outputSelection: { '*': { '*': ['abi', 'evm.bytecode.object', 'evm.deployedBytecode.object'] } }
+    }
+  };
+  const findImports = (importPath) => ({ contents: fs.readFileSync(path.join(contractsDir, importPath), 'utf8') });
+  const output = JSON.parse(solc.compile(JSON.stringify(input), { import: findImports }));
+  return {
+    RouteSimulator: output.contracts['RouteSimulator.sol'].RouteSimulator,
+    MockERC20: output.contracts['mocks/MockERC20.sol'].MockERC20,
+    MockVyperERC20: output.contracts['mocks/MockVyperERC20.sol'].MockVyperERC20,
+    MockRouter: output.contracts['mocks/MockRouter.sol'].MockRouter
+  };
+};
+
+const e18 = (amount) => ethers.parseUnits(amount, 18);
+
+describe('Fork simulator', () => {
+  let provider, owner, contracts, tokens, v2Router, v3Router;
+
+  beforeAll(async () => {
+    contracts = compile();
+    provider = new ethers.BrowserProvider(hre.network.provider);
+    owner = await provider.getSigner(0);
+
+    const deploy = async ({ abi, evm }) => {
+      const contract = await new ethers.ContractFactory(abi, evm.bytecode.object, owner).deploy();
+      return contract.waitForDeployment();
+    };
+
+    // Balances at slot 0 (Solidity layout), at slot 3 (Vyper layout), and a plain Solidity token
+    tokens = {
+      TKA: await deploy(contracts.MockERC20),
+      TKV: await deploy(contracts.MockVyperERC20),
+      TKB: await deploy(contracts.MockERC20)
+    };
+
+    // Mock routers at the real Uniswap V2 Router02 and V3 SwapRouter addresses
+    const routerAt = async (dexName) => {
+      const { router } = getDexConfig(dexName, 1);
+      await provider.send('hardhat_setCode', [router, `0x${contracts.MockRouter.evm.deployedBytecode.object}`]);
+      return new ethers.Contract(router, contracts.MockRouter.abi, owner);
+    };
+    v2Router = await routerAt('UNISWAP_V2');
+    v3Router = await routerAt('UNISWAP_V3');
+  }, 60000); // optimized compilation
+
+  beforeEach(() => {
+    forkSimulator.balanceSlots.clear();
+    jest.spyOn(rpcManager, 'execute').mockImplementation(call => call(provider));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  // Set a router's rate; returns the receipt of the block it was set in
+  const setRate = async (router, tokenIn, tokenOut, rate) => {
+    return (await router.setRate(tokens[tokenIn].target, tokens[tokenOut].target, e18(rate))).wait();
+  };
+
+  // Swap steps of a route, built by each DEX's adapter as the trade simulator builds them
+  const route = (...legs) => legs.map(([dex, tokenIn, tokenOut]) =>
+    dexAdapterRegistry.getAdapter(dex).getSwapStep({ dex, chainId: 1, feeTier: 3000 }, tokens[tokenIn].target, tokens[tokenOut].target)
+  );
+
+  test('should run the compiled RouteSimulator source', () => {
+    expect(simulatorArtifact.deployedBytecode).toBe(`0x${contracts.RouteSimulator.evm.deployedBytecode.object}`);
+    expect(forkSimulator.simulatorCode).toBe(simulatorArtifact.deployedBytecode);
+  });
+
+  test('should probe Solidity and Vyper balance mappings and cache them', async () => {
+    const send = jest.spyOn(forkSimulator, 'send');
+
+    expect(await forkSimulator.findBalanceSlot(tokens.TKA.target, 1)).toEqual({ slot: 0, layout: 'solidity' });
+    expect(await forkSimulator.findBalanceSlot(tokens.TKV.target, 1)).toEqual({ slot: 3, layout: 'vyper' });
+    // Solidity then Vyper at slots 0 to 3
+    expect(send).toHaveBeenCalledTimes(1 + 8);
+
+    await forkSimulator.findBalanceSlot(tokens.TKV.target, 1);
+    expect(send).toHaveBeenCalledTimes(9);
+    expect(forkSimulator.getStats().balanceSlots).toBe(2);
+
+    // Overrides are not written to the chain
+    expect(await tokens.TKV.balanceOf(forkSimulator.getStats().simulatorAddress)).toBe(0n);
+  });
+
+  test('should report a balance mapping outside the probed slots', async () => {
+    const maxBalanceSlot = forkSimulator.maxBalanceSlot;
+    forkSimulator.maxBalanceSlot = 3;
+    try {
+      await expect(forkSimulator.findBalanceSlot(tokens.TKV.target, 1))
+        .rejects.toThrow(`Balance mapping of ${tokens.TKV.target} not found in the first 3 slots`);
+    } finally {
+      forkSimulator.maxBalanceSlot = maxBalanceSlot;
+    }
+  });
+
+  test('should run a whole route in one call with overridden code and input balance', async () => {
+    await setRate(v2Router, 'TKV', 'TKA', '2');
+    await setRate(v3Router, 'TKA', 'TKB', '3');
+    await setRate(v2Router, 'TKB', 'TKV', '0.2');
+    const swaps = route(['UNISWAP_V2', 'TKV', 'TKA'], ['UNISWAP_V3', 'TKA', 'TKB'], ['UNISWAP_V2', 'TKB', 'TKV']);
+
+    const result = await forkSimulator.simulateRoute(swaps, e18('100'), { chainId: 1 });
+
+    expect(result).toMatchObject({ success: true, amountIn: e18('100').toString(), amountOut: e18('120').toString(), blockTag: 'latest' });
+    expect(result.swaps.map(swap => [swap.target, swap.amountOut])).toEqual([
+      [v2Router.target, e18('200').toString()],
+      [v3Router.target, e18('600').toString()],
+      [v2Router.target, e18('120').toString()]
+    ]);
+    // The whole input is spent and only the route's output is left
+    expect(result.finalBalances).toEqual({
+      [tokens.TKV.target]: e18('120').toString(),
+      [tokens.TKA.target]: '0',
+      [tokens.TKB.target]: '0'
+    });
+    const swapGas = result.swaps.reduce((sum, swap) => sum + BigInt(swap.gasUsed), 0n);
+    expect(BigInt(result.gasUsed)).toBe(swapGas + 21000n);
+
+    // Nothing was deployed or funded
+    const { simulatorAddress } = forkSimulator.getStats();
+    expect(await provider.getCode(simulatorAddress)).toBe('0x');
+    expect(await tokens.TKA.balanceOf(simulatorAddress)).toBe(0n);
+  });
+
+  test('should simulate against the state of a past block', async () => {
+    const { blockNumber } = await setRate(v2Router, 'TKA', 'TKB', '2');
+    await setRate(v2Router, 'TKA', 'TKB', '1.5');
+    const swaps = route(['UNISWAP_V2', 'TKA', 'TKB']);
+
+    const past = await forkSimulator.simulateRoute(swaps, e18('10'), { chainId: 1, blockTag: blockNumber });
+    const latest = await forkSimulator.simulateRoute(swaps, e18('10'), { chainId: 1 });
+
+    expect(past).toMatchObject({ amountOut: e18('20').toString(), blockTag: ethers.toQuantity(blockNumber) });
+    expect(latest.amountOut).toBe(e18('15').toString());
+  });
+
+  test('should decode route reverts', async () => {
+    const [swap] = route(['UNISWAP_V2', 'TKA', 'TKB']);
+
+    const result = await forkSimulator.simulateRoute([{ ...swap, kind: 7 }], e18('1'), { chainId: 1 });
+
+    expect(result).toEqual({ success: false, error: 'UnknownSwapKind(7)', amountIn: e18('1').toString() });
+  });
+});
@@ -1,4 +1,4 @@
-const HelperUtils = require('../src/utils/helpers');
+import HelperUtils from '../src/utils/helpers.js';
 
 describe('HelperUtils', () => {
   describe('formatTokenAmount', () => {
@@ -0,0 +1,154 @@
+import { jest } from '@jest/globals';
+import storage from '../src/storage/index.js';
+import priceFetcher from '../src/services/price-fetcher/index.js';
+import arbitrageDetector from '../src/services/arbitrage-detector/index.js';
+import opportunityLifecycle from '../src/services/opportunity-lifecycle.js';
+import opportunityRepository from '../src/repositories/opportunity-repository.js';
+import gasCostService from '../src/services/gas-cost.js';
+import tradeSimulator from '../src/services/trade-simulator/index.js';
+import dexAdapterRegistry from '../src/services/dex-adapters/index.js';
+import bot from '../src/index.js';
+import { ARBITRAGE_CONFIG } from '../src/config/constants.js';
+import priceNormalizer from '../src/utils/price-normalizer.js';
+import HelperUtils from '../src/utils/helpers.js';
+
+const USDC = '0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48';
+const WETH = '0xC02aaA39b223FE8D0A0e5C4F27eAD9083C756Cc2';
+const CHEAP_POOL = '0x397FF1542f962076d0BFE58eA045FfA2d347ACa0';
+const DEAR_POOL = '0xB4e16d0168e52d35CaCD2c6185b44281Ec28C9Dc';
+
+// V2 USDC/WETH pool holding 20,000 WETH against `usdcPerWeth` of USDC each, priced as the price
+// fetcher records it (WETH per USDC)
+const setPool = (dex, address, usdcPerWeth, { timestamp = Date.now() } = {}) => {
+  const reserve0 = BigInt(usdcPerWeth) * 20000n * 10n ** 6n;
+  const reserve1 = 20000n * 10n ** 18n;
+  priceFetcher.prices.set(`1:${dex}:3000`, {
+    dex,
+    chainId: 1,
+    tokenA: 'USDC',
+    tokenB: 'WETH',
+    feeTier: 3000,
+    price: new HelperUtils.BigNumber(1).dividedBy(usdcPerWeth),
+    poolAddress: address,
+    poolState: { type: 'V2', address, token0: USDC, token1: WETH, feeTier: 3000, reserve0: reserve0.toString(), reserve1: reserve1.toString(), blockNumber: 100 },
+    blockNumber: 100,
+    timestamp
+  });
+};
+
+// Detector output for WETH/USDC saved through the repository
+const detectAndSave = async () => {
+  const opportunity = await arbitrageDetector.detectSimpleArbitrage('WETH', 'USDC', 10000, 1);
+  const { opportunity: document } = await opportunityRepository.save(opportunity);
+  return { opportunity, document };
+};
+
+describe('Opportunity lifecycle', () => {
+  beforeEach(async () => {
+    await storage.initialize('memory');
+    priceFetcher.prices.clear();
+    priceNormalizer.usdPrices = { USDC: 1, WETH: 2500 };
+    jest.spyOn(arbitrageDetector, 'estimateRouteGasCost').mockResolvedValue({
+      gasCostUSD: new HelperUtils.BigNumber(5),
+      gasLimit: 300000,
+      effectiveGasPrice: '20000000000'
+    });
+
+    // WETH is 2% dearer on Uniswap V2
+    setPool('SUSHISWAP_V2', CHEAP_POOL, 2500);
+    setPool('UNISWAP_V2', DEAR_POOL, 2550);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    priceFetcher.prices.clear();
+  });
+
+  test('should keep detected opportunities valid through simulation', async () => {
+    const { opportunity, document } = await detectAndSave();
+
+    expect(opportunity).toMatchObject({ buyDex: 'SUSHISWAP_V2', sellDex: 'UNISWAP_V2', tradeToken: 'USDC' });
+    expect(document).toMatchObject({ dexA: 'SUSHISWAP_V2', poolA: CHEAP_POOL, tokenIn: USDC, tokenOut: WETH });
+
+    const validation = opportunityLifecycle.revalidate(document);
+    expect(validation.valid).toBe(true);
+    expect(parseFloat(validation.roundTripRate)).toBeGreaterThan(1.01);
+
+    const entry = await opportunityLifecycle.transition(document, 'simulated');
+    expect(entry).toMatchObject({ from: 'detected', to: 'simulated', roundTripRate: validation.roundTripRate });
+
+    await opportunityLifecycle.recordSimulation(document, { success: true, simulationTimestamp: new Date() });
+    const stored = await storage.opportunities.findById(document.id);
+    expect(stored.status).toBe('profitable');
+    expect(opportunityLifecycle.getHistory(stored).map(step => step.to)).toEqual(['detected', 'simulated', 'profitable']);
+    expect(stored.statusTimestamps.profitable).toBeInstanceOf(Date);
+  });
+
+  test('should simulate a saved opportunity end to end at the default trade size', async () => {
+    const { document } = await detectAndSave();
+
+    // Each leg quoted off the pool state the price fetcher holds
+    const quotes = [];
+    for (const dex of ['SUSHISWAP_V2', 'UNISWAP_V2']) {
+      const adapter = dexAdapterRegistry.getAdapter(dex);
+      const { poolState } = priceFetcher.prices.get(`1:${dex}:3000`);
+      jest.spyOn(adapter, 'getPoolsForPair').mockReturnValue([{ ...poolState, dex }]);
+      jest.spyOn(adapter, 'quote').mockImplementation(async (pool, tokenIn, tokenOut, amountIn) => {
+        quotes.push({ dex, tokenIn, amountIn });
+        return { amountOut: dexAdapterRegistry.getAmountOut(dex, poolState, tokenIn, amountIn), gasEstimate: 120000n };
+      });
+    }
+    jest.spyOn(gasCostService, 'estimateGasCostUSD').mockResolvedValue(new HelperUtils.BigNumber(2));
+    bot.services.tradeSimulator = tradeSimulator;
+
+    await bot.simulateOpportunity(document);
+
+    // The default USD size is bought with USDC on the cheap pool and sold back on the dear one
+    expect(quotes.map(({ dex, tokenIn }) => [dex, tokenIn])).toEqual([['SUSHISWAP_V2', USDC], ['UNISWAP_V2', WETH]]);
+    expect(quotes[0].amountIn).toBe(BigInt(ARBITRAGE_CONFIG.DEFAULT_TRADE_SIZE_USD) * 10n ** 6n);
+
+    const stored = await storage.opportunities.findById(document.id);
+    expect(stored.status).toBe('profitable');
+    expect(BigInt(stored.simulationResult.actualOutput)).toBeGreaterThan(quotes[0].amountIn);
+    expect(stored.simulationResult.gasUsed).toBe('240000');
+  });
+
+  test('should not detect opportunities whose gas cost is unknown', async () => {
+    arbitrageDetector.estimateRouteGasCost.mockRestore();
+    jest.spyOn(gasCostService, 'estimateGasCost').mockRejectedValue(new Error('No ETH price'));
+    const rejections = arbitrageDetector.stats.gasEstimateRejections;
+
+    expect(await arbitrageDetector.detectSimpleArbitrage('WETH', 'USDC', 10000, 1)).toBeNull();
+    expect(arbitrageDetector.stats.gasEstimateRejections).toBe(rejections + 1);
+  });
+
+  test('should expire opportunities whose spread closed, whose prices are stale or that are too old', async () => {
+    const { document } = await detectAndSave();
+    const now = Date.now();
+
+    expect(opportunityLifecycle.revalidate(document, now + opportunityLifecycle.maxAgeMs + 1000))
+      .toMatchObject({ valid: false, reason: 'Older than 300s' });
+
+    setPool('UNISWAP_V2', DEAR_POOL, 2550, { timestamp: now - opportunityLifecycle.maxPriceAgeMs - 1000 });
+    expect(opportunityLifecycle.revalidate(document, now).reason).toBe(`No fresh price for UNISWAP_V2 pool ${DEAR_POOL}`);
+
+    // Both pools back at the same price: the round trip only pays fees
+    setPool('UNISWAP_V2', DEAR_POOL, 2500);
+    const entry = await opportunityLifecycle.transition(document, 'simulated');
+    expect(entry.to).toBe('expired');
+    expect(document.expiryReason).toMatch(/^Spread closed: round trip returns 0\.99/);
+    expect((await storage.opportunities.findById(document.id)).status).toBe('expired');
+  });
+
+  test('should only allow transitions in OPPORTUNITY_TRANSITIONS', async () => {
+    const { document } = await detectAndSave();
+
+    await expect(opportunityLifecycle.transition(document, 'executed')).rejects.toThrow('Invalid opportunity transition from detected to executed');
+    expect(await opportunityLifecycle.transition(document, 'detected', { data: { notes: 'seen again' } })).toBeNull();
+
+    await opportunityLifecycle.transition(document, 'failed', { reason: 'Reverted' });
+    expect(opportunityLifecycle.isFinal(document.status)).toBe(true);
+    expect(await opportunityLifecycle.expire(document, 'Too late')).toBeNull();
+    expect(document.status).toBe('failed');
+  });
+});
@@ -0,0 +1,187 @@
+import HelperUtils from '../src/utils/helpers.js';
+import Opportunity from '../src/models/opportunity.js';
+import opportunityRepository from '../src/repositories/opportunity-repository.js';
+import priceNormalizer from '../src/utils/price-normalizer.js';
+
+const USDC = '0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48';
+const WETH = '0xC02aaA39b223FE8D0A0e5C4F27eAD9083C756Cc2';
+const DAI = '0x6B175474E89094C44Da98b954EedeAC495271d0F';
+const POOL_A = '0x88e6A0c2dDD26FEEb64F039a2c41296FcB3f5640';
+const POOL_B = '0x397FF1542f962076d0BFE58eA045FfA2d347ACa0';
+const POOL_C = '0xC3D03e4F041Fd4cD388c549Ee2A29a9E5075882f';
+
+const bn = (value) => new HelperUtils.BigNumber(value);
+const detectedAt = new Date('2026-01-01T00:00:00Z');
+
+// Simple opportunity as the detector emits it: traded in tokenB, USDC → WETH on the buy pool and
+// back on the sell pool
+const simpleOpportunity = (overrides = {}) => ({
+  id: 'simple_WETH_USDC_1',
+  type: 'simple',
+  chainId: 1,
+  timestamp: detectedAt.getTime(),
+  tokenA: 'WETH',
+  tokenB: 'USDC',
+  buyDex: 'UNISWAP_V3',
+  sellDex: 'SUSHISWAP_V2',
+  buyPrice: bn('2500'),
+  sellPrice: bn('2510.5'),
+  priceDifference: bn('10.5'),
+  priceDifferencePercent: bn('0.42'),
+  tradeAmount: bn('1000'),
+  tradeToken: 'USDC',
+  amountIn: '1000000000',
+  amountOut: '1004200000',
+  expectedOutput: bn('1004.2'),
+  grossProfit: bn('4.2'),
+  expectedProfit: bn('2.7'),
+  swapFees: bn('6'),
+  gasCost: bn('1.5'),
+  gasLimit: 300000,
+  gasPrice: '20000000000',
+  totalFees: bn('7.5'),
+  legs: [
+    { dex: 'UNISWAP_V3', pool: POOL_A, feeTier: 500, tokenIn: 'USDC', tokenOut: 'WETH', amountIn: '1000000000', amountOut: '400000000000000000' },
+    { dex: 'SUSHISWAP_V2', pool: POOL_B, feeTier: 3000, tokenIn: 'WETH', tokenOut: 'USDC', amountIn: '400000000000000000', amountOut: '1004200000' }
+  ],
+  feeBreakdown: [{ leg: 0, dex: 'UNISWAP_V3', pool: POOL_A, feeTier: 500, tokenIn: 'USDC', feeAmount: '0.5', feePercent: 0.05, feeUSD: 0.5 }],
+  blockNumber: 19000000,
+  poolA: { address: POOL_A, dex: 'UNISWAP_V3', feeTier: 500, liquidity: '0' },
+  poolB: {
+    address: POOL_B,
+    dex: 'SUSHISWAP_V2',
+    feeTier: 3000,
+    liquidity: '0',
+    state: { type: 'V2', token0: USDC, token1: WETH, reserve0: '5000000000000', reserve1: '2000000000000000000000' }
+  },
+  ...overrides
+});
+
+// Triangular opportunity USDC → WETH → DAI → USDC
+const triangularOpportunity = () => ({
+  id: 'triangular_USDC_1',
+  type: 'triangular',
+  chainId: 1,
+  timestamp: detectedAt.getTime(),
+  path: ['USDC', 'WETH', 'DAI', 'USDC'],
+  tradeAmount: bn('1000'),
+  expectedOutput: bn('1003'),
+  expectedProfit: bn('1.2'),
+  gasCost: bn('1.8'),
+  swapFees: bn('4'),
+  totalFees: bn('5.8'),
+  gasLimit: 450000,
+  gasPrice: '20000000000',
+  blockNumber: 19000000,
+  triangularPath: [
+    { dex: 'UNISWAP_V3', pool: POOL_A, feeTier: 500, tokenIn: 'USDC', tokenOut: 'WETH', amount: '1000', amountOut: '0.4' },
+    { dex: 'SUSHISWAP_V2', pool: POOL_B, feeTier: 3000, tokenIn: 'WETH', tokenOut: 'DAI', amount: '0.4', amountOut: '1003.5' },
+    { dex: 'CURVE_3POOL', pool: POOL_C, feeTier: 100, tokenIn: 'DAI', tokenOut: 'USDC', amount: '1003.5', amountOut: '1003' }
+  ]
+});
+
+describe('OpportunityRepository', () => {
+  test('should map a simple opportunity onto the Opportunity schema', () => {
+    const document = opportunityRepository.toDocument(simpleOpportunity(), { detectedAt });
+
+    expect(document).toMatchObject({
+      id: opportunityRepository.getContentHash(simpleOpportunity()),
+      dexA: 'UNISWAP_V3',
+      dexB: 'SUSHISWAP_V2',
+      tokenIn: USDC,
+      tokenOut: WETH,
+      tokenInSymbol: 'USDC',
+      tokenOutSymbol: 'WETH',
+      amountIn: '1000000000',
+      amountOutExpected: '1004200000',
+      tradeSizeUSD: 1000,
+      priceA: '2500',
+      priceB: '2510.5',
+      expectedProfitUSD: 2.7,
+      grossProfitUSD: 4.2,
+      netProfitUSD: 2.7,
+      profitPercentage: 0.42,
+      gasEstimate: '300000',
+      gasPrice: '20000000000',
+      gasCostUSD: 1.5,
+      swapFeesUSD: 6,
+      totalFeesUSD: 7.5,
+      poolA: POOL_A,
+      poolB: POOL_B,
+      liquidityAUSD: 0,
+      blockNumber: 19000000,
+      status: 'detected',
+      metadata: { chainId: 1, detectorId: 'simple_WETH_USDC_1', type: 'simple', blockNumber: 19000000 }
+    });
+    expect(document.triangularPath).toBeUndefined();
+    expect(new Opportunity(document).validateSync()).toBeUndefined();
+    expect(new Opportunity(document).feeBreakdown[0].toObject()).toMatchObject({ feeTier: 500, feePercent: 0.05, feeUSD: 0.5 });
+  });
+
+  test('should trade tokenB on the buy pool when the detector recorded no legs', () => {
+    const { legs, ...withoutLegs } = simpleOpportunity();
+    const document = opportunityRepository.toDocument(withoutLegs, { detectedAt });
+
+    expect(legs[0]).toMatchObject({ tokenIn: 'USDC', tokenOut: 'WETH' });
+    expect(document).toMatchObject({ dexA: 'UNISWAP_V3', tokenInSymbol: 'USDC', tokenOutSymbol: 'WETH', poolA: POOL_A, poolB: POOL_B });
+    expect(opportunityRepository.getContentHash(withoutLegs)).toBe(opportunityRepository.getContentHash(simpleOpportunity()));
+  });
+
+  test('should value V2 pool reserves at USD prices', () => {
+    priceNormalizer.usdPrices = { USDC: 1, WETH: 2500 };
+    const document = opportunityRepository.toDocument(simpleOpportunity(), { detectedAt });
+
+    // 5M USDC and 2000 WETH
+    expect(document.liquidityBUSD).toBe(10000000);
+    expect(document.liquidityAUSD).toBe(0);
+    expect(new Opportunity(document).validateSync()).toBeUndefined();
+  });
+
+  test('should map a triangular opportunity from its first and last hop', () => {
+    const document = opportunityRepository.toDocument(triangularOpportunity(), { detectedAt });
+
+    expect(document).toMatchObject({
+      dexA: 'UNISWAP_V3',
+      dexB: 'CURVE_3POOL',
+      tokenIn: USDC,
+      tokenOut: WETH,
+      poolA: POOL_A,
+      poolB: POOL_C,
+      grossProfitUSD: 3,
+      metadata: { type: 'triangular', detectorId: 'triangular_USDC_1' }
+    });
+    expect(document.triangularPath.map(step => [step.tokenIn, step.tokenOut, step.pool])).toEqual([
+      [USDC, WETH, POOL_A],
+      [WETH, DAI, POOL_B],
+      [DAI, USDC, POOL_C]
+    ]);
+    expect(new Opportunity(document).validateSync()).toBeUndefined();
+  });
+
+  test('should key the same route at the same block on the same content hash', () => {
+    const first = opportunityRepository.getContentHash(simpleOpportunity());
+    const again = opportunityRepository.getContentHash(simpleOpportunity({
+      id: 'simple_WETH_USDC_2',
+      timestamp: Date.now(),
+      expectedProfit: bn('3.1'),
+      poolA: { address: POOL_A.toLowerCase(), liquidity: '0' }
+    }));
+
+    expect(first).toMatch(/^[0-9a-f]{64}$/);
+    expect(again).toBe(first);
+  });
+
+  test('should key another block, direction or chain on a different content hash', () => {
+    const hash = opportunityRepository.getContentHash(simpleOpportunity());
+    const [buyLeg, sellLeg] = simpleOpportunity().legs;
+    const reversed = simpleOpportunity({
+      buyDex: 'SUSHISWAP_V2',
+      sellDex: 'UNISWAP_V3',
+      legs: [{ ...buyLeg, dex: 'SUSHISWAP_V2', pool: POOL_B }, { ...sellLeg, dex: 'UNISWAP_V3', pool: POOL_A }]
+    });
+
+    expect(opportunityRepository.getContentHash(simpleOpportunity({ blockNumber: 19000001 }))).not.toBe(hash);
+    expect(opportunityRepository.getContentHash(reversed)).not.toBe(hash);
+    expect(opportunityRepository.getContentHash(simpleOpportunity({ chainId: 137 }))).not.toBe(hash);
+  });
+});
@@ -0,0 +1,69 @@
+import { jest } from '@jest/globals';
+import poolDiscovery from '../src/services/pool-discovery.js';
+import rpcManager from '../src/services/rpc-manager.js';
+
+const TICK_SPACING = 60;
+
+// Discovered V3 pool at tick 0 whose ticks have not been loaded
+const v3Pool = () => ({
+  dex: 'UNISWAP_V3',
+  chainId: 1,
+  address: '0x00000000000000000000000000000000000000f1',
+  tick: 0,
+  tickSpacing: TICK_SPACING,
+  liquidity: '1000'
+});
+
+// Multicall results of loadTicks: one initialized tick at 600 (liquidityNet 100) in word 0
+const tickResults = (calls) => calls.map(({ method, args: [arg] }) => {
+  if (method === 'tickBitmap') {
+    return { success: true, result: [arg === 0 ? 1n << 10n : 0n] };
+  }
+  return { success: true, result: { liquidityGross: 100n, liquidityNet: arg === 600 ? 100n : 0n } };
+});
+
+describe('PoolDiscovery tick loading', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should replay liquidity changes logged after the block a tick load read at', async () => {
+    const pool = v3Pool();
+    let readBitmap;
+    jest.spyOn(rpcManager, 'multicall').mockImplementation(async (calls) => {
+      if (calls[0].method === 'tickBitmap') {
+        await new Promise(resolve => { readBitmap = resolve; });
+      }
+      return tickResults(calls);
+    });
+
+    const load = poolDiscovery.scheduleTickLoad(pool, 100);
+
+    // Logs applied while the load is in flight: one already in the block it reads, one after it
+    poolDiscovery.applyLiquidityChange(pool, -120, 600, 50n, 100);
+    poolDiscovery.applyLiquidityChange(pool, -120, 600, 30n, 101);
+    readBitmap();
+    await load;
+
+    expect(pool.ticks).toEqual([
+      { tick: -120, liquidityNet: '30', liquidityGross: '30' },
+      { tick: 600, liquidityNet: '70', liquidityGross: '130' }
+    ]);
+    expect(pool.ticksBlockNumber).toBe(100);
+    expect(poolDiscovery.tickLoadChanges.size).toBe(0);
+  });
+
+  test('should load ticks again after a failed load', async () => {
+    const pool = v3Pool();
+    jest.spyOn(rpcManager, 'multicall').mockRejectedValueOnce(new Error('RPC down'));
+
+    await poolDiscovery.scheduleTickLoad(pool, 100);
+    Object.assign(pool, { tickWordRange: { lower: -2, upper: 2 }, ticks: [] });
+    expect(poolDiscovery.needsTickLoad(pool)).toBe(true);
+
+    rpcManager.multicall.mockImplementation(async (calls) => tickResults(calls));
+    await poolDiscovery.scheduleTickLoad(pool, 101);
+    expect(pool.ticks).toEqual([{ tick: 600, liquidityNet: '100', liquidityGross: '100' }]);
+    expect(poolDiscovery.needsTickLoad(pool)).toBe(false);
+  });
+});
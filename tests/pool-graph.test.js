@@ -0,0 +1,53 @@
+import PoolGraph from '../src/services/arbitrage-detector/pool-graph.js';
+import tokenRegistry from '../src/config/token-registry.js';
+
+// Registry tokens of chain 1 in the graph's search order (lowest address first)
+const [T0, T1, T2, T3] = ['WETH', 'USDC', 'DAI', 'USDT']
+  .map(symbol => tokenRegistry.getToken(symbol, 1).address.toLowerCase())
+  .sort();
+
+let nextPool = 0;
+
+// V2 pool quoting `rate` raw token1 per raw token0
+const pool = (token0, token1, rate) => ({
+  dex: 'UNISWAP_V2',
+  state: {
+    type: 'V2',
+    address: `0x${(++nextPool).toString(16).padStart(40, '0')}`,
+    token0,
+    token1,
+    feeTier: 3000,
+    reserve0: '1000000000000',
+    reserve1: String(1000000000000 * rate)
+  }
+});
+
+describe('PoolGraph', () => {
+  test('should rank every cycle within maxHops, not the first ones found', () => {
+    // A 2% spread on the first token the search starts from, a 10% one between later tokens
+    const graph = PoolGraph.fromPools([
+      pool(T0, T1, 1), pool(T0, T1, 1.02),
+      pool(T2, T3, 1), pool(T2, T3, 1.1)
+    ], 1);
+
+    const [best] = graph.findCycles({ maxCycles: 1 });
+    expect(best.hops.map(hop => hop.tokenIn).sort()).toEqual([T2, T3]);
+    expect(best.spotReturn).toBeCloseTo(1.1 * 0.997 * 0.997, 6);
+
+    const all = graph.findCycles();
+    expect(all.map(cycle => cycle.hops[0].tokenIn)).toEqual([T2, T0]);
+  });
+
+  test('should keep the most negative cycles when there are more than maxCycles', () => {
+    const spreads = [1.01, 1.05, 1.02, 1.08, 1.03];
+    const graph = PoolGraph.fromPools(spreads.flatMap(rate => [pool(T0, T1, 1), pool(T0, T1, rate)]), 1);
+
+    // Every cheap pool pairs with every dearer one
+    const all = graph.findCycles({ maxHops: 2 });
+    const kept = graph.findCycles({ maxHops: 2, maxCycles: 3 });
+
+    expect(kept).toHaveLength(3);
+    expect(kept.map(cycle => cycle.weight)).toEqual(all.slice(0, 3).map(cycle => cycle.weight));
+    expect(kept[0].spotReturn).toBeCloseTo(1.08 * 0.997 * 0.997, 6);
+  });
+});
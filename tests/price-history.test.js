@@ -0,0 +1,103 @@
+import express from 'express';
+import request from 'supertest';
+import storage from '../src/storage/index.js';
+import priceHistory from '../src/services/price-history.js';
+import pricesRoutes from '../src/api/routes/prices.js';
+
+const POOL = '0x88e6A0c2dDD26FEEb64F039a2c41296FcB3f5640';
+const MINUTE = 60 * 1000;
+const T0 = Date.UTC(2026, 0, 1, 12, 0, 0);
+
+// Price update as notified by the price fetcher
+const priceUpdate = (price, blockNumber, timestamp, overrides = {}) => ({
+  dex: 'UNISWAP_V3',
+  chainId: 1,
+  tokenA: 'USDC',
+  tokenB: 'WETH',
+  feeTier: 500,
+  price,
+  liquidity: '1000000',
+  poolAddress: POOL,
+  blockNumber,
+  timestamp,
+  ...overrides
+});
+
+describe('Price history', () => {
+  beforeEach(async () => {
+    await storage.initialize('memory');
+    priceHistory.buffer = [];
+    priceHistory.lastBlocks.clear();
+  });
+
+  test('should store one snapshot per pool and block and serve the latest prices', async () => {
+    const now = Date.now();
+    expect(priceHistory.record(priceUpdate('0.0004', 100, now - 2000))).toBe(true);
+    expect(priceHistory.record(priceUpdate('0.00041', 100, now - 1000))).toBe(false);
+    expect(priceHistory.record(priceUpdate('0.00042', 101, now))).toBe(true);
+
+    expect(await priceHistory.flush()).toBe(2);
+    expect(await storage.priceSnapshots.count({ pool: POOL.toLowerCase() })).toBe(2);
+
+    const { realTime, summary, pairs } = await priceHistory.getLatestPrices();
+    expect(realTime).toHaveLength(1);
+    expect(realTime[0]).toMatchObject({ dex: 'UNISWAP_V3', tokenPair: 'USDC/WETH', price: 0.00042, blockNumber: 101 });
+    expect(summary).toMatchObject({ totalPairs: 1, totalPools: 1, blockNumber: 101 });
+    expect(Object.keys(pairs)).toEqual(['USDC/WETH']);
+  });
+
+  test('should roll snapshots up into 1m, 5m and 1h candles and apply retention', async () => {
+    // Two minutes of snapshots, then one in the next hour
+    const prices = [['2', 0], ['5', 20], ['1', 40], ['3', 60], ['4', 90]];
+    prices.forEach(([price, seconds], index) => priceHistory.record(priceUpdate(price, 100 + index, T0 + seconds * 1000)));
+    priceHistory.record(priceUpdate('6', 200, T0 + 61 * MINUTE));
+
+    expect(await priceHistory.rollup(T0 + 62 * MINUTE)).toBeGreaterThan(0);
+
+    const candles = async (interval) => storage.priceCandles.find({ interval }, { sort: { start: 1 } });
+    const ohlc = ({ open, high, low, close, count }) => [open, high, low, close, count];
+
+    expect((await candles('1m')).map(ohlc)).toEqual([['2', '5', '1', '1', 3], ['3', '4', '3', '4', 2], ['6', '6', '6', '6', 1]]);
+    expect((await candles('5m')).map(ohlc)).toEqual([['2', '5', '1', '4', 5]]); // 13:00-13:05 still open
+    expect((await candles('1h')).map(ohlc)).toEqual([['2', '5', '1', '4', 5]]);
+    expect((await candles('1h'))[0]).toMatchObject({ startBlock: 100, endBlock: 104 });
+
+    // Nothing new to roll up
+    expect(await priceHistory.rollup(T0 + 62 * MINUTE)).toBe(0);
+
+    // Snapshots are kept a day, 1m candles a week, 5m candles a month
+    expect(await priceHistory.applyRetention(T0 + 8 * 24 * 60 * MINUTE)).toBe(9);
+    expect(await storage.priceSnapshots.count()).toBe(0);
+    expect(await storage.priceCandles.count({ interval: '1m' })).toBe(0);
+    expect(await storage.priceCandles.count({ interval: '5m' })).toBe(1);
+    expect(await storage.priceCandles.count({ interval: '1h' })).toBe(1);
+  });
+
+  test('should serve pool and pair history including candles not rolled up yet', async () => {
+    priceHistory.record(priceUpdate('2', 100, T0));
+    priceHistory.record(priceUpdate('4', 101, T0 + 30 * 1000));
+    await priceHistory.rollup(T0 + MINUTE + 1000);
+    priceHistory.record(priceUpdate('5', 102, T0 + MINUTE + 2000));
+    await priceHistory.flush();
+
+    const app = express();
+    app.use('/api/prices', pricesRoutes);
+    const range = `from=${new Date(T0).toISOString()}&to=${T0 + 2 * MINUTE}`;
+
+    const byPool = await request(app).get(`/api/prices/history?pool=${POOL}&interval=1m&${range}`);
+    expect(byPool.status).toBe(200);
+    expect(byPool.body.data.series).toHaveLength(1);
+    expect(byPool.body.data.series[0].points.map(candle => [candle.open, candle.high, candle.low, candle.close]))
+      .toEqual([['2', '4', '2', '4'], ['5', '5', '5', '5']]);
+
+    const reversed = await request(app).get(`/api/prices/history?pair=WETH/USDC&interval=1m&${range}`);
+    expect(reversed.body.data.series[0]).toMatchObject({ tokenA: 'WETH', tokenB: 'USDC', inverted: true });
+    expect(reversed.body.data.series[0].points[0]).toMatchObject({ open: '0.5', high: '0.5', low: '0.25', close: '0.25' });
+
+    const raw = await request(app).get(`/api/prices/history?tokenA=USDC&tokenB=WETH&interval=raw&${range}`);
+    expect(raw.body.data.series[0].points.map(snapshot => [snapshot.blockNumber, snapshot.price])).toEqual([[100, '2'], [101, '4'], [102, '5']]);
+
+    expect((await request(app).get('/api/prices/history?interval=1m')).status).toBe(400);
+    expect((await request(app).get(`/api/prices/history?pool=${POOL}&interval=15m`)).status).toBe(400);
+  });
+});
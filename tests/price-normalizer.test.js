@@ -0,0 +1,81 @@
+import { jest } from '@jest/globals';
+import priceNormalizer from '../src/utils/price-normalizer.js';
+import usdOracle from '../src/services/usd-oracle.js';
+import priceFetcher from '../src/services/price-fetcher/index.js';
+import logSubscriber from '../src/services/log-subscriber.js';
+import rpcManager from '../src/services/rpc-manager.js';
+
+const USDC = '0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48';
+const WETH = '0xC02aaA39b223FE8D0A0e5C4F27eAD9083C756Cc2';
+
+// Price fetcher entry of a V2 USDC/WETH pool at 2500 USDC per WETH, fetched `ageMs` ago
+const wethEntry = (ageMs = 0) => ({
+  dex: 'UNISWAP_V2',
+  chainId: 1,
+  tokenA: 'USDC',
+  tokenB: 'WETH',
+  price: 1 / 2500,
+  poolState: {
+    type: 'V2',
+    token0: USDC,
+    token1: WETH,
+    reserve0: (2500n * 1000n * 10n ** 6n).toString(),
+    reserve1: (1000n * 10n ** 18n).toString()
+  },
+  timestamp: Date.now() - ageMs
+});
+
+describe('PriceNormalizer USD prices', () => {
+  test('should drop a token whose pool quotes went stale instead of keeping its last price', () => {
+    priceNormalizer.updateUsdPrices(usdOracle.update([wethEntry()]));
+    expect(priceNormalizer.getUsdPrice('WETH')).toBeCloseTo(2500);
+    expect(priceNormalizer.getUsdPrice('USDC')).toBe(1);
+
+    priceNormalizer.updateUsdPrices(usdOracle.update([wethEntry(usdOracle.maxPriceAgeMs + 1000)]));
+    expect(priceNormalizer.getUsdPrice('WETH')).toBe(0);
+    expect(priceNormalizer.getUsdPrice('USDC')).toBe(1);
+  });
+});
+
+describe('Log mode price confirmation', () => {
+  const POOL = '0x00000000000000000000000000000000000000e1';
+
+  beforeEach(() => {
+    priceFetcher.prices.clear();
+    priceFetcher.unsyncedPools.clear();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    priceFetcher.prices.clear();
+  });
+
+  test('should keep pricing quiet pools once a block range without their logs is synced', async () => {
+    priceFetcher.prices.set('1:UNISWAP_V2:3000', { ...wethEntry(usdOracle.maxPriceAgeMs + 1000), poolAddress: POOL });
+    jest.spyOn(rpcManager, 'execute').mockResolvedValue([]);
+    const subscription = {
+      chainId: 1,
+      getAddresses: () => [POOL],
+      topics: [],
+      onLogs: jest.fn(),
+      onSync: () => priceFetcher.confirmPrices(1),
+      lastBlock: 100,
+      isSyncing: false,
+      stats: { ranges: 0, logs: 0, errors: 0 }
+    };
+
+    await logSubscriber.sync(subscription, 101);
+
+    expect(subscription.onLogs).not.toHaveBeenCalled();
+    expect(priceNormalizer.getUsdPrice('WETH')).toBeCloseTo(2500);
+  });
+
+  test('should not confirm pools whose logged changes could not be read', () => {
+    priceFetcher.prices.set('1:UNISWAP_V2:3000', { ...wethEntry(usdOracle.maxPriceAgeMs + 1000), poolAddress: POOL });
+    priceFetcher.unsyncedPools.add(priceFetcher.getPoolId(1, POOL));
+
+    priceFetcher.confirmPrices(1);
+
+    expect(priceNormalizer.getUsdPrice('WETH')).toBe(0);
+  });
+});
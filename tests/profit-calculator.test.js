@@ -0,0 +1,199 @@
+import { jest } from '@jest/globals';
+import profitCalculator from '../src/services/profit-calculator/index.js';
+import flashLoanService from '../src/services/flash-loans.js';
+import gasCostService from '../src/services/gas-cost.js';
+import priceNormalizer from '../src/utils/price-normalizer.js';
+import SwapMath from '../src/utils/swap-math.js';
+import HelperUtils from '../src/utils/helpers.js';
+
+const USDC = '0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48'; // token0
+const WETH = '0xC02aaA39b223FE8D0A0e5C4F27eAD9083C756Cc2'; // token1
+
+// V2 USDC/WETH pool holding `weth` WETH priced at `usdcPerWeth`
+const v2Pool = (address, usdcPerWeth, weth = 1000n, feeTier = 3000) => ({
+  type: 'V2',
+  address,
+  token0: USDC,
+  token1: WETH,
+  feeTier,
+  reserve0: (BigInt(usdcPerWeth) * weth * 10n ** 6n).toString(),
+  reserve1: (weth * 10n ** 18n).toString()
+});
+
+// V3 USDC/WETH pool priced at `usdcPerWeth` with constant in-range liquidity
+const v3Pool = (address, usdcPerWeth, liquidity, feeTier = 500) => {
+  const rawPrice = 1e18 / (usdcPerWeth * 1e6); // raw WETH per raw USDC
+  const tick = SwapMath.getTickAtSqrtRatio(BigInt(Math.floor(Math.sqrt(rawPrice) * 2 ** 96)));
+  return {
+    type: 'V3',
+    address,
+    token0: USDC,
+    token1: WETH,
+    feeTier,
+    sqrtPriceX96: SwapMath.getSqrtRatioAtTick(tick).toString(),
+    liquidity: liquidity.toString(),
+    tick,
+    ticks: []
+  };
+};
+
+// USDC back from a round trip of raw USDC: bought WETH on one pool, sold on the other
+const roundTrip = (buy, sell, amountIn) => {
+  const weth = SwapMath.getAmountOut(buy, USDC, amountIn);
+  return weth > 0n ? SwapMath.getAmountOut(sell, WETH, weth) : 0n;
+};
+
+// Raw profit of a round trip whose input also pays a flash-loan fee (in pips)
+const profitAt = (buy, sell, flashFeePips = 0n) => (amountIn) =>
+  roundTrip(buy, sell, amountIn) - amountIn - (amountIn * flashFeePips) / 1000000n;
+
+// Brute-force maximum of a function of raw inputs on (0, max]: a grid, refined twice around its best point
+const bruteForce = (fn, max, steps = 400n) => {
+  let [lo, hi] = [1n, max];
+  let best = null;
+  for (let round = 0; round < 3; round++) {
+    const step = (hi - lo) / steps || 1n;
+    for (let x = lo; x <= hi; x += step) {
+      const value = fn(x);
+      if (!best || value > best.value) best = { x, value };
+    }
+    [lo, hi] = [best.x > step ? best.x - step : 1n, best.x + step];
+  }
+  return best;
+};
+
+const MAX_IN = 500000n * 10n ** 6n; // 500k USDC
+
+// Closed form within 0.5% of the brute-force input, and at least as profitable to a millionth
+const expectOptimal = (closedForm, fn) => {
+  const best = bruteForce(fn, MAX_IN);
+  expect(closedForm).not.toBeNull();
+  expect(Math.abs(Number(closedForm - best.x)) / Number(best.x)).toBeLessThan(0.005);
+  expect(Number(fn(closedForm))).toBeGreaterThanOrEqual(Number(best.value) * 0.999999);
+  return best;
+};
+
+describe('Two-pool trade sizing', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should match the brute-force optimum on two V2 pools', () => {
+    const buy = v2Pool('0x00000000000000000000000000000000000000a1', 2500);
+    const sell = v2Pool('0x00000000000000000000000000000000000000a2', 2550);
+
+    const closedForm = profitCalculator.solveTwoPoolClosedForm(buy, sell, WETH, USDC);
+    expectOptimal(closedForm, profitAt(buy, sell));
+
+    // No profitable size once the spread is below the fees
+    expect(profitCalculator.solveTwoPoolClosedForm(buy, v2Pool('0x00000000000000000000000000000000000000a3', 2510), WETH, USDC)).toBeNull();
+  });
+
+  test('should match the brute-force optimum on a V3 and a V2 pool', () => {
+    // 5e16 liquidity at 2500 USDC/WETH holds 2.5M USDC and 1000 WETH of virtual reserves
+    const v3 = v3Pool('0x00000000000000000000000000000000000000b1', 2500, 5n * 10n ** 16n);
+    const v2 = v2Pool('0x00000000000000000000000000000000000000b2', 2550);
+
+    expectOptimal(profitCalculator.solveTwoPoolClosedForm(v3, v2, WETH, USDC), profitAt(v3, v2));
+
+    const dearV3 = v3Pool('0x00000000000000000000000000000000000000b3', 2550, 5n * 10n ** 16n);
+    const cheapV2 = v2Pool('0x00000000000000000000000000000000000000b4', 2500);
+    expectOptimal(profitCalculator.solveTwoPoolClosedForm(cheapV2, dearV3, WETH, USDC), profitAt(cheapV2, dearV3));
+  });
+
+  test('should size smaller with a flash-loan fee and report the brute-force net optimum', async () => {
+    const buy = v2Pool('0x00000000000000000000000000000000000000c1', 2500);
+    const sell = v3Pool('0x00000000000000000000000000000000000000c2', 2550, 5n * 10n ** 16n);
+    const flashFeePips = 900n; // 0.09%
+
+    const withoutFee = profitCalculator.solveTwoPoolClosedForm(buy, sell, WETH, USDC);
+    const withFee = profitCalculator.solveTwoPoolClosedForm(buy, sell, WETH, USDC, 0.0009);
+    const best = expectOptimal(withFee, profitAt(buy, sell, flashFeePips));
+    expect(withFee).toBeLessThan(withoutFee);
+
+    // Full sizing in USD, net of $5 of gas and the flash-loan fee
+    priceNormalizer.usdPrices = { ...priceNormalizer.usdPrices, USDC: 1, WETH: 2500 };
+    jest.spyOn(flashLoanService, 'getFeeRate').mockReturnValue(new HelperUtils.BigNumber(0.0009));
+    jest.spyOn(profitCalculator, 'calculateGasCost').mockResolvedValue(new HelperUtils.BigNumber(5));
+
+    const sizing = await profitCalculator.calculateOptimalTwoPoolSize({
+      type: 'simple',
+      chainId: 1,
+      tokenA: 'WETH',
+      tokenB: 'USDC',
+      poolA: { address: buy.address, state: buy },
+      poolB: { address: sell.address, state: sell }
+    }, new HelperUtils.BigNumber(100), new HelperUtils.BigNumber(500000));
+
+    const bestNetUSD = Number(best.value) / 1e6 - 5;
+    expect(parseFloat(sizing.expectedProfit)).toBeCloseTo(bestNetUSD, 2);
+    expect(Math.abs(parseFloat(sizing.optimalSize) - Number(best.x) / 1e6) / (Number(best.x) / 1e6)).toBeLessThan(0.005);
+    expect(parseFloat(sizing.flashFee)).toBeCloseTo(parseFloat(sizing.optimalSize) * 0.0009, 4);
+    expect(sizing.profitCurve.every(point => point.netProfitUSD <= parseFloat(sizing.expectedProfit) + 1e-6)).toBe(true);
+  });
+});
+
+describe('Profit analysis', () => {
+  beforeEach(() => {
+    priceNormalizer.usdPrices = { ...priceNormalizer.usdPrices, USDC: 1, DAI: 1, WETH: 2500 };
+    jest.spyOn(flashLoanService, 'getFeeRate').mockReturnValue(new HelperUtils.BigNumber(0));
+    jest.spyOn(profitCalculator, 'calculateGasCost').mockResolvedValue(new HelperUtils.BigNumber(5));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should trade the USD size in tokenB and net the fees out of the exact prices once', async () => {
+    // WETH bought at 2500 USDC and sold at 2475 USDC per WETH: 1% more WETH back, after pool fees
+    const analysis = await profitCalculator.calculateSimpleArbitrageProfit({
+      type: 'simple',
+      chainId: 1,
+      tokenA: 'USDC',
+      tokenB: 'WETH',
+      buyDex: 'UNISWAP_V2',
+      sellDex: 'UNISWAP_V3',
+      buyPrice: 0.0004,
+      sellPrice: 0.000404,
+      poolA: { feeTier: 3000 },
+      poolB: { feeTier: 500 }
+    }, 1000);
+
+    expect(analysis.amountIn).toBe((4n * 10n ** 17n).toString()); // $1000 of WETH
+    expect(parseFloat(analysis.grossProfit)).toBeCloseTo(10, 9);
+    expect(parseFloat(analysis.netProfit)).toBeCloseTo(5, 9);
+    expect(parseFloat(analysis.totalFees)).toBeCloseTo(5, 9);
+
+    // Reported: the output before both pool fees less the output
+    expect(parseFloat(analysis.swapFees)).toBeCloseTo(1010 / (0.997 * 0.9995) - 1010, 6);
+  });
+
+  test('should not value a route whose gas cost cannot be estimated', async () => {
+    profitCalculator.calculateGasCost.mockRestore();
+    jest.spyOn(gasCostService, 'estimateGasCostUSD').mockRejectedValue(new Error('No fee data for chain 1'));
+    const opportunity = { type: 'simple', chainId: 1, tokenA: 'USDC', tokenB: 'WETH', buyDex: 'UNISWAP_V2', sellDex: 'UNISWAP_V2', buyPrice: 0.0004, sellPrice: 0.000404 };
+
+    await expect(profitCalculator.calculateSimpleArbitrageProfit(opportunity, 1000)).rejects.toThrow('No fee data for chain 1');
+    expect((await profitCalculator.calculateOptimalTradeSize(opportunity)).expectedProfit).toBe('0');
+  });
+
+  test('should value a triangular route in USD at the start token price', async () => {
+    // Stored path of a WETH -> USDC -> DAI -> WETH cycle returning 1% after pool fees; legs output $1000, $1000, $1010
+    const analysis = await profitCalculator.calculateTriangularArbitrageProfit({
+      type: 'triangular',
+      chainId: 1,
+      path: ['WETH', 'USDC', 'DAI'],
+      trades: [
+        { dex: 'UNISWAP_V2', tokenIn: 'WETH', tokenOut: 'USDC', feeTier: 3000, amount: '1000000000000000000', amountOut: '2500000000' },
+        { dex: 'UNISWAP_V2', tokenIn: 'USDC', tokenOut: 'DAI', feeTier: 3000, amount: '2500000000', amountOut: '2500000000000000000000' },
+        { dex: 'UNISWAP_V2', tokenIn: 'DAI', tokenOut: 'WETH', feeTier: 3000, amount: '2500000000000000000000', amountOut: '1010000000000000000' }
+      ]
+    }, 1000);
+
+    expect(analysis.initialAmount).toBe((4n * 10n ** 17n).toString());
+    expect(analysis.finalAmount).toBe((404n * 10n ** 15n).toString());
+    expect(parseFloat(analysis.grossProfit)).toBeCloseTo(10, 9);
+    expect(parseFloat(analysis.netProfit)).toBeCloseTo(5, 9);
+    expect(parseFloat(analysis.swapFees)).toBeCloseTo((1000 + 1000 + 1010) * (1 / 0.997 - 1), 6);
+  });
+});
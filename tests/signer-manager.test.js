@@ -0,0 +1,189 @@
+import { jest } from '@jest/globals';
+import hre from 'hardhat';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { ethers } from 'ethers';
+import signerManager from '../src/services/trade-executor/signer-manager.js';
+import bundleSubmitter from '../src/services/trade-executor/bundle-submitter.js';
+import rpcManager from '../src/services/rpc-manager.js';
+import gasCostService from '../src/services/gas-cost.js';
+
+// Hardhat's second and third default accounts
+const KEYS = [
+  '0x59c6995e998f97a5a0044966f0945389dc9e86dae88c7a8412f4603b6b78690d',
+  '0x5de4111afa1a4b94908f83103eb1f1706367c2e68ca870fc3fb9a804cdab365a'
+];
+const RECIPIENT = '0x00000000000000000000000000000000000000f1';
+
+// Fees below any base fee: transactions signed with them stay in the mempool
+const STUCK_FEES = { type: 2, maxFeePerGas: 1n, maxPriorityFeePerGas: 1n };
+
+describe('SignerManager', () => {
+  let provider, chainId, addresses;
+
+  beforeAll(async () => {
+    // Uncached, so nonce counts are read fresh between transactions
+    provider = new ethers.BrowserProvider(hre.network.provider, undefined, { cacheTimeout: -1 });
+    chainId = Number((await provider.getNetwork()).chainId);
+    bundleSubmitter.pollInterval = 10;
+  });
+
+  beforeEach(() => {
+    signerManager.wallets.clear();
+    signerManager.nonces.clear();
+    signerManager.leases.clear();
+    addresses = KEYS.map(key => signerManager.addWallet(new ethers.Wallet(key)));
+
+    jest.spyOn(rpcManager, 'execute').mockImplementation(call => call(provider));
+    jest.spyOn(gasCostService, 'getFeeData').mockImplementation(() => provider.getFeeData());
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  // Mine a block every 200ms instead of one per transaction, long enough for a replacement
+  // signed after a missed block to reach the next one
+  const withIntervalMining = async (run) => {
+    await provider.send('evm_setAutomine', [false]);
+    await provider.send('evm_setIntervalMining', [200]);
+    try {
+      return await run();
+    } finally {
+      await provider.send('evm_setIntervalMining', [0]);
+      await provider.send('evm_setAutomine', [true]);
+    }
+  };
+
+  const transfer = { to: RECIPIENT, data: '0x', value: 1n, gasLimit: 21000n };
+
+  test('should load encrypted keystores from a file or a directory', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'keystore-'));
+    try {
+      const wallet = ethers.Wallet.createRandom();
+      const encrypt = (account, password) => ethers.encryptKeystoreJson(
+        { address: account.address, privateKey: account.privateKey },
+        password,
+        { scrypt: { N: 1024 } }
+      );
+      fs.writeFileSync(path.join(dir, 'wallet.json'), await encrypt(wallet, 'secret'));
+      fs.writeFileSync(path.join(dir, 'other-password.json'), await encrypt(ethers.Wallet.createRandom(), 'other'));
+      fs.writeFileSync(path.join(dir, 'notes.txt'), 'not a keystore');
+
+      await signerManager.loadKeystore(dir, 'secret');
+      await signerManager.loadKeystore(path.join(dir, 'wallet.json'), 'secret');
+
+      expect([...signerManager.wallets.keys()]).toEqual([...addresses, wallet.address]);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  test('should lease one wallet per execution and allocate nonces from the pending count', async () => {
+    const [first, second] = addresses;
+    const startNonce = await provider.getTransactionCount(first, 'pending');
+
+    const lease = await signerManager.acquire(chainId);
+    const other = await signerManager.acquire(chainId);
+    expect(lease).toEqual({ address: first, chainId, nonce: startNonce });
+    expect(other.address).toBe(second);
+    expect(await signerManager.acquire(chainId)).toBeNull();
+
+    // An unsent nonce is handed back to the next execution
+    signerManager.release(lease, { used: false });
+    const again = await signerManager.acquire(chainId);
+    expect(again).toEqual(lease);
+
+    // A sent one is not
+    await provider.broadcastTransaction(await signerManager.signTransaction(first, chainId, again.nonce, transfer));
+    signerManager.confirm(first, chainId, again.nonce);
+    signerManager.release(again);
+    signerManager.release(other, { used: false });
+    expect((await signerManager.acquire(chainId)).nonce).toBe(startNonce + 1);
+  });
+
+  test('should reconcile nonces with the chain after a restart and after dropped transactions', async () => {
+    const [address] = addresses;
+    const wallet = new ethers.Wallet(KEYS[0], provider);
+    await (await wallet.sendTransaction({ to: RECIPIENT, value: 1n })).wait();
+
+    // A transaction broadcast before the restart is still in the mempool
+    const fees = await signerManager.getFees(chainId);
+    const confirmed = await provider.getTransactionCount(address, 'latest');
+    await provider.send('evm_setAutomine', [false]);
+    try {
+      await wallet.sendTransaction({ to: RECIPIENT, value: 1n, nonce: confirmed, ...fees });
+
+      signerManager.nonces.clear();
+      expect(await signerManager.reconcile(address, chainId)).toBe(confirmed + 1);
+
+      // A locally signed nonce that never reached the node keeps the next one above it
+      await signerManager.signTransaction(address, chainId, confirmed + 1, transfer);
+      expect(await signerManager.reconcile(address, chainId)).toBe(confirmed + 2);
+
+      // Once it is dropped the node's count wins again, and mined nonces are settled
+      signerManager.getNonceState(address, chainId).pending.delete(confirmed + 1);
+      await provider.send('evm_mine', []);
+      expect(await signerManager.reconcile(address, chainId)).toBe(confirmed + 1);
+      expect(signerManager.getStats().nonces[`${chainId}:${address}`].pending).toEqual([]);
+    } finally {
+      await provider.send('evm_setAutomine', [true]);
+    }
+  });
+
+  test('should speed up and cancel pending transactions with bumped fees', async () => {
+    const [address] = addresses;
+    const nonce = await provider.getTransactionCount(address, 'pending');
+    const original = await signerManager.signTransaction(address, chainId, nonce, transfer, STUCK_FEES);
+
+    const spedUp = ethers.Transaction.from(await signerManager.speedUp(address, chainId, nonce));
+    const current = await signerManager.getFees(chainId);
+    expect(spedUp).toMatchObject({ nonce, to: RECIPIENT, value: 1n });
+    expect(spedUp.maxFeePerGas).toBeGreaterThanOrEqual(current.maxFeePerGas);
+
+    const cancelled = ethers.Transaction.from(await signerManager.cancel(address, chainId, nonce));
+    expect(cancelled).toMatchObject({ nonce, to: address, value: 0n, gasLimit: 21000n, data: '0x' });
+    expect(cancelled.maxFeePerGas).toBe(spedUp.maxFeePerGas * 115n / 100n);
+    expect(cancelled.maxPriorityFeePerGas).toBe(spedUp.maxPriorityFeePerGas * 115n / 100n);
+    expect(signerManager.getPending(address, chainId, nonce).replacedHashes)
+      .toEqual([ethers.keccak256(original), spedUp.hash]);
+  });
+
+  test('should speed up a public broadcast that misses its block until it is mined', async () => {
+    const [address] = addresses;
+    const nonce = await provider.getTransactionCount(address, 'pending');
+    const stuck = await signerManager.signTransaction(address, chainId, nonce, transfer, STUCK_FEES);
+
+    const submission = await withIntervalMining(() => bundleSubmitter.submit([stuck], {
+      chainId,
+      relayUrl: null,
+      provider,
+      replace: async () => [await signerManager.speedUp(address, chainId, nonce)]
+    }));
+
+    expect(submission.status).toBe('included');
+    expect(submission.attempts).toHaveLength(2);
+    expect(submission.transactionHash).toBe(signerManager.getPending(address, chainId, nonce).hash);
+    expect(submission.transactionHash).not.toBe(ethers.keccak256(stuck));
+  });
+
+  test('should cancel a public broadcast that is not mined within maxBlocks blocks', async () => {
+    const [address] = addresses;
+    const nonce = await provider.getTransactionCount(address, 'pending');
+    const stuck = await signerManager.signTransaction(address, chainId, nonce, transfer, STUCK_FEES);
+
+    const submission = await withIntervalMining(() => bundleSubmitter.submit([stuck], {
+      chainId,
+      relayUrl: null,
+      provider,
+      maxBlocks: 2,
+      cancel: async () => [await signerManager.cancel(address, chainId, nonce)]
+    }));
+
+    expect(submission).toMatchObject({ status: 'cancelled', error: 'Cancelled after 2 blocks' });
+    const receipt = await provider.getTransactionReceipt(submission.transactionHash);
+    expect(receipt).toMatchObject({ from: address, to: address, status: 1 });
+    expect(await provider.getTransactionCount(address, 'latest')).toBe(nonce + 1);
+  });
+});
@@ -0,0 +1,91 @@
+import { jest } from '@jest/globals';
+import express from 'express';
+import request from 'supertest';
+import storage from '../src/storage/index.js';
+import priceFetcher from '../src/services/price-fetcher/index.js';
+import spreadTracker from '../src/services/spread-tracker.js';
+import tokenRegistry from '../src/config/token-registry.js';
+import statsRoutes from '../src/api/routes/stats.js';
+import HelperUtils from '../src/utils/helpers.js';
+
+const { BigNumber } = HelperUtils;
+
+// Active USDC/WETH pair in the registry's order
+const [TOKEN_A, TOKEN_B] = tokenRegistry.getActivePairs(1)
+  .find(pair => pair.includes('USDC') && pair.includes('WETH'));
+
+// Set a venue's price (tokenB per tokenA of the registry pair) at a block
+const setPrice = (dex, feeTier, price, blockNumber, { reversed = false } = {}) => {
+  priceFetcher.prices.set(`1:${dex}:${feeTier}`, {
+    dex,
+    chainId: 1,
+    tokenA: reversed ? TOKEN_B : TOKEN_A,
+    tokenB: reversed ? TOKEN_A : TOKEN_B,
+    feeTier,
+    price: reversed ? new BigNumber(1).dividedBy(price) : new BigNumber(price),
+    poolAddress: `0x${dex.length}${feeTier}`,
+    blockNumber,
+    timestamp: Date.now()
+  });
+};
+
+describe('Spread tracker', () => {
+  beforeEach(async () => {
+    await storage.initialize('memory');
+    priceFetcher.prices.clear();
+    spreadTracker.lastBlocks.clear();
+    // Break-even gas: 0.3% of the trade size
+    jest.spyOn(spreadTracker, 'getGasPercentage').mockResolvedValue({ gasCostUSD: 3, gasPercentage: 0.3 });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    priceFetcher.prices.clear();
+  });
+
+  test('should measure the spread between the dearest and cheapest venue across DEXs and fee tiers', () => {
+    setPrice('UNISWAP_V3', 500, '100', 10);
+    setPrice('UNISWAP_V3', 3000, '101', 10);
+    setPrice('SUSHISWAP_V2', 3000, '102.5', 11, { reversed: true });
+
+    const difference = priceFetcher.calculatePriceDifference(TOKEN_A, TOKEN_B, 1);
+
+    expect(difference).toMatchObject({ dexA: 'SUSHISWAP_V2', feeTierA: 3000, dexB: 'UNISWAP_V3', feeTierB: 500, venues: 3, blockNumber: 11 });
+    expect(difference.percentage.toFixed(6)).toBe('2.500000');
+    expect(difference.isArbitrage).toBe(true);
+  });
+
+  test('should store one spread per pair and block and report sizes, durations and break-even rate', async () => {
+    // 2.5% for two blocks, 0.2% (below the 0.65% break-even), then 2.5% again
+    const blocks = [[100, '102.5'], [101, '102.5'], [102, '100.2'], [103, '102.5']];
+    for (const [blockNumber, price] of blocks) {
+      setPrice('UNISWAP_V3', 500, '100', blockNumber);
+      setPrice('SUSHISWAP_V2', 3000, price, blockNumber);
+      expect(await spreadTracker.recordBlock(1, blockNumber)).toBe(1);
+    }
+    expect(await spreadTracker.recordBlock(1, 103)).toBe(0);
+
+    const [stored] = await storage.spreads.find({ blockNumber: 100 });
+    expect(stored).toMatchObject({ dexA: 'SUSHISWAP_V2', dexB: 'UNISWAP_V3', feePercentage: 0.35, exceedsBreakEven: true });
+    expect(stored.breakEvenPercentage).toBeCloseTo(0.65);
+
+    const app = express();
+    app.use('/api/stats', statsRoutes);
+
+    const response = await request(app).get(`/api/stats/spreads?pair=${TOKEN_B}/${TOKEN_A}`);
+    expect(response.status).toBe(200);
+
+    const { summary, spread, duration, byPair } = response.body.data;
+    expect(summary).toMatchObject({ samples: 4, pairs: 1, exceedsBreakEven: 3, exceedsBreakEvenRate: 75, episodes: 2, openEpisodes: 1 });
+    expect(spread.max).toBeCloseTo(2.5);
+    expect(spread.distribution.find(bucket => bucket.range === '<= 0.25%').count).toBe(1);
+    expect(spread.distribution.find(bucket => bucket.range === '> 2%').count).toBe(3);
+    expect(duration).toMatchObject({ min: 1, max: 2 });
+    expect(byPair[0].longest).toMatchObject({ startBlock: 100, endBlock: 101, blocks: 2, open: false });
+
+    // A lower threshold counts every block as one run
+    const lowThreshold = await request(app).get('/api/stats/spreads?minSpread=0.1');
+    expect(lowThreshold.body.data.summary).toMatchObject({ episodes: 1, openEpisodes: 1, threshold: '0.1%' });
+    expect(lowThreshold.body.data.duration.max).toBe(4);
+  });
+});
@@ -0,0 +1,164 @@
+import express from 'express';
+import request from 'supertest';
+import storage from '../src/storage/index.js';
+import opportunityRepository from '../src/repositories/opportunity-repository.js';
+import opportunityLifecycle from '../src/services/opportunity-lifecycle.js';
+import opportunitiesRoutes from '../src/api/routes/opportunities.js';
+import statsRoutes from '../src/api/routes/stats.js';
+import { ENABLED_CHAIN_IDS } from '../src/config/constants.js';
+
+const USDC = '0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48';
+const WETH = '0xC02aaA39b223FE8D0A0e5C4F27eAD9083C756Cc2';
+const POOL_A = '0x88e6A0c2dDD26FEEb64F039a2c41296FcB3f5640';
+const POOL_B = '0x397FF1542f962076d0BFE58eA045FfA2d347ACa0';
+
+// Opportunity document fields, detected `ageMs` ago
+const opportunityFields = (id, overrides = {}, ageMs = 0) => ({
+  id,
+  timestamp: new Date(Date.now() - ageMs),
+  dexA: 'UNISWAP_V3',
+  dexB: 'SUSHISWAP_V2',
+  tokenIn: USDC,
+  tokenOut: WETH,
+  tokenInSymbol: 'USDC',
+  tokenOutSymbol: 'WETH',
+  amountIn: '1000',
+  amountOutExpected: '1004',
+  priceA: '0.0004',
+  priceB: '0.000402',
+  priceDifference: 0.000002,
+  expectedProfit: '2.5',
+  profitPercentage: 0.5,
+  gasEstimate: '300000',
+  gasPrice: '20000000000',
+  swapFees: '6',
+  totalFees: '7.5',
+  poolA: POOL_A,
+  poolB: POOL_B,
+  liquidityA: '0',
+  liquidityB: '0',
+  blockNumber: 19000000,
+  metadata: { chainId: 1 },
+  ...overrides
+});
+
+describe('Storage (memory backend)', () => {
+  beforeEach(async () => {
+    await storage.initialize('memory');
+  });
+
+  test('should store opportunities through the schema and reject duplicate ids', async () => {
+    const document = await storage.opportunities.insert(opportunityFields('a'));
+
+    expect(document.status).toBe('detected');
+    expect(document.statusHistory.map(entry => entry.to)).toEqual(['detected']);
+    await expect(storage.opportunities.insert(opportunityFields('a'))).rejects.toMatchObject({ code: 11000 });
+    await expect(storage.opportunities.insert(opportunityFields('b', { tokenIn: 'USDC' }))).rejects.toThrow('Invalid token address format');
+    expect(await storage.opportunities.count()).toBe(1);
+  });
+
+  test('should query, sort and page records like MongoDB', async () => {
+    await storage.opportunities.insert(opportunityFields('a', { profitPercentage: 0.2 }));
+    await storage.opportunities.insert(opportunityFields('b', { profitPercentage: 0.9, status: 'profitable' }));
+    await storage.opportunities.insert(opportunityFields('c', { profitPercentage: 0.5, metadata: { chainId: 137 } }));
+    await storage.opportunities.insert(opportunityFields('old', {}, 48 * 60 * 60 * 1000));
+
+    const recent = { timestamp: { $gte: new Date(Date.now() - 24 * 60 * 60 * 1000) } };
+    const ids = (records) => records.map(record => record.id);
+
+    expect(ids(await storage.opportunities.find(recent, { sort: { profitPercentage: -1 } }))).toEqual(['b', 'c', 'a']);
+    expect(ids(await storage.opportunities.find(recent, { sort: { profitPercentage: 1 }, skip: 1, limit: 1 }))).toEqual(['c']);
+    expect(ids(await storage.opportunities.find({ ...recent, profitPercentage: { $gte: 0.3, $lte: 0.6 } }))).toEqual(['c']);
+    expect(ids(await storage.opportunities.find({ 'metadata.chainId': 137 }))).toEqual(['c']);
+    expect(ids(await storage.opportunities.find({ $or: [{ status: 'profitable' }, { id: 'a' }] }, { sort: { id: 1 } }))).toEqual(['a', 'b']);
+    expect(await storage.opportunities.count({ 'triangularPath.0': { $exists: true } })).toBe(0);
+
+    expect(await storage.opportunities.deleteMany({ timestamp: { $lt: new Date(Date.now() - 24 * 60 * 60 * 1000) } })).toBe(1);
+    expect(await storage.opportunities.findById('old')).toBeNull();
+  });
+
+  test('should persist lifecycle transitions and dotted-path updates', async () => {
+    const document = await storage.opportunities.insert(opportunityFields('a'));
+
+    await opportunityLifecycle.transition(document, 'failed', { reason: 'Reverted' });
+    await opportunityLifecycle.update(document, { 'executionResult.wallet': '0xabc', 'executionResult.nonce': 7 });
+
+    const stored = await storage.opportunities.findById('a');
+    expect(stored.status).toBe('failed');
+    expect(opportunityLifecycle.getHistory(stored).map(entry => [entry.to, entry.reason])).toEqual([['detected', null], ['failed', 'Reverted']]);
+    expect(stored.executionResult.wallet).toBe('0xabc');
+    expect(stored.executionResult.nonce).toBe(7);
+  });
+
+  test('should save the same detector output once', async () => {
+    const detected = {
+      id: 'simple_USDC_WETH_1',
+      chainId: 1,
+      tokenA: 'USDC',
+      tokenB: 'WETH',
+      buyDex: 'UNISWAP_V3',
+      sellDex: 'SUSHISWAP_V2',
+      tradeAmount: '1000',
+      expectedProfit: '2.5',
+      gasPrice: '20000000000',
+      blockNumber: 19000000,
+      poolA: { address: POOL_A },
+      poolB: { address: POOL_B }
+    };
+
+    const first = await opportunityRepository.save(detected);
+    const again = await opportunityRepository.save({ ...detected, id: 'simple_USDC_WETH_2' });
+
+    expect(first.created).toBe(true);
+    expect(again.created).toBe(false);
+    expect(again.opportunity.id).toBe(first.opportunity.id);
+    expect(await storage.opportunities.count()).toBe(1);
+  });
+
+  test('should serve opportunities and statistics from the API without a database server', async () => {
+    await storage.opportunities.insert(opportunityFields('a', { expectedProfit: '2', status: 'profitable' }));
+    await storage.opportunities.insert(opportunityFields('b', { expectedProfit: '3' }));
+    await storage.executions.insert({ opportunityId: 'a', chainId: 1, mode: 'bundle', status: 'included' });
+
+    const app = express();
+    app.use(express.json());
+    app.use('/api/opportunities', opportunitiesRoutes);
+    app.use('/api/stats', statsRoutes);
+
+    const list = await request(app).get('/api/opportunities?status=profitable');
+    expect(list.status).toBe(200);
+    expect(list.body.data.map(opportunity => opportunity.id)).toEqual(['a']);
+    expect(list.body.pagination.total).toBe(1);
+
+    const stats = await request(app).get('/api/stats/opportunities');
+    expect(stats.status).toBe(200);
+    expect(stats.body.data.summary).toMatchObject({ totalOpportunities: 2, profitableOpportunities: 1, totalExpectedProfit: 5 });
+    expect(stats.body.data.detailed.opportunitiesByStatus).toEqual({ profitable: 1, detected: 1 });
+    expect(stats.body.data.detailed.opportunitiesByType).toEqual({ simple: 2 });
+
+    const profits = await request(app).get('/api/stats/profits');
+    expect(profits.body.data.expected).toMatchObject({ totalExpectedProfit: 5, maxProfit: 3, minProfit: 2, count: 2 });
+    expect(await storage.executions.count({ status: 'included' })).toBe(1);
+  });
+
+  test('should filter opportunities by an enabled chain and reject other chain ids', async () => {
+    await storage.opportunities.insert(opportunityFields('a', { profitPercentage: 1.5, metadata: { chainId: ENABLED_CHAIN_IDS[0] } }));
+    await storage.opportunities.insert(opportunityFields('b', { profitPercentage: 0.5, metadata: { chainId: ENABLED_CHAIN_IDS[0] } }));
+    await storage.opportunities.insert(opportunityFields('c', { profitPercentage: 2, metadata: { chainId: 999999 } }));
+
+    const app = express();
+    app.use('/api/opportunities', opportunitiesRoutes);
+
+    const list = await request(app).get(`/api/opportunities?chainId=${ENABLED_CHAIN_IDS[0]}&minProfit=1&limit=10`);
+    expect(list.status).toBe(200);
+    expect(list.body.data.map(opportunity => opportunity.id)).toEqual(['a']);
+    expect(list.body.pagination).toMatchObject({ limit: 10, offset: 0, total: 1, hasMore: false });
+
+    for (const chainId of ['abc', '1.5', '999999']) {
+      const rejected = await request(app).get(`/api/opportunities?chainId=${chainId}`);
+      expect(rejected.status).toBe(400);
+      expect(rejected.body).toMatchObject({ success: false, error: 'Validation error' });
+      expect(rejected.body.details[0]).toMatch(/"chainId"/);
+    }
+  });
+});
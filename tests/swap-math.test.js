@@ -0,0 +1,122 @@
+import SwapMath from '../src/utils/swap-math.js';
+
+describe('SwapMath', () => {
+  describe('getAmountOutV2', () => {
+    test('should match the UniswapV2Library formula', () => {
+      // 1e6 in against 1e9/2e9 reserves with 0.3% fee
+      expect(SwapMath.getAmountOutV2(1000000n, 1000000000n, 2000000000n)).toBe(1992013n);
+    });
+
+    test('should return zero for empty reserves', () => {
+      expect(SwapMath.getAmountOutV2(1000n, 0n, 1000n)).toBe(0n);
+    });
+  });
+
+  describe('getSqrtRatioAtTick', () => {
+    test('should return 2^96 at tick 0', () => {
+      expect(SwapMath.getSqrtRatioAtTick(0)).toBe(2n ** 96n);
+    });
+
+    test('should round-trip through getTickAtSqrtRatio', () => {
+      for (const tick of [-887272, -200000, -1, 1, 201234, 887271]) {
+        expect(SwapMath.getTickAtSqrtRatio(SwapMath.getSqrtRatioAtTick(tick))).toBe(tick);
+      }
+    });
+  });
+
+  describe('swapExactInV3', () => {
+    const liquidity = 10n ** 20n;
+    const sqrtPriceX96 = SwapMath.getSqrtRatioAtTick(-200000);
+    const state = {
+      type: 'V3',
+      token0: '0x000000000000000000000000000000000000000a',
+      token1: '0x000000000000000000000000000000000000000b',
+      feeTier: 3000,
+      sqrtPriceX96: sqrtPriceX96.toString(),
+      liquidity: liquidity.toString(),
+      tick: -200000
+    };
+
+    test('should behave like a constant product pool within a single range', () => {
+      // Virtual reserves of a concentrated position: x = L / sqrtP, y = L * sqrtP
+      const reserve0 = (liquidity << 96n) / sqrtPriceX96;
+      const reserve1 = (liquidity * sqrtPriceX96) / SwapMath.Q96;
+      const amountIn = 10n ** 18n;
+
+      expect(SwapMath.getAmountOut(state, state.token0, amountIn))
+        .toBe(SwapMath.getAmountOutV2(amountIn, reserve0, reserve1, 3000));
+    });
+
+    test('should stop when crossing a tick removes all liquidity', () => {
+      const result = SwapMath.swapExactInV3(
+        { ...state, ticks: [{ tick: -200040, liquidityNet: liquidity.toString() }] },
+        true,
+        10n ** 24n
+      );
+
+      expect(result.ticksCrossed).toBe(1);
+      expect(result.liquidity).toBe(0n);
+      expect(result.amountIn < 10n ** 24n).toBe(true);
+    });
+
+    test('should stop at the edge of the loaded tick bitmap words', () => {
+      const result = SwapMath.swapExactInV3(
+        { ...state, ticks: [], tickWordRange: { lower: -14, upper: -14 } },
+        true,
+        10n ** 25n
+      );
+
+      expect(result.complete).toBe(false);
+      expect(result.tick).toBe(-14 * 256 * 60 - 1);
+
+      // Quoted as unknown rather than as the partial output
+      expect(SwapMath.getAmountOut({ ...state, ticks: [], tickWordRange: { lower: -14, upper: -14 } }, state.token0, 10n ** 25n)).toBeNull();
+    });
+  });
+
+  describe('nextInitializedTickWithinOneWord', () => {
+    const bitmap = SwapMath.buildTickBitmap([-120, 0, 60], 60);
+
+    test('should find initialized ticks like TickBitmap', () => {
+      expect(SwapMath.nextInitializedTickWithinOneWord(bitmap, 59, 60, true)).toEqual({ tickNext: 0, initialized: true, wordPos: 0 });
+      expect(SwapMath.nextInitializedTickWithinOneWord(bitmap, 0, 60, false)).toEqual({ tickNext: 60, initialized: true, wordPos: 0 });
+      expect(SwapMath.nextInitializedTickWithinOneWord(bitmap, -1, 60, true)).toEqual({ tickNext: -120, initialized: true, wordPos: -1 });
+    });
+
+    test('should stop at the word boundary when no tick is initialized', () => {
+      expect(SwapMath.nextInitializedTickWithinOneWord(bitmap, 60, 60, false)).toEqual({ tickNext: 255 * 60, initialized: false, wordPos: 0 });
+      expect(SwapMath.nextInitializedTickWithinOneWord(bitmap, -121, 60, true)).toEqual({ tickNext: -256 * 60, initialized: false, wordPos: -1 });
+    });
+  });
+
+  describe('getDyStableSwap', () => {
+    const DAI = '0x6B175474E89094C44Da98b954EedeAC495271d0F';
+    const USDC = '0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48';
+    const USDT = '0xdAC17F958D2ee523a2206206994597C13D831ec7';
+    const state = {
+      type: 'STABLESWAP',
+      address: '0xbEbc44782C7dB0a1A60Cb6fe97d0b483032FF1C7',
+      token0: DAI,
+      token1: USDC,
+      feeTier: 100,
+      coins: [DAI, USDC, USDT],
+      balances: [(10n ** 8n * 10n ** 18n).toString(), (10n ** 8n * 10n ** 6n).toString(), (10n ** 8n * 10n ** 6n).toString()],
+      rates: [10n ** 18n, 10n ** 30n, 10n ** 30n].map(String),
+      A: '2000',
+      fee: '1000000'
+    };
+
+    test('should swap a balanced pool close to 1:1 minus the fee', () => {
+      const amountOut = SwapMath.getAmountOut(state, USDC, 1000n * 10n ** 6n);
+
+      expect(amountOut < 1000n * 10n ** 18n).toBe(true);
+      expect(amountOut > 999n * 10n ** 18n).toBe(true);
+    });
+
+    test('should give less than 1:1 for the more abundant coin', () => {
+      const skewed = { ...state, balances: [state.balances[0], (5n * 10n ** 7n * 10n ** 6n).toString(), state.balances[2]] };
+
+      expect(SwapMath.getStableSwapSpotRate(skewed).toNumber() < 1e-12).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,359 @@
+import { jest } from '@jest/globals';
+import hre from 'hardhat';
+import { ethers } from 'ethers';
+import fs from 'fs';
+import path from 'path';
+import solc from 'solc';
+import transactionBuilder from '../src/services/trade-executor/transaction-builder.js';
+import tokenRegistry from '../src/config/token-registry.js';
+import poolDiscovery from '../src/services/pool-discovery.js';
+import v2ForkDiscovery from '../src/services/v2-fork-discovery.js';
+import flashLoanService from '../src/services/flash-loans.js';
+import rpcManager from '../src/services/rpc-manager.js';
+import storage from '../src/storage/index.js';
+import priceFetcher from '../src/services/price-fetcher/index.js';
+import arbitrageDetector from '../src/services/arbitrage-detector/index.js';
+import opportunityRepository from '../src/repositories/opportunity-repository.js';
+import priceNormalizer from '../src/utils/price-normalizer.js';
+import HelperUtils from '../src/utils/helpers.js';
+import { getDexConfig } from '../src/config/dex-config.js';
+import { FLASH_LOAN_SOURCES } from '../src/config/constants.js';
+
+const contractsDir = path.resolve('contracts');
+const executorArtifact = JSON.parse(fs.readFileSync(path.resolve('src/abis/ArbitrageExecutor.json'), 'utf8'));
+
+// Compile the mock token, router and flash lender
+const compileMocks = () => {
+  const sources = ['mocks/MockERC20.sol', 'mocks/MockRouter.sol', 'mocks/MockFlashLender.sol'];
+  const input = {
+    language: 'Solidity',
+    sources: Object.fromEntries(sources.map(file => [file, { content: fs.readFileSync(path.join(contractsDir, file), 'utf8') }])),
+    settings: { outputSelection: { '*': { '*': ['abi', 'evm.bytecode.object', 'evm.deployedBytecode.object'] } } }
+  };
+  const findImports = (importPath) => ({ contents: fs.readFileSync(path.join(contractsDir, importPath), 'utf8') });
+  const output = JSON.parse(solc.compile(JSON.stringify(input), { import: findImports }));
+  return {
+    MockERC20: output.contracts['mocks/MockERC20.sol'].MockERC20,
+    MockRouter: output.contracts['mocks/MockRouter.sol'].MockRouter,
+    MockFlashLender: output.contracts['mocks/MockFlashLender.sol'].MockFlashLender
+  };
+};
+
+const e18 = (amount) => ethers.parseUnits(amount, 18);
+
+describe('ArbitrageExecutor transactions', () => {
+  let provider, owner, executor, tokens, v2Router, v3Router, mocks;
+
+  beforeAll(async () => {
+    mocks = compileMocks();
+    provider = new ethers.BrowserProvider(hre.network.provider);
+    owner = await provider.getSigner(0);
+
+    const deploy = async ({ abi, evm }) => {
+      const contract = await new ethers.ContractFactory(abi, evm.bytecode.object, owner).deploy();
+      return contract.waitForDeployment();
+    };
+
+    // Three tokens, registered like the token registry's own
+    tokens = {};
+    for (const symbol of ['TKA', 'TKB', 'TKC']) {
+      tokens[symbol] = await deploy(mocks.MockERC20);
+      tokenRegistry.addToken({ symbol, address: await tokens[symbol].getAddress(), decimals: 18, chainId: 1 });
+    }
+
+    // Mock routers at the real Uniswap V2 Router02 and V3 SwapRouter addresses
+    const routerAt = async (dexName) => {
+      const { router } = getDexConfig(dexName, 1);
+      await provider.send('hardhat_setCode', [router, `0x${mocks.MockRouter.evm.deployedBytecode.object}`]);
+      return new ethers.Contract(router, mocks.MockRouter.abi, owner);
+    };
+    v2Router = await routerAt('UNISWAP_V2');
+    v3Router = await routerAt('UNISWAP_V3');
+
+    executor = await new ethers.ContractFactory(executorArtifact.abi, executorArtifact.bytecode, owner).deploy();
+    await executor.waitForDeployment();
+    await (await tokens.TKA.mint(await executor.getAddress(), e18('10000'))).wait();
+  });
+
+  // Register a discovered pool for a token pair
+  const addPool = (dex, tokenA, tokenB, address) => {
+    const pool = { address, dex, chainId: 1, tokenA, tokenB, tokenASymbol: tokenA, tokenBSymbol: tokenB, feeTier: 3000 };
+    if (dex === 'UNISWAP_V3') {
+      poolDiscovery.discoveredPools.set(poolDiscovery.getPoolKey(dex, tokenA, tokenB, 3000, 1), pool);
+    } else {
+      v2ForkDiscovery.pools.set(v2ForkDiscovery.getPoolKey(dex, tokenA, tokenB, 1), pool);
+    }
+    return address;
+  };
+
+  const setRate = async (router, tokenIn, tokenOut, rate) => {
+    await (await router.setRate(await tokens[tokenIn].getAddress(), await tokens[tokenOut].getAddress(), e18(rate))).wait();
+  };
+
+  const balanceOf = async (symbol) => tokens[symbol].balanceOf(await executor.getAddress());
+
+  // Opportunity document of a simple TKA/TKB opportunity bought on Uniswap V2 and sold on Uniswap V3
+  const simpleOpportunity = async () => ({
+    dexA: 'UNISWAP_V2',
+    dexB: 'UNISWAP_V3',
+    tokenIn: await tokens.TKA.getAddress(),
+    tokenOut: await tokens.TKB.getAddress(),
+    poolA: addPool('UNISWAP_V2', 'TKA', 'TKB', '0x00000000000000000000000000000000000000a1'),
+    poolB: addPool('UNISWAP_V3', 'TKA', 'TKB', '0x00000000000000000000000000000000000000a2'),
+    metadata: { chainId: 1, slippageTolerance: 0.5 }
+  });
+
+  test('should execute a simple opportunity across V2 and V3 routers', async () => {
+    await setRate(v2Router, 'TKA', 'TKB', '2');
+    await setRate(v3Router, 'TKB', 'TKA', '0.51');
+
+    const amountIn = e18('1000');
+    const minProfit = transactionBuilder.getMinProfit(amountIn, e18('1020'));
+    const tx = transactionBuilder.buildTransaction(await simpleOpportunity(), {
+      amountIn,
+      minProfit,
+      executor: await executor.getAddress()
+    });
+
+    expect(tx.swaps.map(swap => [swap.kind, swap.target])).toEqual([
+      [0, v2Router.target],
+      [1, v3Router.target]
+    ]);
+
+    const before = await balanceOf('TKA');
+    const receipt = await (await owner.sendTransaction({ to: tx.to, data: tx.data, gasLimit: tx.gasLimit })).wait();
+    expect(receipt.status).toBe(1);
+    expect(await balanceOf('TKA') - before).toBe(e18('20'));
+    expect(receipt.gasUsed).toBeLessThan(tx.gasLimit);
+  });
+
+  test('should revert unless minProfit is met', async () => {
+    await setRate(v2Router, 'TKA', 'TKB', '2');
+    await setRate(v3Router, 'TKB', 'TKA', '0.505');
+
+    const amountIn = e18('1000');
+    const tx = transactionBuilder.buildTransaction(await simpleOpportunity(), {
+      amountIn,
+      minProfit: transactionBuilder.getMinProfit(amountIn, e18('1020')),
+      executor: await executor.getAddress()
+    });
+
+    const error = await owner.call({ to: tx.to, data: tx.data }).catch(err => err);
+    expect(transactionBuilder.decodeRevert(error.data)).toBe(`InsufficientProfit(${e18('10')}, ${e18('19.9')})`);
+  });
+
+  test('should keep the slippage tolerance off the expected profit and skip routes without one', () => {
+    const amountIn = e18('1000');
+
+    expect(transactionBuilder.getMinProfit(amountIn, e18('1020'), 0.005)).toBe(e18('19.9'));
+    expect(transactionBuilder.getMinProfit(amountIn, e18('1020'), 0.005, e18('0.5'))).toBe(e18('19.4025'));
+    expect(transactionBuilder.getMinProfit(amountIn, e18('1000'))).toBeNull();
+    expect(transactionBuilder.getMinProfit(amountIn, e18('990'))).toBeNull();
+  });
+
+  test('should execute a triangular path', async () => {
+    const address = async (symbol) => tokens[symbol].getAddress();
+    const opportunity = {
+      triangularPath: [
+        { dex: 'UNISWAP_V2', tokenIn: await address('TKA'), tokenOut: await address('TKB'), pool: addPool('UNISWAP_V2', 'TKA', 'TKB', '0x00000000000000000000000000000000000000a1') },
+        { dex: 'UNISWAP_V3', tokenIn: await address('TKB'), tokenOut: await address('TKC'), pool: addPool('UNISWAP_V3', 'TKB', 'TKC', '0x00000000000000000000000000000000000000b2') },
+        { dex: 'UNISWAP_V2', tokenIn: await address('TKC'), tokenOut: await address('TKA'), pool: addPool('UNISWAP_V2', 'TKC', 'TKA', '0x00000000000000000000000000000000000000c1') }
+      ],
+      metadata: { chainId: 1 }
+    };
+    await setRate(v2Router, 'TKA', 'TKB', '2');
+    await setRate(v3Router, 'TKB', 'TKC', '3');
+    await setRate(v2Router, 'TKC', 'TKA', '0.2');
+
+    const before = await balanceOf('TKA');
+    const tx = transactionBuilder.buildTransaction(opportunity, {
+      amountIn: e18('100'),
+      minProfit: e18('10'),
+      executor: await executor.getAddress()
+    });
+    await (await owner.sendTransaction({ to: tx.to, data: tx.data, gasLimit: tx.gasLimit })).wait();
+
+    expect(await balanceOf('TKA') - before).toBe(e18('20'));
+  });
+
+  test('should execute detector output saved through the repository in its trade direction', async () => {
+    await storage.initialize('memory');
+    const sushiRouter = await (async () => {
+      const { router } = getDexConfig('SUSHISWAP_V2', 1);
+      await provider.send('hardhat_setCode', [router, `0x${mocks.MockRouter.evm.deployedBytecode.object}`]);
+      return new ethers.Contract(router, mocks.MockRouter.abi, owner);
+    })();
+
+    // TKA costs 2 TKB on SushiSwap and 2.1 TKB on Uniswap V2
+    const [token0, token1] = HelperUtils.sortTokens(await tokens.TKA.getAddress(), await tokens.TKB.getAddress());
+    const setPrice = (dex, address, price) => {
+      const reserveA = e18('1000000');
+      const reserveB = e18((1000000 * price).toString());
+      const tkaIsToken0 = token0 === tokens.TKA.target;
+      priceFetcher.prices.set(`1:${dex}:TKA/TKB`, {
+        dex,
+        chainId: 1,
+        tokenA: 'TKA',
+        tokenB: 'TKB',
+        feeTier: 3000,
+        price: new HelperUtils.BigNumber(price),
+        poolAddress: address,
+        poolState: {
+          type: 'V2', address, token0, token1, feeTier: 3000,
+          reserve0: (tkaIsToken0 ? reserveA : reserveB).toString(),
+          reserve1: (tkaIsToken0 ? reserveB : reserveA).toString()
+        },
+        timestamp: Date.now()
+      });
+    };
+    setPrice('SUSHISWAP_V2', addPool('SUSHISWAP_V2', 'TKA', 'TKB', '0x00000000000000000000000000000000000000d1'), 2);
+    setPrice('UNISWAP_V2', addPool('UNISWAP_V2', 'TKA', 'TKB', '0x00000000000000000000000000000000000000d2'), 2.1);
+    priceNormalizer.usdPrices = { ...priceNormalizer.usdPrices, TKA: 2, TKB: 1 };
+    const gasSpy = jest.spyOn(arbitrageDetector, 'estimateRouteGasCost')
+      .mockResolvedValue({ gasCostUSD: new HelperUtils.BigNumber(5), gasLimit: 300000, effectiveGasPrice: '20000000000' });
+
+    try {
+      const opportunity = await arbitrageDetector.detectSimpleArbitrage('TKA', 'TKB', 10000, 1);
+      expect(opportunity).toMatchObject({ buyDex: 'SUSHISWAP_V2', sellDex: 'UNISWAP_V2', tradeToken: 'TKB' });
+
+      const { opportunity: document } = await opportunityRepository.save(opportunity);
+      expect(document).toMatchObject({ dexA: 'SUSHISWAP_V2', tokenInSymbol: 'TKB', tokenOutSymbol: 'TKA' });
+
+      await setRate(sushiRouter, 'TKB', 'TKA', '0.5');
+      await setRate(v2Router, 'TKA', 'TKB', '2.1');
+      await (await tokens.TKB.mint(await executor.getAddress(), BigInt(document.amountIn))).wait();
+
+      const tx = transactionBuilder.buildTransaction(document, {
+        amountIn: document.amountIn,
+        minProfit: transactionBuilder.getMinProfit(document.amountIn, document.amountOutExpected),
+        executor: await executor.getAddress()
+      });
+      expect(tx.swaps.map(swap => [swap.target, swap.tokenIn])).toEqual([
+        [sushiRouter.target, tokens.TKB.target],
+        [v2Router.target, tokens.TKA.target]
+      ]);
+
+      const before = await balanceOf('TKB');
+      const receipt = await (await owner.sendTransaction({ to: tx.to, data: tx.data, gasLimit: tx.gasLimit })).wait();
+      expect(receipt.status).toBe(1);
+      expect(await balanceOf('TKB') - before).toBe(BigInt(document.amountIn) / 20n);
+    } finally {
+      gasSpy.mockRestore();
+      priceFetcher.prices.clear();
+    }
+  });
+
+  test('should only execute for the owner', async () => {
+    const other = await provider.getSigner(1);
+    const tx = transactionBuilder.buildTransaction(await simpleOpportunity(), {
+      amountIn: e18('1'),
+      minProfit: 1n,
+      executor: await executor.getAddress()
+    });
+
+    const error = await other.call({ to: tx.to, data: tx.data }).catch(err => err);
+    expect(transactionBuilder.decodeRevert(error.data)).toBe('NotOwner()');
+  });
+
+  describe('flash loans', () => {
+    let flashExecutor, lender;
+
+    beforeAll(async () => {
+      const deploy = async ({ abi, bytecode }) => {
+        const contract = await new ethers.ContractFactory(abi, bytecode, owner).deploy();
+        return contract.waitForDeployment();
+      };
+
+      // An executor without inventory
+      flashExecutor = await deploy(executorArtifact);
+      lender = await deploy({ abi: mocks.MockFlashLender.abi, bytecode: mocks.MockFlashLender.evm.bytecode.object });
+      await (await lender.setTokens(await tokens.TKA.getAddress(), await tokens.TKB.getAddress())).wait();
+    });
+
+    // Flash loan of `amount` TKA from the mock lender acting as a source's lender
+    const flashLoanFrom = async (source, amount, fee) => {
+      await (await lender.setFee(fee)).wait();
+      const feeAmount = flashLoanService.getFlashFee(amount, fee);
+      return {
+        source,
+        kind: FLASH_LOAN_SOURCES[source].kind,
+        lender: await lender.getAddress(),
+        fee,
+        feeAmount: feeAmount.toString(),
+        repayAmount: (amount + feeAmount).toString()
+      };
+    };
+
+    const executeFlash = async (flashLoan, amountIn, minProfit) => {
+      const tx = transactionBuilder.buildTransaction(await simpleOpportunity(), {
+        amountIn,
+        minProfit,
+        flashLoan,
+        executor: await flashExecutor.getAddress()
+      });
+      return owner.sendTransaction({ to: tx.to, data: tx.data, gasLimit: tx.gasLimit }).then(sent => sent.wait());
+    };
+
+    test.each(['BALANCER', 'AAVE_V3', 'UNISWAP_V3'])('should fund a route with a %s flash loan and repay it with its fee', async (source) => {
+      await setRate(v2Router, 'TKA', 'TKB', '2');
+      await setRate(v3Router, 'TKB', 'TKA', '0.51');
+
+      const amountIn = e18('1000');
+      const flashLoan = await flashLoanFrom(source, amountIn, 500);
+      const minProfit = transactionBuilder.getMinProfit(amountIn, e18('1020'), 0.005, flashLoan.feeAmount);
+      const before = await tokens.TKA.balanceOf(await flashExecutor.getAddress());
+
+      const receipt = await executeFlash(flashLoan, amountIn, minProfit);
+      expect(receipt.status).toBe(1);
+      // 1020 out, 1000 repaid plus a 0.05% fee
+      expect(await tokens.TKA.balanceOf(await flashExecutor.getAddress()) - before).toBe(e18('19.5'));
+    });
+
+    test('should revert when the route does not repay the loan', async () => {
+      await setRate(v2Router, 'TKA', 'TKB', '2');
+      await setRate(v3Router, 'TKB', 'TKA', '0.49');
+
+      const flashLoan = await flashLoanFrom('BALANCER', e18('1000'), 0);
+      const tx = transactionBuilder.buildTransaction(await simpleOpportunity(), {
+        amountIn: e18('1000'),
+        minProfit: 1n,
+        flashLoan,
+        executor: await flashExecutor.getAddress()
+      });
+
+      const error = await owner.call({ to: tx.to, data: tx.data }).catch(err => err);
+      expect(transactionBuilder.decodeRevert(error.data)).toBe(`FlashLoanNotRepaid(${e18('980')}, ${e18('1000')})`);
+    });
+
+    test('should read the Aave premium from each chain\'s Pool and keep the configured one when it cannot be read', async () => {
+      const pool = FLASH_LOAN_SOURCES.AAVE_V3.lenders[1];
+      await provider.send('hardhat_setCode', [pool, `0x${mocks.MockFlashLender.evm.deployedBytecode.object}`]);
+      await (await new ethers.Contract(pool, mocks.MockFlashLender.abi, owner).setFee(900)).wait();
+      jest.spyOn(rpcManager, 'getChainIds').mockReturnValue([1, 137]);
+      jest.spyOn(rpcManager, 'execute').mockImplementation(async (call, chainId) => {
+        if (chainId !== 1) throw new Error(`No provider for chain ${chainId}`);
+        return call(provider);
+      });
+      const source = flashLoanService.source;
+      flashLoanService.source = 'AAVE_V3';
+
+      try {
+        await flashLoanService.initialize();
+
+        expect(flashLoanService.getLender(tokens.TKA.target, 1)).toMatchObject({ lender: pool, fee: 900 });
+        expect(flashLoanService.getLender(tokens.TKA.target, 137).fee).toBe(500);
+        expect(flashLoanService.getFeeRate(tokens.TKA.target, 1).toNumber()).toBe(0.0009);
+      } finally {
+        flashLoanService.source = source;
+        flashLoanService.fees.clear();
+        jest.restoreAllMocks();
+      }
+    });
+
+    test('should reject lender callbacks outside a flash loan', async () => {
+      const data = flashExecutor.interface.encodeFunctionData('uniswapV3FlashCallback', [0, 0, '0x']);
+      const error = await owner.call({ to: await flashExecutor.getAddress(), data }).catch(err => err);
+      expect(transactionBuilder.decodeRevert(error.data)).toBe(`UnexpectedCallback(${await owner.getAddress()})`);
+    });
+  });
+});
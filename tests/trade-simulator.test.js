@@ -0,0 +1,93 @@
+import { jest } from '@jest/globals';
+import tradeSimulator from '../src/services/trade-simulator/index.js';
+import dexAdapterRegistry from '../src/services/dex-adapters/index.js';
+import gasCostService from '../src/services/gas-cost.js';
+import priceNormalizer from '../src/utils/price-normalizer.js';
+import tokenRegistry from '../src/config/token-registry.js';
+import HelperUtils from '../src/utils/helpers.js';
+
+const WETH = tokenRegistry.getToken('WETH', 1).address;
+
+// Adapter quoting WETH -> USDC at 2500 and USDC -> WETH at 2475 USDC per WETH
+const adapter = {
+  getPoolsForPair: () => [{ dex: 'UNISWAP_V2', address: '0x00000000000000000000000000000000000000d1', feeTier: 3000 }],
+  quote: async (pool, tokenIn, tokenOut, amountIn) => ({
+    amountOut: tokenIn === WETH ? (amountIn * 2500n) / 10n ** 12n : (amountIn * 10n ** 12n) / 2475n,
+    gasEstimate: 100000n
+  })
+};
+
+const simpleOpportunity = {
+  id: 'sim-weth-usdc',
+  type: 'simple',
+  chainId: 1,
+  tokenA: 'USDC',
+  tokenB: 'WETH',
+  buyDex: 'UNISWAP_V2',
+  sellDex: 'UNISWAP_V2'
+};
+
+describe('Trade simulator', () => {
+  beforeEach(() => {
+    tradeSimulator.clearCache();
+    priceNormalizer.usdPrices = { ...priceNormalizer.usdPrices, USDC: 1, WETH: 2500 };
+    jest.spyOn(dexAdapterRegistry, 'getAdapter').mockReturnValue(adapter);
+    jest.spyOn(gasCostService, 'estimateGasCostUSD').mockResolvedValue(new HelperUtils.BigNumber(1));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should trade the USD size in tokenB and value the profit in USD', async () => {
+    const result = await tradeSimulator.simulateSimpleArbitrage(simpleOpportunity, 1000);
+
+    expect(result.success).toBe(true);
+    expect(result.initialAmount).toBe((4n * 10n ** 17n).toString()); // $1000 of WETH
+    expect(result.buySwap.outputAmount).toBe('1000000000');
+    // 1000 USDC buys back 0.40404 WETH: 0.00404 WETH of profit, $1 of gas per leg
+    expect(parseFloat(result.profitUSD)).toBeCloseTo(10.101, 2);
+    expect(parseFloat(result.netProfit)).toBeCloseTo(8.101, 2);
+  });
+
+  test('should resolve tokens and price gas on the opportunity\'s chain', async () => {
+    priceNormalizer.usdPrices = { ...priceNormalizer.usdPrices, WMATIC: 0.5 };
+    const quote = jest.spyOn(adapter, 'quote').mockImplementation(async (pool, tokenIn, tokenOut, amountIn) => ({
+      amountOut: amountIn,
+      gasEstimate: 100000n
+    }));
+
+    // WMATIC is only listed on Polygon
+    const result = await tradeSimulator.simulateSimpleArbitrage({
+      ...simpleOpportunity,
+      id: 'sim-usdc-wmatic',
+      chainId: 137,
+      tokenA: 'WMATIC',
+      tokenB: 'USDC'
+    }, 1000);
+
+    expect(result.success).toBe(true);
+    expect(quote.mock.calls.map(([, tokenIn]) => tokenIn)).toEqual([
+      tokenRegistry.getToken('USDC', 137).address,
+      tokenRegistry.getToken('WMATIC', 137).address
+    ]);
+    expect(gasCostService.estimateGasCostUSD.mock.calls.every(([, , , chainId]) => chainId === 137)).toBe(true);
+  });
+
+  test('should not simulate a route whose gas cost cannot be estimated', async () => {
+    gasCostService.estimateGasCostUSD.mockRejectedValue(new Error('No fee data for chain 1'));
+
+    const result = await tradeSimulator.simulateSimpleArbitrage(simpleOpportunity, 1000);
+
+    expect(result).toMatchObject({ success: false, error: 'No fee data for chain 1' });
+    expect(result.netProfit).toBeUndefined();
+  });
+
+  test('should not simulate a route whose token has no USD price', async () => {
+    priceNormalizer.usdPrices = { ...priceNormalizer.usdPrices, WETH: 0 };
+
+    const result = await tradeSimulator.simulateSimpleArbitrage(simpleOpportunity, 1000);
+
+    expect(result).toMatchObject({ success: false, error: 'USD price not available for WETH' });
+  });
+});
@@ -0,0 +1,46 @@
+import { jest } from '@jest/globals';
+import { ethers } from 'ethers';
+import v2ForkDiscovery from '../src/services/v2-fork-discovery.js';
+import rpcManager from '../src/services/rpc-manager.js';
+import tokenRegistry from '../src/config/token-registry.js';
+
+describe('V2ForkDiscovery init code hash', () => {
+  const factoryKey = v2ForkDiscovery.getFactoryKey('UNISWAP_V2', 1);
+  const [firstPair, secondPair] = tokenRegistry.getCandidatePairs(1);
+  const addressesOf = (pair) => pair.map(symbol => tokenRegistry.getToken(symbol, 1).address);
+
+  // Factory whose getPair returns `pairs` by token addresses (ZeroAddress for the rest)
+  const setFactory = (pairs) => {
+    v2ForkDiscovery.factoryContracts.set(factoryKey, {
+      getPair: jest.fn(async (tokenA, tokenB) => pairs.get(`${tokenA}:${tokenB}`) ?? ethers.ZeroAddress)
+    });
+  };
+
+  beforeEach(() => {
+    jest.spyOn(rpcManager, 'execute').mockImplementation(call => call());
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    v2ForkDiscovery.factoryContracts.delete(factoryKey);
+    v2ForkDiscovery.create2Verified.delete(factoryKey);
+  });
+
+  test('should verify against the first candidate pair the factory has deployed', async () => {
+    const [tokenA, tokenB] = addressesOf(secondPair);
+    setFactory(new Map([[`${tokenA}:${tokenB}`, v2ForkDiscovery.computePairAddress('UNISWAP_V2', tokenA, tokenB, 1)]]));
+
+    expect(await v2ForkDiscovery.verifyInitCodeHash('UNISWAP_V2', 1)).toBe(true);
+    expect(v2ForkDiscovery.factoryContracts.get(factoryKey).getPair).toHaveBeenCalledTimes(2);
+  });
+
+  test('should not verify when no candidate pair is deployed, or the pair address differs', async () => {
+    setFactory(new Map());
+    expect(await v2ForkDiscovery.verifyInitCodeHash('UNISWAP_V2', 1)).toBe(false);
+    expect(v2ForkDiscovery.create2Verified.get(factoryKey)).toBe(false);
+
+    const [tokenA, tokenB] = addressesOf(firstPair);
+    setFactory(new Map([[`${tokenA}:${tokenB}`, '0x00000000000000000000000000000000000000f2']]));
+    expect(await v2ForkDiscovery.verifyInitCodeHash('UNISWAP_V2', 1)).toBe(false);
+  });
+});